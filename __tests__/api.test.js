@@ -1,107 +1,562 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const request = require('supertest');
-const express = require('express');
+const config = require('../config');
+const openApiDocument = require('../server/openapi');
+const BackupManager = require('../src/BackupManager');
+const { compilePaths, matchOperation, validateResponse } = require('../server/openapiValidator');
 
-describe('ToolManager API', () => {
+// Contract tests: the real server/index.js app, with request and response
+// validation switched on, checked against the OpenAPI document
+describe('ToolManager API contract', () => {
   let app;
+  let workingFolder;
+  let resultsPath;
+  const compiled = compilePaths(openApiDocument);
 
-  beforeAll(() => {
-    app = express();
-    app.use(express.json());
+  const tool = (id, overrides = {}) => ({
+    id,
+    name: id,
+    status: 'in_use',
+    isMatrix: true,
+    usageTime: 600,
+    usageMinutes: 10,
+    usageCount: 1,
+    projectCount: 1,
+    category: 'MATRIX_ECUT',
+    projects: ['W5270NS01003'],
+    positions: ['W5270NS01003A'],
+    machines: ['DMU 100P'],
+    firstUsedAt: '2025-11-10T08:00:00.000Z',
+    lastUsedAt: '2025-11-10T08:00:00.000Z',
+    ...overrides,
+  });
 
-    app.get('/api/status', (req, res) => {
-      res.json({
-        status: 'running',
-        mode: process.env.TEST_MODE ? 'test' : 'production',
-        autorun: false,
-        timestamp: new Date().toISOString()
-      });
+  const writeResult = (fileName, data) => {
+    fs.writeFileSync(path.join(resultsPath, fileName), JSON.stringify(data, null, 2));
+  };
+
+  // Check a response against the documented response of its route and status
+  const expectContract = (response, method, requestPath) => {
+    const match = matchOperation(openApiDocument, compiled, method, requestPath);
+    expect(match).not.toBeNull();
+    expect(validateResponse(openApiDocument, match.operation, response.status, response.body)).toEqual([]);
+  };
+
+  beforeAll(async () => {
+    workingFolder = fs.mkdtempSync(path.join(os.tmpdir(), 'toolmanager-api-'));
+    const scanFolder = path.join(workingFolder, 'scan');
+    fs.mkdirSync(scanFolder);
+
+    config.app.userDefinedWorkingFolder = workingFolder;
+    config.app.settingsFile = path.join(workingFolder, 'settings.local.json');
+    config.backup.definitionFiles = [path.join(workingFolder, 'matrix-tool-definitions.json')];
+    fs.copyFileSync(path.join(__dirname, '..', 'config', 'matrix-tool-definitions.json'), config.backup.definitionFiles[0]);
+    config.paths.test.jsonScanPath = scanFolder;
+    config.paths.test.excelScanPath = scanFolder;
+    config.paths.production.jsonScanPath = scanFolder;
+    config.paths.production.excelScanPath = scanFolder;
+    config.api.validation.requests = true;
+    config.api.validation.responses = true;
+
+    const server = require('../server/index.js');
+    app = server.app;
+    await server.initializeDataManager();
+
+    resultsPath = path.join(workingFolder, 'BRK CNC Management Dashboard', 'ToolManager', 'results');
+    fs.mkdirSync(resultsPath, { recursive: true });
+    writeResult('ToolManager_Result.json', {
+      tools: [
+        tool('FRA-P8400-S11.4R0_H63', { quantity: 3, capacityMinutes: 225, toolState: 'IN_USE', location: 'A1', locations: [{ location: 'A1', quantity: 3 }] }),
+        tool('KOM-U11-TF39_H63', { isMatrix: false, category: 'NON_MATRIX', usageTime: 120, usageMinutes: 2 }),
+      ],
+      matrixInventory: [],
+      projects: [],
+      schedule: { mode: 'estimated', file: null, matched: 0, unmatched: [] },
+    });
+    writeResult('excel_processing_result.json', {
+      toolInventory: [{ toolCode: 'RT-8400300', quantity: 3, description: 'ø3 E-Cut', location: 'A1', locations: [] }],
     });
+    writeResult('excel_import_report.json', {
+      generatedAt: '2025-11-10T08:00:00.000Z',
+      files: [{ fileName: 'E-Cut.xlsx', issues: [{ type: 'skipped', row: 4, suspicious: false }] }],
+    });
+  });
 
-    app.post('/api/config', (req, res) => {
-      const { testMode, autoMode, workingFolder } = req.body;
-      
-      if (!workingFolder) {
-        return res.status(400).json({ error: 'workingFolder is required' });
-      }
+  afterAll(() => {
+    fs.rmSync(workingFolder, { recursive: true, force: true });
+  });
 
-      res.json({
-        success: true,
-        config: { testMode, autoMode, workingFolder }
-      });
+  test('should document every route of the app', () => {
+    const router = app.router || app._router;
+    const routes = router.stack
+      .filter((layer) => layer.route)
+      .flatMap((layer) => Object.keys(layer.route.methods).map((method) => ({ method, path: layer.route.path })));
+
+    expect(routes.length).toBeGreaterThan(15);
+    for (const route of routes) {
+      const template = route.path.replace(/:(\w+)/g, '{$1}');
+      expect(openApiDocument.paths[template]).toBeDefined();
+      expect(openApiDocument.paths[template][route.method]).toBeDefined();
+    }
+  });
+
+  test('GET /api/openapi.json should serve the document', async () => {
+    const response = await request(app).get('/api/openapi.json').expect(200);
+    expect(response.body.openapi).toBe('3.0.3');
+    expect(Object.keys(response.body.paths)).toEqual(Object.keys(openApiDocument.paths));
+  });
+
+  test('GET /api/status should return the service status', async () => {
+    const response = await request(app).get('/api/status').expect(200);
+    expect(response.body).toMatchObject({ status: 'running', dataManager: 'initialized' });
+    expectContract(response, 'GET', '/api/status');
+  });
+
+  describe('tools', () => {
+    test('GET /api/tools should return a page of tools', async () => {
+      const response = await request(app).get('/api/tools?limit=1&sort=name').expect(200);
+      expect(response.body).toMatchObject({ total: 2, page: 1, pages: 2, limit: 1 });
+      expect(response.body.tools[0].id).toBe('FRA-P8400-S11.4R0_H63');
+      expectContract(response, 'GET', '/api/tools');
+    });
+
+    test('GET /api/tools should apply filters and sparse fields', async () => {
+      const response = await request(app).get('/api/tools?isMatrix=false&fields=usageMinutes').expect(200);
+      expect(response.body.tools).toEqual([{ id: 'KOM-U11-TF39_H63', usageMinutes: 2 }]);
+      expectContract(response, 'GET', '/api/tools');
+    });
+
+    test('GET /api/tools should reject parameters of the wrong type', async () => {
+      const response = await request(app).get('/api/tools?limit=ten').expect(400);
+      expect(response.body.error).toMatchObject({ code: 'VALIDATION_ERROR', message: 'query.limit: Expected integer, got string' });
+      expectContract(response, 'GET', '/api/tools');
+    });
+
+    test('GET /api/tools/:id should return one tool or 404', async () => {
+      const found = await request(app).get('/api/tools/KOM-U11-TF39_H63').expect(200);
+      expect(found.body.name).toBe('KOM-U11-TF39_H63');
+      expectContract(found, 'GET', '/api/tools/KOM-U11-TF39_H63');
+
+      const missing = await request(app).get('/api/tools/nope').expect(404);
+      expect(missing.body.error.code).toBe('NOT_FOUND');
+      expectContract(missing, 'GET', '/api/tools/nope');
+    });
+
+    test('GET /api/tools/matrix should return the matrix inventory', async () => {
+      const response = await request(app).get('/api/tools/matrix').expect(200);
+      expect(response.body.tools[0]).toMatchObject({ toolId: 'RT-8400300', inPool: 3 });
+      expectContract(response, 'GET', '/api/tools/matrix');
+    });
+
+    test('GET /api/tool-images should answer 404 for unknown images', async () => {
+      const response = await request(app).get('/api/tool-images/FRA/missing.png').expect(404);
+      expectContract(response, 'GET', '/api/tool-images/FRA/missing.png');
+    });
+  });
+
+  describe('planning and inventory', () => {
+    test('GET /api/projects should list projects', async () => {
+      const response = await request(app).get('/api/projects').expect(200);
+      expectContract(response, 'GET', '/api/projects');
+    });
+
+    test('GET /api/analysis/upcoming should validate the bucket', async () => {
+      const ok = await request(app).get('/api/analysis/upcoming?bucket=day').expect(200);
+      expect(ok.body.totalTools).toBe(2);
+      expectContract(ok, 'GET', '/api/analysis/upcoming');
+
+      const invalid = await request(app).get('/api/analysis/upcoming?bucket=month').expect(400);
+      expect(invalid.body.error.code).toBe('VALIDATION_ERROR');
+    });
+
+    test('GET /api/inventory/import-report should filter issues', async () => {
+      const response = await request(app).get('/api/inventory/import-report?type=skipped&suspicious=false').expect(200);
+      expect(response.body.files[0].issues).toHaveLength(1);
+      expectContract(response, 'GET', '/api/inventory/import-report');
     });
 
-    app.post('/api/scan', (req, res) => {
-      res.json({
-        success: true,
-        message: 'Scan started',
-        toolsFound: 0,
-        matrixCategories: []
+    test('GET /api/inventory/snapshots and diff should report missing snapshots', async () => {
+      const snapshots = await request(app).get('/api/inventory/snapshots').expect(200);
+      expect(snapshots.body).toEqual({ snapshots: [], total: 0 });
+      expectContract(snapshots, 'GET', '/api/inventory/snapshots');
+
+      const diff = await request(app).get('/api/inventory/diff').expect(404);
+      expectContract(diff, 'GET', '/api/inventory/diff');
+    });
+
+    test('GET /api/purchasing/suggestions should return the reorder plan', async () => {
+      const response = await request(app).get('/api/purchasing/suggestions?all=true').expect(200);
+      expect(Array.isArray(response.body.suggestions)).toBe(true);
+      expectContract(response, 'GET', '/api/purchasing/suggestions');
+    });
+  });
+
+  describe('tool edits', () => {
+    test('POST /api/tools should register a tool once', async () => {
+      const created = await request(app)
+        .post('/api/tools')
+        .send({ id: 'RT-8400500', quantity: 4, description: 'ø5 E-Cut' })
+        .expect(201);
+      expect(created.body).toMatchObject({
+        id: 'RT-8400500',
+        category: 'MATRIX_ECUT',
+        isMatrix: true,
+        status: 'available',
+        source: 'manual',
+        version: 1,
       });
+      expectContract(created, 'POST', '/api/tools');
+
+      const duplicate = await request(app).post('/api/tools').send({ id: 'KOM-U11-TF39_H63' }).expect(409);
+      expect(duplicate.body.error.code).toBe('CONFLICT');
+      expectContract(duplicate, 'POST', '/api/tools');
+
+      const invalid = await request(app).post('/api/tools').send({ id: 'X-1', category: 'MATRIX_DRILL' }).expect(400);
+      expect(invalid.body.error.code).toBe('VALIDATION_ERROR');
     });
 
-    app.get('/api/results', (req, res) => {
-      res.json({
-        results: [],
-        totalProjects: 0
+    test('PATCH /api/tools/:id should keep edits of scanned tools across rescans', async () => {
+      const patched = await request(app)
+        .patch('/api/tools/FRA-P8400-S11.4R0_H63')
+        .send({ version: 0, quantity: 6, location: 'B2' })
+        .expect(200);
+      expect(patched.body).toMatchObject({
+        quantity: 6,
+        capacityMinutes: 450,
+        location: 'B2',
+        version: 1,
+        overrides: ['quantity', 'location'],
       });
+      expectContract(patched, 'PATCH', '/api/tools/FRA-P8400-S11.4R0_H63');
+
+      // The next scan regenerates the result file
+      const result = JSON.parse(fs.readFileSync(path.join(resultsPath, 'ToolManager_Result.json'), 'utf8'));
+      result.tools[0].usageTime = 900;
+      writeResult('ToolManager_Result.json', result);
+
+      const tool = await request(app).get('/api/tools/FRA-P8400-S11.4R0_H63').expect(200);
+      expect(tool.body).toMatchObject({ usageTime: 900, quantity: 6, location: 'B2', version: 1 });
+    });
+
+    test('PUT and PATCH should answer 409 for a stale version', async () => {
+      const stale = await request(app)
+        .put('/api/tools/FRA-P8400-S11.4R0_H63')
+        .send({ version: 0, quantity: 1 })
+        .expect(409);
+      expect(stale.body.error).toMatchObject({ code: 'CONFLICT', details: { currentVersion: 1 } });
+      expectContract(stale, 'PUT', '/api/tools/FRA-P8400-S11.4R0_H63');
+
+      // PUT replaces every edit: location goes back to the scanned value
+      const replaced = await request(app)
+        .put('/api/tools/FRA-P8400-S11.4R0_H63')
+        .send({ version: 1, quantity: 2 })
+        .expect(200);
+      expect(replaced.body).toMatchObject({ quantity: 2, location: 'A1', version: 2, overrides: ['quantity'] });
+
+      const missingVersion = await request(app).patch('/api/tools/FRA-P8400-S11.4R0_H63').send({ quantity: 1 }).expect(400);
+      expect(missingVersion.body.error.code).toBe('VALIDATION_ERROR');
+
+      await request(app).patch('/api/tools/unknown').send({ version: 0, quantity: 1 }).expect(404);
+    });
+
+    test('DELETE /api/tools/:id should retire scanned tools and delete registered ones', async () => {
+      const retired = await request(app).delete('/api/tools/KOM-U11-TF39_H63?version=0').expect(200);
+      expect(retired.body).toMatchObject({ action: 'retired', tool: { status: 'retired', version: 1 } });
+      expectContract(retired, 'DELETE', '/api/tools/KOM-U11-TF39_H63');
+
+      const list = await request(app).get('/api/tools?fields=status').expect(200);
+      expect(list.body.tools.map((t) => t.id)).not.toContain('KOM-U11-TF39_H63');
+      const retiredList = await request(app).get('/api/tools?status=retired').expect(200);
+      expect(retiredList.body.tools.map((t) => t.id)).toEqual(['KOM-U11-TF39_H63']);
+
+      await request(app).patch('/api/tools/KOM-U11-TF39_H63').send({ version: 1, retired: null }).expect(200);
+
+      await request(app).delete('/api/tools/RT-8400500?version=5').expect(409);
+      const deleted = await request(app).delete('/api/tools/RT-8400500?version=1').expect(200);
+      expect(deleted.body).toEqual({ id: 'RT-8400500', action: 'deleted' });
+      await request(app).get('/api/tools/RT-8400500').expect(404);
+      await request(app).delete('/api/tools/RT-8400500').expect(400);
     });
   });
 
-  describe('GET /api/status', () => {
-    test('should return 200 with status', async () => {
-      const response = await request(app)
-        .get('/api/status')
+  describe('tool locations', () => {
+    test('POST /api/locations should add locations once and validate them', async () => {
+      const cabinet = await request(app)
+        .post('/api/locations')
+        .send({ id: 'CAB-1', type: 'cabinet', name: 'Cabinet 1', slots: 40 })
+        .expect(201);
+      expect(cabinet.body).toMatchObject({ id: 'CAB-1', type: 'cabinet', slots: 40, description: null });
+      expectContract(cabinet, 'POST', '/api/locations');
+      await request(app).post('/api/locations').send({ id: 'DMU', type: 'machine', name: 'DMU 100P' }).expect(201);
+
+      const duplicate = await request(app).post('/api/locations').send({ id: 'DMU', type: 'machine', name: 'DMU' }).expect(409);
+      expectContract(duplicate, 'POST', '/api/locations');
+
+      const invalid = await request(app).post('/api/locations').send({ id: 'R1', type: 'regrind', name: 'Regrind', slots: 2 }).expect(400);
+      expect(invalid.body.error.details).toEqual([{ path: 'body.slots', message: 'Regrind vendors have no slots' }]);
+    });
+
+    test('POST /api/tools/:id/move should move pieces and show them in the matrix inventory', async () => {
+      const stocked = await request(app)
+        .post('/api/tools/RT-8400300/move')
+        .send({ to: { locationId: 'CAB-1', slot: '7' }, quantity: 3, reason: 'new stock' })
         .expect(200);
+      expect(stocked.body.move).toMatchObject({ quantity: 3, from: null, to: { locationId: 'CAB-1', slot: '7' } });
+      expectContract(stocked, 'POST', '/api/tools/RT-8400300/move');
+
+      const moved = await request(app)
+        .post('/api/tools/RT-8400300/move')
+        .send({ from: { locationId: 'CAB-1', slot: '7' }, to: { locationId: 'DMU', slot: 12 }, quantity: 1, movedBy: 'night shift' })
+        .expect(200);
+      expect(moved.body.placements.map((p) => [p.place, p.quantity])).toEqual([
+        ['Cabinet 1 slot 7', 2],
+        ['DMU 100P pocket 12', 1],
+      ]);
+
+      const tooMany = await request(app)
+        .post('/api/tools/RT-8400300/move')
+        .send({ from: { locationId: 'DMU', slot: '12' }, to: { locationId: 'CAB-1', slot: '41' }, quantity: 2 })
+        .expect(400);
+      expect(tooMany.body.error.details.map((e) => e.path)).toEqual(['body.to', 'body.quantity']);
+      expectContract(tooMany, 'POST', '/api/tools/RT-8400300/move');
+      await request(app).post('/api/tools/nope/move').send({ to: { locationId: 'DMU', slot: '1' } }).expect(404);
+
+      const matrix = await request(app).get('/api/tools/matrix').expect(200);
+      expect(matrix.body.tools[0]).toMatchObject({ toolId: 'RT-8400300', location: 'Cabinet 1 slot 7' });
+      expect(matrix.body.tools[0].placements).toHaveLength(2);
+      expectContract(matrix, 'GET', '/api/tools/matrix');
+
+      const history = await request(app).get('/api/tools/RT-8400300/moves?limit=1').expect(200);
+      expect(history.body).toMatchObject({ toolId: 'RT-8400300', quantity: 3 });
+      expect(history.body.moves).toHaveLength(1);
+      expectContract(history, 'GET', '/api/tools/RT-8400300/moves');
+    });
+
+    test('GET /api/locations should list locations with their tools', async () => {
+      const list = await request(app).get('/api/locations?type=cabinet').expect(200);
+      expect(list.body.locations).toEqual([expect.objectContaining({ id: 'CAB-1', toolCount: 1, pieceCount: 2 })]);
+      expectContract(list, 'GET', '/api/locations');
+
+      const details = await request(app).get('/api/locations/DMU').expect(200);
+      expect(details.body.placements).toEqual([expect.objectContaining({ toolId: 'RT-8400300', slot: '12' })]);
+      expect(details.body.moves).toHaveLength(1);
+      expectContract(details, 'GET', '/api/locations/DMU');
+      await request(app).get('/api/locations/nope').expect(404);
+      await request(app).get('/api/locations?type=shelf').expect(400);
+    });
+
+    test('PATCH and DELETE /api/locations/:id should protect placed tools', async () => {
+      const shrunk = await request(app).patch('/api/locations/CAB-1').send({ slots: 5 }).expect(400);
+      expect(shrunk.body.error.code).toBe('VALIDATION_ERROR');
+      const renamed = await request(app).patch('/api/locations/CAB-1').send({ name: 'Vending 1' }).expect(200);
+      expect(renamed.body).toMatchObject({ name: 'Vending 1', slots: 40 });
+      expectContract(renamed, 'PATCH', '/api/locations/CAB-1');
+
+      const notEmpty = await request(app).delete('/api/locations/DMU').expect(409);
+      expect(notEmpty.body.error.details).toEqual({ tools: ['RT-8400300'] });
+      expectContract(notEmpty, 'DELETE', '/api/locations/DMU');
 
-      expect(response.body).toHaveProperty('status');
-      expect(response.body.status).toBe('running');
+      await request(app).post('/api/tools/RT-8400300/move').send({ from: { locationId: 'DMU', slot: '12' }, reason: 'scrapped' }).expect(200);
+      const deleted = await request(app).delete('/api/locations/DMU').expect(200);
+      expect(deleted.body).toEqual({ id: 'DMU', action: 'deleted' });
+      expectContract(deleted, 'DELETE', '/api/locations/DMU');
     });
   });
 
-  describe('POST /api/config', () => {
-    test('should configure ToolManager', async () => {
-      const config = {
-        testMode: true,
-        autoMode: false,
-        workingFolder: '/tmp/test'
-      };
+  describe('scans', () => {
+    test('POST /api/scan?wait=true should run a scan job and keep it in the history', async () => {
+      const response = await request(app).post('/api/scan?wait=true');
+      expect([200, 500]).toContain(response.status);
+      expect(['completed', 'failed']).toContain(response.body.job.state);
+      expectContract(response, 'POST', '/api/scan');
 
+      const job = await request(app).get(`/api/jobs/${response.body.job.id}`).expect(200);
+      expectContract(job, 'GET', `/api/jobs/${response.body.job.id}`);
+
+      const jobs = await request(app).get('/api/jobs?limit=5').expect(200);
+      expect(jobs.body.jobs[0].id).toBe(response.body.job.id);
+      expectContract(jobs, 'GET', '/api/jobs');
+    });
+
+    test('GET /api/inventory/imports should list the Excel processing runs of the scans', async () => {
+      const response = await request(app).get('/api/inventory/imports?status=no_files&from=2020-01-01').expect(200);
+      expect(response.body.total).toBeGreaterThan(0);
+      expect(response.body.imports[0]).toMatchObject({ status: 'no_files', files: [], errors: [], snapshotId: null });
+      expectContract(response, 'GET', '/api/inventory/imports');
+
+      const none = await request(app).get('/api/inventory/imports?to=2020-01-01').expect(200);
+      expect(none.body).toEqual({ imports: [], total: 0 });
+
+      const invalid = await request(app).get('/api/inventory/imports?status=done').expect(400);
+      expect(invalid.body.error.code).toBe('VALIDATION_ERROR');
+      await request(app).get('/api/inventory/imports?from=yesterday').expect(400);
+    });
+
+    test('GET /api/jobs should validate limit and report unknown jobs', async () => {
+      await request(app).get('/api/jobs?limit=0').expect(400);
+      const missing = await request(app).get('/api/jobs/unknown').expect(404);
+      expectContract(missing, 'GET', '/api/jobs/unknown');
+    });
+
+    test('GET /api/events should reject unknown event types', async () => {
+      const response = await request(app).get('/api/events?types=weather').expect(400);
+      expectContract(response, 'GET', '/api/events');
+    });
+  });
+
+  describe('configuration', () => {
+    test('POST /api/config should apply and persist the configuration', async () => {
+      const scanFolder = path.join(workingFolder, 'scan');
       const response = await request(app)
         .post('/api/config')
-        .send(config)
+        .send({ testMode: false, autoRun: false, scanPaths: { jsonFiles: scanFolder } })
         .expect(200);
+      expect(response.body.config).toEqual({ testMode: false, autoMode: false, watchMode: false });
+      expect(response.body.settings.jsonScanPath).toEqual({ value: scanFolder, source: 'settings-file' });
+      expectContract(response, 'POST', '/api/config');
+
+      const saved = JSON.parse(fs.readFileSync(config.app.settingsFile, 'utf8'));
+      expect(saved.settings).toMatchObject({ mode: 'manual', jsonScanPath: scanFolder });
+      expect(config.getJsonScanPath()).toBe(scanFolder);
+    });
+
+    test('POST /api/config without watchMode should keep the watch mode setting', async () => {
+      const response = await request(app).post('/api/config').send({ testMode: false }).expect(200);
+      expect(response.body.settings.watchMode.source).not.toBe('settings-file');
+      expectContract(response, 'POST', '/api/config');
 
-      expect(response.body.success).toBe(true);
+      const saved = JSON.parse(fs.readFileSync(config.app.settingsFile, 'utf8'));
+      expect(saved.settings).not.toHaveProperty('watchMode');
     });
 
-    test('should validate required fields', async () => {
-      await request(app)
+    test('POST /api/config should validate the body', async () => {
+      const missing = await request(app).post('/api/config').send({}).expect(400);
+      expect(missing.body.error.code).toBe('VALIDATION_ERROR');
+
+      const wrongType = await request(app).post('/api/config').send({ testMode: 'yes' }).expect(400);
+      expect(wrongType.body.error.details).toEqual([{ path: 'body.testMode', message: 'Expected boolean, got string' }]);
+    });
+
+    test('POST /api/config should reject folders that do not exist', async () => {
+      const missingFolder = path.join(workingFolder, 'missing');
+      const response = await request(app)
         .post('/api/config')
-        .send({})
+        .send({ testMode: false, scanPaths: { excelFiles: missingFolder } })
         .expect(400);
+      expect(response.body.error.details).toEqual([
+        { path: 'body.scanPaths.excelFiles', message: `Folder does not exist: ${missingFolder}` },
+      ]);
+      expect(config.getExcelScanPath()).not.toBe(missingFolder);
+      expectContract(response, 'POST', '/api/config');
+    });
+
+    test('GET /api/config should return the effective settings and their source', async () => {
+      const response = await request(app).get('/api/config').expect(200);
+      expect(response.body.settingsFile).toBe(config.app.settingsFile);
+      expect(response.body.settings.mode).toEqual({ value: 'manual', source: 'settings-file' });
+      expect(response.body.settings.workingFolder).toEqual({ value: workingFolder, source: 'config.js' });
+      expectContract(response, 'GET', '/api/config');
     });
   });
 
-  describe('POST /api/scan', () => {
-    test('should start tool scan', async () => {
-      const response = await request(app)
-        .post('/api/scan')
-        .expect(200);
+  describe('admin backup', () => {
+    test('POST /api/admin/backup should write a backup that GET lists', async () => {
+      const created = await request(app).post('/api/admin/backup').expect(201);
+      expect(created.body).toMatchObject({ reason: 'manual', sections: { definitions: 1, settings: 1 } });
+      expect(created.body.sections.results).toBeGreaterThan(0);
+      expectContract(created, 'POST', '/api/admin/backup');
 
-      expect(response.body.success).toBe(true);
-      expect(response.body).toHaveProperty('toolsFound');
-      expect(response.body).toHaveProperty('matrixCategories');
+      const response = await request(app).get('/api/admin/backup').expect(200);
+      expect(response.body.backups[0]).toMatchObject({ name: created.body.name, formatVersion: 1 });
+      expect(response.body.schedule).toMatchObject({ enabled: false, keep: config.backup.keep });
+      expectContract(response, 'GET', '/api/admin/backup');
     });
-  });
 
-  describe('GET /api/results', () => {
-    test('should return results array', async () => {
-      const response = await request(app)
-        .get('/api/results')
-        .expect(200);
+    test('POST /api/admin/backup/restore should check the backup name', async () => {
+      const invalid = await request(app).post('/api/admin/backup/restore').send({ name: '../settings.local.json' }).expect(400);
+      expect(invalid.body.error.code).toBe('VALIDATION_ERROR');
+      expectContract(invalid, 'POST', '/api/admin/backup/restore');
+
+      const missing = await request(app)
+        .post('/api/admin/backup/restore')
+        .send({ name: 'toolmanager-backup-2020-01-01T00-00-00-000Z-manual.json.gz' })
+        .expect(404);
+      expectContract(missing, 'POST', '/api/admin/backup/restore');
+    });
+
+    test('POST /api/admin/backup/restore should bring back the backed up state', async () => {
+      const created = await request(app).post('/api/admin/backup').expect(201);
+      writeResult('stray_report.json', {});
+      await request(app).post('/api/tools').send({ id: 'RESTORE-TEST', quantity: 1 }).expect(201);
 
-      expect(Array.isArray(response.body.results)).toBe(true);
-      expect(response.body).toHaveProperty('totalProjects');
+      const response = await request(app).post('/api/admin/backup/restore').send({ name: created.body.name }).expect(200);
+      expect(response.body).toMatchObject({ status: 'restored', name: created.body.name, createdAt: created.body.createdAt });
+      expectContract(response, 'POST', '/api/admin/backup/restore');
+
+      expect(fs.existsSync(path.join(resultsPath, 'stray_report.json'))).toBe(false);
+      expect(fs.existsSync(path.join(resultsPath, 'ToolManager_Result.json'))).toBe(true);
+      await request(app).get('/api/tools/RESTORE-TEST').expect(404);
     });
+
+    test('POST /api/admin/backup/restore should drop settings the backup does not have', async () => {
+      const settingsFile = fs.readFileSync(config.app.settingsFile);
+      fs.rmSync(config.app.settingsFile);
+      const created = await request(app).post('/api/admin/backup').expect(201);
+      expect(created.body.sections.settings).toBe(0);
+      fs.writeFileSync(config.app.settingsFile, settingsFile);
+
+      await request(app).post('/api/admin/backup/restore').send({ name: created.body.name }).expect(200);
+
+      expect(fs.existsSync(config.app.settingsFile)).toBe(false);
+      const response = await request(app).get('/api/config').expect(200);
+      expect(response.body.settings.mode.source).not.toBe('settings-file');
+      expect(response.body.settings.jsonScanPath.source).not.toBe('settings-file');
+    });
+
+    test('POST /api/admin/backup/restore should hold off scans and config changes until it has finished', async () => {
+      const created = await request(app).post('/api/admin/backup').expect(201);
+
+      // Keep the restore running until the other requests were answered
+      const restoreBackup = BackupManager.prototype.restoreBackup;
+      let release;
+      let started;
+      const restoreStarted = new Promise((resolve) => {
+        started = resolve;
+      });
+      const released = new Promise((resolve) => {
+        release = resolve;
+      });
+      const spy = jest.spyOn(BackupManager.prototype, 'restoreBackup').mockImplementation(async function (...args) {
+        started();
+        await released;
+        return restoreBackup.apply(this, args);
+      });
+
+      try {
+        const restore = request(app).post('/api/admin/backup/restore').send({ name: created.body.name }).then((response) => response);
+        await restoreStarted;
+
+        const scan = await request(app).post('/api/scan').expect(409);
+        expect(scan.body.error.code).toBe('CONFLICT');
+        expectContract(scan, 'POST', '/api/scan');
+        await request(app).post('/api/trigger-scan').expect(409);
+        const configChange = await request(app).post('/api/config').send({ testMode: false }).expect(409);
+        expectContract(configChange, 'POST', '/api/config');
+        await request(app).post('/api/admin/backup/restore').send({ name: created.body.name }).expect(409);
+
+        release();
+        expect((await restore).status).toBe(200);
+      } finally {
+        release();
+        spy.mockRestore();
+      }
+    });
+  });
+
+  test('unknown routes should answer 404 NOT_FOUND', async () => {
+    const response = await request(app).get('/api/nothing-here').expect(404);
+    expect(response.body.error.code).toBe('NOT_FOUND');
   });
 });
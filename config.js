@@ -7,6 +7,10 @@ const config = {
     autoMode: false, // Explicit: no auto-scanning - AutoRunProcessor handles automation
     useTestPaths: true, // Override to use test-data paths even in auto mode
     scanIntervalMs: 60000, // 60 seconds - same as json_scanner
+    watchMode: false, // React to file changes under the scan paths instead of polling (--watch)
+    // Settings saved from the Dashboard, layered over this file (see src/SettingsStore.js)
+    settingsFile:
+      process.env.TOOLMANAGER_SETTINGS_FILE || path.join(__dirname, "config", "settings.local.json"),
     logLevel: "info",
     enableDetailedLogging: true,
 
@@ -37,6 +41,14 @@ const config = {
       cleanupOldData: false, // Don't auto-delete tool data
     },
   },
+  backup: {
+    // Archives of results, inventory snapshots, storage, definitions and settings
+    // (default folder: <working folder>/BRK CNC Management Dashboard/ToolManager/backups)
+    path: process.env.TOOLMANAGER_BACKUP_PATH || null,
+    intervalHours: Number(process.env.TOOLMANAGER_BACKUP_INTERVAL_HOURS) || 0, // Scheduled backups while running (0 = off)
+    keep: 14, // Newest archives kept; older ones are deleted after each backup
+    definitionFiles: [path.join(__dirname, "config", "matrix-tool-definitions.json")],
+  },
   mongodb: {
     uri: process.env.MONGODB_URI || "mongodb://localhost:27017",
     database: process.env.MONGODB_DATABASE || "cnc_tools", // ToolManager database
@@ -47,14 +59,45 @@ const config = {
       socketTimeoutMS: 45000,
     },
   },
+  watch: {
+    debounceMs: 2000, // Collect bursts of file events into one scan
+    stabilityThresholdMs: 2000, // File size must be stable this long before it counts as written
+    pollIntervalMs: 200,
+    usePolling: false, // Enable for network shares where native events are unreliable
+  },
+  jobs: {
+    historyLimit: 50, // Finished scan jobs kept for GET /api/jobs
+  },
+  api: {
+    tools: {
+      defaultLimit: 100, // GET /api/tools page size for ?page or ?cursor without ?limit (no paging params: all tools)
+      maxLimit: 1000,
+    },
+    // Check requests and JSON responses against server/openapi.js
+    validation: {
+      requests: process.env.NODE_ENV === "development",
+      responses: process.env.NODE_ENV === "development",
+    },
+  },
+  events: {
+    bufferSize: 500, // Recent events kept so reconnecting clients can resume (Last-Event-ID)
+    heartbeatMs: 15000, // Comment line sent to keep idle SSE connections open
+    retryMs: 5000, // Reconnect delay suggested to EventSource clients
+  },
   processing: {
     preventReprocessing: true,
+    validateJsonSchema: true, // Check JSON files against config/schemas/operation-file.v*.json
+    quarantineRejected: true, // Copy rejected JSON files (+ error list) to the quarantine folder
+    concurrency: 4, // JSON files copied / sanitized / processed at the same time
+    useWorkerThreads: false, // Repair and parse JSON on worker threads (large files)
     moveAfterProcessing: true,
     generateReports: true,
   },
   scheduling: {
     // Mode for determining job completion dates
     // Options: "estimated", "json_embedded", "schedule_file"
+    // schedule_file reads paths.*.scheduleFile (.json or .csv with work number,
+    // position, planned start and due date columns); it is re-read when it changes
     completionDateMode: "estimated",
 
     // Days to add to creation date when using "estimated" mode
@@ -63,6 +106,74 @@ const config = {
     // Fallback to estimated mode if other modes fail
     fallbackToEstimated: true,
   },
+  excel: {
+    // Inventory file types picked up by the scanner. CSV and ODS files go through
+    // the same column mapping and row validation as Excel workbooks.
+    supportedExtensions: [".xlsx", ".xls", ".xlsm", ".ods", ".csv"],
+
+    csv: {
+      // Candidate delimiters, tried in order; the one splitting the most lines
+      // into the same number of columns wins
+      delimiters: [";", ",", "\t", "|"],
+      // Used when a file without BOM is not valid UTF-8 (Hungarian Windows exports)
+      fallbackEncoding: "windows-1250",
+    },
+
+    // How tool codes found in more than one file of a scan are combined:
+    //   "sum"      - add quantities from every file (one export per cabinet)
+    //   "newest"   - take the most recently modified file
+    //   "priority" - take the file matching the earliest pattern in `priority`
+    //                (unmatched files rank last, ties go to the newest file)
+    //   "max"      - take the highest quantity
+    consolidation: {
+      strategy: "sum",
+      priority: [], // e.g. ["Matrix_daily*.xlsx", "Vending*.csv"]
+    },
+
+    // Excel processing log (GET /api/inventory/imports). Runs that read the
+    // same files as the run before are logged in short (unchanged: true).
+    importLog: {
+      keep: 1000, // Newest runs kept (0 = no limit)
+    },
+
+    // Column mapping for inventory exports. Each logical field lists the header
+    // aliases it may appear under (case-insensitive, exact match wins over a
+    // whole-word match). itemCode and quantity are required, the rest optional.
+    columnMapping: {
+      defaultProfile: "default",
+      profiles: {
+        default: {
+          itemCode: ["Tételkód", "Cikkszám", "Item code", "Item no", "Part number", "Code"],
+          quantity: ["Mennyiség", "Készlet", "Quantity", "Qty", "Stock", "On hand"],
+          description: ["Megnevezés", "Leírás", "Description", "Item name"],
+          location: ["Raktárhely", "Tárhely", "Location", "Bin", "Storage location"],
+          unit: ["Mennyiségi egység", "ME", "Unit", "UoM", "Unit of measure"],
+          supplier: ["Szállító", "Beszállító", "Supplier", "Vendor"],
+        },
+      },
+      // Per-file overrides, matched against the original file name ("*" and "?"
+      // wildcards). Either switch profile or replace aliases for single fields:
+      // { match: "XFeed*.xlsx", profile: "default", columns: { quantity: ["Szabad készlet"] } }
+      fileOverrides: [],
+    },
+  },
+  inventorySnapshots: {
+    // Retention of results/inventory_snapshots; the newest snapshot is always kept
+    keep: 500, // Newest snapshots kept (0 = no limit)
+    maxAgeDays: 365, // Snapshots older than this are deleted (0 = no limit)
+  },
+  purchasing: {
+    // Days of inventory snapshots used to work out the consumption rate
+    historyDays: 30,
+    // Used for categories without a "purchasing" block in matrix-tool-definitions.json
+    defaults: {
+      leadTimeDays: 14,
+      safetyStockDays: 7,
+      orderCoverDays: 30, // consumption an order should cover on top of the reorder point
+      minOrderQuantity: 1,
+      orderMultiple: 1,
+    },
+  },
   files: {
     jsonExtension: ".json",
     fixedSuffix: "fixed",
@@ -129,6 +240,13 @@ const config = {
 
       // All processing happens in BRK temp structure: C:/Production/BRK CNC Management Dashboard/ToolManager/
     },
+
+    // Scan folders chosen in the Dashboard (POST /api/config, persisted by
+    // SettingsStore); they take precedence over the test / production paths
+    custom: {
+      jsonScanPath: null,
+      excelScanPath: null,
+    },
   },
 };
 
@@ -149,6 +267,9 @@ config.getScanPath = function () {
 };
 
 config.getExcelScanPath = function () {
+  if (this.paths.custom.excelScanPath) {
+    return this.paths.custom.excelScanPath;
+  }
   const useTest = this.app.mode === 'test' || this.app.useTestPaths;
   return useTest ? this.paths.test.excelScanPath : this.paths.production.excelScanPath;
 };
@@ -160,6 +281,9 @@ config.getSampleExcelPath = function () {
 };
 
 config.getJsonScanPath = function () {
+  if (this.paths.custom.jsonScanPath) {
+    return this.paths.custom.jsonScanPath;
+  }
   const useTest = this.app.mode === 'test' || this.app.useTestPaths;
   return useTest ? this.paths.test.jsonScanPath : this.paths.production.jsonScanPath;
 };
@@ -210,11 +334,16 @@ config.calculateEstimatedDate = function (creationDate) {
   return estimatedDate;
 };
 
+config.getScheduleEntry = function (projectData) {
+  // Required lazily - the loader itself depends on config through ExcelProcessor
+  const ScheduleLoader = require("./src/ScheduleLoader");
+  return ScheduleLoader.forFile(this.getScheduleFilePath()).findEntry(projectData);
+};
+
 config.getScheduledDate = function (projectData) {
-  // TODO: Implement schedule file reading logic
-  // This would read from the schedule file and match project data
-  // For now, return null to fall back to estimated mode
-  return null;
+  // Due date from the production schedule (JSON or CSV), matched by work number/position
+  const entry = this.getScheduleEntry(projectData);
+  return entry && entry.dueDate ? new Date(entry.dueDate) : null;
 };
 
 config.initialize = function () {
@@ -231,6 +360,9 @@ config.initialize = function () {
     console.log(`✓ Sample Excel path: ${this.getSampleExcelPath()}`);
   }
   console.log(`✓ Completion date mode: ${this.scheduling.completionDateMode}`);
+  if (this.scheduling.completionDateMode === "schedule_file") {
+    console.log(`✓ Schedule file: ${this.getScheduleFilePath()}`);
+  }
   if (this.scheduling.completionDateMode === "estimated") {
     console.log(
       `✓ Estimated completion days: ${this.scheduling.estimatedCompletionDays}`
@@ -11,6 +11,7 @@ function parseArguments() {
     mode: config.app.autoMode ? "auto" : "manual",
     projectPath: null,
     forceReprocess: false,
+    watch: false,
     cleanup: false,
     cleanupStats: false,
     setup: false,
@@ -21,6 +22,13 @@ function parseArguments() {
     testStorage: false,
     listResults: false,
     exportResults: null,
+    inventoryDiff: null,
+    inventorySnapshots: false,
+    importHistory: null,
+    backup: false,
+    listBackups: false,
+    restoreBackup: null,
+    exportPurchasing: null,
     // Debug and test flags
     debug: false,
   };
@@ -37,6 +45,9 @@ function parseArguments() {
       case "--auto":
         options.mode = "auto";
         break;
+      case "--watch":
+        options.watch = true;
+        break;
       case "--cleanup":
         options.cleanup = true;
         break;
@@ -80,6 +91,46 @@ function parseArguments() {
         options.exportResults = args[i + 1];
         i++; // Skip next argument
         break;
+      case "--inventory-diff":
+        // Optional positional refs: --inventory-diff [from] [to]
+        options.inventoryDiff = { from: "previous", to: "latest" };
+        if (i + 1 < args.length && !args[i + 1].startsWith("--")) {
+          options.inventoryDiff.from = args[++i];
+        }
+        if (i + 1 < args.length && !args[i + 1].startsWith("--")) {
+          options.inventoryDiff.to = args[++i];
+        }
+        break;
+      case "--inventory-snapshots":
+        options.inventorySnapshots = true;
+        break;
+      case "--import-history":
+        // Optional positional limit: --import-history [limit]
+        options.importHistory = { limit: 20 };
+        if (i + 1 < args.length && !args[i + 1].startsWith("--")) {
+          options.importHistory.limit = parseInt(args[++i], 10) || 20;
+        }
+        break;
+      case "--backup":
+        options.backup = true;
+        break;
+      case "--list-backups":
+        options.listBackups = true;
+        break;
+      case "--restore":
+        // Without a backup the executor would start as if nothing was asked
+        if (i + 1 >= args.length || args[i + 1].startsWith("--")) {
+          console.error("❌ Usage: node main.js --restore <backup>");
+          console.error("   Run node main.js --list-backups to see the available backups");
+          process.exit(1);
+        }
+        options.restoreBackup = args[i + 1];
+        i++; // Skip next argument
+        break;
+      case "--export-purchasing":
+        options.exportPurchasing = args[i + 1];
+        i++; // Skip next argument
+        break;
       case "--debug":
         options.debug = true;
         break;
@@ -231,6 +282,186 @@ async function exportTempResults(destinationDir) {
   }
 }
 
+// Print stored inventory snapshots
+async function listInventorySnapshots() {
+  const dataManager = new DataManager();
+  const snapshots = await dataManager.getInventorySnapshots();
+
+  if (snapshots.length === 0) {
+    console.log("📋 No inventory snapshots found");
+    return;
+  }
+
+  console.log(`📸 Inventory snapshots (${snapshots.length}):`);
+  for (const snapshot of snapshots) {
+    console.log(
+      `   - ${snapshot.id}: ${snapshot.totalUniqueTools} tools, ${snapshot.totalQuantity} pcs`
+    );
+  }
+}
+
+// Print the latest Excel processing runs
+async function listImportHistory(limit) {
+  const dataManager = new DataManager();
+  try {
+    await dataManager.initialize();
+    const runs = await dataManager.getExcelProcessingHistory({ limit });
+
+    if (runs.length === 0) {
+      console.log("📋 No Excel imports recorded yet");
+      return;
+    }
+
+    console.log(`🗒️  Excel imports (latest ${runs.length}):`);
+    for (const run of runs) {
+      const icon = run.status === "completed" ? "✅" : run.status === "no_files" ? "📭" : "❌";
+      console.log(
+        `   ${icon} ${run.loggedAt} ${run.status}: ${run.totalFiles || 0} file(s), ${run.totalUniqueTools || 0} tools, ${run.totalQuantity || 0} pcs in ${run.durationMs || 0}ms${run.snapshotId ? ` (snapshot ${run.snapshotId})` : ""}`
+      );
+      for (const file of run.files || []) {
+        console.log(`      - ${file.fileName} ${file.hash ? file.hash.slice(0, 12) : "?"}: ${file.error || `${file.toolCount} tools`}`);
+      }
+      for (const error of (run.errors || []).filter((e) => !e.fileName)) {
+        console.log(`      ! ${error.message}`);
+      }
+    }
+  } finally {
+    await dataManager.disconnect();
+  }
+}
+
+// Create, list or restore backups (see src/BackupManager.js)
+async function runBackupCommand(options) {
+  const path = require("path");
+  const BackupManager = require("./src/BackupManager");
+  const dataManager = new DataManager();
+
+  try {
+    await dataManager.initialize();
+    const backups = new BackupManager({ dataManager });
+
+    if (options.backup) {
+      const backup = await backups.createBackup({ reason: "manual" });
+      const sections = Object.entries(backup.sections).map(([section, count]) => `${section} ${count}`);
+      console.log(`💾 Backup written: ${backup.file}`);
+      console.log(`   ${sections.join(", ")} (${backup.size} bytes)`);
+      for (const name of backup.removed) {
+        console.log(`   🧹 Removed old backup ${name}`);
+      }
+      return true;
+    }
+
+    if (options.listBackups) {
+      const list = await backups.listBackups();
+      if (list.length === 0) {
+        console.log(`📋 No backups in ${backups.backupPath}`);
+        return true;
+      }
+      console.log(`💾 Backups in ${backups.backupPath} (${list.length}):`);
+      for (const backup of list) {
+        console.log(
+          backup.error
+            ? `   ❌ ${backup.name}: ${backup.error}`
+            : `   - ${backup.name} (${backup.reason}, ${backup.size} bytes)`
+        );
+      }
+      return true;
+    }
+
+    // A path restores an archive from anywhere, a name one from the backup folder
+    const source = options.restoreBackup.includes(path.sep) || options.restoreBackup.includes("/")
+      ? path.resolve(options.restoreBackup)
+      : options.restoreBackup;
+    const result = await backups.restoreBackup(source);
+    if (result.status === "restored") {
+      console.log(`♻️  Restored backup from ${result.createdAt}`);
+      console.log(`   Previous state saved as ${result.rollback}`);
+      return true;
+    }
+    if (result.status === "not_found") {
+      console.error(`❌ Backup not found: ${options.restoreBackup}`);
+    } else if (result.status === "invalid") {
+      console.error("❌ Backup failed verification - nothing was changed:");
+      for (const error of result.errors) {
+        console.error(`   ${error.path}: ${error.message}`);
+      }
+    } else {
+      console.error(`❌ Restore failed: ${result.error}`);
+      console.error(
+        result.rolledBack
+          ? `   Previous state restored from ${result.rollback}`
+          : `   Rollback failed - restore ${result.rollback} manually`
+      );
+    }
+    return false;
+  } finally {
+    await dataManager.disconnect();
+  }
+}
+
+// Print stock movement between two inventory snapshots
+async function showInventoryDiff(from, to) {
+  const dataManager = new DataManager();
+  const diff = await dataManager.getInventoryDiff(from, to);
+
+  if (!diff) {
+    console.log(
+      `📋 Cannot compare inventory: snapshot not found (from=${from}, to=${to})`
+    );
+    return false;
+  }
+
+  const { summary } = diff;
+  console.log(`📊 Inventory diff ${diff.from.id} → ${diff.to.id}`);
+  console.log(`   Added: ${summary.totalAdded} pcs, consumed: ${summary.totalConsumed} pcs`);
+  console.log(
+    `   Codes: ${summary.newCodes} new, ${summary.removedCodes} removed, ${summary.changedCodes} changed, ${summary.unchangedCodes} unchanged`
+  );
+
+  const moved = diff.tools.filter((tool) => tool.status !== "unchanged");
+  for (const tool of moved) {
+    const sign = tool.change > 0 ? "+" : "";
+    console.log(
+      `   ${tool.toolCode}: ${tool.from} → ${tool.to} (${sign}${tool.change}) [${tool.status}]`
+    );
+  }
+  return true;
+}
+
+// Export purchase suggestions to an .xlsx or .csv file
+async function exportPurchaseSuggestions(filePath) {
+  const fs = require("fs");
+  const path = require("path");
+  const ReorderPlanner = require("./src/ReorderPlanner");
+
+  const extension = path.extname(filePath).toLowerCase();
+  if (![".xlsx", ".csv"].includes(extension)) {
+    console.error("❌ Export file must end with .xlsx or .csv");
+    return false;
+  }
+
+  const dataManager = new DataManager();
+  const plan = await dataManager.getPurchaseSuggestions();
+  if (!plan) {
+    console.error("❌ Failed to calculate purchase suggestions");
+    return false;
+  }
+
+  fs.writeFileSync(
+    filePath,
+    extension === ".csv" ? ReorderPlanner.toCsv(plan) : ReorderPlanner.toXlsx(plan)
+  );
+  console.log(
+    `🛒 ${plan.suggestions.length} purchase suggestion(s) exported to: ${filePath}`
+  );
+  for (const suggestion of plan.suggestions) {
+    console.log(
+      `   ${suggestion.toolCode}: order ${suggestion.suggestedQuantity} (stock ${suggestion.currentStock}, reorder point ${suggestion.reorderPoint}) [${suggestion.urgency}]`
+    );
+  }
+  return true;
+}
+
 async function runSetup() {
   const fs = require("fs");
   const path = require("path");
@@ -276,6 +507,7 @@ Usage:
 
 Commands:
   --auto               Continuous scanning mode (60s intervals)
+  --watch              Rescan when JSON or Excel files change under the scan paths
   --manual --project   Process specific Excel file
   --test              Single test run with data preservation
   --test --N          Multiple test runs (e.g., --test --3)
@@ -284,10 +516,20 @@ Commands:
   --cleanup-stats     Show cleanup statistics without deletion
   --list-results      List current temp result files
   --export-results    Export temp results to directory
+  --inventory-snapshots  List stored inventory snapshots
+  --import-history [limit]  List the latest Excel processing runs (default 20)
+  --backup            Back up results, snapshots, storage, definitions and settings
+  --list-backups      List backups in the backup folder
+  --restore <backup>  Restore a backup (name in the backup folder or path)
+  --inventory-diff [from] [to]
+                      Stock movement between two snapshots (id, YYYY-MM-DD,
+                      "previous" or "latest"; defaults to previous → latest)
+  --export-purchasing Export purchase suggestions to .xlsx or .csv
   --working-folder    Use custom working directory
 
 Examples:
   node main.js --auto
+  node main.js --watch
   node main.js --manual --project "path/to/matrix.xlsx"
   node main.js --test
   node main.js --test --5
@@ -295,6 +537,11 @@ Examples:
   node main.js --cleanup-stats
   node main.js --list-results
   node main.js --export-results "/path/to/export"
+  node main.js --inventory-diff 2025-11-12 latest
+  node main.js --import-history 5
+  node main.js --backup
+  node main.js --restore toolmanager-backup-2025-11-12T06-00-00-000Z-manual.json.gz
+  node main.js --export-purchasing "/path/to/purchase_suggestions.xlsx"
   node main.js --working-folder "D:/Custom_Processing"
   node main.js --debug
   node main.js --test-quick
@@ -328,6 +575,10 @@ async function main() {
     Logger.setupFileNaming();
     Logger.info("ToolManager Application started");
 
+    // Settings saved from the Dashboard; command line options below still win
+    const SettingsStore = require("./src/SettingsStore");
+    new SettingsStore().load();
+
     // Parse command line arguments
     const options = parseArguments();
 
@@ -406,6 +657,34 @@ async function main() {
       process.exit(0);
     }
 
+    if (options.inventorySnapshots) {
+      await listInventorySnapshots();
+      process.exit(0);
+    }
+
+    if (options.importHistory) {
+      await listImportHistory(options.importHistory.limit);
+      process.exit(0);
+    }
+
+    if (options.inventoryDiff) {
+      const found = await showInventoryDiff(
+        options.inventoryDiff.from,
+        options.inventoryDiff.to
+      );
+      process.exit(found ? 0 : 1);
+    }
+
+    if (options.backup || options.listBackups || options.restoreBackup) {
+      const succeeded = await runBackupCommand(options);
+      process.exit(succeeded ? 0 : 1);
+    }
+
+    if (options.exportPurchasing) {
+      const exported = await exportPurchaseSuggestions(options.exportPurchasing);
+      process.exit(exported ? 0 : 1);
+    }
+
     // Apply command line overrides to config
     if (options.mode === "auto") {
       config.app.autoMode = true;
@@ -413,6 +692,10 @@ async function main() {
       config.app.autoMode = false;
     }
 
+    if (options.watch) {
+      config.app.watchMode = true;
+    }
+
     if (options.forceReprocess) {
       config.processing.preventReprocessing = false;
     }
@@ -430,6 +713,12 @@ async function main() {
     const dataManager = new DataManager();
     await dataManager.initialize();
 
+    // Scheduled backups while scanning continuously (config.backup.intervalHours)
+    if (config.app.autoMode || config.app.watchMode) {
+      const BackupManager = require("./src/BackupManager");
+      new BackupManager({ dataManager }).startSchedule();
+    }
+
     // Create and start executor
     const executor = new Executor(dataManager);
     await executor.start(options);
@@ -626,32 +915,18 @@ async function runTestQuick() {
 
   try {
     // Test Local Storage
-    process.env.STORAGE_TYPE = "local";
-    const dm1 = new DataManager();
+    const dm1 = new DataManager({ storageType: "local" });
     await dm1.initialize();
-
-    const testProject = {
-      projectName: "test_local_quick_toolmanager",
-      fileName: "test_matrix.xlsx",
-      status: "active",
-    };
-
-    await dm1.saveProject(testProject);
+    await dm1.getStoredTools();
+    await dm1.disconnect();
     console.log("✅ ToolManager Local Storage: PASSED");
 
     // Test MongoDB if available
     try {
-      process.env.STORAGE_TYPE = "mongodb";
-      const dm2 = new DataManager();
+      const dm2 = new DataManager({ storageType: "mongodb" });
       await dm2.initialize();
-
-      const testProjectMongo = {
-        projectName: "test_mongo_quick_toolmanager",
-        fileName: "test_matrix.xlsx",
-        status: "active",
-      };
-
-      await dm2.saveProject(testProjectMongo);
+      await dm2.storage.listCollections();
+      await dm2.disconnect();
       console.log("✅ ToolManager MongoDB: PASSED");
     } catch (mongoError) {
       console.log("⚠️  ToolManager MongoDB: SKIPPED (not available)");
@@ -664,56 +939,45 @@ async function runTestQuick() {
 }
 
 async function runTestStorage() {
-  console.log("🧪 Testing ToolManager with LOCAL storage...");
+  console.log(`🧪 Testing ToolManager with ${config.storage.type.toUpperCase()} storage...`);
 
+  const dataManager = new DataManager();
   try {
-    // Test local storage
-    process.env.STORAGE_TYPE = "local";
-    const dataManager = new DataManager();
     await dataManager.initialize();
+    console.log(`✅ ${dataManager.storage.type} storage initialized`);
 
-    console.log("✅ Local storage initialized");
-
-    // Test saving a project
-    const testProject = {
-      projectName: "storage_test_toolmanager",
-      fileName: "test_matrix.xlsx",
-      status: "active",
-      timestamp: new Date().toISOString(),
-    };
-
-    await dataManager.saveProject(testProject);
-    console.log("✅ Project saved successfully");
-
-    // Test retrieving projects
-    const projects = await dataManager.getAllProjects();
-    console.log(`✅ Retrieved ${projects.length} project(s)`);
-
-    // Test tool tracking storage
-    const testToolTracking = {
-      projectName: "storage_test_toolmanager",
-      toolName: "Test Tool",
-      quantity: 5,
-      location: "Shelf A-01",
-      timestamp: new Date().toISOString(),
-    };
-
-    await dataManager.saveToolTracking(testToolTracking);
-    console.log("✅ Tool tracking saved successfully");
-
-    // Test scan results storage
-    const testScanResult = {
-      scanPath: "/test/path",
-      excelFileCount: 1,
-      timestamp: new Date().toISOString(),
-    };
-
-    await dataManager.saveScanResult(testScanResult);
-    console.log("✅ Scan result saved successfully");
+    // Test tool storage
+    const toolId = `STORAGE-TEST-${Date.now()}`;
+    const tool = await dataManager.addTool({ id: toolId, quantity: 5, description: "Storage test" });
+    if (!tool) {
+      throw new Error("Tool could not be added");
+    }
+    console.log("✅ Tool added successfully");
+
+    const updated = await dataManager.updateTool(toolId, { quantity: 4 });
+    if (!updated || updated.quantity !== 4) {
+      throw new Error("Tool could not be updated");
+    }
+    console.log(`✅ Tool updated (version ${updated.version})`);
+
+    // Test tool location storage
+    const bin = { locationId: await dataManager.getExcelStoreroom(), slot: "A-01" };
+    const moved = await dataManager.updateToolLocation(toolId, { to: bin, quantity: 4, reason: "storage test" });
+    if (moved.status !== "moved") {
+      throw new Error(moved.errors[0].message);
+    }
+    console.log(`✅ Tool location stored: ${moved.location.placements[0].place}`);
+
+    // Clean up test data
+    await dataManager.updateToolLocation(toolId, { from: bin, reason: "storage test" });
+    await dataManager.deleteTool(toolId);
+    console.log("✅ Test tool deleted");
 
     console.log("\n🎉 All storage tests passed!");
   } catch (error) {
     console.error("❌ Storage test failed:", error.message);
+  } finally {
+    await dataManager.disconnect();
   }
 }
 
@@ -26,6 +26,21 @@ const excelFiles = [
   { file: 'XFeed szerszámok.xlsx', category: 'XFEED' }
 ];
 
+// Purchasing parameters are maintained by hand - keep them when regenerating
+const DEFAULT_PURCHASING = {
+  leadTimeDays: 14,
+  safetyStockDays: 7,
+  orderCoverDays: 30,
+  minOrderQuantity: 1,
+  orderMultiple: 1
+};
+let existingCategories = {};
+try {
+  existingCategories = JSON.parse(fs.readFileSync(OUTPUT_PATH, 'utf8')).categories || {};
+} catch (error) {
+  // First run - no previous definitions
+}
+
 const matrixDefinitions = {
   version: '1.0.0',
   generatedAt: new Date().toISOString(),
@@ -131,6 +146,7 @@ for (const { file, category } of excelFiles) {
       excelFile: file,
       toolCount: tools.length,
       codePatterns: Array.from(toolCodePatterns),
+      purchasing: (existingCategories[category] && existingCategories[category].purchasing) || DEFAULT_PURCHASING,
       tools: tools.slice(0, 5), // Sample first 5 for reference
       diameterRange: {
         min: Math.min(...Array.from(diameterMap.values()).filter(d => d)),
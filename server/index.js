@@ -13,11 +13,27 @@ const path = require("path");
 const config = require("../config");
 const Logger = require("../utils/Logger");
 const DataManager = require("../src/DataManager");
+const Scanner = require("../src/Scanner");
 const Executor = require("../src/Executor");
+const ReorderPlanner = require("../src/ReorderPlanner");
+const ScanJobQueue = require("../src/ScanJobQueue");
+const EventBus = require("../src/EventBus");
+const SettingsStore = require("../src/SettingsStore");
+const BackupManager = require("../src/BackupManager");
+const { parseToolQuery, applyToolQuery, parseDate } = require("../src/ToolQuery");
+const { validateToolInput } = require("../src/ToolOverrides");
+const ToolLocations = require("../src/ToolLocations");
+const openApiDocument = require("./openapi");
+const { createOpenApiValidator } = require("./openapiValidator");
 
 const app = express();
 const PORT = 3002;
 let executor = null;
+// Set while POST /api/admin/backup/restore replaces storage and results;
+// nothing may scan or restart the Executor meanwhile
+let restoring = false;
+const eventBus = new EventBus();
+const settings = new SettingsStore();
 
 // Middleware
 app.use(
@@ -34,13 +50,31 @@ app.use((req, res, next) => {
   next();
 });
 
+// Contract validation against the OpenAPI document (development mode)
+app.use(createOpenApiValidator(openApiDocument));
+
 // Initialize DataManager
 let dataManager = null;
+let backupManager = null;
 
 async function initializeDataManager() {
   try {
+    // Re-initialized when the working folder changes
+    if (dataManager) {
+      await dataManager.disconnect();
+    }
     dataManager = new DataManager();
     await dataManager.initialize();
+
+    // Backups follow the working folder; a running schedule moves along
+    const scheduled = backupManager !== null && backupManager.getSchedule().enabled;
+    if (backupManager) {
+      backupManager.stopSchedule();
+    }
+    backupManager = new BackupManager({ dataManager });
+    if (scheduled) {
+      backupManager.startSchedule();
+    }
     Logger.info("DataManager initialized successfully");
     return true;
   } catch (error) {
@@ -50,8 +84,25 @@ async function initializeDataManager() {
   }
 }
 
+/**
+ * Create the Executor and publish its scanner's events on the event stream
+ */
+function createExecutor() {
+  const created = new Executor(dataManager);
+  eventBus.attachScanner(created.scanner);
+  return created;
+}
+
 // ===== API ROUTES =====
 
+/**
+ * GET /api/openapi.json
+ * OpenAPI 3 description of this API
+ */
+app.get("/api/openapi.json", (req, res) => {
+  res.json(openApiDocument);
+});
+
 /**
  * GET /api/status
  * Health check and service status
@@ -59,7 +110,7 @@ async function initializeDataManager() {
 app.get("/api/status", (req, res) => {
   res.json({
     status: "running",
-    mode: config.app.autoMode ? "auto" : "manual",
+    mode: config.app.watchMode ? "watch" : config.app.autoMode ? "auto" : "manual",
     testMode: config.app.testMode,
     version: "2.0.0",
     timestamp: new Date().toISOString(),
@@ -69,13 +120,13 @@ app.get("/api/status", (req, res) => {
 
 /**
  * GET /api/tools
- * List all tools in inventory
+ * List tools with filtering, search, sorting and pagination:
+ *   q (id/name search), status, isMatrix, category, machine, project,
+ *   toolState, from/to (usage date range), sort (e.g. -usageMinutes,name),
+ *   page + limit or cursor + limit, fields (sparse selection; id is always included)
  */
 app.get("/api/tools", async (req, res) => {
   try {
-    const status = req.query.status; // filter by status: in_use|available
-    const isMatrix = req.query.isMatrix; // filter by isMatrix: true|false
-
     if (!dataManager) {
       Logger.error("❌ API Request Failed: DataManager not initialized");
       return res.status(503).json({
@@ -86,29 +137,24 @@ app.get("/api/tools", async (req, res) => {
       });
     }
 
-    // Build filter object
-    const filter = {};
-    if (status) filter.status = status;
-    if (isMatrix !== undefined) filter.isMatrix = isMatrix === "true";
+    const { options, errors } = parseToolQuery(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: {
+          code: "VALIDATION_ERROR",
+          message: errors[0],
+          details: errors,
+        },
+      });
+    }
 
-    // Get real tools from DataManager
-    Logger.info("📡 Dashboard requested tools list");
-    const tools = await dataManager.getAllTools(filter);
+    const allTools = await dataManager.getAllTools({ includeRetired: options.status === "retired" });
     const stats = await dataManager.getToolUsageStats();
-    Logger.info(`📊 Returning ${tools.length} tools to Dashboard`);
-
-    const response = {
-      tools,
-      total: tools.length,
-      stats,
-    };
-    
-    // Log first 2 tools as sample
-    if (tools.length > 0) {
-      Logger.info(`📦 Sample tool data: ${JSON.stringify(tools.slice(0, 2), null, 2)}`);
-    }
+    const result = applyToolQuery(allTools, options);
+    Logger.info(`📊 Returning ${result.tools.length} of ${result.total} matching tools to Dashboard`);
 
-    res.json(response);
+    // total counts the matching tools, stats.totalTools all of them
+    res.json({ ...result, stats });
   } catch (error) {
     const errMsg = error && error['message'] || 'Unknown error';
     Logger.error(`Failed to get tools: ${errMsg}`);
@@ -129,7 +175,7 @@ app.get("/api/tools", async (req, res) => {
 app.get("/api/tool-images/:manufacturer/:filename", (req, res) => {
   try {
     const { manufacturer, filename } = req.params;
-    const toolImagesPath = config.getToolImagesPath();
+    const toolImagesPath = config.paths.toolImagesPath;
     
     // Strip extension from filename to get base name
     const baseFilename = filename.replace(/\.[^.]+$/, '');
@@ -326,6 +372,11 @@ app.get("/api/tools/matrix", async (req, res) => {
           toolType: category,
           category: category,
           codePrefix: data.codePrefix,
+          description: tool.description || "",
+          location: tool.location || null,
+          locations: tool.locations || [],
+          unit: tool.unit || null,
+          supplier: tool.supplier || null,
           setupTime: 0, // Not available in Excel data
           inPool: quantity,
           warningThreshold: warningThreshold,
@@ -348,6 +399,17 @@ app.get("/api/tools/matrix", async (req, res) => {
       }));
     }
 
+    // Tracked locations win over the location column of the Excel file
+    const placements = await dataManager.getAllToolLocations();
+    matrixTools = matrixTools.map(tool => {
+      const toolPlacements = placements.filter(p => p.toolId === tool.toolId);
+      if (toolPlacements.length === 0) {
+        return { ...tool, placements: [] };
+      }
+      const main = toolPlacements.reduce((a, b) => (b.quantity > a.quantity ? b : a));
+      return { ...tool, location: main.place, placements: toolPlacements };
+    });
+
     Logger.info(`📊 Returning ${matrixTools.length} matrix tools to Dashboard`);
 
     res.json({
@@ -494,6 +556,431 @@ app.get("/api/tools/:id", async (req, res) => {
   }
 });
 
+// ===== TOOL EDITS =====
+// Changes are stored by the DataManager and laid over the scanned tools, so
+// they survive rescans (see src/ToolOverrides.js). PUT, PATCH and DELETE must
+// quote the version they are based on and answer 409 CONFLICT when the tool
+// changed in the meantime.
+
+function sendServiceUnavailable(res) {
+  return res.status(503).json({
+    error: {
+      code: "SERVICE_UNAVAILABLE",
+      message: "DataManager not initialized",
+    },
+  });
+}
+
+function sendToolValidationError(res, errors) {
+  return res.status(400).json({
+    error: {
+      code: "VALIDATION_ERROR",
+      message: `${errors[0].path}: ${errors[0].message}`,
+      details: errors,
+    },
+  });
+}
+
+function sendToolResult(res, toolId, result) {
+  if (result.status === "not_found") {
+    return res.status(404).json({
+      error: {
+        code: "NOT_FOUND",
+        message: `Tool with ID ${toolId} not found`,
+      },
+    });
+  }
+  if (result.status === "conflict") {
+    return res.status(409).json({
+      error: {
+        code: "CONFLICT",
+        message: `Tool ${toolId} was changed by someone else (now at version ${result.currentVersion})`,
+        details: { currentVersion: result.currentVersion },
+      },
+    });
+  }
+
+  eventBus.publish("tool.changed", {
+    toolId,
+    action: result.status,
+    version: result.tool ? result.tool.version : null,
+  });
+  Logger.info(`🛠️  Tool ${toolId} ${result.status}`);
+
+  if (result.status === "deleted") {
+    return res.json({ id: toolId, action: "deleted" });
+  }
+  if (result.status === "retired") {
+    return res.json({ id: toolId, action: "retired", tool: result.tool });
+  }
+  return res.status(result.status === "created" ? 201 : 200).json(result.tool);
+}
+
+function handleToolError(res, action, toolId, error) {
+  const errMsg = error && error['message'] || 'Unknown error';
+  Logger.error(`Failed to ${action} tool ${toolId}: ${errMsg}`);
+  res.status(500).json({
+    error: {
+      code: "INTERNAL_ERROR",
+      message: `Failed to ${action} tool`,
+      details: errMsg,
+    },
+  });
+}
+
+/**
+ * POST /api/tools
+ * Register a tool that is not in the scan results
+ */
+app.post("/api/tools", async (req, res) => {
+  const toolId = req.body && req.body.id;
+  try {
+    if (!dataManager) {
+      return sendServiceUnavailable(res);
+    }
+
+    const { values, errors } = validateToolInput(req.body, "create");
+    if (errors.length > 0) {
+      return sendToolValidationError(res, errors);
+    }
+
+    const result = await dataManager.registerTool(toolId, values);
+    if (result.status === "exists") {
+      return res.status(409).json({
+        error: {
+          code: "CONFLICT",
+          message: `Tool ${toolId} already exists`,
+        },
+      });
+    }
+    sendToolResult(res, toolId, result);
+  } catch (error) {
+    handleToolError(res, "register", toolId, error);
+  }
+});
+
+/**
+ * PUT /api/tools/:id
+ * Replace the edits of a tool (fields left out return to their scanned value)
+ */
+app.put("/api/tools/:id", async (req, res) => {
+  try {
+    if (!dataManager) {
+      return sendServiceUnavailable(res);
+    }
+
+    const { values, version, errors } = validateToolInput(req.body, "replace", req.params.id);
+    if (errors.length > 0) {
+      return sendToolValidationError(res, errors);
+    }
+
+    sendToolResult(res, req.params.id, await dataManager.editTool(req.params.id, values, version));
+  } catch (error) {
+    handleToolError(res, "update", req.params.id, error);
+  }
+});
+
+/**
+ * PATCH /api/tools/:id
+ * Change some fields of a tool (null returns a field to its scanned value)
+ */
+app.patch("/api/tools/:id", async (req, res) => {
+  try {
+    if (!dataManager) {
+      return sendServiceUnavailable(res);
+    }
+
+    const { values, version, errors } = validateToolInput(req.body, "patch", req.params.id);
+    if (errors.length > 0) {
+      return sendToolValidationError(res, errors);
+    }
+
+    sendToolResult(res, req.params.id, await dataManager.editTool(req.params.id, values, version));
+  } catch (error) {
+    handleToolError(res, "update", req.params.id, error);
+  }
+});
+
+/**
+ * DELETE /api/tools/:id?version=N
+ * Delete a registered tool, or retire a scanned one (PATCH retired=false brings it back)
+ */
+app.delete("/api/tools/:id", async (req, res) => {
+  try {
+    if (!dataManager) {
+      return sendServiceUnavailable(res);
+    }
+
+    const version = Number(req.query.version);
+    if (req.query.version === undefined || !Number.isInteger(version) || version < 0) {
+      return sendToolValidationError(res, [
+        { path: "query.version", message: "Required - the version the change is based on" },
+      ]);
+    }
+
+    sendToolResult(res, req.params.id, await dataManager.removeTool(req.params.id, version));
+  } catch (error) {
+    handleToolError(res, "delete", req.params.id, error);
+  }
+});
+
+// ===== TOOL LOCATIONS =====
+// Storerooms, vending cabinets, machines and regrind vendors, and how many
+// pieces of each tool are in which of their slots (see src/ToolLocations.js).
+// Pieces only change place through moves, which are kept as history.
+
+function sendLocationNotFound(res, locationId) {
+  return res.status(404).json({
+    error: {
+      code: "NOT_FOUND",
+      message: `Location ${locationId} not found`,
+    },
+  });
+}
+
+function handleLocationError(res, action, errMsg) {
+  Logger.error(`Failed to ${action}: ${errMsg}`);
+  res.status(500).json({
+    error: {
+      code: "INTERNAL_ERROR",
+      message: `Failed to ${action}`,
+      details: errMsg,
+    },
+  });
+}
+
+/**
+ * GET /api/locations?type=cabinet
+ * List locations with the tools placed in them
+ */
+app.get("/api/locations", async (req, res) => {
+  try {
+    if (!dataManager) {
+      return sendServiceUnavailable(res);
+    }
+
+    const type = req.query.type;
+    if (type !== undefined && !ToolLocations.LOCATION_TYPES[type]) {
+      return sendToolValidationError(res, [
+        {
+          path: "query.type",
+          message: `Must be one of: ${Object.keys(ToolLocations.LOCATION_TYPES).join(", ")}`,
+        },
+      ]);
+    }
+
+    const locations = await dataManager.getLocations(type ? { type } : {});
+    const placements = await dataManager.getAllToolLocations();
+    res.json({
+      locations: locations.map((location) => {
+        const inLocation = placements.filter((p) => p.locationId === location.id);
+        return {
+          ...location,
+          toolCount: new Set(inLocation.map((p) => p.toolId)).size,
+          pieceCount: inLocation.reduce((sum, p) => sum + p.quantity, 0),
+        };
+      }),
+      total: locations.length,
+    });
+  } catch (error) {
+    handleLocationError(res, "list locations", error && error['message'] || 'Unknown error');
+  }
+});
+
+/**
+ * POST /api/locations
+ * Add a location
+ */
+app.post("/api/locations", async (req, res) => {
+  try {
+    if (!dataManager) {
+      return sendServiceUnavailable(res);
+    }
+
+    const errors = ToolLocations.validateLocation(req.body, "create");
+    if (errors.length > 0) {
+      return sendToolValidationError(res, errors);
+    }
+
+    const result = await dataManager.addLocation(req.body);
+    if (result.status === "exists") {
+      return res.status(409).json({
+        error: {
+          code: "CONFLICT",
+          message: `Location ${req.body.id} already exists`,
+        },
+      });
+    }
+    Logger.info(`📍 Location ${req.body.id} added`);
+    res.status(201).json(result.location);
+  } catch (error) {
+    handleLocationError(res, "add location", error && error['message'] || 'Unknown error');
+  }
+});
+
+/**
+ * GET /api/locations/:id
+ * A location with its tools and latest moves
+ */
+app.get("/api/locations/:id", async (req, res) => {
+  try {
+    if (!dataManager) {
+      return sendServiceUnavailable(res);
+    }
+
+    const location = await dataManager.getLocation(req.params.id);
+    if (!location) {
+      return sendLocationNotFound(res, req.params.id);
+    }
+
+    res.json({
+      ...location,
+      placements: await dataManager.getAllToolLocations({ locationId: location.id }),
+      moves: await dataManager.getToolMoves({ locationId: location.id, limit: 50 }),
+    });
+  } catch (error) {
+    handleLocationError(res, "retrieve location", error && error['message'] || 'Unknown error');
+  }
+});
+
+/**
+ * PATCH /api/locations/:id
+ * Rename or resize a location (tools in it must still fit)
+ */
+app.patch("/api/locations/:id", async (req, res) => {
+  try {
+    if (!dataManager) {
+      return sendServiceUnavailable(res);
+    }
+
+    const errors = ToolLocations.validateLocation(req.body, "update");
+    if (errors.length > 0) {
+      return sendToolValidationError(res, errors);
+    }
+
+    const result = await dataManager.updateLocation(req.params.id, req.body);
+    if (result.status === "not_found") {
+      return sendLocationNotFound(res, req.params.id);
+    }
+    if (result.status === "invalid") {
+      return sendToolValidationError(res, result.errors);
+    }
+    res.json(result.location);
+  } catch (error) {
+    handleLocationError(res, "update location", error && error['message'] || 'Unknown error');
+  }
+});
+
+/**
+ * DELETE /api/locations/:id
+ * Delete an empty location
+ */
+app.delete("/api/locations/:id", async (req, res) => {
+  try {
+    if (!dataManager) {
+      return sendServiceUnavailable(res);
+    }
+
+    const result = await dataManager.deleteLocation(req.params.id);
+    if (result.status === "not_found") {
+      return sendLocationNotFound(res, req.params.id);
+    }
+    if (result.status === "not_empty") {
+      return res.status(409).json({
+        error: {
+          code: "CONFLICT",
+          message: `Location ${req.params.id} still holds tools - move them first`,
+          details: { tools: result.tools },
+        },
+      });
+    }
+    Logger.info(`📍 Location ${req.params.id} deleted`);
+    res.json({ id: req.params.id, action: "deleted" });
+  } catch (error) {
+    handleLocationError(res, "delete location", error && error['message'] || 'Unknown error');
+  }
+});
+
+/**
+ * POST /api/tools/:id/move
+ * Move pieces of a tool, e.g. from a cabinet slot into a machine pocket.
+ * Leave out "from" to take new pieces into tracking, "to" to take them out.
+ */
+app.post("/api/tools/:id/move", async (req, res) => {
+  const toolId = req.params.id;
+  try {
+    if (!dataManager) {
+      return sendServiceUnavailable(res);
+    }
+
+    const body = req.body && typeof req.body === "object" ? req.body : {};
+    const unknown = Object.keys(body).filter(
+      (key) => !["from", "to", "quantity", "reason", "movedBy"].includes(key)
+    );
+    if (unknown.length > 0) {
+      return sendToolValidationError(
+        res,
+        unknown.map((key) => ({ path: `body.${key}`, message: "Unknown field (allowed: from, to, quantity, reason, movedBy)" }))
+      );
+    }
+    if (!(await dataManager.isKnownTool(toolId))) {
+      return sendToolResult(res, toolId, { status: "not_found" });
+    }
+
+    const result = await dataManager.updateToolLocation(toolId, {
+      from: body.from || null,
+      to: body.to || null,
+      quantity: body.quantity,
+      reason: body.reason || null,
+      movedBy: body.movedBy || null,
+    });
+    if (result.status === "invalid") {
+      return sendToolValidationError(res, result.errors);
+    }
+
+    eventBus.publish("tool.moved", {
+      toolId,
+      quantity: result.move.quantity,
+      from: result.move.from,
+      to: result.move.to,
+    });
+    Logger.info(`📍 Moved ${result.move.quantity} x ${toolId}`);
+    res.json({
+      move: result.move,
+      placements: result.location ? result.location.placements : [],
+    });
+  } catch (error) {
+    handleToolError(res, "move", toolId, error);
+  }
+});
+
+/**
+ * GET /api/tools/:id/moves?limit=50
+ * Move history of a tool, newest first
+ */
+app.get("/api/tools/:id/moves", async (req, res) => {
+  try {
+    if (!dataManager) {
+      return sendServiceUnavailable(res);
+    }
+
+    const limit = req.query.limit !== undefined ? Number(req.query.limit) : 100;
+    if (!Number.isInteger(limit) || limit < 1) {
+      return sendToolValidationError(res, [{ path: "query.limit", message: "Must be an integer >= 1" }]);
+    }
+
+    const location = await dataManager.getToolLocation(req.params.id);
+    res.json({
+      toolId: req.params.id,
+      quantity: location ? location.quantity : 0,
+      placements: location ? location.placements : [],
+      moves: await dataManager.getToolMoves({ toolId: req.params.id, limit }),
+    });
+  } catch (error) {
+    handleToolError(res, "retrieve moves of", req.params.id, error);
+  }
+});
+
 /**
  * GET /api/projects
  * List matrix processing projects
@@ -531,7 +1018,8 @@ app.get("/api/projects", async (req, res) => {
 
 /**
  * GET /api/analysis/upcoming
- * Get upcoming tool requirements
+ * Get upcoming tool requirements with the matrix tool demand forecast
+ * Query: bucket (day|week, default week), horizonDays
  */
 app.get("/api/analysis/upcoming", async (req, res) => {
   try {
@@ -544,8 +1032,20 @@ app.get("/api/analysis/upcoming", async (req, res) => {
       });
     }
 
+    const bucket = req.query.bucket || "week";
+    const horizonDays = req.query.horizonDays ? parseInt(req.query.horizonDays, 10) : null;
+
+    if (!["day", "week"].includes(bucket) || (horizonDays !== null && !(horizonDays > 0))) {
+      return res.status(400).json({
+        error: {
+          code: "VALIDATION_ERROR",
+          message: "bucket must be day or week, horizonDays a positive number",
+        },
+      });
+    }
+
     // Get real upcoming analysis from DataManager
-    const upcomingData = await dataManager.getUpcomingTools();
+    const upcomingData = await dataManager.getUpcomingTools({ bucket, horizonDays });
 
     res.json({
       ...upcomingData,
@@ -565,26 +1065,353 @@ app.get("/api/analysis/upcoming", async (req, res) => {
 });
 
 /**
- * POST /api/scan
- * Simple endpoint for AutoRunProcessor to trigger tool scan
+ * GET /api/inventory/import-report
+ * Row-level diagnostics of the last Excel import (skipped/coerced rows, merged duplicates)
+ * Query: fileName, type (skipped|coerced), suspicious (true|false)
  */
-app.post("/api/scan", async (req, res) => {
+app.get("/api/inventory/import-report", async (req, res) => {
   try {
-    if (!executor) {
-      executor = new Executor(dataManager);
+    if (!dataManager) {
+      return res.status(503).json({
+        error: {
+          code: "SERVICE_UNAVAILABLE",
+          message: "DataManager not initialized",
+        },
+      });
+    }
+
+    const filter = {};
+    if (req.query.fileName) {
+      filter.fileName = req.query.fileName;
+    }
+    if (req.query.type) {
+      filter.type = req.query.type;
+    }
+    if (req.query.suspicious !== undefined) {
+      filter.suspicious = req.query.suspicious === "true";
+    }
+
+    const report = await dataManager.getImportReport(filter);
+
+    if (!report) {
+      return res.status(404).json({
+        error: {
+          code: "NOT_FOUND",
+          message: "No import report available - run a scan first",
+        },
+      });
+    }
+
+    res.json(report);
+  } catch (error) {
+    const errMsg = error && error['message'] || 'Unknown error';
+    Logger.error(`Failed to get import report: ${errMsg}`);
+    res.status(500).json({
+      error: {
+        code: "INTERNAL_ERROR",
+        message: "Failed to retrieve import report",
+        details: errMsg,
+      },
+    });
+  }
+});
+
+/**
+ * GET /api/inventory/imports?status=failed&from=2025-11-01&to=2025-11-30&limit=20
+ * Excel processing runs (files, hashes, tool counts, errors), newest first
+ */
+app.get("/api/inventory/imports", async (req, res) => {
+  try {
+    if (!dataManager) {
+      return sendServiceUnavailable(res);
+    }
+
+    const errors = [];
+    const filter = { limit: 50 };
+    if (req.query.status !== undefined) {
+      if (!Scanner.IMPORT_STATUSES.includes(req.query.status)) {
+        errors.push(`status must be one of: ${Scanner.IMPORT_STATUSES.join(", ")}`);
+      }
+      filter.status = req.query.status;
+    }
+    if (req.query.from !== undefined) {
+      filter.from = parseDate(req.query.from, "from", errors);
+    }
+    if (req.query.to !== undefined) {
+      filter.to = parseDate(req.query.to, "to", errors, true);
+    }
+    if (req.query.limit !== undefined) {
+      filter.limit = Number(req.query.limit);
+      if (!Number.isInteger(filter.limit) || filter.limit < 1) {
+        errors.push("limit must be an integer >= 1");
+      }
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: {
+          code: "VALIDATION_ERROR",
+          message: errors[0],
+          details: errors,
+        },
+      });
+    }
+
+    const imports = await dataManager.getExcelProcessingHistory(filter);
+    res.json({ imports, total: imports.length });
+  } catch (error) {
+    const errMsg = error && error['message'] || 'Unknown error';
+    Logger.error(`Failed to get Excel import history: ${errMsg}`);
+    res.status(500).json({
+      error: {
+        code: "INTERNAL_ERROR",
+        message: "Failed to retrieve Excel import history",
+        details: errMsg,
+      },
+    });
+  }
+});
+
+/**
+ * GET /api/inventory/snapshots
+ * List stored inventory snapshots (oldest first)
+ */
+app.get("/api/inventory/snapshots", async (req, res) => {
+  try {
+    if (!dataManager) {
+      return res.status(503).json({
+        error: {
+          code: "SERVICE_UNAVAILABLE",
+          message: "DataManager not initialized",
+        },
+      });
+    }
+
+    const snapshots = await dataManager.getInventorySnapshots();
+    res.json({ snapshots, total: snapshots.length });
+  } catch (error) {
+    const errMsg = error && error['message'] || 'Unknown error';
+    Logger.error(`Failed to list inventory snapshots: ${errMsg}`);
+    res.status(500).json({
+      error: {
+        code: "INTERNAL_ERROR",
+        message: "Failed to list inventory snapshots",
+        details: errMsg,
+      },
+    });
+  }
+});
+
+/**
+ * GET /api/inventory/diff
+ * Stock movement between two inventory snapshots
+ * Query: from, to - snapshot id, date (YYYY-MM-DD), "previous" or "latest"
+ *        (defaults: from=previous, to=latest)
+ */
+app.get("/api/inventory/diff", async (req, res) => {
+  try {
+    if (!dataManager) {
+      return res.status(503).json({
+        error: {
+          code: "SERVICE_UNAVAILABLE",
+          message: "DataManager not initialized",
+        },
+      });
+    }
+
+    const from = req.query.from || "previous";
+    const to = req.query.to || "latest";
+    const diff = await dataManager.getInventoryDiff(from, to);
+
+    if (!diff) {
+      return res.status(404).json({
+        error: {
+          code: "NOT_FOUND",
+          message: "Inventory snapshot not found",
+          details: { from, to },
+        },
+      });
+    }
+
+    res.json(diff);
+  } catch (error) {
+    const errMsg = error && error['message'] || 'Unknown error';
+    Logger.error(`Failed to diff inventory snapshots: ${errMsg}`);
+    res.status(500).json({
+      error: {
+        code: "INTERNAL_ERROR",
+        message: "Failed to compare inventory snapshots",
+        details: errMsg,
+      },
+    });
+  }
+});
+
+/**
+ * GET /api/purchasing/suggestions
+ * Reorder points and purchase suggestions for matrix tools
+ * Query: format (json|csv|xlsx, default json), all (true = include tools that need no order),
+ *        historyDays
+ */
+app.get("/api/purchasing/suggestions", async (req, res) => {
+  try {
+    if (!dataManager) {
+      return res.status(503).json({
+        error: {
+          code: "SERVICE_UNAVAILABLE",
+          message: "DataManager not initialized",
+        },
+      });
+    }
+
+    const format = req.query.format || "json";
+    const historyDays = req.query.historyDays ? parseInt(req.query.historyDays, 10) : undefined;
+
+    if (!["json", "csv", "xlsx"].includes(format) || (historyDays !== undefined && !(historyDays > 0))) {
+      return res.status(400).json({
+        error: {
+          code: "VALIDATION_ERROR",
+          message: "format must be json, csv or xlsx, historyDays a positive number",
+        },
+      });
+    }
+
+    const plan = await dataManager.getPurchaseSuggestions({ historyDays });
+    if (!plan) {
+      throw new Error("Purchase suggestions could not be calculated");
+    }
+
+    const fileName = `purchase_suggestions_${plan.generatedAt.slice(0, 10)}`;
+    if (format === "csv") {
+      res.attachment(`${fileName}.csv`);
+      res.type("text/csv; charset=utf-8");
+      return res.send(ReorderPlanner.toCsv(plan));
+    }
+    if (format === "xlsx") {
+      res.attachment(`${fileName}.xlsx`);
+      return res.send(ReorderPlanner.toXlsx(plan));
     }
 
-    const result = await executor.processFiles();
-    
-    // Get tool count from DataManager
-    const tools = await dataManager.getAllTools();
-    const toolCount = tools.length;
-
     res.json({
-      success: true,
-      message: `${toolCount} tools scanned`,
-      toolCount
+      generatedAt: plan.generatedAt,
+      history: plan.history,
+      suggestions: plan.suggestions,
+      ...(req.query.all === "true" ? { tools: plan.tools } : {}),
     });
+  } catch (error) {
+    const errMsg = error && error['message'] || 'Unknown error';
+    Logger.error(`Failed to get purchase suggestions: ${errMsg}`);
+    res.status(500).json({
+      error: {
+        code: "INTERNAL_ERROR",
+        message: "Failed to calculate purchase suggestions",
+        details: errMsg,
+      },
+    });
+  }
+});
+
+function sendRestoreInProgress(res) {
+  return res.status(409).json({
+    error: {
+      code: "CONFLICT",
+      message: "A backup is being restored - try again when it has finished",
+    },
+  });
+}
+
+/**
+ * Scan job runner: processes files with the shared Executor and reports the
+ * scanner's stages and per-file progress on the job
+ */
+async function runScanJob(job, update) {
+  if (restoring) {
+    throw new Error("A backup is being restored");
+  }
+  if (!executor) {
+    executor = createExecutor();
+  }
+  const scanner = executor.scanner;
+  let scanError = null;
+
+  const onStage = ({ stage }) => update({ stage });
+  const onProgress = ({ completed, total }) => update({ stage: "json", progress: { completed, total } });
+  const onFailed = ({ error }) => {
+    scanError = error;
+  };
+  scanner.on("stage", onStage);
+  scanner.on("progress", onProgress);
+  scanner.on("scanFailed", onFailed);
+
+  try {
+    await executor.processFiles();
+  } finally {
+    scanner.off("stage", onStage);
+    scanner.off("progress", onProgress);
+    scanner.off("scanFailed", onFailed);
+  }
+
+  if (scanError) {
+    throw new Error(scanError);
+  }
+
+  const tools = dataManager ? await dataManager.getAllTools() : [];
+  const stats = scanner.lastScanStats;
+  return {
+    toolCount: tools.length,
+    scan: stats
+      ? {
+          added: stats.added,
+          changed: stats.changed,
+          removed: stats.removed,
+          unchanged: stats.unchanged,
+          failed: stats.failed,
+          rejected: stats.validation ? stats.validation.rejected : 0,
+          durationMs: stats.durationMs,
+        }
+      : null,
+  };
+}
+
+const scanJobs = new ScanJobQueue({ run: runScanJob });
+eventBus.attachJobQueue(scanJobs);
+
+/**
+ * Queue a scan job and answer 202 with its id, or with the finished job
+ * when the caller asks to wait (?wait=true, for sequential callers)
+ */
+async function respondWithScanJob(req, res, trigger) {
+  if (restoring) {
+    return sendRestoreInProgress(res);
+  }
+  const { job, coalesced } = scanJobs.enqueue({ trigger });
+  const wait = req.query.wait === "true" || req.body?.wait === true;
+
+  if (wait) {
+    const finished = await scanJobs.wait(job.id);
+    const status = finished.state === ScanJobQueue.STATES.COMPLETED ? 200 : 500;
+    return res.status(status).json({
+      success: status === 200,
+      coalesced,
+      job: finished,
+    });
+  }
+
+  res.status(202).json({
+    success: true,
+    jobId: job.id,
+    state: job.state,
+    coalesced,
+    statusUrl: `/api/jobs/${job.id}`,
+  });
+}
+
+/**
+ * POST /api/scan
+ * Queue a tool scan (AutoRunProcessor); returns a job id immediately
+ */
+app.post("/api/scan", async (req, res) => {
+  try {
+    await respondWithScanJob(req, res, "api");
   } catch (error) {
     const errMsg = error && error['message'] || 'Unknown error';
     Logger.error(`Tool scan failed: ${errMsg}`);
@@ -599,29 +1426,13 @@ app.post("/api/scan", async (req, res) => {
 
 /**
  * POST /api/trigger-scan
- * Trigger a scan cycle (called by JSONScanner when new files found)
- * BLOCKS until processing completes to ensure sequential execution
+ * Queue a scan cycle (called by JSONScanner when new files found).
+ * Triggers arriving while a scan is queued or running join that job.
  */
 app.post("/api/trigger-scan", async (req, res) => {
   try {
-    Logger.info("📡 Received trigger from JSONScanner - starting tool analysis...");
-
-    // Process synchronously and wait for completion
-    if (!executor) {
-      executor = new Executor(dataManager);
-    }
-
-    // Process files without exiting
-    await executor.processFiles();
-    
-    Logger.info(`✅ Tool analysis completed`);
-
-    // Send response AFTER processing completes
-    res.json({
-      success: true,
-      message: "Tool analysis scan completed",
-      timestamp: new Date().toISOString(),
-    });
+    Logger.info("📡 Received trigger from JSONScanner - queueing tool analysis...");
+    await respondWithScanJob(req, res, "jsonscanner");
   } catch (error) {
     const errMsg = error && error['message'] || 'Unknown error';
     Logger.error(`Failed to trigger tool analysis: ${errMsg}`);
@@ -635,13 +1446,138 @@ app.post("/api/trigger-scan", async (req, res) => {
   }
 });
 
+/**
+ * GET /api/jobs
+ * Scan job history, newest first (?limit=N)
+ */
+app.get("/api/jobs", (req, res) => {
+  const limit = req.query.limit !== undefined ? Number(req.query.limit) : undefined;
+  if (limit !== undefined && (!Number.isInteger(limit) || limit < 1)) {
+    return res.status(400).json({
+      error: {
+        code: "VALIDATION_ERROR",
+        message: "limit must be a positive integer",
+      },
+    });
+  }
+
+  res.json({
+    active: scanJobs.getActiveJob(),
+    jobs: scanJobs.list(limit),
+  });
+});
+
+/**
+ * GET /api/jobs/:id
+ * State, stage, progress and result of one scan job
+ */
+app.get("/api/jobs/:id", (req, res) => {
+  const job = scanJobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({
+      error: {
+        code: "NOT_FOUND",
+        message: `Scan job ${req.params.id} not found`,
+      },
+    });
+  }
+  res.json(job);
+});
+
+/**
+ * GET /api/events
+ * Server-Sent Events stream: scan lifecycle (scan.*), scan jobs (job.*),
+ * inventory snapshots (inventory.snapshot) and matrix tool state changes
+ * (tool.state). Filter with ?types=scan,tool. Reconnecting clients send
+ * Last-Event-ID (or ?lastEventId=) and receive the events they missed; a
+ * "resync" event means some were lost and the client should reload its data.
+ */
+app.get("/api/events", (req, res) => {
+  const types = req.query.types ? String(req.query.types).split(",").map((type) => type.trim()) : [];
+  const unknownTypes = types.filter((type) => !EventBus.CATEGORIES.includes(type));
+  if (unknownTypes.length > 0) {
+    return res.status(400).json({
+      error: {
+        code: "VALIDATION_ERROR",
+        message: `Unknown event type(s): ${unknownTypes.join(", ")}`,
+        details: { allowed: EventBus.CATEGORIES },
+      },
+    });
+  }
+
+  const lastEventIdRaw = req.get("Last-Event-ID") ?? req.query.lastEventId;
+  const lastEventId = lastEventIdRaw !== undefined ? Number(lastEventIdRaw) : null;
+  if (lastEventId !== null && (!Number.isInteger(lastEventId) || lastEventId < 0)) {
+    return res.status(400).json({
+      error: {
+        code: "VALIDATION_ERROR",
+        message: "Last-Event-ID must be a non-negative integer",
+      },
+    });
+  }
+
+  res.status(200).set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+  res.write(`retry: ${config.events.retryMs}\n\n`);
+
+  const send = (event) => {
+    if (EventBus.matches(event, types)) {
+      res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    }
+  };
+
+  if (lastEventId !== null) {
+    const { events, complete } = eventBus.getEventsSince(lastEventId);
+    if (!complete) {
+      res.write(`event: resync\ndata: ${JSON.stringify({ lastEventId, latestEventId: eventBus.lastId })}\n\n`);
+    }
+    events.forEach(send);
+  }
+
+  eventBus.on("event", send);
+  const heartbeat = setInterval(() => res.write(": heartbeat\n\n"), config.events.heartbeatMs);
+  Logger.info(`📡 Event stream opened${types.length ? ` (${types.join(", ")})` : ""}`);
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    eventBus.off("event", send);
+    Logger.info("📡 Event stream closed");
+  });
+});
+
+// Request body field of each setting, for validation messages
+const CONFIG_BODY_PATHS = {
+  mode: "body.testMode",
+  watchMode: "body.watchMode",
+  workingFolder: "body.workingFolder",
+  jsonScanPath: "body.scanPaths.jsonFiles",
+  excelScanPath: "body.scanPaths.excelFiles",
+};
+
+/**
+ * GET /api/config
+ * Effective runtime settings and where each value comes from
+ */
+app.get("/api/config", (req, res) => {
+  res.json(settings.describe());
+});
+
 /**
  * POST /api/config
- * Receive configuration from Dashboard and activate backend
+ * Receive configuration from Dashboard, persist it and activate backend.
+ * Folders must exist (null resets a folder to its config.js value).
  */
 app.post("/api/config", async (req, res) => {
   try {
-    const { testMode, scanPaths, workingFolder, autoRun = false } = req.body;
+    if (restoring) {
+      return sendRestoreInProgress(res);
+    }
+    const { testMode, scanPaths = {}, workingFolder, autoRun = false, watchMode } = req.body;
 
     if (typeof testMode !== "boolean") {
       return res.status(400).json({
@@ -652,35 +1588,79 @@ app.post("/api/config", async (req, res) => {
       });
     }
 
-    // Update configuration
-    config.app.testMode = testMode;
-    config.app.autoMode = autoRun; // Only activate scanning if explicitly requested
+    if (watchMode !== undefined && typeof watchMode !== "boolean") {
+      return res.status(400).json({
+        error: {
+          code: "VALIDATION_ERROR",
+          message: "watchMode must be a boolean",
+        },
+      });
+    }
 
-    if (workingFolder) {
-      config.app.userDefinedWorkingFolder = workingFolder;
+    // Only what the body sends is changed; a left out watchMode keeps the
+    // wizard / --watch setting
+    const changes = {
+      mode: SettingsStore.modeFromFlags(testMode, autoRun),
+    };
+    if (watchMode !== undefined) {
+      changes.watchMode = watchMode;
+    }
+    if (workingFolder !== undefined) {
+      changes.workingFolder = workingFolder;
+    }
+    if (scanPaths.jsonFiles !== undefined) {
+      changes.jsonScanPath = scanPaths.jsonFiles;
+    }
+    if (scanPaths.excelFiles !== undefined) {
+      changes.excelScanPath = scanPaths.excelFiles;
     }
 
-    if (scanPaths?.jsonFiles) {
-      config.paths.json = scanPaths.jsonFiles;
+    const previousWatchMode = config.app.watchMode;
+    const { errors, changed } = settings.update(changes);
+    if (errors.length > 0) {
+      const details = errors.map((error) => ({
+        path: CONFIG_BODY_PATHS[error.path] || error.path,
+        message: error.message,
+      }));
+      return res.status(400).json({
+        error: {
+          code: "VALIDATION_ERROR",
+          message: `${details[0].path}: ${details[0].message}`,
+          details,
+        },
+      });
     }
-    if (scanPaths?.excelFiles) {
-      config.paths.excel = scanPaths.excelFiles;
+
+    Logger.info(`Configuration updated from Dashboard: mode=${config.app.mode}, watchMode=${config.app.watchMode}, changed=${changed.join(", ") || "nothing"}`);
+
+    // Switching between polling and watching, or moving the working folder or
+    // scan folders, needs a fresh Executor
+    const needsRestart =
+      previousWatchMode !== config.app.watchMode ||
+      ["workingFolder", "jsonScanPath", "excelScanPath"].some((key) => changed.includes(key));
+    const keepsRunning = config.app.autoMode || config.app.watchMode;
+    // A scan under way finishes first: it must neither overlap the scan of the
+    // new Executor nor write through a DataManager that is being replaced
+    if (executor && (needsRestart || !keepsRunning)) {
+      Logger.info(keepsRunning ? "Restarting Executor for the new configuration..." : "Stopping Executor (manual mode enabled)...");
+      const stopped = executor;
+      executor = null;
+      await stopped.stopAndWait();
     }
 
-    Logger.info(`Configuration updated from Dashboard: testMode=${testMode}, autoMode=${autoRun}, workingFolder=${workingFolder}, scanPaths=${scanPaths?.length || 0}`);
+    // Results live under the working folder
+    if (changed.includes("workingFolder")) {
+      await initializeDataManager();
+    }
 
-    // Start or stop Executor based on autoRun
-    if (autoRun && !executor) {
+    // Start Executor based on autoRun / watchMode
+    if (keepsRunning && !executor) {
       Logger.info("Starting Executor after config update...");
-      executor = new Executor(dataManager);
+      executor = createExecutor();
       executor.start().catch((error) => {
         const errMsg = error && error['message'] || 'Unknown error';
         Logger.error(`Executor error: ${errMsg}`);
       });
-    } else if (!autoRun && executor) {
-      Logger.info("Stopping Executor (manual mode enabled)...");
-      await executor.stop();
-      executor = null;
     }
 
     res.json({
@@ -689,7 +1669,10 @@ app.post("/api/config", async (req, res) => {
       config: {
         testMode: config.app.testMode,
         autoMode: config.app.autoMode,
+        watchMode: config.app.watchMode,
       },
+      changed,
+      settings: settings.describe().settings,
       timestamp: new Date().toISOString(),
     });
   } catch (error) {
@@ -705,6 +1688,158 @@ app.post("/api/config", async (req, res) => {
   }
 });
 
+// ===== BACKUP AND RESTORE =====
+// Archives of results, inventory snapshots, storage, definitions and settings
+// (see src/BackupManager.js)
+
+/**
+ * GET /api/admin/backup
+ * List backups (newest first) and the backup schedule
+ */
+app.get("/api/admin/backup", async (req, res) => {
+  try {
+    if (!backupManager) {
+      return sendServiceUnavailable(res);
+    }
+
+    const backups = await backupManager.listBackups();
+    res.json({ backups, total: backups.length, schedule: backupManager.getSchedule() });
+  } catch (error) {
+    const errMsg = error && error['message'] || 'Unknown error';
+    Logger.error(`Failed to list backups: ${errMsg}`);
+    res.status(500).json({
+      error: {
+        code: "INTERNAL_ERROR",
+        message: "Failed to list backups",
+        details: errMsg,
+      },
+    });
+  }
+});
+
+/**
+ * POST /api/admin/backup
+ * Create a backup now (older ones beyond config.backup.keep are deleted)
+ */
+app.post("/api/admin/backup", async (req, res) => {
+  try {
+    if (!backupManager) {
+      return sendServiceUnavailable(res);
+    }
+
+    res.status(201).json(await backupManager.createBackup({ reason: "manual" }));
+  } catch (error) {
+    const errMsg = error && error['message'] || 'Unknown error';
+    Logger.error(`Failed to create backup: ${errMsg}`);
+    res.status(500).json({
+      error: {
+        code: "INTERNAL_ERROR",
+        message: "Failed to create backup",
+        details: errMsg,
+      },
+    });
+  }
+});
+
+/**
+ * POST /api/admin/backup/restore
+ * Restore a backup of the backup folder: { "name": "toolmanager-backup-....json.gz" }
+ */
+app.post("/api/admin/backup/restore", async (req, res) => {
+  try {
+    if (!backupManager) {
+      return sendServiceUnavailable(res);
+    }
+
+    const name = req.body && req.body.name;
+    if (typeof name !== "string" || !BackupManager.ARCHIVE_NAME_PATTERN.test(name)) {
+      return sendToolValidationError(res, [
+        { path: "body.name", message: "Must be the name of a backup (toolmanager-backup-*.json.gz)" },
+      ]);
+    }
+    if (restoring) {
+      return sendRestoreInProgress(res);
+    }
+    if (scanJobs.getActiveJob()) {
+      return res.status(409).json({
+        error: {
+          code: "CONFLICT",
+          message: "A scan is running - restore when it has finished",
+        },
+      });
+    }
+
+    // Set before the first await: scan jobs and config changes are refused
+    // until the restore has finished
+    restoring = true;
+    let result;
+    try {
+      // Auto / watch mode scans must not write while the state is replaced; the
+      // Executor is started again afterwards for the (restored) settings
+      const pausedExecutor = executor;
+      executor = null;
+      try {
+        if (pausedExecutor) {
+          Logger.info("Pausing Executor for the restore...");
+          await pausedExecutor.stopAndWait();
+        }
+        result = await backupManager.restoreBackup(name);
+        if (result.status === "restored") {
+          // Pick up the restored settings; a different working folder means a different DataManager
+          const workingFolder = config.app.userDefinedWorkingFolder;
+          settings.load();
+          if (config.app.userDefinedWorkingFolder !== workingFolder) {
+            await initializeDataManager();
+          }
+        }
+      } finally {
+        if (pausedExecutor && (config.app.autoMode || config.app.watchMode)) {
+          Logger.info("Restarting Executor after the restore...");
+          executor = createExecutor();
+          executor.start().catch((error) => {
+            const errMsg = error && error['message'] || 'Unknown error';
+            Logger.error(`Executor error: ${errMsg}`);
+          });
+        }
+      }
+    } finally {
+      restoring = false;
+    }
+
+    if (result.status === "not_found") {
+      return res.status(404).json({
+        error: {
+          code: "NOT_FOUND",
+          message: `Backup ${name} not found`,
+        },
+      });
+    }
+    if (result.status === "invalid") {
+      return sendToolValidationError(res, result.errors);
+    }
+    if (result.status === "failed") {
+      return res.status(500).json({
+        error: {
+          code: "INTERNAL_ERROR",
+          message: `Failed to restore backup${result.rolledBack ? " - previous state restored" : ""}`,
+          details: { error: result.error, rolledBack: result.rolledBack, rollback: result.rollback },
+        },
+      });
+    }
+    res.json(result);
+  } catch (error) {
+    const errMsg = error && error['message'] || 'Unknown error';
+    Logger.error(`Failed to restore backup: ${errMsg}`);
+    res.status(500).json({
+      error: {
+        code: "INTERNAL_ERROR",
+        message: "Failed to restore backup",
+        details: errMsg,
+      },
+    });
+  }
+});
+
 // 404 handler
 // ===== STATIC FILE SERVING =====
 // MUST come BEFORE 404 handler
@@ -749,13 +1884,20 @@ async function startServer() {
         const unifiedConfig = JSON.parse(fsSync.readFileSync(unifiedConfigPath, 'utf8'));
         Logger.info("✅ Found unified config - auto-configuring from filesystem");
         
-        // Apply unified config
+        // Apply unified config (settings saved from the Dashboard still win)
         if (unifiedConfig.modules?.matrixTools) {
           const toolConfig = unifiedConfig.modules.matrixTools;
-          config.app.testMode = unifiedConfig.demoMode || false;
-          config.app.autoMode = toolConfig.mode === 'auto';
-          config.app.workingFolder = unifiedConfig.storage?.tempPath || config.app.workingFolder;
-          
+          const wizardSettings = {
+            mode: SettingsStore.modeFromFlags(unifiedConfig.demoMode || false, toolConfig.mode === 'auto'),
+          };
+          if (unifiedConfig.storage?.tempPath) {
+            wizardSettings.workingFolder = unifiedConfig.storage.tempPath;
+          }
+          const errors = settings.applyLayer(SettingsStore.SOURCES.SETUP_WIZARD, wizardSettings);
+          for (const error of errors) {
+            Logger.warn(`⚠️ Ignoring setup wizard setting ${error.path}: ${error.message}`);
+          }
+
           Logger.info(`📡 Auto-configured from BRK_SETUP_WIZARD_CONFIG.json: testMode=${config.app.testMode}, autoMode=${config.app.autoMode}, dataPath=${toolConfig.dataPath}`);
         }
       } else {
@@ -766,6 +1908,9 @@ async function startServer() {
       Logger.info(`⚠️ Could not load unified config - using defaults: ${errMsg}`);
     }
 
+    // Settings saved from the Dashboard
+    settings.load();
+
     const initialized = await initializeDataManager();
     if (!initialized) {
       Logger.error(
@@ -773,10 +1918,15 @@ async function startServer() {
       );
     }
 
-    // Start Executor if in auto mode
-    if (config.app.autoMode) {
-      Logger.info("Starting Executor in AUTO mode...");
-      executor = new Executor(dataManager);
+    // Scheduled backups (config.backup.intervalHours)
+    if (backupManager) {
+      backupManager.startSchedule();
+    }
+
+    // Start Executor if in auto or watch mode
+    if (config.app.autoMode || config.app.watchMode) {
+      Logger.info(`Starting Executor in ${config.app.watchMode ? "WATCH" : "AUTO"} mode...`);
+      executor = createExecutor();
       // Don't await - let it run in background
       executor.start().catch((error) => {
         const errMsg = error && error['message'] || 'Unknown error';
@@ -814,4 +1964,4 @@ if (require.main === module) {
   startServer();
 }
 
-module.exports = { app, startServer };
+module.exports = { app, startServer, initializeDataManager, eventBus, settings };
@@ -0,0 +1,1399 @@
+// server/openapi.js
+/**
+ * OpenAPI 3 description of the ToolManager REST API.
+ * Served at GET /api/openapi.json and used by server/openapiValidator.js to
+ * validate requests and responses in development mode. Keep it in step with
+ * the routes in server/index.js - the contract tests fail on any drift.
+ */
+
+const { ToolCategory } = require("../utils/ToolIdentity");
+const ToolLocations = require("../src/ToolLocations");
+const Scanner = require("../src/Scanner");
+const BackupManager = require("../src/BackupManager");
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const responseRef = (name) => ({ $ref: `#/components/responses/${name}` });
+const json = (schema, description) => ({
+  description,
+  content: { "application/json": { schema } },
+});
+const queryParam = (name, schema, description) => ({ name, in: "query", required: false, schema, description });
+const pathParam = (name, description) => ({
+  name,
+  in: "path",
+  required: true,
+  schema: { type: "string", minLength: 1 },
+  description,
+});
+
+const nullableString = { type: "string", nullable: true };
+const nullableNumber = { type: "number", nullable: true };
+const nullableInteger = { type: "integer", nullable: true };
+const stringList = { type: "array", items: { type: "string" } };
+const timestamp = { type: "string", description: "ISO 8601 timestamp" };
+
+// Editable tool fields (src/ToolOverrides.js); null clears an edit
+const toolEditFields = (nullable) => ({
+  name: { type: "string", nullable },
+  description: { type: "string", nullable },
+  category: { type: "string", enum: Object.values(ToolCategory), nullable },
+  isMatrix: { type: "boolean", nullable },
+  quantity: { type: "integer", minimum: 0, nullable },
+  capacityMinutes: { type: "number", minimum: 0, nullable },
+  location: { type: "string", nullable },
+  unit: { type: "string", nullable },
+  supplier: { type: "string", nullable },
+  notes: { type: "string", nullable },
+  retired: { type: "boolean", nullable },
+});
+
+// Stored location (src/ToolLocations.js) with the counts of GET /api/locations
+const storageLocationFields = {
+  id: { type: "string" },
+  type: { type: "string", enum: Object.keys(ToolLocations.LOCATION_TYPES) },
+  name: { type: "string" },
+  description: nullableString,
+  slots: { ...nullableInteger, description: "Number of numbered slots; null for free-form slot names" },
+  toolCount: { type: "integer", minimum: 0 },
+  pieceCount: { type: "integer", minimum: 0 },
+  createdAt: timestamp,
+  updatedAt: timestamp,
+};
+
+const dataErrors = {
+  500: responseRef("InternalError"),
+  503: responseRef("ServiceUnavailable"),
+};
+
+const openApiDocument = {
+  openapi: "3.0.3",
+  info: {
+    title: "BRK CNC ToolManager API",
+    version: "2.0.0",
+    description:
+      "Tool usage, matrix inventory, scan jobs and live events for the BRK CNC Management Dashboard.",
+  },
+  servers: [{ url: "http://localhost:3002" }],
+  tags: [
+    { name: "Service" },
+    { name: "Tools" },
+    { name: "Inventory" },
+    { name: "Locations" },
+    { name: "Planning" },
+    { name: "Scans" },
+    { name: "Admin" },
+  ],
+
+  paths: {
+    "/api/openapi.json": {
+      get: {
+        tags: ["Service"],
+        summary: "This OpenAPI document",
+        responses: { 200: json({ type: "object", required: ["openapi", "paths"] }, "OpenAPI document") },
+      },
+    },
+
+    "/api/status": {
+      get: {
+        tags: ["Service"],
+        summary: "Health check and service mode",
+        responses: { 200: json(ref("Status"), "Service status") },
+      },
+    },
+
+    "/api/config": {
+      get: {
+        tags: ["Service"],
+        summary: "Effective runtime settings and the source of each value",
+        responses: { 200: json(ref("Settings"), "Effective settings") },
+      },
+      post: {
+        tags: ["Service"],
+        summary: "Validate, persist and apply configuration from the Dashboard and start or stop scanning",
+        requestBody: {
+          required: true,
+          content: { "application/json": { schema: ref("ConfigRequest") } },
+        },
+        responses: {
+          200: json(ref("ConfigResponse"), "Configuration applied"),
+          400: responseRef("ValidationError"),
+          409: responseRef("Restoring"),
+          500: responseRef("InternalError"),
+        },
+      },
+    },
+
+    "/api/tools": {
+      get: {
+        tags: ["Tools"],
+        summary: "Tools used in the scanned projects, filtered, sorted and paginated",
+        parameters: [
+          queryParam("q", { type: "string" }, "Search in tool id and name"),
+          queryParam("status", { type: "string" }, "Dashboard status, e.g. in_use"),
+          queryParam("isMatrix", { type: "boolean" }, "Matrix (inventory tracked) tools only, or the others"),
+          queryParam("category", { type: "string" }, "Comma separated categories (ECUT, MATRIX_MFC, NON_MATRIX, ...)"),
+          queryParam("machine", { type: "string" }, "Comma separated machine names (partial match)"),
+          queryParam("project", { type: "string" }, "Comma separated project or position numbers (prefix match)"),
+          queryParam("toolState", { type: "string" }, "Comma separated states (FREE, IN_USE, OVERRUN, EXPIRED)"),
+          queryParam("from", { type: "string" }, "Used on or after this date (YYYY-MM-DD or ISO 8601)"),
+          queryParam("to", { type: "string" }, "Used on or before this date (YYYY-MM-DD or ISO 8601)"),
+          queryParam("sort", { type: "string" }, "Comma separated fields, '-' for descending (default -usageTime)"),
+          queryParam("page", { type: "integer", minimum: 1 }, "Page number (not with cursor)"),
+          queryParam("cursor", { type: "string" }, "nextCursor of the previous page (not with page)"),
+          queryParam("limit", { type: "integer", minimum: 1 }, "Page size (default config.api.tools.defaultLimit with page or cursor)"),
+          queryParam("fields", { type: "string" }, "Comma separated fields to return; id is always included"),
+        ],
+        responses: {
+          200: json(ref("ToolList"), "One page of tools; every matching tool without page, limit or cursor"),
+          400: responseRef("ValidationError"),
+          ...dataErrors,
+        },
+      },
+      post: {
+        tags: ["Tools"],
+        summary: "Register a tool that is not in the scan results",
+        requestBody: {
+          required: true,
+          content: { "application/json": { schema: ref("ToolCreate") } },
+        },
+        responses: {
+          201: json(ref("Tool"), "Tool registered (version 1)"),
+          400: responseRef("ValidationError"),
+          409: responseRef("Conflict"),
+          ...dataErrors,
+        },
+      },
+    },
+
+    "/api/tools/matrix": {
+      get: {
+        tags: ["Tools"],
+        summary: "Matrix tools with inventory from the Excel files",
+        responses: { 200: json(ref("MatrixToolList"), "Matrix tools"), ...dataErrors },
+      },
+    },
+
+    "/api/tools/matrix/usage": {
+      get: {
+        tags: ["Tools"],
+        summary: "Matrix tools with inventory and usage minutes",
+        responses: { 200: json(ref("MatrixToolList"), "Matrix tools with usage"), ...dataErrors },
+      },
+    },
+
+    "/api/tools/{id}": {
+      get: {
+        tags: ["Tools"],
+        summary: "One tool",
+        parameters: [pathParam("id", "Tool id (JSON tool name)")],
+        responses: {
+          200: json(ref("Tool"), "Tool details"),
+          404: responseRef("NotFound"),
+          ...dataErrors,
+        },
+      },
+      put: {
+        tags: ["Tools"],
+        summary: "Replace the edits of a tool; fields left out return to their scanned value",
+        parameters: [pathParam("id", "Tool id")],
+        requestBody: {
+          required: true,
+          content: { "application/json": { schema: ref("ToolEdit") } },
+        },
+        responses: {
+          200: json(ref("Tool"), "Tool with the edits applied"),
+          400: responseRef("ValidationError"),
+          404: responseRef("NotFound"),
+          409: responseRef("Conflict"),
+          ...dataErrors,
+        },
+      },
+      patch: {
+        tags: ["Tools"],
+        summary: "Change fields of a tool; null returns a field to its scanned value",
+        parameters: [pathParam("id", "Tool id")],
+        requestBody: {
+          required: true,
+          content: { "application/json": { schema: ref("ToolEdit") } },
+        },
+        responses: {
+          200: json(ref("Tool"), "Tool with the edits applied"),
+          400: responseRef("ValidationError"),
+          404: responseRef("NotFound"),
+          409: responseRef("Conflict"),
+          ...dataErrors,
+        },
+      },
+      delete: {
+        tags: ["Tools"],
+        summary: "Delete a registered tool or retire a scanned one",
+        parameters: [
+          pathParam("id", "Tool id"),
+          { ...queryParam("version", { type: "integer", minimum: 0 }, "Version the deletion is based on"), required: true },
+        ],
+        responses: {
+          200: json(ref("ToolRemoved"), "Tool deleted or retired"),
+          400: responseRef("ValidationError"),
+          404: responseRef("NotFound"),
+          409: responseRef("Conflict"),
+          ...dataErrors,
+        },
+      },
+    },
+
+    "/api/tools/{id}/move": {
+      post: {
+        tags: ["Locations"],
+        summary: "Move pieces of a tool between storeroom bins, cabinet slots, machine pockets and regrind",
+        description:
+          "Leave out from to take new pieces into tracking, to to take pieces out of it. " +
+          "quantity defaults to every piece at from.",
+        parameters: [pathParam("id", "Tool id")],
+        requestBody: {
+          required: true,
+          content: { "application/json": { schema: ref("MoveRequest") } },
+        },
+        responses: {
+          200: json(ref("MoveResult"), "Move recorded"),
+          400: responseRef("ValidationError"),
+          404: responseRef("NotFound"),
+          ...dataErrors,
+        },
+      },
+    },
+
+    "/api/tools/{id}/moves": {
+      get: {
+        tags: ["Locations"],
+        summary: "Where a tool is and how it moved, newest first",
+        parameters: [
+          pathParam("id", "Tool id"),
+          queryParam("limit", { type: "integer", minimum: 1 }, "Moves to return (default 100)"),
+        ],
+        responses: {
+          200: json(ref("ToolMoves"), "Placements and move history"),
+          400: responseRef("ValidationError"),
+          ...dataErrors,
+        },
+      },
+    },
+
+    "/api/locations": {
+      get: {
+        tags: ["Locations"],
+        summary: "Storerooms, vending cabinets, machines and regrind vendors",
+        parameters: [
+          queryParam("type", { type: "string", enum: Object.keys(ToolLocations.LOCATION_TYPES) }, "Only this type"),
+        ],
+        responses: {
+          200: json(ref("StorageLocationList"), "Locations with tool and piece counts"),
+          400: responseRef("ValidationError"),
+          ...dataErrors,
+        },
+      },
+      post: {
+        tags: ["Locations"],
+        summary: "Add a location",
+        requestBody: {
+          required: true,
+          content: { "application/json": { schema: ref("StorageLocationCreate") } },
+        },
+        responses: {
+          201: json(ref("StorageLocation"), "Location added"),
+          400: responseRef("ValidationError"),
+          409: responseRef("Conflict"),
+          ...dataErrors,
+        },
+      },
+    },
+
+    "/api/locations/{id}": {
+      get: {
+        tags: ["Locations"],
+        summary: "A location with its tools and latest moves",
+        parameters: [pathParam("id", "Location id")],
+        responses: {
+          200: json(ref("StorageLocationDetails"), "Location"),
+          404: responseRef("NotFound"),
+          ...dataErrors,
+        },
+      },
+      patch: {
+        tags: ["Locations"],
+        summary: "Change a location; tools placed in it must still fit",
+        parameters: [pathParam("id", "Location id")],
+        requestBody: {
+          required: true,
+          content: { "application/json": { schema: ref("StorageLocationEdit") } },
+        },
+        responses: {
+          200: json(ref("StorageLocation"), "Location"),
+          400: responseRef("ValidationError"),
+          404: responseRef("NotFound"),
+          ...dataErrors,
+        },
+      },
+      delete: {
+        tags: ["Locations"],
+        summary: "Delete an empty location",
+        parameters: [pathParam("id", "Location id")],
+        responses: {
+          200: json(ref("Deleted"), "Location deleted"),
+          404: responseRef("NotFound"),
+          409: responseRef("Conflict"),
+          ...dataErrors,
+        },
+      },
+    },
+
+    "/api/tool-images/{manufacturer}/{filename}": {
+      get: {
+        tags: ["Tools"],
+        summary: "Tool type image; other image extensions are tried when the exact file is missing",
+        parameters: [pathParam("manufacturer", "Manufacturer folder"), pathParam("filename", "Image file name")],
+        responses: {
+          200: {
+            description: "Image",
+            content: {
+              "image/png": { schema: { type: "string", format: "binary" } },
+              "image/jpeg": { schema: { type: "string", format: "binary" } },
+              "image/gif": { schema: { type: "string", format: "binary" } },
+            },
+          },
+          404: json(ref("ImageError"), "Image not found"),
+          500: json(ref("ImageError"), "Image could not be read"),
+        },
+      },
+    },
+
+    "/api/images/tools/{file}": {
+      get: {
+        tags: ["Tools"],
+        summary: "Static tool family images (e.g. 8400.png)",
+        parameters: [pathParam("file", "Image file name")],
+        responses: {
+          200: { description: "Image", content: { "image/png": { schema: { type: "string", format: "binary" } } } },
+          404: responseRef("NotFound"),
+        },
+      },
+    },
+
+    "/api/projects": {
+      get: {
+        tags: ["Planning"],
+        summary: "Work orders grouped from the tools list",
+        responses: { 200: json(ref("ProjectList"), "Projects"), ...dataErrors },
+      },
+    },
+
+    "/api/analysis/upcoming": {
+      get: {
+        tags: ["Planning"],
+        summary: "Upcoming tool requirements with the matrix tool demand forecast",
+        parameters: [
+          queryParam("bucket", { type: "string", enum: ["day", "week"] }, "Forecast period (default week)"),
+          queryParam("horizonDays", { type: "integer", minimum: 1 }, "Forecast horizon in days"),
+        ],
+        responses: {
+          200: json(ref("UpcomingAnalysis"), "Upcoming requirements"),
+          400: responseRef("ValidationError"),
+          ...dataErrors,
+        },
+      },
+    },
+
+    "/api/inventory/import-report": {
+      get: {
+        tags: ["Inventory"],
+        summary: "Row-level diagnostics of the last Excel import",
+        parameters: [
+          queryParam("fileName", { type: "string" }, "Only this Excel file"),
+          queryParam("type", { type: "string", enum: ["skipped", "coerced"] }, "Issue type"),
+          queryParam("suspicious", { type: "boolean" }, "Only (or no) suspicious issues"),
+        ],
+        responses: {
+          200: json(ref("ImportReport"), "Import report"),
+          404: responseRef("NotFound"),
+          ...dataErrors,
+        },
+      },
+    },
+
+    "/api/inventory/imports": {
+      get: {
+        tags: ["Inventory"],
+        summary: "Excel processing runs, newest first",
+        parameters: [
+          queryParam("status", { type: "string", enum: Scanner.IMPORT_STATUSES }, "Only runs with this outcome"),
+          queryParam("from", { type: "string" }, "Logged on or after this date (YYYY-MM-DD or ISO 8601)"),
+          queryParam("to", { type: "string" }, "Logged on or before this date (YYYY-MM-DD or ISO 8601)"),
+          queryParam("limit", { type: "integer", minimum: 1 }, "Runs to return (default 50)"),
+        ],
+        responses: {
+          200: json(ref("ImportHistory"), "Excel processing runs"),
+          400: responseRef("ValidationError"),
+          ...dataErrors,
+        },
+      },
+    },
+
+    "/api/inventory/snapshots": {
+      get: {
+        tags: ["Inventory"],
+        summary: "Stored inventory snapshots, oldest first",
+        responses: { 200: json(ref("SnapshotList"), "Snapshots"), ...dataErrors },
+      },
+    },
+
+    "/api/inventory/diff": {
+      get: {
+        tags: ["Inventory"],
+        summary: "Stock movement between two inventory snapshots",
+        parameters: [
+          queryParam("from", { type: "string" }, "Snapshot id, date (YYYY-MM-DD), previous or latest (default previous)"),
+          queryParam("to", { type: "string" }, "Snapshot id, date (YYYY-MM-DD), previous or latest (default latest)"),
+        ],
+        responses: {
+          200: json(ref("InventoryDiff"), "Inventory diff"),
+          404: responseRef("NotFound"),
+          ...dataErrors,
+        },
+      },
+    },
+
+    "/api/purchasing/suggestions": {
+      get: {
+        tags: ["Planning"],
+        summary: "Reorder points and purchase suggestions for matrix tools",
+        parameters: [
+          queryParam("format", { type: "string", enum: ["json", "csv", "xlsx"] }, "Response format (default json)"),
+          queryParam("all", { type: "boolean" }, "Include tools that need no order"),
+          queryParam("historyDays", { type: "integer", minimum: 1 }, "Consumption history window"),
+        ],
+        responses: {
+          200: {
+            description: "Purchase suggestions",
+            content: {
+              "application/json": { schema: ref("PurchaseSuggestions") },
+              "text/csv": { schema: { type: "string" } },
+              "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet": {
+                schema: { type: "string", format: "binary" },
+              },
+            },
+          },
+          400: responseRef("ValidationError"),
+          ...dataErrors,
+        },
+      },
+    },
+
+    "/api/scan": {
+      post: {
+        tags: ["Scans"],
+        summary: "Queue a scan; joins the queued or running scan if there is one",
+        parameters: [queryParam("wait", { type: "boolean" }, "Answer when the scan has finished")],
+        requestBody: {
+          required: false,
+          content: { "application/json": { schema: ref("ScanRequest") } },
+        },
+        responses: {
+          200: json(ref("ScanJobFinished"), "Scan finished (wait=true)"),
+          202: json(ref("ScanJobAccepted"), "Scan queued"),
+          409: responseRef("Restoring"),
+          500: json({ anyOf: [ref("ScanJobFinished"), ref("Error")] }, "Scan failed"),
+        },
+      },
+    },
+
+    "/api/trigger-scan": {
+      post: {
+        tags: ["Scans"],
+        summary: "Queue a scan on behalf of JSONScanner after it found new files",
+        parameters: [queryParam("wait", { type: "boolean" }, "Answer when the scan has finished")],
+        requestBody: {
+          required: false,
+          content: { "application/json": { schema: ref("ScanRequest") } },
+        },
+        responses: {
+          200: json(ref("ScanJobFinished"), "Scan finished (wait=true)"),
+          202: json(ref("ScanJobAccepted"), "Scan queued"),
+          409: responseRef("Restoring"),
+          500: json({ anyOf: [ref("ScanJobFinished"), ref("Error")] }, "Scan failed"),
+        },
+      },
+    },
+
+    "/api/jobs": {
+      get: {
+        tags: ["Scans"],
+        summary: "Scan job history, newest first",
+        parameters: [queryParam("limit", { type: "integer", minimum: 1 }, "Number of jobs")],
+        responses: {
+          200: json(ref("ScanJobList"), "Scan jobs"),
+          400: responseRef("ValidationError"),
+        },
+      },
+    },
+
+    "/api/jobs/{id}": {
+      get: {
+        tags: ["Scans"],
+        summary: "State, stage, progress and result of one scan job",
+        parameters: [pathParam("id", "Scan job id")],
+        responses: {
+          200: json(ref("ScanJob"), "Scan job"),
+          404: responseRef("NotFound"),
+        },
+      },
+    },
+
+    "/api/events": {
+      get: {
+        tags: ["Scans"],
+        summary: "Server-Sent Events: scan.*, job.*, inventory.snapshot, tool.state, tool.changed and tool.moved",
+        description:
+          "Each message has an id, an event type and the JSON encoded event ({ id, type, timestamp, data }). " +
+          "A resync event means events were missed since Last-Event-ID and the client should reload its data.",
+        parameters: [
+          queryParam("types", { type: "string" }, "Comma separated categories: scan, job, inventory, tool"),
+          queryParam("lastEventId", { type: "integer", minimum: 0 }, "Resume after this event id"),
+          {
+            name: "Last-Event-ID",
+            in: "header",
+            required: false,
+            schema: { type: "integer", minimum: 0 },
+            description: "Resume after this event id (sent by EventSource on reconnect)",
+          },
+        ],
+        responses: {
+          200: { description: "Event stream", content: { "text/event-stream": { schema: { type: "string" } } } },
+          400: responseRef("ValidationError"),
+        },
+      },
+    },
+
+    "/api/admin/backup": {
+      get: {
+        tags: ["Admin"],
+        summary: "Backups, newest first, and the backup schedule",
+        responses: { 200: json(ref("BackupList"), "Backups"), ...dataErrors },
+      },
+      post: {
+        tags: ["Admin"],
+        summary: "Back up results, inventory snapshots, storage, definitions and settings",
+        description: "Archives beyond the retention (config.backup.keep) are deleted afterwards.",
+        responses: { 201: json(ref("Backup"), "Backup written"), ...dataErrors },
+      },
+    },
+
+    "/api/admin/backup/restore": {
+      post: {
+        tags: ["Admin"],
+        summary: "Restore a backup",
+        description:
+          "The archive is checked against its manifest checksums first. A pre-restore backup is taken " +
+          "and restored again if applying the archive fails.",
+        requestBody: {
+          required: true,
+          content: {
+            "application/json": {
+              schema: {
+                type: "object",
+                required: ["name"],
+                properties: { name: { type: "string", pattern: BackupManager.ARCHIVE_NAME_PATTERN.source } },
+              },
+            },
+          },
+        },
+        responses: {
+          200: json(ref("RestoreResult"), "Backup restored"),
+          400: responseRef("ValidationError"),
+          404: responseRef("NotFound"),
+          409: json(ref("Error"), "A scan or another restore is running (CONFLICT)"),
+          ...dataErrors,
+        },
+      },
+    },
+  },
+
+  components: {
+    responses: {
+      ValidationError: json(ref("Error"), "Invalid request (VALIDATION_ERROR)"),
+      NotFound: json(ref("Error"), "Not found (NOT_FOUND)"),
+      Conflict: json(
+        ref("Error"),
+        "Tool or location exists, tool changed since the quoted version, or location not empty (CONFLICT)"
+      ),
+      Restoring: json(ref("Error"), "A backup is being restored (CONFLICT)"),
+      InternalError: json(ref("Error"), "Unexpected failure (INTERNAL_ERROR)"),
+      ServiceUnavailable: json(ref("Error"), "DataManager not initialized (SERVICE_UNAVAILABLE)"),
+    },
+
+    schemas: {
+      Error: {
+        type: "object",
+        required: ["error"],
+        properties: {
+          error: {
+            type: "object",
+            required: ["code", "message"],
+            properties: {
+              code: { type: "string" },
+              message: { type: "string" },
+              details: { description: "Additional information (string, object or list)" },
+            },
+          },
+        },
+      },
+
+      ImageError: {
+        type: "object",
+        required: ["error"],
+        properties: { error: { type: "string" } },
+      },
+
+      Status: {
+        type: "object",
+        required: ["status", "mode", "testMode", "version", "timestamp", "dataManager"],
+        properties: {
+          status: { type: "string", enum: ["running"] },
+          mode: { type: "string", enum: ["watch", "auto", "manual"] },
+          testMode: { type: "boolean" },
+          version: { type: "string" },
+          timestamp,
+          dataManager: { type: "string", enum: ["initialized", "not initialized"] },
+        },
+      },
+
+      ConfigRequest: {
+        type: "object",
+        required: ["testMode"],
+        properties: {
+          testMode: { type: "boolean" },
+          autoRun: { type: "boolean" },
+          watchMode: { type: "boolean", description: "Left out: the current watch mode is kept" },
+          workingFolder: { type: "string", nullable: true, description: "Existing writable folder; null resets it" },
+          scanPaths: {
+            type: "object",
+            properties: {
+              jsonFiles: { type: "string", nullable: true, description: "Existing JSON scan folder; null resets it" },
+              excelFiles: { type: "string", nullable: true, description: "Existing Excel scan folder; null resets it" },
+            },
+          },
+        },
+      },
+
+      ConfigResponse: {
+        type: "object",
+        required: ["success", "message", "config", "timestamp"],
+        properties: {
+          success: { type: "boolean" },
+          message: { type: "string" },
+          config: {
+            type: "object",
+            required: ["testMode", "autoMode", "watchMode"],
+            properties: {
+              testMode: { type: "boolean" },
+              autoMode: { type: "boolean" },
+              watchMode: { type: "boolean" },
+            },
+          },
+          changed: { type: "array", items: { type: "string" } },
+          settings: ref("SettingValues"),
+          timestamp,
+        },
+      },
+
+      SettingValue: {
+        type: "object",
+        required: ["value", "source"],
+        properties: {
+          value: { nullable: true },
+          source: { type: "string", enum: ["config.js", "setup-wizard", "settings-file"] },
+        },
+      },
+
+      SettingValues: {
+        type: "object",
+        required: ["mode", "watchMode", "workingFolder", "jsonScanPath", "excelScanPath"],
+        properties: {
+          mode: ref("SettingValue"),
+          watchMode: ref("SettingValue"),
+          workingFolder: ref("SettingValue"),
+          jsonScanPath: ref("SettingValue"),
+          excelScanPath: ref("SettingValue"),
+        },
+      },
+
+      Settings: {
+        type: "object",
+        required: ["settings", "settingsFile", "updatedAt"],
+        properties: {
+          settings: ref("SettingValues"),
+          settingsFile: { type: "string" },
+          updatedAt: { type: "string", format: "date-time", nullable: true },
+        },
+      },
+
+      Location: {
+        type: "object",
+        properties: {
+          location: { type: "string" },
+          quantity: { type: "number" },
+        },
+      },
+
+      StorageLocation: {
+        type: "object",
+        required: ["id", "type", "name"],
+        properties: storageLocationFields,
+      },
+
+      StorageLocationCreate: {
+        type: "object",
+        required: ["id", "type", "name"],
+        properties: {
+          id: { type: "string", pattern: "^[\\w.-]{1,50}$" },
+          type: { type: "string", enum: Object.keys(ToolLocations.LOCATION_TYPES) },
+          name: { type: "string" },
+          description: nullableString,
+          slots: { type: "integer", minimum: 1, nullable: true },
+        },
+      },
+
+      StorageLocationEdit: {
+        type: "object",
+        properties: {
+          type: { type: "string", enum: Object.keys(ToolLocations.LOCATION_TYPES) },
+          name: { type: "string" },
+          description: nullableString,
+          slots: { type: "integer", minimum: 1, nullable: true },
+        },
+      },
+
+      StorageLocationList: {
+        type: "object",
+        required: ["locations", "total"],
+        properties: {
+          locations: { type: "array", items: ref("StorageLocation") },
+          total: { type: "integer", minimum: 0 },
+        },
+      },
+
+      StorageLocationDetails: {
+        type: "object",
+        required: ["id", "type", "name", "placements", "moves"],
+        properties: {
+          ...storageLocationFields,
+          placements: { type: "array", items: ref("Placement") },
+          moves: { type: "array", items: ref("ToolMove") },
+        },
+      },
+
+      Place: {
+        type: "object",
+        required: ["locationId"],
+        properties: {
+          locationId: { type: "string" },
+          slot: {
+            anyOf: [{ type: "string" }, { type: "integer" }],
+            nullable: true,
+            description: "Bin, cabinet slot or magazine pocket (stored as a string)",
+          },
+        },
+      },
+
+      Placement: {
+        type: "object",
+        required: ["toolId", "locationId", "quantity"],
+        properties: {
+          toolId: { type: "string" },
+          locationId: { type: "string" },
+          slot: nullableString,
+          quantity: { type: "integer", minimum: 1 },
+          locationType: nullableString,
+          place: { type: "string", description: "e.g. DMU 100P pocket 12" },
+          updatedAt: timestamp,
+        },
+      },
+
+      ToolMove: {
+        type: "object",
+        required: ["id", "toolId", "quantity", "movedAt"],
+        properties: {
+          id: { type: "string" },
+          toolId: { type: "string" },
+          quantity: { type: "integer", minimum: 1 },
+          from: { ...ref("Place"), nullable: true },
+          to: { ...ref("Place"), nullable: true },
+          locationIds: { type: "array", items: { type: "string" }, description: "Locations of from and to" },
+          reason: nullableString,
+          movedBy: nullableString,
+          movedAt: timestamp,
+        },
+      },
+
+      MoveRequest: {
+        type: "object",
+        properties: {
+          from: { ...ref("Place"), nullable: true },
+          to: { ...ref("Place"), nullable: true },
+          quantity: { type: "integer", minimum: 1 },
+          reason: { type: "string" },
+          movedBy: { type: "string" },
+        },
+      },
+
+      MoveResult: {
+        type: "object",
+        required: ["move", "placements"],
+        properties: {
+          move: ref("ToolMove"),
+          placements: { type: "array", items: ref("Placement") },
+        },
+      },
+
+      ToolMoves: {
+        type: "object",
+        required: ["toolId", "quantity", "placements", "moves"],
+        properties: {
+          toolId: { type: "string" },
+          quantity: { type: "integer", minimum: 0 },
+          placements: { type: "array", items: ref("Placement") },
+          moves: { type: "array", items: ref("ToolMove") },
+        },
+      },
+
+      Deleted: {
+        type: "object",
+        required: ["id", "action"],
+        properties: {
+          id: { type: "string" },
+          action: { type: "string", enum: ["deleted"] },
+        },
+      },
+
+      Tool: {
+        type: "object",
+        description: "Tool from ToolManager_Result.json. Only id is guaranteed when ?fields= is used.",
+        required: ["id"],
+        properties: {
+          id: { type: "string" },
+          name: { type: "string" },
+          status: { type: "string" },
+          isMatrix: { type: "boolean" },
+          category: { type: "string" },
+          toolState: { type: "string", enum: ["FREE", "IN_USE", "OVERRUN", "EXPIRED"] },
+          usageTime: { type: "number", description: "Cutting time in seconds" },
+          usageMinutes: { type: "number" },
+          usageCount: { type: "integer", minimum: 0 },
+          projectCount: { type: "integer", minimum: 0 },
+          projects: stringList,
+          positions: stringList,
+          machines: stringList,
+          firstUsedAt: timestamp,
+          lastUsedAt: timestamp,
+          description: { type: "string" },
+          location: nullableString,
+          locations: { type: "array", items: ref("Location") },
+          unit: nullableString,
+          supplier: nullableString,
+          quantity: { type: "number" },
+          capacityMinutes: { type: "number" },
+          notes: { type: "string" },
+          retired: { type: "boolean" },
+          source: { type: "string", enum: ["scan", "manual"] },
+          version: { type: "integer", minimum: 0, description: "Quote it in PUT, PATCH and DELETE; 0 = never edited" },
+          overrides: { ...stringList, description: "Fields edited through the API" },
+          createdAt: timestamp,
+          updatedAt: timestamp,
+        },
+      },
+
+      ToolCreate: {
+        type: "object",
+        required: ["id"],
+        properties: {
+          id: { type: "string", minLength: 1, maxLength: 100 },
+          ...toolEditFields(false),
+        },
+      },
+
+      ToolEdit: {
+        type: "object",
+        required: ["version"],
+        properties: {
+          version: { type: "integer", minimum: 0 },
+          ...toolEditFields(true),
+        },
+      },
+
+      ToolRemoved: {
+        type: "object",
+        required: ["id", "action"],
+        properties: {
+          id: { type: "string" },
+          action: { type: "string", enum: ["deleted", "retired"] },
+          tool: ref("Tool"),
+        },
+      },
+
+      ToolList: {
+        type: "object",
+        required: ["tools", "total", "limit", "page", "pages", "nextCursor", "stats"],
+        properties: {
+          tools: { type: "array", items: ref("Tool") },
+          total: { type: "integer", minimum: 0, description: "Tools matching the filters" },
+          limit: { ...nullableInteger, minimum: 1, description: "null when the request is not paginated" },
+          page: { ...nullableInteger, description: "null for cursor requests" },
+          pages: { type: "integer", minimum: 0 },
+          nextCursor: nullableString,
+          stats: ref("ToolStats"),
+        },
+      },
+
+      ToolStats: {
+        type: "object",
+        required: ["totalTools", "matrixTools", "nonMatrixTools"],
+        properties: {
+          totalTools: { type: "integer", minimum: 0 },
+          activeTools: { type: "integer", minimum: 0 },
+          toolsInUse: { type: "integer", minimum: 0 },
+          toolsAvailable: { type: "integer", minimum: 0 },
+          matrixTools: { type: "integer", minimum: 0 },
+          nonMatrixTools: { type: "integer", minimum: 0 },
+        },
+      },
+
+      MatrixTool: {
+        type: "object",
+        required: ["toolId", "inPool", "warningThreshold"],
+        properties: {
+          toolId: { type: "string" },
+          diameter: { type: "number" },
+          toolLife: { type: "number" },
+          toolType: { type: "string" },
+          category: { type: "string" },
+          codePrefix: { type: "string" },
+          description: { type: "string" },
+          location: nullableString,
+          locations: { type: "array", items: ref("Location") },
+          placements: { type: "array", items: ref("Placement"), description: "Tracked locations (POST /api/tools/{id}/move)" },
+          unit: nullableString,
+          supplier: nullableString,
+          setupTime: { type: "number" },
+          inPool: { type: "number" },
+          warningThreshold: { type: "number" },
+          imageUrl: nullableString,
+          usageMinutes: { type: "number", description: "Only on /api/tools/matrix/usage" },
+        },
+      },
+
+      MatrixToolList: {
+        type: "object",
+        required: ["tools", "total", "timestamp"],
+        properties: {
+          tools: { type: "array", items: ref("MatrixTool") },
+          total: { type: "integer", minimum: 0 },
+          timestamp,
+        },
+      },
+
+      ProjectList: {
+        type: "object",
+        required: ["projects", "total"],
+        properties: {
+          projects: {
+            type: "array",
+            items: {
+              type: "object",
+              required: ["id", "name", "tools", "totalUsageTime"],
+              properties: {
+                id: { type: "string" },
+                name: { type: "string" },
+                tools: { type: "array", items: ref("Tool") },
+                totalUsageTime: { type: "number" },
+              },
+            },
+          },
+          total: { type: "integer", minimum: 0 },
+        },
+      },
+
+      ProjectSchedule: {
+        type: "object",
+        required: ["project", "position", "tools", "dueDate", "dateSource"],
+        properties: {
+          project: { type: "string" },
+          position: { type: "string" },
+          machines: stringList,
+          tools: stringList,
+          toolMinutes: { type: "object", description: "Cutting minutes per tool name" },
+          plannedStart: nullableString,
+          dueDate: nullableString,
+          dateSource: { type: "string", enum: ["schedule_file", "estimated"] },
+        },
+      },
+
+      UpcomingAnalysis: {
+        type: "object",
+        required: ["totalTools", "totalUsageTime", "toolsByType", "topTools", "upcomingProjects", "timestamp"],
+        properties: {
+          totalTools: { type: "integer", minimum: 0 },
+          totalUsageTime: { type: "number" },
+          toolsByType: { type: "object", description: "Tools grouped by name prefix" },
+          topTools: { type: "array", items: ref("Tool") },
+          upcomingProjects: { type: "array", items: ref("ProjectSchedule") },
+          schedule: {
+            type: "object",
+            nullable: true,
+            properties: {
+              mode: { type: "string" },
+              file: nullableString,
+              matched: { type: "integer", minimum: 0 },
+              unmatched: stringList,
+            },
+          },
+          forecast: {
+            type: "object",
+            nullable: true,
+            required: ["summary", "tools"],
+            properties: {
+              summary: { type: "object" },
+              tools: { type: "array", items: { type: "object" } },
+              unmatchedTools: { type: "array", items: { type: "object" } },
+            },
+          },
+          timestamp,
+        },
+      },
+
+      ImportReport: {
+        type: "object",
+        required: ["files"],
+        properties: {
+          files: {
+            type: "array",
+            items: {
+              type: "object",
+              required: ["fileName"],
+              properties: {
+                fileName: { type: "string" },
+                issues: { type: "array", items: { type: "object" } },
+              },
+            },
+          },
+        },
+      },
+
+      BackupSections: {
+        type: "object",
+        description: "Entries per section",
+        properties: Object.fromEntries(BackupManager.SECTIONS.map((section) => [section, { type: "integer", minimum: 0 }])),
+      },
+
+      Backup: {
+        type: "object",
+        required: ["name", "createdAt", "reason", "size", "sections"],
+        properties: {
+          name: { type: "string" },
+          file: { type: "string" },
+          createdAt: timestamp,
+          reason: { type: "string", enum: ["manual", "scheduled", "pre-restore"] },
+          size: { type: "integer", minimum: 0, description: "Archive size in bytes" },
+          sections: ref("BackupSections"),
+          removed: { ...stringList, description: "Old archives deleted by the retention" },
+        },
+      },
+
+      BackupList: {
+        type: "object",
+        required: ["backups", "total", "schedule"],
+        properties: {
+          backups: {
+            type: "array",
+            items: {
+              type: "object",
+              required: ["name", "size"],
+              properties: {
+                name: { type: "string" },
+                file: { type: "string" },
+                size: { type: "integer", minimum: 0 },
+                createdAt: timestamp,
+                reason: { type: "string" },
+                appVersion: { type: "string" },
+                formatVersion: { type: "integer" },
+                sections: ref("BackupSections"),
+                error: { type: "string", description: "Set when the archive cannot be read" },
+              },
+            },
+          },
+          total: { type: "integer", minimum: 0 },
+          schedule: {
+            type: "object",
+            required: ["enabled", "intervalHours", "keep"],
+            properties: {
+              enabled: { type: "boolean" },
+              intervalHours: { type: "number", minimum: 0 },
+              keep: { type: "integer", minimum: 0 },
+              backupPath: { type: "string" },
+              nextRunAt: nullableString,
+              lastRun: {
+                type: "object",
+                nullable: true,
+                properties: {
+                  at: timestamp,
+                  status: { type: "string", enum: ["ok", "failed"] },
+                  name: nullableString,
+                  error: nullableString,
+                },
+              },
+            },
+          },
+        },
+      },
+
+      RestoreResult: {
+        type: "object",
+        required: ["status", "name", "createdAt", "rollback"],
+        properties: {
+          status: { type: "string", enum: ["restored"] },
+          name: { type: "string" },
+          createdAt: timestamp,
+          sections: ref("BackupSections"),
+          rollback: { type: "string", description: "Pre-restore backup of the replaced state" },
+        },
+      },
+
+      ImportRun: {
+        type: "object",
+        required: ["id", "status", "loggedAt"],
+        properties: {
+          id: { type: "string" },
+          status: { type: "string", enum: Scanner.IMPORT_STATUSES },
+          unchanged: {
+            type: "boolean",
+            description: "Read the same files with the same outcome as the run before; files only carry fileName and hash",
+          },
+          loggedAt: timestamp,
+          startedAt: timestamp,
+          finishedAt: timestamp,
+          durationMs: { type: "number", minimum: 0 },
+          scanPath: nullableString,
+          files: {
+            type: "array",
+            items: {
+              type: "object",
+              required: ["fileName"],
+              properties: {
+                fileName: { type: "string" },
+                path: { type: "string" },
+                hash: { ...nullableString, description: "MD5 of the file content" },
+                size: nullableInteger,
+                modifiedAt: nullableString,
+                toolCount: { type: "integer", minimum: 0 },
+                error: nullableString,
+              },
+            },
+          },
+          totalFiles: { type: "integer", minimum: 0 },
+          failedFiles: { type: "integer", minimum: 0 },
+          totalUniqueTools: { type: "integer", minimum: 0 },
+          totalQuantity: { type: "number" },
+          conflicts: { type: "integer", minimum: 0, description: "Tool codes found in more than one file" },
+          snapshotId: { ...nullableString, description: "Inventory snapshot taken by the run" },
+          errors: {
+            type: "array",
+            items: {
+              type: "object",
+              required: ["message"],
+              properties: { fileName: nullableString, message: { type: "string" } },
+            },
+          },
+        },
+      },
+
+      ImportHistory: {
+        type: "object",
+        required: ["imports", "total"],
+        properties: {
+          imports: { type: "array", items: ref("ImportRun") },
+          total: { type: "integer", minimum: 0 },
+        },
+      },
+
+      Snapshot: {
+        type: "object",
+        required: ["id", "takenAt", "totalUniqueTools", "totalQuantity"],
+        properties: {
+          id: { type: "string" },
+          takenAt: timestamp,
+          sourceFiles: stringList,
+          totalUniqueTools: { type: "integer", minimum: 0 },
+          totalQuantity: { type: "number" },
+          hash: { type: "string", description: "sha256 of the inventory; unchanged inventories are not snapshotted again" },
+        },
+      },
+
+      SnapshotList: {
+        type: "object",
+        required: ["snapshots", "total"],
+        properties: {
+          snapshots: { type: "array", items: ref("Snapshot") },
+          total: { type: "integer", minimum: 0 },
+        },
+      },
+
+      InventoryDiff: {
+        type: "object",
+        required: ["from", "to", "summary", "tools"],
+        properties: {
+          from: { type: "object", required: ["id", "takenAt"] },
+          to: { type: "object", required: ["id", "takenAt"] },
+          summary: {
+            type: "object",
+            required: ["totalAdded", "totalConsumed"],
+            properties: {
+              totalAdded: { type: "number" },
+              totalConsumed: { type: "number" },
+              newCodes: { type: "integer" },
+              removedCodes: { type: "integer" },
+              changedCodes: { type: "integer" },
+              unchangedCodes: { type: "integer" },
+            },
+          },
+          tools: {
+            type: "array",
+            items: {
+              type: "object",
+              required: ["toolCode", "from", "to", "change", "status"],
+              properties: {
+                toolCode: { type: "string" },
+                from: { type: "number" },
+                to: { type: "number" },
+                change: { type: "number" },
+                added: { type: "number" },
+                consumed: { type: "number" },
+                status: { type: "string", enum: ["new", "removed", "changed", "unchanged"] },
+              },
+            },
+          },
+        },
+      },
+
+      ReorderLine: {
+        type: "object",
+        required: ["toolCode", "currentStock", "suggestedQuantity"],
+        properties: {
+          toolCode: { type: "string" },
+          category: nullableString,
+          description: { type: "string" },
+          supplier: nullableString,
+          unit: nullableString,
+          currentStock: { type: "number" },
+          consumedInHistory: { type: "number" },
+          dailyConsumption: { type: "number" },
+          daysOfStock: nullableNumber,
+          forecastDemand: { type: "number" },
+          leadTimeDays: { type: "number" },
+          leadTimeDemand: { type: "number" },
+          safetyStock: { type: "number" },
+          suggestedQuantity: { type: "number" },
+        },
+      },
+
+      PurchaseSuggestions: {
+        type: "object",
+        required: ["generatedAt", "history", "suggestions"],
+        properties: {
+          generatedAt: timestamp,
+          history: {
+            type: "object",
+            required: ["days", "snapshots"],
+            properties: {
+              from: nullableString,
+              to: nullableString,
+              days: { type: "number" },
+              snapshots: { type: "integer", minimum: 0 },
+            },
+          },
+          suggestions: { type: "array", items: ref("ReorderLine") },
+          tools: { type: "array", items: ref("ReorderLine"), description: "Only with all=true" },
+        },
+      },
+
+      ScanRequest: {
+        type: "object",
+        properties: {
+          wait: { type: "boolean", description: "Same as ?wait=true" },
+        },
+      },
+
+      ScanJob: {
+        type: "object",
+        required: ["id", "state", "trigger", "createdAt", "coalescedRequests"],
+        properties: {
+          id: { type: "string" },
+          state: { type: "string", enum: ["queued", "running", "completed", "failed"] },
+          trigger: { type: "string" },
+          createdAt: timestamp,
+          startedAt: nullableString,
+          finishedAt: nullableString,
+          durationMs: nullableNumber,
+          stage: nullableString,
+          progress: {
+            type: "object",
+            nullable: true,
+            properties: {
+              completed: { type: "integer", minimum: 0 },
+              total: { type: "integer", minimum: 0 },
+            },
+          },
+          coalescedRequests: { type: "integer", minimum: 0 },
+          result: {
+            type: "object",
+            nullable: true,
+            properties: {
+              toolCount: { type: "integer", minimum: 0 },
+              scan: { type: "object", nullable: true },
+            },
+          },
+          error: nullableString,
+        },
+      },
+
+      ScanJobAccepted: {
+        type: "object",
+        required: ["success", "jobId", "state", "coalesced", "statusUrl"],
+        properties: {
+          success: { type: "boolean" },
+          jobId: { type: "string" },
+          state: { type: "string", enum: ["queued", "running"] },
+          coalesced: { type: "boolean" },
+          statusUrl: { type: "string" },
+        },
+      },
+
+      ScanJobFinished: {
+        type: "object",
+        required: ["success", "coalesced", "job"],
+        properties: {
+          success: { type: "boolean" },
+          coalesced: { type: "boolean" },
+          job: ref("ScanJob"),
+        },
+      },
+
+      ScanJobList: {
+        type: "object",
+        required: ["active", "jobs"],
+        properties: {
+          active: { ...ref("ScanJob"), nullable: true },
+          jobs: { type: "array", items: ref("ScanJob") },
+        },
+      },
+    },
+  },
+};
+
+module.exports = openApiDocument;
@@ -0,0 +1,203 @@
+// server/openapiValidator.js
+/**
+ * Express middleware that checks requests and JSON responses against the
+ * OpenAPI document (server/openapi.js). Enabled through config.api.validation,
+ * which is on in development mode (NODE_ENV=development):
+ * - invalid path, query, header parameters or bodies answer 400 VALIDATION_ERROR
+ * - a JSON response that breaks the contract is logged and replaced with
+ *   500 RESPONSE_VALIDATION_ERROR, so drift shows up while developing
+ * Paths missing from the document are passed through untouched.
+ */
+
+const config = require("../config");
+const Logger = require("../utils/Logger");
+const SchemaValidator = require("../src/SchemaValidator");
+
+/**
+ * Compile the document's paths into matchers; literal paths are tried before
+ * templated ones so /api/tools/matrix wins over /api/tools/{id}
+ */
+function compilePaths(document) {
+  return Object.keys(document.paths)
+    .map((template) => {
+      const names = [];
+      const pattern = template
+        .replace(/[.*+?^$()|[\]\\]/g, "\\$&")
+        .replace(/\{([^}]+)\}/g, (match, name) => {
+          names.push(name);
+          return "([^/]+)";
+        });
+      return { template, names, regex: new RegExp(`^${pattern}$`) };
+    })
+    .sort((a, b) => a.names.length - b.names.length);
+}
+
+/**
+ * Find the operation for a request
+ * @returns {Object|null} - { template, operation, pathParams }
+ */
+function matchOperation(document, compiled, method, requestPath) {
+  for (const { template, names, regex } of compiled) {
+    const match = requestPath.match(regex);
+    if (!match) {
+      continue;
+    }
+
+    const operation = document.paths[template][method.toLowerCase()];
+    if (!operation) {
+      return null;
+    }
+
+    const pathParams = {};
+    names.forEach((name, index) => {
+      pathParams[name] = decodeURIComponent(match[index + 1]);
+    });
+    return { template, operation, pathParams };
+  }
+  return null;
+}
+
+/**
+ * Convert a raw string parameter to the type its schema declares; values that
+ * do not convert are returned as they are so the type check reports them
+ */
+function coerceParameter(raw, schema) {
+  const value = Array.isArray(raw) ? raw[raw.length - 1] : raw;
+  switch (schema.type) {
+    case "integer":
+      return /^-?\d+$/.test(value) ? Number(value) : value;
+    case "number":
+      return value !== "" && !Number.isNaN(Number(value)) ? Number(value) : value;
+    case "boolean":
+      return value === "true" ? true : value === "false" ? false : value;
+    default:
+      return value;
+  }
+}
+
+function resolve(document, node) {
+  return node && node.$ref ? SchemaValidator.resolveRef(document, node.$ref) : node;
+}
+
+/**
+ * Validate the parameters and body of a request
+ * @returns {Array} - [{ path, message }]
+ */
+function validateRequest(document, match, req) {
+  const errors = [];
+
+  for (const parameter of (match.operation.parameters || []).map((p) => resolve(document, p))) {
+    let raw;
+    if (parameter.in === "path") {
+      raw = match.pathParams[parameter.name];
+    } else if (parameter.in === "query") {
+      raw = req.query[parameter.name];
+    } else if (parameter.in === "header") {
+      raw = req.get(parameter.name);
+    }
+
+    const where = `${parameter.in}.${parameter.name}`;
+    if (raw === undefined) {
+      if (parameter.required) {
+        errors.push({ path: where, message: "Required parameter is missing" });
+      }
+      continue;
+    }
+    const value = coerceParameter(raw, parameter.schema);
+    errors.push(...SchemaValidator.validateSchema(value, parameter.schema, document, where).errors);
+  }
+
+  const requestBody = resolve(document, match.operation.requestBody);
+  if (requestBody) {
+    const hasBody =
+      req.body !== undefined && !(typeof req.body === "object" && Object.keys(req.body).length === 0);
+    const media = requestBody.content && requestBody.content["application/json"];
+    if (!hasBody && requestBody.required) {
+      errors.push({ path: "body", message: "Request body is required" });
+    } else if (hasBody && media) {
+      errors.push(...SchemaValidator.validateSchema(req.body, media.schema, document, "body").errors);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a JSON response body against the documented response of its status
+ * @returns {Array} - [{ path, message }]
+ */
+function validateResponse(document, operation, statusCode, body) {
+  const response = resolve(document, operation.responses[String(statusCode)] || operation.responses.default);
+  if (!response) {
+    return [{ path: "status", message: `Undocumented response status ${statusCode}` }];
+  }
+  const media = response.content && response.content["application/json"];
+  if (!media) {
+    return [{ path: "content", message: `Status ${statusCode} is not documented as JSON` }];
+  }
+  return SchemaValidator.validateSchema(body, media.schema, document, "response").errors;
+}
+
+/**
+ * @param {Object} document - OpenAPI document
+ * @returns {Function} - Express middleware
+ */
+function createOpenApiValidator(document) {
+  const compiled = compilePaths(document);
+
+  return (req, res, next) => {
+    const { requests, responses } = config.api.validation;
+    if (!requests && !responses) {
+      return next();
+    }
+
+    const match = matchOperation(document, compiled, req.method, req.path);
+    if (!match) {
+      return next();
+    }
+
+    if (requests) {
+      const errors = validateRequest(document, match, req);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          error: {
+            code: "VALIDATION_ERROR",
+            message: `${errors[0].path}: ${errors[0].message}`,
+            details: errors,
+          },
+        });
+      }
+    }
+
+    if (responses) {
+      const sendJson = res.json.bind(res);
+      res.json = (body) => {
+        const errors = validateResponse(document, match.operation, res.statusCode, body);
+        if (errors.length === 0) {
+          return sendJson(body);
+        }
+        Logger.error(
+          `❌ Response of ${req.method} ${req.path} (${res.statusCode}) breaks the API contract: ` +
+            errors.map((error) => `${error.path}: ${error.message}`).join("; ")
+        );
+        res.status(500);
+        return sendJson({
+          error: {
+            code: "RESPONSE_VALIDATION_ERROR",
+            message: `Response does not match the ${match.template} contract`,
+            details: errors,
+          },
+        });
+      };
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  createOpenApiValidator,
+  validateResponse,
+  matchOperation,
+  compilePaths,
+};
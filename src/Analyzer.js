@@ -67,8 +67,8 @@ class Analyzer {
 
       // Check file extension
       const extension = path.extname(excelPath).toLowerCase();
-      if (!['.xlsx', '.xls', '.xlsm'].includes(extension)) {
-        Logger.error(`Invalid file extension: ${extension}. Expected .xlsx, .xls, or .xlsm`);
+      if (!config.excel.supportedExtensions.includes(extension)) {
+        Logger.error(`Invalid file extension: ${extension}. Expected ${config.excel.supportedExtensions.join(', ')}`);
         return null;
       }
 
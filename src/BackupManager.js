@@ -0,0 +1,512 @@
+// path: src/BackupManager.js
+/**
+ * Backup and restore of the ToolManager state. A backup is one gzipped JSON
+ * archive (toolmanager-backup-<time>-<reason>.json.gz) holding
+ *   results/      the results folder (ToolManager_Result.json, reports, scan manifest)
+ *   snapshots/    the inventory snapshots (results/inventory_snapshots)
+ *   storage/      every DataManager collection (tool edits, matrices, locations, logs)
+ *   definitions/  matrix tool definitions (config.backup.definitionFiles)
+ *   settings/     settings saved from the Dashboard (config.app.settingsFile)
+ * and a manifest with the size and sha256 of every entry.
+ *
+ * A restore checks the whole archive before touching anything, then takes a
+ * "pre-restore" backup and goes back to it if applying the archive fails.
+ */
+
+const fs = require("fs").promises;
+const path = require("path");
+const crypto = require("crypto");
+const zlib = require("zlib");
+const { promisify } = require("util");
+const config = require("../config");
+const Logger = require("../utils/Logger");
+const { version: APP_VERSION } = require("../package.json");
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const FORMAT = "toolmanager-backup";
+const FORMAT_VERSION = 1;
+const SECTIONS = ["results", "snapshots", "storage", "definitions", "settings"];
+const ARCHIVE_NAME_PATTERN = /^toolmanager-backup-[\w.-]+\.json\.gz$/;
+const ENTRY_PATH_PATTERN = /^[\w .-]+(\/[\w .-]+)*$/;
+const SNAPSHOTS_FOLDER = "inventory_snapshots";
+const SETTINGS_ENTRY = "settings/settings.json";
+
+function sha256(buffer) {
+  return crypto.createHash("sha256").update(buffer).digest("hex");
+}
+
+async function readIfExists(file) {
+  try {
+    return await fs.readFile(file);
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Every file below a folder (none when it does not exist)
+ */
+async function listFiles(folder) {
+  let items;
+  try {
+    items = await fs.readdir(folder, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return [];
+    }
+    throw error;
+  }
+  const files = [];
+  for (const item of items) {
+    const itemPath = path.join(folder, item.name);
+    if (item.isDirectory()) {
+      files.push(...(await listFiles(itemPath)));
+    } else if (item.isFile()) {
+      files.push(itemPath);
+    }
+  }
+  return files;
+}
+
+async function writeAtomic(file, content) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(`${file}.tmp`, content);
+  await fs.rename(`${file}.tmp`, file);
+}
+
+class BackupManager {
+  /**
+   * @param {Object} options
+   * @param {DataManager} options.dataManager - Initialized DataManager (results path and storage)
+   * @param {string} options.backupPath - Defaults to config.backup.path, else ToolManager/backups
+   * @param {number} options.keep - Archives kept (config.backup.keep); 0 keeps all
+   * @param {Array<string>} options.definitionFiles - Defaults to config.backup.definitionFiles
+   * @param {string} options.settingsFile - Defaults to config.app.settingsFile
+   */
+  constructor(options = {}) {
+    this.dataManager = options.dataManager;
+    this.resultsPath = this.dataManager.resultsPath;
+    this.backupPath =
+      options.backupPath || config.backup.path || path.join(path.dirname(this.resultsPath), "backups");
+    this.keep = options.keep !== undefined ? options.keep : config.backup.keep;
+    this.definitionFiles = options.definitionFiles || null;
+    this.settingsFile = options.settingsFile || null;
+    this.timer = null;
+    this.schedule = null;
+  }
+
+  // Read when used, so settings changed after construction count
+  getDefinitionFiles() {
+    return this.definitionFiles || config.backup.definitionFiles;
+  }
+
+  getSettingsFile() {
+    return this.settingsFile || config.app.settingsFile;
+  }
+
+  /**
+   * Contents of the archive entries
+   * @returns {Map<string, Buffer>} - Entry path -> content
+   */
+  async collectEntries() {
+    const entries = new Map();
+
+    for (const file of await listFiles(this.resultsPath)) {
+      if (file.endsWith(".tmp")) {
+        continue;
+      }
+      const relative = path.relative(this.resultsPath, file).split(path.sep).join("/");
+      const entryPath = relative.startsWith(`${SNAPSHOTS_FOLDER}/`)
+        ? `snapshots/${relative.slice(SNAPSHOTS_FOLDER.length + 1)}`
+        : `results/${relative}`;
+      entries.set(entryPath, await fs.readFile(file));
+    }
+
+    const collections = await this.dataManager.exportStorage();
+    for (const [name, documents] of Object.entries(collections)) {
+      entries.set(`storage/${name}.json`, Buffer.from(JSON.stringify(documents, null, 2)));
+    }
+
+    for (const file of this.getDefinitionFiles()) {
+      const content = await readIfExists(file);
+      if (content) {
+        entries.set(`definitions/${path.basename(file)}`, content);
+      }
+    }
+
+    const settings = await readIfExists(this.getSettingsFile());
+    if (settings) {
+      entries.set(SETTINGS_ENTRY, settings);
+    }
+
+    return entries;
+  }
+
+  /**
+   * Write a backup archive and delete the ones beyond the retention
+   * @param {Object} options - { reason: "manual" | "scheduled" | "pre-restore", prune }
+   * @returns {Object} - { name, file, createdAt, reason, size, sections, removed }
+   */
+  async createBackup(options = {}) {
+    const reason = options.reason || "manual";
+    const entries = await this.collectEntries();
+    const createdAt = new Date().toISOString();
+
+    const sections = Object.fromEntries(SECTIONS.map((section) => [section, 0]));
+    const manifestEntries = [];
+    const files = {};
+    for (const [entryPath, content] of entries) {
+      const section = entryPath.split("/")[0];
+      sections[section]++;
+      manifestEntries.push({ path: entryPath, section, size: content.length, sha256: sha256(content) });
+      files[entryPath] = content.toString("base64");
+    }
+
+    const manifest = {
+      format: FORMAT,
+      formatVersion: FORMAT_VERSION,
+      appVersion: APP_VERSION,
+      createdAt,
+      reason,
+      storageType: this.dataManager.storage.type,
+      sections,
+      entries: manifestEntries,
+    };
+
+    const name = `toolmanager-backup-${createdAt.replace(/[:.]/g, "-")}-${reason}.json.gz`;
+    const file = path.join(this.backupPath, name);
+    const archive = await gzip(Buffer.from(JSON.stringify({ manifest, files })));
+    await writeAtomic(file, archive);
+
+    const removed = options.prune === false ? [] : await this.prune();
+    Logger.info(`💾 Backup ${name}: ${manifestEntries.length} entries, ${archive.length} bytes`);
+    return { name, file, createdAt, reason, size: archive.length, sections, removed };
+  }
+
+  /**
+   * Archives in the backup folder, newest first
+   */
+  async listArchiveNames() {
+    try {
+      const names = await fs.readdir(this.backupPath);
+      return names.filter((name) => ARCHIVE_NAME_PATTERN.test(name)).sort().reverse();
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Backups with their manifest summary, newest first
+   */
+  async listBackups() {
+    const backups = [];
+    for (const name of await this.listArchiveNames()) {
+      const file = path.join(this.backupPath, name);
+      const { size } = await fs.stat(file);
+      try {
+        const { manifest } = await this.readArchive(name);
+        backups.push({
+          name,
+          file,
+          size,
+          createdAt: manifest.createdAt,
+          reason: manifest.reason,
+          appVersion: manifest.appVersion,
+          formatVersion: manifest.formatVersion,
+          sections: manifest.sections,
+        });
+      } catch (error) {
+        backups.push({ name, file, size, error: error.message });
+      }
+    }
+    return backups;
+  }
+
+  /**
+   * Delete the archives beyond the newest config.backup.keep
+   * @returns {Array<string>} - Names of the deleted archives
+   */
+  async prune() {
+    if (!this.keep || this.keep < 1) {
+      return [];
+    }
+    const removed = (await this.listArchiveNames()).slice(this.keep);
+    for (const name of removed) {
+      await fs.rm(path.join(this.backupPath, name), { force: true });
+    }
+    if (removed.length > 0) {
+      Logger.info(`🧹 Removed ${removed.length} old backup(s)`);
+    }
+    return removed;
+  }
+
+  /**
+   * @param {string} name - Archive name in the backup folder, or an absolute path
+   * @returns {Object} - { manifest, files }
+   */
+  async readArchive(name) {
+    if (!path.isAbsolute(name) && !ARCHIVE_NAME_PATTERN.test(name)) {
+      const error = new Error(`Not a backup archive name: ${name}`);
+      error.code = "ENOENT";
+      throw error;
+    }
+    const file = path.isAbsolute(name) ? name : path.join(this.backupPath, name);
+    const content = await fs.readFile(file);
+    let archive;
+    try {
+      archive = JSON.parse((await gunzip(content)).toString("utf8"));
+    } catch (error) {
+      throw new Error(`Not a readable backup archive (${error.message})`);
+    }
+    if (!archive || typeof archive !== "object" || !archive.manifest || !archive.files) {
+      throw new Error("Not a backup archive (manifest or files missing)");
+    }
+    return archive;
+  }
+
+  /**
+   * Check an archive against its manifest
+   * @returns {Array} - [{ path, message }]
+   */
+  static verifyArchive(archive) {
+    const errors = [];
+    const { manifest, files } = archive;
+
+    if (manifest.format !== FORMAT) {
+      return [{ path: "manifest.format", message: `Must be ${FORMAT}` }];
+    }
+    if (!Number.isInteger(manifest.formatVersion) || manifest.formatVersion > FORMAT_VERSION) {
+      return [{ path: "manifest.formatVersion", message: `Supported up to version ${FORMAT_VERSION}` }];
+    }
+    if (!Array.isArray(manifest.entries)) {
+      return [{ path: "manifest.entries", message: "Must be a list" }];
+    }
+
+    const listed = new Set();
+    for (const entry of manifest.entries) {
+      const entryPath = entry && entry.path;
+      listed.add(entryPath);
+      const segments = typeof entryPath === "string" ? entryPath.split("/") : [];
+      if (!ENTRY_PATH_PATTERN.test(entryPath || "") || segments.includes("..") || !SECTIONS.includes(segments[0])) {
+        errors.push({ path: String(entryPath), message: "Invalid entry path" });
+        continue;
+      }
+      if (typeof files[entryPath] !== "string") {
+        errors.push({ path: entryPath, message: "Listed in the manifest but missing" });
+        continue;
+      }
+
+      const content = Buffer.from(files[entryPath], "base64");
+      if (content.length !== entry.size || sha256(content) !== entry.sha256) {
+        errors.push({ path: entryPath, message: "Checksum mismatch" });
+        continue;
+      }
+
+      if (segments[0] === "storage") {
+        if (segments.length !== 2 || !/^[\w-]+\.json$/.test(segments[1])) {
+          errors.push({ path: entryPath, message: "Invalid collection name" });
+          continue;
+        }
+      }
+      if (segments[0] === "storage" || entryPath === SETTINGS_ENTRY) {
+        try {
+          const value = JSON.parse(content.toString("utf8"));
+          if (segments[0] === "storage" && !Array.isArray(value)) {
+            errors.push({ path: entryPath, message: "Must be a list of documents" });
+          }
+        } catch (error) {
+          errors.push({ path: entryPath, message: `Invalid JSON (${error.message})` });
+        }
+      }
+    }
+
+    for (const entryPath of Object.keys(files)) {
+      if (!listed.has(entryPath)) {
+        errors.push({ path: entryPath, message: "Not listed in the manifest" });
+      }
+    }
+    return errors;
+  }
+
+  /**
+   * Restore a backup. Nothing is changed when the archive does not verify; a
+   * failure while applying it restores the "pre-restore" backup taken first.
+   * @param {string} name - Archive name in the backup folder, or an absolute path
+   * @returns {Object} - { status: "restored", name, createdAt, sections, rollback }
+   *   | { status: "not_found" } | { status: "invalid", errors }
+   *   | { status: "failed", error, rolledBack, rollback }
+   */
+  async restoreBackup(name) {
+    let archive;
+    try {
+      archive = await this.readArchive(name);
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return { status: "not_found" };
+      }
+      return { status: "invalid", errors: [{ path: "archive", message: error.message }] };
+    }
+
+    const errors = BackupManager.verifyArchive(archive);
+    if (errors.length > 0) {
+      Logger.warn(`⚠️  Backup ${name} failed verification: ${errors[0].path}: ${errors[0].message}`);
+      return { status: "invalid", errors };
+    }
+
+    const rollback = await this.createBackup({ reason: "pre-restore", prune: false });
+    try {
+      await this.applyArchive(archive);
+    } catch (error) {
+      Logger.error(`❌ Restore of ${name} failed, rolling back: ${error.message}`);
+      let rolledBack = false;
+      try {
+        await this.applyArchive(await this.readArchive(rollback.name));
+        rolledBack = true;
+      } catch (rollbackError) {
+        Logger.error(`❌ Rollback to ${rollback.name} failed: ${rollbackError.message}`);
+      }
+      return { status: "failed", error: error.message, rolledBack, rollback: rollback.name };
+    }
+
+    Logger.info(`♻️  Restored backup ${name} (from ${archive.manifest.createdAt})`);
+    return {
+      status: "restored",
+      name: path.basename(name),
+      createdAt: archive.manifest.createdAt,
+      sections: archive.manifest.sections,
+      rollback: rollback.name,
+    };
+  }
+
+  /**
+   * Replace the current state with a verified archive
+   */
+  async applyArchive(archive) {
+    const contents = new Map(
+      Object.entries(archive.files).map(([entryPath, data]) => [entryPath, Buffer.from(data, "base64")])
+    );
+
+    // Storage: collections missing from the archive are emptied
+    const collections = {};
+    for (const [entryPath, content] of contents) {
+      if (entryPath.startsWith("storage/")) {
+        collections[path.basename(entryPath, ".json")] = JSON.parse(content.toString("utf8"));
+      }
+    }
+    await this.dataManager.importStorage(collections);
+
+    // Results and snapshots: build the folder next to the current one, then swap
+    const staging = `${this.resultsPath}.restoring`;
+    const previous = `${this.resultsPath}.previous`;
+    await fs.rm(staging, { recursive: true, force: true });
+    await fs.rm(previous, { recursive: true, force: true });
+    await fs.mkdir(staging, { recursive: true });
+    for (const [entryPath, content] of contents) {
+      const [section, ...rest] = entryPath.split("/");
+      if (section === "results" || section === "snapshots") {
+        const target = path.join(staging, ...(section === "snapshots" ? [SNAPSHOTS_FOLDER] : []), ...rest);
+        await fs.mkdir(path.dirname(target), { recursive: true });
+        await fs.writeFile(target, content);
+      }
+    }
+    const hadResults = await fs.stat(this.resultsPath).then(() => true, () => false);
+    if (hadResults) {
+      await fs.rename(this.resultsPath, previous);
+    }
+    try {
+      await fs.rename(staging, this.resultsPath);
+    } catch (error) {
+      if (hadResults) {
+        await fs.rename(previous, this.resultsPath);
+      }
+      throw error;
+    }
+    await fs.rm(previous, { recursive: true, force: true });
+
+    // Definitions are only written to the files configured here
+    for (const file of this.getDefinitionFiles()) {
+      const content = contents.get(`definitions/${path.basename(file)}`);
+      if (content) {
+        await writeAtomic(file, content);
+      }
+    }
+
+    const settings = contents.get(SETTINGS_ENTRY);
+    if (settings) {
+      await writeAtomic(this.getSettingsFile(), settings);
+    } else {
+      await fs.rm(this.getSettingsFile(), { force: true });
+    }
+  }
+
+  /**
+   * Back up every intervalHours until stopSchedule(); the timer does not keep
+   * the process alive
+   * @returns {boolean} - Whether a schedule was started
+   */
+  startSchedule(intervalHours = config.backup.intervalHours) {
+    this.stopSchedule();
+    if (!(intervalHours > 0)) {
+      return false;
+    }
+
+    const intervalMs = intervalHours * 60 * 60 * 1000;
+    this.schedule = {
+      intervalHours,
+      nextRunAt: new Date(Date.now() + intervalMs).toISOString(),
+      lastRun: null,
+    };
+    this.timer = setInterval(() => this.runScheduledBackup(intervalMs), intervalMs);
+    this.timer.unref();
+    Logger.info(`🕒 Scheduled backups every ${intervalHours}h, keeping ${this.keep || "all"}`);
+    return true;
+  }
+
+  async runScheduledBackup(intervalMs) {
+    const at = new Date().toISOString();
+    this.schedule.nextRunAt = new Date(Date.now() + intervalMs).toISOString();
+    try {
+      const backup = await this.createBackup({ reason: "scheduled" });
+      this.schedule.lastRun = { at, status: "ok", name: backup.name, error: null };
+    } catch (error) {
+      Logger.error(`❌ Scheduled backup failed: ${error.message}`);
+      this.schedule.lastRun = { at, status: "failed", name: null, error: error.message };
+    }
+  }
+
+  stopSchedule() {
+    if (this.timer) {
+      clearInterval(this.timer);
+    }
+    this.timer = null;
+    this.schedule = null;
+  }
+
+  /**
+   * @returns {Object} - { enabled, intervalHours, keep, backupPath, nextRunAt, lastRun }
+   */
+  getSchedule() {
+    return {
+      enabled: this.timer !== null,
+      intervalHours: this.schedule ? this.schedule.intervalHours : 0,
+      keep: this.keep,
+      backupPath: this.backupPath,
+      nextRunAt: this.schedule ? this.schedule.nextRunAt : null,
+      lastRun: this.schedule ? this.schedule.lastRun : null,
+    };
+  }
+}
+
+BackupManager.FORMAT_VERSION = FORMAT_VERSION;
+BackupManager.SECTIONS = SECTIONS;
+BackupManager.ARCHIVE_NAME_PATTERN = ARCHIVE_NAME_PATTERN;
+
+module.exports = BackupManager;
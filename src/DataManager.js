@@ -1,16 +1,44 @@
 /**
  * DataManager for ToolManager
- * Provides tool-specific data operations using local JSON files
+ * Provides tool-specific data operations: scan results are read from the
+ * local JSON result files, tools, matrices, locations and the Excel
+ * processing log are kept in the configured storage (see src/storage)
  */
 
 const fs = require("fs").promises;
 const path = require("path");
+const { v4: uuidv4 } = require("uuid");
 const config = require("../config");
+const { createStorage, resolveStorageType } = require("./storage");
+const InventoryHistory = require("./InventoryHistory");
+const DemandForecast = require("./DemandForecast");
+const ReorderPlanner = require("./ReorderPlanner");
+const { mergeTools } = require("./ToolOverrides");
+const ToolLocations = require("./ToolLocations");
+const BackupManager = require("./BackupManager");
+
+// Storage collections
+const COLLECTIONS = {
+  TOOLS: "tools",
+  MATRICES: "matrices",
+  EXCEL_LOG: "excel_processing_log",
+  EXCEL_TOOLS: "excel_inventory",
+  REPORTS: "tool_reports",
+};
 
 class DataManager {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {StorageAdapter} options.storage - Storage to use instead of config.storage.type
+   * @param {string} options.storageType - "auto", "local" or "mongodb" instead of config.storage.type
+   */
+  constructor(options = {}) {
     this.initialized = false;
     this.resultsPath = this.getResultsPath();
+    this.dataPath = path.join(path.dirname(this.resultsPath), "data");
+    this.storage = options.storage || null;
+    this.storageType = options.storageType || config.storage.type;
+    this.locations = null;
   }
 
   /**
@@ -43,21 +71,63 @@ class DataManager {
 
   async initialize() {
     if (this.initialized) return;
-    console.log(`📊 ToolManager DataManager initialized with local storage`);
+    if (this.storage) {
+      await this.storage.connect();
+    } else {
+      this.storage = await this.connectStorage();
+    }
+    this.locations = new ToolLocations(this.storage);
+    console.log(`📊 ToolManager DataManager initialized with ${this.storage.type} storage`);
     console.log(`📁 Results path: ${this.resultsPath}`);
     this.initialized = true;
   }
 
   /**
-   * Get all tools from the latest ToolManager_Result.json
+   * Connect the configured storage; in "auto" mode an unreachable MongoDB
+   * falls back to local files
    */
-  async getAllTools(filter = {}) {
+  async connectStorage() {
+    const type = resolveStorageType(this.storageType);
+    const storage = createStorage({ type, dataPath: this.dataPath });
+    try {
+      await storage.connect();
+      return storage;
+    } catch (error) {
+      if (type !== "mongodb" || this.storageType !== "auto") {
+        throw error;
+      }
+      console.warn(`⚠️  MongoDB not available (${error.message}) - using local storage`);
+      const local = createStorage({ type: "local", dataPath: this.dataPath });
+      await local.connect();
+      return local;
+    }
+  }
+
+  /**
+   * Tools of the latest ToolManager_Result.json as generated by the scan
+   */
+  async getScannedTools() {
     try {
       const resultFile = path.join(this.resultsPath, "ToolManager_Result.json");
       const fileContent = await fs.readFile(resultFile, "utf8");
-      const data = JSON.parse(fileContent);
+      return JSON.parse(fileContent).tools || [];
+    } catch (error) {
+      console.error(`Failed to read tools data: ${error.message}`);
+      return [];
+    }
+  }
 
-      let tools = data.tools || [];
+  /**
+   * Get all tools: the latest ToolManager_Result.json with the edits and
+   * tools kept in storage (see ToolOverrides)
+   * @param {Object} filter - { status, isMatrix, includeRetired }
+   */
+  async getAllTools(filter = {}) {
+    try {
+      const records = this.storage ? await this.getStoredTools() : [];
+      let tools = mergeTools(await this.getScannedTools(), records, {
+        includeRetired: filter.includeRetired || filter.status === "retired",
+      });
 
       // Apply filters if provided
       if (filter.status) {
@@ -69,17 +139,17 @@ class DataManager {
 
       return tools;
     } catch (error) {
-      console.error(`Failed to read tools data: ${error.message}`);
+      console.error(`Failed to get tools: ${error.message}`);
       return [];
     }
   }
 
   /**
-   * Get tool by ID
+   * Get tool by ID (retired tools included)
    */
   async getToolById(toolId) {
     try {
-      const tools = await this.getAllTools();
+      const tools = await this.getAllTools({ includeRetired: true });
       return tools.find((t) => t.id === toolId) || null;
     } catch (error) {
       console.error(`Failed to get tool by ID: ${error.message}`);
@@ -87,6 +157,26 @@ class DataManager {
     }
   }
 
+  /**
+   * Whether a tool id is a scanned, registered or Excel inventory tool (matrix
+   * tools are known by their Excel item code), or already has a location
+   */
+  async isKnownTool(toolId) {
+    if (await this.getToolById(toolId)) {
+      return true;
+    }
+    if (this.locations && (await this.getToolLocation(toolId))) {
+      return true;
+    }
+    try {
+      const resultFile = path.join(this.resultsPath, "excel_processing_result.json");
+      const excelData = JSON.parse(await fs.readFile(resultFile, "utf8"));
+      return (excelData.toolInventory || []).some((item) => item.toolCode === toolId);
+    } catch (error) {
+      return false;
+    }
+  }
+
   /**
    * Get tool by name
    */
@@ -137,14 +227,24 @@ class DataManager {
   /**
    * Get upcoming tools analysis
    */
-  async getUpcomingTools() {
+  async getUpcomingTools(options = {}) {
     try {
       const tools = await this.getAllTools({ status: "in_use" });
+      const { projects, schedule } = await this.getProjectSchedule();
+      const forecast = await this.getDemandForecast(options);
+      const today = new Date().toISOString().slice(0, 10);
+
       return {
         totalTools: tools.length,
         totalUsageTime: tools.reduce((sum, t) => sum + (t.usageTime || 0), 0),
         toolsByType: this.groupToolsByType(tools),
         topTools: tools.slice(0, 10), // Top 10 by usage time
+        // Projects still due, earliest first, with dates from the production plan
+        upcomingProjects: projects.filter(
+          (p) => !p.dueDate || p.dueDate.slice(0, 10) >= today
+        ),
+        schedule,
+        forecast,
       };
     } catch (error) {
       console.error(`Failed to get upcoming tools: ${error.message}`);
@@ -153,10 +253,133 @@ class DataManager {
         totalUsageTime: 0,
         toolsByType: {},
         topTools: [],
+        upcomingProjects: [],
+        schedule: null,
+        forecast: null,
       };
     }
   }
 
+  /**
+   * Forecast matrix tool demand from scheduled projects against current stock
+   * @param {Object} options - { bucket: "day"|"week", horizonDays, from }
+   * @returns {Object|null} - DemandForecast result, or null without a report
+   */
+  async getDemandForecast(options = {}) {
+    try {
+      const resultFile = path.join(this.resultsPath, "ToolManager_Result.json");
+      const data = JSON.parse(await fs.readFile(resultFile, "utf8"));
+      return new DemandForecast(options).forecast(
+        data.projects || [],
+        data.matrixInventory || []
+      );
+    } catch (error) {
+      console.error(`Failed to build demand forecast: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Reorder points and purchase suggestions for matrix tools
+   * @param {Object} options - { historyDays } (defaults to config.purchasing.historyDays)
+   * @returns {Object|null} - ReorderPlanner result
+   */
+  async getPurchaseSuggestions(options = {}) {
+    try {
+      let stock = [];
+      try {
+        const resultFile = path.join(this.resultsPath, "ToolManager_Result.json");
+        stock = JSON.parse(await fs.readFile(resultFile, "utf8")).matrixInventory || [];
+      } catch (error) {
+        // No report yet - plan from snapshot history only
+      }
+
+      const consumption = await new InventoryHistory(this.resultsPath).getConsumption(
+        options.historyDays || config.purchasing.historyDays
+      );
+      const forecast = await this.getDemandForecast({ bucket: "day" });
+
+      return new ReorderPlanner().plan({ stock, consumption, forecast });
+    } catch (error) {
+      console.error(`Failed to build purchase suggestions: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Get project positions with planned start / due dates from ToolManager_Result.json
+   * @returns {Object} - { projects, schedule: { mode, file, matched, unmatched } }
+   */
+  async getProjectSchedule() {
+    try {
+      const resultFile = path.join(this.resultsPath, "ToolManager_Result.json");
+      const data = JSON.parse(await fs.readFile(resultFile, "utf8"));
+      return { projects: data.projects || [], schedule: data.schedule || null };
+    } catch (error) {
+      console.error(`Failed to read project schedule: ${error.message}`);
+      return { projects: [], schedule: null };
+    }
+  }
+
+  /**
+   * Get the row-level import diagnostics of the last Excel processing run
+   * @param {Object} filter - { fileName, type: 'skipped'|'coerced', suspicious: true|false }
+   */
+  async getImportReport(filter = {}) {
+    try {
+      const reportFile = path.join(this.resultsPath, "excel_import_report.json");
+      const report = JSON.parse(await fs.readFile(reportFile, "utf8"));
+
+      let files = report.files || [];
+      if (filter.fileName) {
+        files = files.filter((f) => f.fileName === filter.fileName);
+      }
+      if (filter.type || filter.suspicious !== undefined) {
+        files = files.map((f) => ({
+          ...f,
+          issues: (f.issues || []).filter(
+            (issue) =>
+              (!filter.type || issue.type === filter.type) &&
+              (filter.suspicious === undefined ||
+                issue.suspicious === filter.suspicious)
+          ),
+        }));
+      }
+
+      return { ...report, files };
+    } catch (error) {
+      console.error(`Failed to read import report: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * List stored inventory snapshots (oldest first)
+   */
+  async getInventorySnapshots() {
+    try {
+      return await new InventoryHistory(this.resultsPath).listSnapshots();
+    } catch (error) {
+      console.error(`Failed to list inventory snapshots: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Compare two inventory snapshots
+   * @param {string} from - Snapshot id, date (YYYY-MM-DD), "previous" or "latest"
+   * @param {string} to - Snapshot id, date (YYYY-MM-DD), "previous" or "latest"
+   * @returns {Object|null} - Diff report, or null if either snapshot is missing
+   */
+  async getInventoryDiff(from = "previous", to = "latest") {
+    try {
+      return await new InventoryHistory(this.resultsPath).diff(from, to);
+    } catch (error) {
+      console.error(`Failed to diff inventory snapshots: ${error.message}`);
+      return null;
+    }
+  }
+
   /**
    * Group tools by type (helper method)
    */
@@ -181,52 +404,422 @@ class DataManager {
     return parts[0] || "Unknown";
   }
 
-  async addTool(toolData) {
-    return null;
+  /**
+   * Tools registered or corrected in storage (not the scan report)
+   */
+  async getStoredTools(filter = {}) {
+    try {
+      return await this.storage.findAll(COLLECTIONS.TOOLS, filter, { sort: { id: 1 } });
+    } catch (error) {
+      console.error(`Failed to read stored tools: ${error.message}`);
+      return [];
+    }
   }
 
-  async updateTool(toolId, updateData) {
-    return null;
+  async getStoredTool(toolId) {
+    try {
+      return await this.storage.findOne(COLLECTIONS.TOOLS, { id: toolId });
+    } catch (error) {
+      console.error(`Failed to read stored tool: ${error.message}`);
+      return null;
+    }
   }
 
-  async deleteTool(toolId) {
-    return null;
+  /**
+   * Store a tool
+   * @param {Object} toolData - Needs an id (or a name, used as id)
+   * @returns {Object|null} - Stored tool, or null if the id is missing or taken
+   */
+  async addTool(toolData = {}) {
+    try {
+      const id = toolData.id || toolData.name;
+      if (!id) {
+        throw new Error("Tool needs an id or name");
+      }
+
+      const now = new Date().toISOString();
+      const stored = await this.storage.insertUnique(COLLECTIONS.TOOLS, {
+        ...toolData,
+        id,
+        name: toolData.name || id,
+        version: 1,
+        createdAt: now,
+        updatedAt: now,
+      });
+      if (!stored) {
+        throw new Error(`Tool ${id} already exists`);
+      }
+      return stored;
+    } catch (error) {
+      console.error(`Failed to add tool: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Change fields of a stored tool (id and createdAt are kept)
+   * @param {Object} options - { expectedVersion } only updates that version
+   * @returns {Object|null} - Updated tool, or null if it is not stored (in that version)
+   */
+  async updateTool(toolId, updateData = {}, options = {}) {
+    try {
+      const existing = await this.storage.findOne(COLLECTIONS.TOOLS, { id: toolId });
+      if (!existing) {
+        return null;
+      }
+      if (options.expectedVersion !== undefined && existing.version !== options.expectedVersion) {
+        return null;
+      }
+
+      const changes = { ...updateData };
+      delete changes.id;
+      delete changes.createdAt;
+      delete changes.version;
+      // The version in the filter makes the check and the update one step
+      return await this.storage.updateOne(
+        COLLECTIONS.TOOLS,
+        { id: toolId, version: existing.version },
+        { ...changes, version: (existing.version || 0) + 1, updatedAt: new Date().toISOString() }
+      );
+    } catch (error) {
+      console.error(`Failed to update tool: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * @param {Object} options - { expectedVersion } only deletes that version
+   * @returns {boolean} - Whether a stored tool was deleted
+   */
+  async deleteTool(toolId, options = {}) {
+    try {
+      const filter = { id: toolId };
+      if (options.expectedVersion !== undefined) {
+        filter.version = options.expectedVersion;
+      }
+      return await this.storage.deleteOne(COLLECTIONS.TOOLS, filter);
+    } catch (error) {
+      console.error(`Failed to delete tool: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Register a tool by hand (POST /api/tools)
+   * @returns {Object} - { status: "created", tool } or { status: "exists" }
+   */
+  async registerTool(toolId, values) {
+    const scanned = (await this.getScannedTools()).some((t) => t.id === toolId);
+    if (scanned || (await this.getStoredTool(toolId))) {
+      return { status: "exists" };
+    }
+    const stored = await this.addTool({ ...values, id: toolId });
+    if (!stored) {
+      return { status: "exists" };
+    }
+    return { status: "created", tool: await this.getToolById(toolId) };
+  }
+
+  /**
+   * Edit a scanned or registered tool, if it is still at the expected version
+   * (PUT / PATCH /api/tools/:id). Scanned tools without edits are version 0.
+   * @param {Object} values - Editable fields (null clears an edit)
+   * @returns {Object} - { status: "updated", tool } | { status: "not_found" }
+   *   | { status: "conflict", currentVersion }
+   */
+  async editTool(toolId, values, expectedVersion) {
+    const scanned = (await this.getScannedTools()).some((t) => t.id === toolId);
+    const record = await this.getStoredTool(toolId);
+    if (!scanned && !record) {
+      return { status: "not_found" };
+    }
+
+    const currentVersion = record ? record.version : 0;
+    if (expectedVersion !== currentVersion) {
+      return { status: "conflict", currentVersion };
+    }
+
+    let saved;
+    if (record) {
+      saved = await this.updateTool(toolId, values, { expectedVersion });
+    } else {
+      // First edit of a scanned tool; a concurrent first edit makes this a conflict
+      const now = new Date().toISOString();
+      saved = await this.storage.insertUnique(COLLECTIONS.TOOLS, {
+        ...values,
+        id: toolId,
+        version: 1,
+        createdAt: now,
+        updatedAt: now,
+      });
+    }
+    if (!saved) {
+      const latest = await this.getStoredTool(toolId);
+      return { status: "conflict", currentVersion: latest ? latest.version : 0 };
+    }
+    return { status: "updated", tool: await this.getToolById(toolId) };
+  }
+
+  /**
+   * Remove a tool (DELETE /api/tools/:id): registered tools are deleted,
+   * scanned tools are retired so the next scan does not bring them back
+   * @returns {Object} - { status: "deleted" } | { status: "retired", tool }
+   *   | { status: "not_found" } | { status: "conflict", currentVersion }
+   */
+  async removeTool(toolId, expectedVersion) {
+    const scanned = (await this.getScannedTools()).some((t) => t.id === toolId);
+    if (scanned) {
+      const result = await this.editTool(toolId, { retired: true }, expectedVersion);
+      return result.status === "updated" ? { status: "retired", tool: result.tool } : result;
+    }
+
+    const record = await this.getStoredTool(toolId);
+    if (!record) {
+      return { status: "not_found" };
+    }
+    if (record.version !== expectedVersion) {
+      return { status: "conflict", currentVersion: record.version };
+    }
+    if (!(await this.deleteTool(toolId, { expectedVersion }))) {
+      const latest = await this.getStoredTool(toolId);
+      return latest ? { status: "conflict", currentVersion: latest.version } : { status: "not_found" };
+    }
+    return { status: "deleted" };
   }
 
   async getAllMatrices(filter = {}) {
-    return [];
+    try {
+      return await this.storage.findAll(COLLECTIONS.MATRICES, filter, { sort: { name: 1 } });
+    } catch (error) {
+      console.error(`Failed to read matrices: ${error.message}`);
+      return [];
+    }
   }
 
   async getMatrixByName(matrixName) {
-    return null;
+    try {
+      return await this.storage.findOne(COLLECTIONS.MATRICES, { name: matrixName });
+    } catch (error) {
+      console.error(`Failed to read matrix: ${error.message}`);
+      return null;
+    }
   }
 
-  async addMatrix(matrixData) {
-    return null;
+  /**
+   * Store a matrix (a named set of tools)
+   * @param {Object} matrixData - { name, description, tools: [toolId] }
+   * @returns {Object|null} - Stored matrix, or null if the name is missing or taken
+   */
+  async addMatrix(matrixData = {}) {
+    try {
+      if (!matrixData.name) {
+        throw new Error("Matrix needs a name");
+      }
+      if (await this.storage.findOne(COLLECTIONS.MATRICES, { name: matrixData.name })) {
+        throw new Error(`Matrix ${matrixData.name} already exists`);
+      }
+
+      const now = new Date().toISOString();
+      return await this.storage.insertOne(COLLECTIONS.MATRICES, {
+        tools: [],
+        ...matrixData,
+        createdAt: now,
+        updatedAt: now,
+      });
+    } catch (error) {
+      console.error(`Failed to add matrix: ${error.message}`);
+      return null;
+    }
   }
 
-  async updateMatrix(matrixName, updateData) {
-    return null;
+  /**
+   * @returns {Object|null} - Updated matrix, or null if it is not stored
+   */
+  async updateMatrix(matrixName, updateData = {}) {
+    try {
+      const changes = { ...updateData };
+      delete changes.name;
+      delete changes.createdAt;
+      return await this.storage.updateOne(
+        COLLECTIONS.MATRICES,
+        { name: matrixName },
+        { ...changes, updatedAt: new Date().toISOString() }
+      );
+    } catch (error) {
+      console.error(`Failed to update matrix: ${error.message}`);
+      return null;
+    }
   }
 
+  /**
+   * Where the pieces of a tool are
+   * @returns {Object|null} - { toolId, quantity, placements }, null when the tool is not tracked
+   */
   async getToolLocation(toolId) {
-    return null;
+    try {
+      const placements = await this.locations.getPlacements({ toolId });
+      if (placements.length === 0) {
+        return null;
+      }
+      return {
+        toolId,
+        quantity: placements.reduce((sum, p) => sum + p.quantity, 0),
+        placements,
+      };
+    } catch (error) {
+      console.error(`Failed to read tool location: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Move pieces of a tool (see ToolLocations.moveTool)
+   * @param {Object} moveData - { from, to, quantity, reason, movedBy }
+   * @returns {Object} - { status: "moved", move, location } | { status: "invalid", errors }
+   */
+  async updateToolLocation(toolId, moveData = {}) {
+    const result = await this.locations.moveTool({ ...moveData, toolId });
+    if (result.status !== "moved") {
+      return result;
+    }
+    return { ...result, location: await this.getToolLocation(toolId) };
   }
 
-  async updateToolLocation(toolId, locationData) {
-    return null;
+  /**
+   * Every placement of every tool
+   */
+  async getAllToolLocations(filter = {}) {
+    try {
+      return await this.locations.getPlacements(filter);
+    } catch (error) {
+      console.error(`Failed to read tool locations: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Move history, newest first
+   * @param {Object} filter - { toolId, locationId, limit }
+   */
+  async getToolMoves(filter = {}) {
+    try {
+      return await this.locations.getHistory(filter);
+    } catch (error) {
+      console.error(`Failed to read tool moves: ${error.message}`);
+      return [];
+    }
+  }
+
+  async getLocations(filter = {}) {
+    return this.locations.listLocations(filter);
+  }
+
+  async getLocation(locationId) {
+    return this.locations.getLocation(locationId);
+  }
+
+  /**
+   * @returns {Object} - { status: "created", location } | { status: "exists" }
+   */
+  async addLocation(locationData) {
+    return this.locations.createLocation(locationData);
+  }
+
+  /**
+   * @returns {Object} - { status: "updated" | "not_found" | "invalid", ... }
+   */
+  async updateLocation(locationId, changes) {
+    return this.locations.updateLocation(locationId, changes);
+  }
+
+  /**
+   * @returns {Object} - { status: "deleted" | "not_found" | "not_empty", ... }
+   */
+  async deleteLocation(locationId) {
+    return this.locations.deleteLocation(locationId);
+  }
+
+  /**
+   * Storeroom the Excel inventory is counted in, created on first import
+   * @returns {string} - Location id
+   */
+  async getExcelStoreroom() {
+    const id = ToolLocations.EXCEL_STOREROOM;
+    if (!(await this.locations.getLocation(id))) {
+      await this.locations.createLocation({ id, type: "storeroom", name: "Storeroom" });
+    }
+    return id;
+  }
+
+  /**
+   * Record an Excel processing run; runs beyond config.excel.importLog.keep
+   * are dropped, oldest first
+   * @returns {Object|null} - Stored entry with id and loggedAt
+   */
+  async logExcelProcessing(logData = {}) {
+    try {
+      const entry = await this.storage.insertOne(COLLECTIONS.EXCEL_LOG, {
+        id: uuidv4(),
+        loggedAt: new Date().toISOString(),
+        ...logData,
+      });
+      await this.pruneExcelProcessingLog(config.excel.importLog.keep);
+      return entry;
+    } catch (error) {
+      console.error(`Failed to log Excel processing: ${error.message}`);
+      return null;
+    }
   }
 
-  async getAllToolLocations() {
-    return [];
+  /**
+   * Delete all but the newest runs of the Excel processing log, in one step
+   * @param {number} keep - Runs kept (0 = no limit)
+   * @returns {number} - Runs deleted
+   */
+  async pruneExcelProcessingLog(keep) {
+    if (!keep || (await this.storage.count(COLLECTIONS.EXCEL_LOG)) <= keep) {
+      return 0;
+    }
+    const entries = await this.storage.findAll(COLLECTIONS.EXCEL_LOG, {}, { sort: { loggedAt: -1 } });
+    const expired = entries.slice(keep).map((entry) => entry.id);
+    return this.storage.deleteMany(COLLECTIONS.EXCEL_LOG, { id: expired });
   }
 
-  async logExcelProcessing(logData) {
-    return null;
+  /**
+   * Excel processing runs (Scanner.processExcelFile), newest first
+   * @param {Object} filter - { status, from, to, limit }; from / to are ISO
+   *   timestamps compared with the time the run was logged
+   */
+  async getExcelProcessingHistory(filter = {}) {
+    try {
+      const query = filter.status ? { status: filter.status } : {};
+      const limit = filter.limit || 100;
+      // Without a time window the storage can apply the limit
+      const options = filter.from || filter.to ? { sort: { loggedAt: -1 } } : { sort: { loggedAt: -1 }, limit };
+      let entries = await this.storage.findAll(COLLECTIONS.EXCEL_LOG, query, options);
+      if (filter.from) {
+        entries = entries.filter((entry) => entry.loggedAt >= filter.from);
+      }
+      if (filter.to) {
+        entries = entries.filter((entry) => entry.loggedAt <= filter.to);
+      }
+      return entries.slice(0, limit);
+    } catch (error) {
+      console.error(`Failed to read Excel processing history: ${error.message}`);
+      return [];
+    }
   }
 
-  async getExcelProcessingHistory(limit = 100) {
-    return [];
+  /**
+   * Keep a summary of a generated report (read back by Results.loadPreviousReports)
+   */
+  async saveReport(summary) {
+    try {
+      return await this.storage.insertOne(COLLECTIONS.REPORTS, { id: uuidv4(), ...summary });
+    } catch (error) {
+      console.error(`Failed to save report summary: ${error.message}`);
+      return null;
+    }
   }
 
   async getToolUsageStats() {
@@ -253,17 +846,134 @@ class DataManager {
     }
   }
 
+  /**
+   * Tools of a stored matrix with their usage from the latest report
+   * @returns {Object|null} - { matrix, tools, missing, totalUsageTime }, null for unknown matrices
+   */
   async getMatrixToolsReport(matrixName) {
-    return null;
+    try {
+      const matrix = await this.getMatrixByName(matrixName);
+      if (!matrix) {
+        return null;
+      }
+
+      const toolsById = new Map(
+        (await this.getAllTools({ includeRetired: true })).map((tool) => [tool.id, tool])
+      );
+      const tools = [];
+      const missing = [];
+      for (const toolId of matrix.tools || []) {
+        const tool = toolsById.get(toolId);
+        if (tool) {
+          tools.push(tool);
+        } else {
+          missing.push(toolId);
+        }
+      }
+
+      return {
+        matrix,
+        tools,
+        missing,
+        totalUsageTime: tools.reduce((sum, t) => sum + (t.usageTime || 0), 0),
+      };
+    } catch (error) {
+      console.error(`Failed to build matrix report: ${error.message}`);
+      return null;
+    }
   }
 
-  async migrateExcelData(excelData) {
-    return {
-      tools: 0,
-      matrices: 0,
-      locations: 0,
-      errors: [],
-    };
+  /**
+   * A tool of the imported Excel inventory (see migrateExcelData)
+   */
+  async getExcelTool(toolCode) {
+    try {
+      return await this.storage.findOne(COLLECTIONS.EXCEL_TOOLS, { id: toolCode });
+    } catch (error) {
+      console.error(`Failed to read Excel tool: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Import the ExcelProcessor inventory into storage (Scanner.processExcelFile):
+   * tools are added to or their quantity / description refreshed in the Excel
+   * inventory, the count per location code is set on the matching bin of the
+   * storeroom. The import is the whole stock: tools it no longer lists are
+   * dropped from the inventory and storeroom bins it does not count are
+   * emptied. The inventory has its own collection so an import never shows up
+   * as a manual edit of the tool (ToolOverrides).
+   * @param {Object} excelData - { toolInventory: [{ toolCode, quantity, description, location, locations }] }
+   * @returns {Object} - { tools, matrices, locations, cleared, removed, errors: [{ toolCode, message }] }
+   */
+  async migrateExcelData(excelData = {}) {
+    const result = { tools: 0, matrices: 0, locations: 0, cleared: 0, removed: 0, errors: [] };
+    const storeroom = await this.getExcelStoreroom();
+    const listed = new Set();
+    // "toolCode/bin" of every count of the import
+    const counted = new Set();
+
+    for (const item of excelData.toolInventory || []) {
+      try {
+        if (!item.toolCode) {
+          throw new Error("Inventory row without toolCode");
+        }
+        listed.add(item.toolCode);
+
+        // Excel location codes are bins of the storeroom
+        const counts =
+          item.locations && item.locations.length > 0
+            ? item.locations
+            : item.location
+              ? [{ location: item.location, quantity: item.quantity }]
+              : [];
+        for (const count of counts) {
+          counted.add(`${item.toolCode}/${count.location}`);
+        }
+
+        const existing = await this.getExcelTool(item.toolCode);
+        if (!existing || existing.quantity !== item.quantity || existing.description !== item.description) {
+          const now = new Date().toISOString();
+          const fields = { quantity: item.quantity, description: item.description, updatedAt: now };
+          const saved = existing
+            ? await this.storage.updateOne(COLLECTIONS.EXCEL_TOOLS, { id: item.toolCode }, fields)
+            : await this.storage.insertOne(COLLECTIONS.EXCEL_TOOLS, { id: item.toolCode, ...fields, createdAt: now });
+          if (!saved) {
+            throw new Error(`Could not store tool ${item.toolCode}`);
+          }
+        }
+        result.tools++;
+
+        for (const count of counts) {
+          await this.locations.setQuantity(
+            item.toolCode,
+            { locationId: storeroom, slot: count.location },
+            count.quantity || 0,
+            "Excel import"
+          );
+          result.locations++;
+        }
+      } catch (error) {
+        result.errors.push({ toolCode: item.toolCode || null, message: error.message });
+      }
+    }
+
+    try {
+      for (const placement of await this.locations.getPlacements({ locationId: storeroom })) {
+        if (!counted.has(`${placement.toolId}/${placement.slot}`)) {
+          await this.locations.setQuantity(placement.toolId, { locationId: storeroom, slot: placement.slot }, 0, "Excel import");
+          result.cleared++;
+        }
+      }
+      const stale = (await this.storage.findAll(COLLECTIONS.EXCEL_TOOLS)).filter((tool) => !listed.has(tool.id));
+      if (stale.length > 0) {
+        result.removed = await this.storage.deleteMany(COLLECTIONS.EXCEL_TOOLS, { id: stale.map((tool) => tool.id) });
+      }
+    } catch (error) {
+      result.errors.push({ toolCode: null, message: error.message });
+    }
+
+    return result;
   }
 
   async healthCheck() {
@@ -273,17 +983,56 @@ class DataManager {
     return {
       status: "ok",
       dataManager: "operational",
+      storage: this.storage.type,
       stats: await this.getToolUsageStats(),
     };
   }
 
+  /**
+   * Every collection with its documents (see BackupManager)
+   */
+  async exportStorage() {
+    const collections = {};
+    for (const name of await this.storage.listCollections()) {
+      collections[name] = await this.storage.findAll(name);
+    }
+    return collections;
+  }
+
+  /**
+   * Replace the stored data with the collections of a backup; collections
+   * missing from it are emptied
+   */
+  async importStorage(collections) {
+    const names = new Set([...(await this.storage.listCollections()), ...Object.keys(collections)]);
+    for (const name of names) {
+      await this.storage.replaceAll(name, collections[name] || []);
+    }
+  }
+
+  /**
+   * Write a backup archive of results, snapshots, storage, definitions and
+   * settings (see BackupManager)
+   * @returns {Object} - { status: "ok", name, file, sections, ... } or { status: "failed", error }
+   */
   async createBackup() {
-    return { status: "not_implemented" };
+    try {
+      const backup = await new BackupManager({ dataManager: this }).createBackup();
+      return { status: "ok", ...backup };
+    } catch (error) {
+      console.error(`Failed to create backup: ${error.message}`);
+      return { status: "failed", error: error.message };
+    }
   }
 
   async disconnect() {
+    if (this.storage) {
+      await this.storage.disconnect();
+    }
     this.initialized = false;
   }
 }
 
+DataManager.COLLECTIONS = COLLECTIONS;
+
 module.exports = DataManager;
@@ -0,0 +1,192 @@
+// path: src/DemandForecast.js
+/**
+ * Forward-looking demand per matrix tool.
+ * Cutting time required by scheduled project positions is summed per day or week,
+ * converted to pieces with the tool life from matrix-tool-definitions.json and
+ * compared with the current Excel stock to find the date each tool runs out.
+ */
+
+const { matchToolDefinition } = require("../utils/ToolIdentity");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class DemandForecast {
+  /**
+   * @param {Object} options
+   * @param {string} options.bucket - "day" or "week" (weeks start on Monday)
+   * @param {Date} options.from - Forecast start; earlier (overdue) demand is counted on this date
+   * @param {number|null} options.horizonDays - Ignore demand after from + horizonDays
+   */
+  constructor(options = {}) {
+    this.bucket = options.bucket === "day" ? "day" : "week";
+    this.from = DemandForecast.startOfDay(options.from || new Date());
+    this.horizonDays = options.horizonDays || null;
+  }
+
+  /**
+   * Build the forecast
+   * @param {Array} projects - [{ project, position, plannedStart, dueDate, toolMinutes: { toolName: minutes } }]
+   * @param {Array} stock - Matrix inventory [{ toolCode, quantity }]
+   * @returns {Object} - { summary, tools, unmatchedTools }
+   */
+  forecast(projects, stock) {
+    const stockByCode = new Map();
+    for (const item of stock || []) {
+      const code = String(item.toolCode || "").toUpperCase();
+      stockByCode.set(code, (stockByCode.get(code) || 0) + (Number(item.quantity) || 0));
+    }
+
+    const horizonEnd = this.horizonDays
+      ? new Date(this.from.getTime() + this.horizonDays * DAY_MS)
+      : null;
+    const demand = new Map(); // matrix toolCode -> aggregated demand
+    const unmatched = new Map(); // JSON tool name -> minutes without a matrix definition
+
+    for (const project of projects || []) {
+      // Tools are needed when machining starts; without a plan, by the due date
+      const neededOn = new Date(project.plannedStart || project.dueDate || this.from);
+      if (isNaN(neededOn.getTime()) || (horizonEnd && neededOn >= horizonEnd)) {
+        continue;
+      }
+      const period = this.getPeriod(neededOn < this.from ? this.from : neededOn);
+
+      for (const [toolName, minutes] of Object.entries(project.toolMinutes || {})) {
+        if (!(minutes > 0)) {
+          continue;
+        }
+
+        const definition = matchToolDefinition(toolName);
+        if (!definition) {
+          unmatched.set(toolName, (unmatched.get(toolName) || 0) + minutes);
+          continue;
+        }
+
+        if (!demand.has(definition.toolCode)) {
+          demand.set(definition.toolCode, {
+            definition,
+            periods: new Map(),
+            projects: new Set(),
+            toolNames: new Set(),
+            overdueMinutes: 0,
+          });
+        }
+        const entry = demand.get(definition.toolCode);
+        entry.periods.set(period, (entry.periods.get(period) || 0) + minutes);
+        entry.projects.add(project.position || project.project);
+        entry.toolNames.add(toolName);
+        if (neededOn < this.from) {
+          entry.overdueMinutes += minutes;
+        }
+      }
+    }
+
+    const tools = [];
+    for (const [toolCode, entry] of demand) {
+      tools.push(this.createToolForecast(toolCode, entry, stockByCode.get(toolCode.toUpperCase()) || 0));
+    }
+
+    // Earliest shortfall first, then tools that never run out by demand
+    tools.sort((a, b) => {
+      if (a.shortfallDate !== b.shortfallDate) {
+        if (!a.shortfallDate) {
+          return 1;
+        }
+        if (!b.shortfallDate) {
+          return -1;
+        }
+        return a.shortfallDate.localeCompare(b.shortfallDate);
+      }
+      return b.totalMinutes - a.totalMinutes;
+    });
+
+    const shortTools = tools.filter((tool) => tool.shortfallDate);
+
+    return {
+      summary: {
+        bucket: this.bucket,
+        from: this.from.toISOString().slice(0, 10),
+        horizonDays: this.horizonDays,
+        toolsForecast: tools.length,
+        toolsShort: shortTools.length,
+        earliestShortfall: shortTools.length > 0 ? shortTools[0].shortfallDate : null,
+        unmatchedTools: unmatched.size,
+      },
+      tools,
+      unmatchedTools: Array.from(unmatched, ([toolName, minutes]) => ({
+        toolName,
+        minutes: DemandForecast.round(minutes),
+      })),
+    };
+  }
+
+  /**
+   * Per-period demand and projected shortfall for one matrix tool.
+   * A piece counts as used up as soon as any of its tool life is needed.
+   */
+  createToolForecast(toolCode, entry, stock) {
+    const toolLife = entry.definition.toolLife || 60;
+    let cumulativeMinutes = 0;
+    let shortfall = null;
+
+    const periods = Array.from(entry.periods.keys()).sort().map((period) => {
+      const minutes = entry.periods.get(period);
+      cumulativeMinutes += minutes;
+      const cumulativePieces = Math.ceil(cumulativeMinutes / toolLife - 1e-9);
+
+      if (!shortfall && cumulativePieces > stock) {
+        shortfall = { date: period, pieces: cumulativePieces - stock };
+      }
+
+      return {
+        period,
+        minutes: DemandForecast.round(minutes),
+        pieces: DemandForecast.round(minutes / toolLife),
+        cumulativePieces,
+        projectedStock: stock - cumulativePieces,
+      };
+    });
+
+    const piecesRequired = Math.ceil(cumulativeMinutes / toolLife - 1e-9);
+
+    return {
+      toolCode,
+      category: entry.definition.category,
+      diameter: entry.definition.diameter,
+      toolLife,
+      stock,
+      totalMinutes: DemandForecast.round(cumulativeMinutes),
+      overdueMinutes: DemandForecast.round(entry.overdueMinutes),
+      piecesRequired,
+      projectedStock: stock - piecesRequired,
+      shortfallDate: shortfall ? shortfall.date : null,
+      shortfallPieces: shortfall ? piecesRequired - stock : 0,
+      periods,
+      projects: Array.from(entry.projects),
+      toolNames: Array.from(entry.toolNames),
+    };
+  }
+
+  /**
+   * Period key (YYYY-MM-DD of the day, or of the week's Monday)
+   */
+  getPeriod(date) {
+    const day = DemandForecast.startOfDay(date);
+    if (this.bucket === "week") {
+      const offset = (day.getUTCDay() + 6) % 7; // Monday = 0
+      day.setUTCDate(day.getUTCDate() - offset);
+    }
+    return day.toISOString().slice(0, 10);
+  }
+
+  static startOfDay(date) {
+    const day = new Date(date);
+    day.setUTCHours(0, 0, 0, 0);
+    return day;
+  }
+
+  static round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+module.exports = DemandForecast;
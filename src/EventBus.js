@@ -0,0 +1,153 @@
+// path: src/EventBus.js
+/**
+ * Live event feed for the dashboard (GET /api/events).
+ * Collects scan lifecycle, scan job, inventory snapshot and tool state events
+ * from the scanner and job queue, numbers them, and keeps the most recent ones
+ * so a client reconnecting with Last-Event-ID receives what it missed.
+ */
+
+const EventEmitter = require("events");
+const config = require("../config");
+
+// Event type prefixes clients can filter on (?types=scan,tool)
+const EVENT_CATEGORIES = ["scan", "job", "inventory", "tool"];
+
+// Scanner event -> published type and payload
+const SCANNER_EVENTS = {
+  scanStarted: { type: "scan.started" },
+  stage: { type: "scan.stage" },
+  progress: {
+    type: "scan.file",
+    map: ({ completed, total, fileName, status }) => ({ completed, total, fileName, status }),
+  },
+  scanCompleted: {
+    type: "scan.completed",
+    map: (stats) => ({
+      scannedAt: stats.scannedAt,
+      durationMs: stats.durationMs,
+      added: stats.added,
+      changed: stats.changed,
+      removed: stats.removed,
+      unchanged: stats.unchanged,
+      failed: stats.failed,
+      rejected: stats.validation ? stats.validation.rejected : 0,
+    }),
+  },
+  scanFailed: { type: "scan.failed" },
+  snapshotSaved: { type: "inventory.snapshot" },
+  toolStateChanged: { type: "tool.state" },
+};
+
+const JOB_EVENTS = {
+  jobQueued: "job.queued",
+  jobStarted: "job.started",
+  jobCompleted: "job.completed",
+  jobFailed: "job.failed",
+};
+
+class EventBus extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {number} options.bufferSize - Events kept for resuming clients
+   */
+  constructor(options = {}) {
+    super();
+    this.setMaxListeners(0); // One listener per connected client
+    this.bufferSize = options.bufferSize || config.events.bufferSize;
+    this.buffer = [];
+    this.lastId = 0;
+    this.attached = new WeakSet();
+  }
+
+  /**
+   * Number, buffer and broadcast an event
+   * @param {string} type - e.g. "scan.started", "tool.state"
+   * @param {Object} data - Event payload
+   * @returns {Object} - { id, type, timestamp, data }
+   */
+  publish(type, data = {}) {
+    const event = {
+      id: ++this.lastId,
+      type,
+      timestamp: new Date().toISOString(),
+      data,
+    };
+
+    this.buffer.push(event);
+    if (this.buffer.length > this.bufferSize) {
+      this.buffer.splice(0, this.buffer.length - this.bufferSize);
+    }
+
+    this.emit("event", event);
+    return event;
+  }
+
+  /**
+   * Buffered events after a given id.
+   * When the id is older than the buffer, or unknown (the server restarted),
+   * every buffered event is returned and `complete` is false so the client
+   * knows to reload its state.
+   * @param {number} lastEventId - Last id the client received
+   * @returns {Object} - { events, complete }
+   */
+  getEventsSince(lastEventId) {
+    const oldestId = this.buffer.length > 0 ? this.buffer[0].id : this.lastId + 1;
+
+    if (lastEventId > this.lastId || lastEventId < oldestId - 1) {
+      return { events: this.buffer.slice(), complete: false };
+    }
+    return {
+      events: this.buffer.filter((event) => event.id > lastEventId),
+      complete: true,
+    };
+  }
+
+  /**
+   * Publish a scanner's events. Safe to call more than once per scanner.
+   * @param {Scanner} scanner
+   */
+  attachScanner(scanner) {
+    if (!scanner || this.attached.has(scanner)) {
+      return;
+    }
+    this.attached.add(scanner);
+
+    for (const [name, { type, map }] of Object.entries(SCANNER_EVENTS)) {
+      scanner.on(name, (payload) => this.publish(type, map ? map(payload) : payload));
+    }
+  }
+
+  /**
+   * Publish scan job state changes (per-file progress comes from the scanner)
+   * @param {ScanJobQueue} jobQueue
+   */
+  attachJobQueue(jobQueue) {
+    if (!jobQueue || this.attached.has(jobQueue)) {
+      return;
+    }
+    this.attached.add(jobQueue);
+
+    for (const [name, type] of Object.entries(JOB_EVENTS)) {
+      jobQueue.on(name, (job) =>
+        this.publish(type, {
+          jobId: job.id,
+          state: job.state,
+          trigger: job.trigger,
+          durationMs: job.durationMs,
+          error: job.error,
+        })
+      );
+    }
+  }
+
+  /**
+   * Whether an event matches a category filter (empty filter matches all)
+   */
+  static matches(event, categories) {
+    return !categories || categories.length === 0 || categories.includes(event.type.split(".")[0]);
+  }
+}
+
+EventBus.CATEGORIES = EVENT_CATEGORIES;
+
+module.exports = EventBus;
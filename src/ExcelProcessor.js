@@ -4,15 +4,24 @@
  */
 const XLSX = require('xlsx');
 const fs = require('fs');
+const path = require('path');
+const config = require('../config');
 const Logger = require('../utils/Logger');
 
+const REQUIRED_FIELDS = ['itemCode', 'quantity'];
+
 class ExcelProcessor {
   /**
    * Process the main Excel file to extract tool inventory
-   * @param {string} filePath - Path to Excel file
+   * @param {string} filePath - Path to Excel, ODS or CSV file
+   * @param {Object} options - Processing options
+   * @param {string} options.fileName - Original file name used to pick per-file column overrides
+   * @param {Object} options.columnMapping - Explicit column mapping (skips config lookup)
    * @returns {Object} - Processed tool inventory
    */
-  static async processMainExcel(filePath) {
+  static async processMainExcel(filePath, options = {}) {
+    const sheets = [];
+    
     try {
       Logger.info(`Processing Excel file: ${filePath}`);
       
@@ -30,38 +39,42 @@ class ExcelProcessor {
         throw new Error('Excel file is empty (0 bytes)');
       }
       
-      // Read Excel file using XLSX (SheetJS)
-      Logger.info(`[ExcelProcessor] Reading workbook with XLSX...`);
-      const workbook = XLSX.readFile(filePath);
-      Logger.info(`[ExcelProcessor] Workbook loaded successfully`);
+      // Read workbook sheets (Excel, ODS) or the single table of a CSV export
+      const input = this.readInventoryFile(filePath);
+      Logger.info(`[ExcelProcessor] Found ${input.sheets.length} sheets: ${input.sheets.map(sheet => sheet.name).join(', ')}`);
       
-      // Get first sheet
-      const sheetNames = workbook.SheetNames;
-      Logger.info(`[ExcelProcessor] Found ${sheetNames.length} sheets: ${sheetNames.join(', ')}`);
-      
-      if (sheetNames.length === 0) {
+      if (input.sheets.length === 0) {
         throw new Error('Excel file has no worksheets');
       }
       
-      const firstSheetName = sheetNames[0];
-      const worksheet = workbook.Sheets[firstSheetName];
-      Logger.info(`[ExcelProcessor] Processing sheet: ${firstSheetName}`);
-      
-      // Convert sheet to array of arrays
-      const rawData = XLSX.utils.sheet_to_json(worksheet, { header: 1, defval: null });
-      Logger.info(`[ExcelProcessor] Converted to array: ${rawData.length} rows`);
+      // Resolve which header aliases apply to this file
+      const mapping = options.columnMapping ||
+        this.getColumnMapping(options.fileName || path.basename(filePath));
+      Logger.info(`[ExcelProcessor] Using column mapping profile: ${mapping.profile}`);
       
-      // Find the header row with "Tételkód" and "Mennyiség"
-      const headerRowIndex = this.findHeaderRow(rawData);
+      // Scan every sheet - stock workbooks keep one sheet per cabinet or supplier
+      const toolInventory = {};
+      const issues = [];
       
-      if (headerRowIndex === -1) {
-        throw new Error('Could not find header row with "Tételkód" and "Mennyiség"');
+      for (const { name: sheetName, rows: rawData } of input.sheets) {
+        Logger.info(`[ExcelProcessor] Processing sheet: ${sheetName} (${rawData.length} rows)`);
+        
+        const sheetSummary = this.processSheet(sheetName, rawData, mapping, toolInventory, issues);
+        sheets.push(sheetSummary);
+        
+        if (sheetSummary.status === 'processed') {
+          Logger.info(`[ExcelProcessor] Sheet "${sheetName}": ${sheetSummary.rowsRead} rows read, ${sheetSummary.rowsSkipped} skipped`);
+        } else {
+          Logger.warn(`[ExcelProcessor] Sheet "${sheetName}" skipped: ${sheetSummary.reason}`);
+        }
       }
       
-      Logger.info(`Found header row at index: ${headerRowIndex + 1}`);
-      
-      // Extract tool inventory data
-      const toolInventory = this.extractToolInventory(rawData, headerRowIndex);
+      if (!sheets.some(sheet => sheet.status === 'processed')) {
+        throw new Error(
+          `Could not find header row with item code (${mapping.columns.itemCode.join(', ')}) ` +
+          `and quantity (${mapping.columns.quantity.join(', ')}) columns in any sheet`
+        );
+      }
       
       Logger.info(`Extracted ${Object.keys(toolInventory).length} unique tool codes`);
       
@@ -69,8 +82,17 @@ class ExcelProcessor {
         success: true,
         processedAt: new Date().toISOString(),
         sourceFile: filePath,
+        fileFormat: input.fileFormat,
+        columnMapping: {
+          profile: mapping.profile
+        },
+        sheets,
         toolInventory,
-        summary: this.generateSummary(toolInventory)
+        summary: this.generateSummary(toolInventory),
+        diagnostics: {
+          issues,
+          duplicates: this.findDuplicateCodes(toolInventory)
+        }
       };
       
     } catch (error) {
@@ -79,29 +101,286 @@ class ExcelProcessor {
         success: false,
         error: error.message,
         processedAt: new Date().toISOString(),
-        sourceFile: filePath
+        sourceFile: filePath,
+        sheets
+      };
+    }
+  }
+
+  /**
+   * Read an inventory file into rows per sheet, based on its extension.
+   * Excel and ODS workbooks are read with SheetJS; CSV files are decoded and split
+   * here so item codes stay text and the same validation rules apply to every cell.
+   * @param {string} filePath - Path to the inventory file
+   * @returns {Object} - { fileFormat: { type, encoding?, delimiter? }, sheets: [{ name, rows }] }
+   */
+  static readInventoryFile(filePath) {
+    const extension = path.extname(filePath).toLowerCase();
+    
+    if (extension === '.csv') {
+      const { text, encoding } = this.decodeText(fs.readFileSync(filePath));
+      const delimiter = this.detectDelimiter(text);
+      Logger.info(`[ExcelProcessor] CSV encoding: ${encoding}, delimiter: ${JSON.stringify(delimiter)}`);
+      
+      return {
+        fileFormat: { type: 'csv', encoding, delimiter },
+        sheets: [{ name: path.basename(filePath, extension), rows: this.parseCsv(text, delimiter) }]
       };
     }
+    
+    Logger.info(`[ExcelProcessor] Reading workbook with XLSX...`);
+    const workbook = XLSX.readFile(filePath);
+    Logger.info(`[ExcelProcessor] Workbook loaded successfully`);
+    
+    return {
+      fileFormat: { type: extension === '.ods' ? 'ods' : 'excel' },
+      sheets: workbook.SheetNames.map(name => ({
+        name,
+        rows: XLSX.utils.sheet_to_json(workbook.Sheets[name], { header: 1, defval: null })
+      }))
+    };
+  }
+
+  /**
+   * Decode a text file: BOM first, then strict UTF-8, then the configured
+   * fallback code page (Windows-1250 for Hungarian exports)
+   * @param {Buffer} buffer - File contents
+   * @returns {Object} - { text, encoding }
+   */
+  static decodeText(buffer, fallbackEncoding = config.excel.csv.fallbackEncoding) {
+    if (buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) {
+      return { text: new TextDecoder('utf-8').decode(buffer.subarray(3)), encoding: 'utf-8' };
+    }
+    if (buffer[0] === 0xff && buffer[1] === 0xfe) {
+      return { text: new TextDecoder('utf-16le').decode(buffer.subarray(2)), encoding: 'utf-16le' };
+    }
+    
+    try {
+      return { text: new TextDecoder('utf-8', { fatal: true }).decode(buffer), encoding: 'utf-8' };
+    } catch (error) {
+      return { text: new TextDecoder(fallbackEncoding).decode(buffer), encoding: fallbackEncoding };
+    }
+  }
+
+  /**
+   * Pick the delimiter that splits the most of the first lines into the same
+   * number of columns (quoted text is ignored while counting)
+   * @param {string} text - Decoded CSV text
+   * @param {Array<string>} candidates - Delimiters to try, in order of preference
+   * @returns {string} - Detected delimiter (first candidate if none occurs)
+   */
+  static detectDelimiter(text, candidates = config.excel.csv.delimiters) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim()).slice(0, 20);
+    let best = { delimiter: candidates[0], lines: 0, columns: 0 };
+    
+    for (const delimiter of candidates) {
+      const frequency = new Map();
+      for (const line of lines) {
+        let count = 0;
+        let inQuotes = false;
+        for (const char of line) {
+          if (char === '"') {
+            inQuotes = !inQuotes;
+          } else if (char === delimiter && !inQuotes) {
+            count++;
+          }
+        }
+        if (count > 0) {
+          frequency.set(count, (frequency.get(count) || 0) + 1);
+        }
+      }
+      
+      // Most common column count for this delimiter and how many lines share it
+      for (const [count, lineCount] of frequency) {
+        if (lineCount > best.lines || (lineCount === best.lines && count > best.columns)) {
+          best = { delimiter, lines: lineCount, columns: count };
+        }
+      }
+    }
+    
+    return best.delimiter;
+  }
+
+  /**
+   * Split CSV text into rows of cells (RFC 4180 quoting, CRLF or LF line ends).
+   * Empty cells become null, like blank cells in a worksheet.
+   * @param {string} text - Decoded CSV text
+   * @param {string} delimiter - Column delimiter
+   * @returns {Array<Array>} - Rows as arrays
+   */
+  static parseCsv(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+    
+    const endCell = () => {
+      row.push(cell === '' ? null : cell);
+      cell = '';
+    };
+    
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      
+      if (inQuotes) {
+        if (char === '"' && text[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === delimiter) {
+        endCell();
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') {
+          i++;
+        }
+        endCell();
+        rows.push(row);
+        row = [];
+      } else {
+        cell += char;
+      }
+    }
+    
+    if (cell !== '' || row.length > 0) {
+      endCell();
+      rows.push(row);
+    }
+    
+    return rows;
+  }
+
+  /**
+   * Process a single worksheet into the shared tool inventory
+   * @param {string} sheetName - Worksheet name
+   * @param {Array} rawData - Worksheet rows as arrays
+   * @param {Object} mapping - Column mapping from getColumnMapping()
+   * @param {Object} toolInventory - Inventory being built (mutated)
+   * @param {Array} issues - Row diagnostics collected for the file (mutated)
+   * @returns {Object} - Sheet summary: status, header row, rows read/skipped and reasons
+   */
+  static processSheet(sheetName, rawData, mapping, toolInventory, issues = []) {
+    if (rawData.length === 0) {
+      return {
+        name: sheetName,
+        status: 'skipped',
+        reason: 'Sheet is empty',
+        rowsRead: 0,
+        rowsSkipped: 0,
+        rowsCoerced: 0,
+        skipReasons: {}
+      };
+    }
+    
+    // Find the header row containing the item code and quantity columns
+    const headerRowIndex = this.findHeaderRow(rawData, mapping);
+    
+    if (headerRowIndex === -1) {
+      return {
+        name: sheetName,
+        status: 'skipped',
+        reason: 'No header row with item code and quantity columns',
+        rowsRead: 0,
+        rowsSkipped: 0,
+        rowsCoerced: 0,
+        skipReasons: {}
+      };
+    }
+    
+    Logger.info(`Found header row at index: ${headerRowIndex + 1}`);
+    
+    const stats = this.extractSheetInventory(rawData, headerRowIndex, mapping, sheetName, toolInventory, issues);
+    
+    return {
+      name: sheetName,
+      status: 'processed',
+      headerRow: headerRowIndex + 1,
+      columns: this.describeColumns(rawData[headerRowIndex], mapping),
+      ...stats
+    };
+  }
+
+  /**
+   * Resolve the column mapping for a file from config.excel.columnMapping.
+   * Starts from the default profile, then applies every matching file override in order.
+   * @param {string} fileName - Original file name (not the temp copy path)
+   * @param {Object} mappingConfig - Mapping configuration (defaults to config.excel.columnMapping)
+   * @returns {Object} - { profile, columns: { field: [aliases] } }
+   */
+  static getColumnMapping(fileName = '', mappingConfig = config.excel.columnMapping) {
+    const profiles = mappingConfig.profiles || {};
+    let profileName = mappingConfig.defaultProfile || 'default';
+    let columnOverrides = {};
+
+    for (const override of mappingConfig.fileOverrides || []) {
+      if (!override.match || !this.matchesFilePattern(fileName, override.match)) {
+        continue;
+      }
+      if (override.profile) {
+        profileName = override.profile;
+      }
+      if (override.columns) {
+        columnOverrides = { ...columnOverrides, ...override.columns };
+      }
+    }
+
+    if (!profiles[profileName]) {
+      throw new Error(`Unknown column mapping profile: ${profileName}`);
+    }
+
+    const columns = {};
+    for (const [field, aliases] of Object.entries({ ...profiles[profileName], ...columnOverrides })) {
+      columns[field] = Array.isArray(aliases) ? aliases : [aliases];
+    }
+
+    for (const field of REQUIRED_FIELDS) {
+      if (!columns[field] || columns[field].length === 0) {
+        throw new Error(`Column mapping profile "${profileName}" has no aliases for ${field}`);
+      }
+    }
+
+    return { profile: profileName, columns };
+  }
+
+  /**
+   * Check a file name against a simple wildcard pattern ("*" and "?")
+   * @param {string} fileName - File name to test
+   * @param {string} pattern - Wildcard pattern
+   * @returns {boolean} - True if the whole name matches
+   */
+  static matchesFilePattern(fileName, pattern) {
+    const regex = pattern
+      .split('')
+      .map(ch => {
+        if (ch === '*') {
+          return '.*';
+        }
+        if (ch === '?') {
+          return '.';
+        }
+        return ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+      })
+      .join('');
+    return new RegExp(`^${regex}$`, 'i').test(fileName || '');
   }
 
   /**
-   * Find the header row containing "Tételkód" and "Mennyiség"
+   * Find the header row containing the item code and quantity columns
    * @param {Array} rawData - Raw Excel data
+   * @param {Object} mapping - Column mapping from getColumnMapping()
    * @returns {number} - Index of header row, -1 if not found
    */
-  static findHeaderRow(rawData) {
+  static findHeaderRow(rawData, mapping = this.getColumnMapping()) {
     for (let i = 0; i < rawData.length; i++) {
       const row = rawData[i];
       if (row && Array.isArray(row)) {
-        // Look for "Tételkód" and "Mennyiség" in the same row
-        const hasItemCode = row.some(cell => 
-          typeof cell === 'string' && cell.trim().toLowerCase().includes('tételkód')
-        );
-        const hasQuantity = row.some(cell => 
-          typeof cell === 'string' && cell.trim().toLowerCase().includes('mennyiség')
-        );
-        
-        if (hasItemCode && hasQuantity) {
+        const columns = this.resolveColumns(row, mapping);
+        if (REQUIRED_FIELDS.every(field => columns[field] !== -1)) {
           return i;
         }
       }
@@ -110,17 +389,81 @@ class ExcelProcessor {
   }
 
   /**
-   * Extract tool inventory from raw data
+   * Resolve column indices for every mapped field in a header row.
+   * Required fields are resolved first; a column is never assigned to two fields.
+   * @param {Array} headerRow - Header row data
+   * @param {Object} mapping - Column mapping from getColumnMapping()
+   * @returns {Object} - { field: columnIndex } (-1 when the column is missing)
+   */
+  static resolveColumns(headerRow, mapping) {
+    const fields = [
+      ...REQUIRED_FIELDS,
+      ...Object.keys(mapping.columns).filter(field => !REQUIRED_FIELDS.includes(field))
+    ];
+    const claimed = new Set();
+    const columns = {};
+
+    for (const field of fields) {
+      const index = this.findColumnIndex(headerRow, mapping.columns[field] || [], claimed);
+      columns[field] = index;
+      if (index !== -1) {
+        claimed.add(index);
+      }
+    }
+
+    return columns;
+  }
+
+  /**
+   * Describe which header cell each mapped field was read from
+   * @param {Array} headerRow - Header row data
+   * @param {Object} mapping - Column mapping from getColumnMapping()
+   * @returns {Object} - { field: headerText } for the fields that were found
+   */
+  static describeColumns(headerRow, mapping) {
+    const described = {};
+    for (const [field, index] of Object.entries(this.resolveColumns(headerRow, mapping))) {
+      if (index !== -1) {
+        described[field] = String(headerRow[index]).trim();
+      }
+    }
+    return described;
+  }
+
+  /**
+   * Extract tool inventory from raw data.
+   * Besides the quantity, every other mapped column (description, location, unit,
+   * supplier, ...) is captured per item; rows for the same code are merged and the
+   * quantity is broken down per storage location.
    * @param {Array} rawData - Raw Excel data
    * @param {number} headerRowIndex - Index of header row
-   * @returns {Object} - Tool inventory object
+   * @param {Object} mapping - Column mapping from getColumnMapping()
+   * @param {string|null} sheetName - Worksheet the rows come from
+   * @returns {Object} - Tool inventory keyed by item code: { quantity, description, location, locations, entries, ... }
    */
-  static extractToolInventory(rawData, headerRowIndex) {
+  static extractToolInventory(rawData, headerRowIndex, mapping = this.getColumnMapping(), sheetName = null) {
+    const toolInventory = {};
+    this.extractSheetInventory(rawData, headerRowIndex, mapping, sheetName, toolInventory);
+    return toolInventory;
+  }
+
+  /**
+   * Extract the rows of one sheet into an inventory object
+   * @param {Array} rawData - Raw Excel data
+   * @param {number} headerRowIndex - Index of header row
+   * @param {Object} mapping - Column mapping from getColumnMapping()
+   * @param {string|null} sheetName - Worksheet the rows come from
+   * @param {Object} toolInventory - Inventory being built (mutated)
+   * @param {Array} issues - Row diagnostics (mutated): skipped and coerced rows with their raw values
+   * @returns {Object} - Row statistics: { rowsRead, rowsSkipped, rowsCoerced, skipReasons }
+   */
+  static extractSheetInventory(rawData, headerRowIndex, mapping, sheetName, toolInventory, issues = []) {
     const headerRow = rawData[headerRowIndex];
     
     // Find column indices
-    const itemCodeColumnIndex = this.findColumnIndex(headerRow, 'tételkód');
-    const quantityColumnIndex = this.findColumnIndex(headerRow, 'mennyiség');
+    const columns = this.resolveColumns(headerRow, mapping);
+    const itemCodeColumnIndex = columns.itemCode;
+    const quantityColumnIndex = columns.quantity;
     
     if (itemCodeColumnIndex === -1 || quantityColumnIndex === -1) {
       throw new Error('Could not find required columns in header row');
@@ -128,51 +471,188 @@ class ExcelProcessor {
     
     Logger.info(`Item code column: ${itemCodeColumnIndex + 1}, Quantity column: ${quantityColumnIndex + 1}`);
     
-    const toolInventory = {};
+    // Optional columns present in this sheet
+    const detailColumns = Object.entries(columns)
+      .filter(([field, index]) => !REQUIRED_FIELDS.includes(field) && index !== -1);
+    
+    const stats = { rowsRead: 0, rowsSkipped: 0, rowsCoerced: 0, skipReasons: {} };
     
     // Process data rows (skip header row)
     for (let i = headerRowIndex + 1; i < rawData.length; i++) {
       const row = rawData[i];
       
-      if (row && Array.isArray(row)) {
-        const itemCode = row[itemCodeColumnIndex];
-        const quantity = row[quantityColumnIndex];
-        
-        // Validate data
-        if (this.isValidToolEntry(itemCode, quantity)) {
-          const cleanItemCode = this.cleanItemCode(itemCode);
-          const numQuantity = parseInt(quantity);
-          
-          // Accumulate quantities for the same tool code
-          if (toolInventory[cleanItemCode]) {
-            toolInventory[cleanItemCode] += numQuantity;
-          } else {
-            toolInventory[cleanItemCode] = numQuantity;
-          }
+      if (!row || !Array.isArray(row) || row.every(cell => this.cleanCellValue(cell) === null)) {
+        continue; // Blank row
+      }
+      
+      stats.rowsRead++;
+      
+      const itemCode = row[itemCodeColumnIndex];
+      const quantity = row[quantityColumnIndex];
+      const rawValues = {};
+      for (const [field, index] of Object.entries(columns)) {
+        if (index !== -1) {
+          rawValues[field] = row[index] === undefined ? null : row[index];
         }
       }
+      const issueBase = {
+        sheet: sheetName,
+        row: i + 1,
+        itemCode: typeof itemCode === 'string' && itemCode.trim() ? this.cleanItemCode(itemCode) : null,
+        rawValues
+      };
+      
+      // Validate data
+      const invalidReason = this.getInvalidEntryReason(itemCode, quantity);
+      if (invalidReason) {
+        stats.rowsSkipped++;
+        stats.skipReasons[invalidReason] = (stats.skipReasons[invalidReason] || 0) + 1;
+        issues.push({
+          ...issueBase,
+          type: 'skipped',
+          reason: invalidReason,
+          suspicious: invalidReason === 'Negative stock quantity'
+        });
+        continue;
+      }
+      
+      const cleanItemCode = this.cleanItemCode(itemCode);
+      const numQuantity = parseInt(quantity);
+      
+      // parseInt silently drops decimals and trailing text - report it
+      const coercion = this.describeQuantityCoercion(quantity, numQuantity);
+      if (coercion) {
+        stats.rowsCoerced++;
+        issues.push({
+          ...issueBase,
+          type: 'coerced',
+          reason: coercion.reason,
+          suspicious: coercion.suspicious,
+          storedQuantity: numQuantity
+        });
+      }
+      
+      const details = {};
+      for (const [field, index] of detailColumns) {
+        const value = this.cleanCellValue(row[index]);
+        if (value !== null) {
+          details[field] = value;
+        }
+      }
+      
+      // Accumulate quantities for the same tool code
+      this.addInventoryEntry(toolInventory, cleanItemCode, numQuantity, details, {
+        sheet: sheetName,
+        row: i + 1
+      });
     }
     
-    return toolInventory;
+    return stats;
   }
 
   /**
-   * Find column index by searching for text in header row
+   * Merge one inventory row into the inventory object.
+   * The first non-empty value wins for detail fields; quantities are summed overall
+   * and per location.
+   * @param {Object} toolInventory - Inventory being built
+   * @param {string} itemCode - Cleaned item code
+   * @param {number} quantity - Row quantity
+   * @param {Object} details - Optional column values for the row
+   * @param {Object} origin - Where the row came from: { sheet, row }
+   */
+  static addInventoryEntry(toolInventory, itemCode, quantity, details, origin = {}) {
+    if (!toolInventory[itemCode]) {
+      toolInventory[itemCode] = { quantity: 0, locations: [], entries: [] };
+    }
+    const item = toolInventory[itemCode];
+    item.quantity += quantity;
+    item.entries.push({
+      sheet: origin.sheet || null,
+      row: origin.row || null,
+      quantity,
+      location: details.location !== undefined ? details.location : null
+    });
+
+    for (const [field, value] of Object.entries(details)) {
+      if (item[field] === undefined) {
+        item[field] = value;
+      }
+    }
+
+    if (details.location !== undefined) {
+      const existing = item.locations.find(loc => loc.location === details.location);
+      if (existing) {
+        existing.quantity += quantity;
+      } else {
+        item.locations.push({ location: details.location, quantity });
+      }
+    }
+  }
+
+  /**
+   * Normalize an optional cell value: trimmed string/number, null when empty
+   * @param {any} value - Raw cell value
+   * @returns {string|number|null} - Cleaned value
+   */
+  static cleanCellValue(value) {
+    if (value === null || value === undefined) {
+      return null;
+    }
+    if (typeof value === 'number') {
+      return value;
+    }
+    const text = String(value).trim();
+    return text.length > 0 ? text : null;
+  }
+
+  /**
+   * Find column index by matching header aliases.
+   * An exact (case-insensitive) match anywhere in the row wins over a whole-word match,
+   * so "Mennyiség" does not pick up a "Mennyiségi egység" column.
    * @param {Array} headerRow - Header row data
-   * @param {string} searchText - Text to search for
+   * @param {string|Array<string>} searchText - Alias or list of aliases to search for
+   * @param {Set<number>} excluded - Column indices that are already assigned
    * @returns {number} - Column index, -1 if not found
    */
-  static findColumnIndex(headerRow, searchText) {
-    for (let i = 0; i < headerRow.length; i++) {
-      const cell = headerRow[i];
-      if (typeof cell === 'string' && 
-          cell.trim().toLowerCase().includes(searchText.toLowerCase())) {
-        return i;
+  static findColumnIndex(headerRow, searchText, excluded = new Set()) {
+    const aliases = (Array.isArray(searchText) ? searchText : [searchText])
+      .map(alias => this.normalizeHeader(alias))
+      .filter(alias => alias.length > 0);
+    const headers = headerRow.map(cell =>
+      typeof cell === 'string' ? this.normalizeHeader(cell) : ''
+    );
+
+    for (const alias of aliases) {
+      const index = headers.findIndex((header, i) => !excluded.has(i) && header === alias);
+      if (index !== -1) {
+        return index;
+      }
+    }
+
+    for (const alias of aliases) {
+      const index = headers.findIndex((header, i) =>
+        !excluded.has(i) && header.length > 0 && ` ${header} `.includes(` ${alias} `)
+      );
+      if (index !== -1) {
+        return index;
       }
     }
+
     return -1;
   }
 
+  /**
+   * Normalize header text for comparison: lowercase, punctuation to single spaces
+   * @param {string} text - Header cell or alias
+   * @returns {string} - Normalized text
+   */
+  static normalizeHeader(text) {
+    return String(text)
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}]+/gu, ' ')
+      .trim();
+  }
+
   /**
    * Validate if a tool entry is valid
    * @param {any} itemCode - Item code value
@@ -180,18 +660,89 @@ class ExcelProcessor {
    * @returns {boolean} - True if valid
    */
   static isValidToolEntry(itemCode, quantity) {
+    return this.getInvalidEntryReason(itemCode, quantity) === null;
+  }
+
+  /**
+   * Explain why a tool entry is invalid
+   * @param {any} itemCode - Item code value
+   * @param {any} quantity - Quantity value
+   * @returns {string|null} - Reason the row is rejected, null if valid
+   */
+  static getInvalidEntryReason(itemCode, quantity) {
     // Item code should be a non-empty string
     if (!itemCode || typeof itemCode !== 'string' || itemCode.trim().length === 0) {
-      return false;
+      return 'Item code is missing or not text';
     }
     
     // Quantity should be a positive number
     const numQuantity = parseInt(quantity);
-    if (isNaN(numQuantity) || numQuantity <= 0) {
-      return false;
+    if (isNaN(numQuantity)) {
+      return 'Quantity is not a number';
+    }
+    if (numQuantity < 0) {
+      return 'Negative stock quantity';
+    }
+    if (numQuantity === 0) {
+      return 'Quantity is zero';
     }
     
-    return true;
+    return null;
+  }
+
+  /**
+   * Describe how parseInt changed a quantity cell, if it did
+   * @param {any} rawQuantity - Quantity cell value
+   * @param {number} storedQuantity - Quantity after parseInt
+   * @returns {Object|null} - { reason, suspicious } or null when the value was a clean integer
+   */
+  static describeQuantityCoercion(rawQuantity, storedQuantity) {
+    const text = String(rawQuantity).trim();
+    const numeric = typeof rawQuantity === 'number'
+      ? rawQuantity
+      : Number(text.replace(/\s+/g, '').replace(',', '.'));
+
+    if (!isNaN(numeric)) {
+      if (numeric === storedQuantity) {
+        return null;
+      }
+      if (Number.isInteger(numeric)) {
+        // Digit grouping such as "1 200" stops parseInt at the first space
+        return {
+          reason: `Grouped number ${text} read as ${storedQuantity}`,
+          suspicious: true
+        };
+      }
+      return {
+        reason: `Decimal quantity ${text} truncated to ${storedQuantity}`,
+        suspicious: true
+      };
+    }
+
+    return {
+      reason: `Text after the number ignored: "${text}" read as ${storedQuantity}`,
+      suspicious: false
+    };
+  }
+
+  /**
+   * List item codes that appeared on more than one row and were merged
+   * @param {Object} toolInventory - Tool inventory object
+   * @returns {Array} - [{ itemCode, occurrences, totalQuantity, rows }]
+   */
+  static findDuplicateCodes(toolInventory) {
+    return Object.entries(toolInventory)
+      .filter(([, item]) => (item.entries || []).length > 1)
+      .map(([itemCode, item]) => ({
+        itemCode,
+        occurrences: item.entries.length,
+        totalQuantity: item.quantity,
+        rows: item.entries.map(entry => ({
+          sheet: entry.sheet,
+          row: entry.row,
+          quantity: entry.quantity
+        }))
+      }));
   }
 
   /**
@@ -210,18 +761,18 @@ class ExcelProcessor {
    */
   static generateSummary(toolInventory) {
     const totalUniqueTools = Object.keys(toolInventory).length;
-    const totalQuantity = Object.values(toolInventory).reduce((sum, qty) => sum + qty, 0);
+    const totalQuantity = Object.values(toolInventory).reduce((sum, item) => sum + item.quantity, 0);
     
     // Find top 10 most available tools
     const sortedTools = Object.entries(toolInventory)
-      .sort(([,a], [,b]) => b - a)
+      .sort(([,a], [,b]) => b.quantity - a.quantity)
       .slice(0, 10);
     
     return {
       totalUniqueTools,
       totalQuantity,
       averageQuantityPerTool: totalUniqueTools > 0 ? (totalQuantity / totalUniqueTools).toFixed(2) : 0,
-      topTools: sortedTools.map(([code, qty]) => ({ code, quantity: qty }))
+      topTools: sortedTools.map(([code, item]) => ({ code, quantity: item.quantity }))
     };
   }
 
@@ -4,21 +4,26 @@
  * scanning Excel files, analyzing tools, and generating work tracking results.
  */
 
+const fs = require("fs");
 const config = require("../config");
 const Logger = require("../utils/Logger");
 const Scanner = require("./Scanner");
 const Analyzer = require("./Analyzer");
 const Results = require("./Results");
+const FolderWatcher = require("./FolderWatcher");
 
 class Executor {
   constructor(dataManager = null) {
     this.dataManager = dataManager;
-    this.scanner = new Scanner();
+    this.scanner = new Scanner(dataManager);
     this.analyzer = new Analyzer();
     // Always pass tempManager to Results for read-only processing
-    this.results = new Results(this.scanner.tempManager);
+    this.results = new Results(this.scanner.tempManager, dataManager);
     this.isRunning = false;
     this.manualQueue = [];
+    this.watcher = null;
+    this.watchScanRunning = false;
+    this.watchScanPending = false;
   }
 
   /**
@@ -33,13 +38,14 @@ class Executor {
 
     this.isRunning = true;
 
-    Logger.info(
-      `Executor started (${config.app.autoMode ? "AUTO" : "MANUAL"} mode).`
-    );
+    const mode = config.app.watchMode ? "WATCH" : config.app.autoMode ? "AUTO" : "MANUAL";
+    Logger.info(`Executor started (${mode} mode).`);
 
     this.scanner.start();
 
-    if (config.app.autoMode) {
+    if (config.app.watchMode) {
+      await this.runWatchMode();
+    } else if (config.app.autoMode) {
       await this.runAutorunCycle();
     } else if (options.projectPath) {
       // Manual mode with specific project path
@@ -98,6 +104,54 @@ class Executor {
     }
   }
 
+  /**
+   * Scan once, then rescan whenever JSON or Excel files under the scan paths
+   * are added, changed or removed. Replaces the polling loop of autorun.
+   */
+  async runWatchMode() {
+    const watchPaths = [config.getJsonScanPath(), config.getExcelScanPath()]
+      .filter((watchPath, index, all) => watchPath && all.indexOf(watchPath) === index)
+      .filter((watchPath) => fs.existsSync(watchPath));
+
+    if (watchPaths.length === 0) {
+      Logger.error("Watch mode: none of the scan paths exist, nothing to watch.");
+      return;
+    }
+
+    await this.runWatchScan("initial scan");
+
+    this.watcher = new FolderWatcher({
+      paths: watchPaths,
+      // Our own results may live next to the scan data; never react to them
+      ignored: [this.scanner.tempManager.tempBasePath],
+      onChange: (changes) => this.runWatchScan(`${changes.length} file change(s)`),
+    });
+    await this.watcher.start();
+  }
+
+  /**
+   * Run an incremental scan; changes arriving during a scan trigger one more
+   * scan afterwards instead of overlapping runs.
+   */
+  async runWatchScan(reason) {
+    if (this.watchScanRunning) {
+      this.watchScanPending = true;
+      return;
+    }
+
+    this.watchScanRunning = true;
+    try {
+      do {
+        this.watchScanPending = false;
+        Logger.info(`👀 Watch scan (${reason})`);
+        await this.scanner.performScan();
+        reason = "changes during previous scan";
+      } while (this.watchScanPending && this.isRunning);
+    } finally {
+      this.watchScanRunning = false;
+    }
+  }
+
   /**
    * Process a project: analyze -> rule check -> results.
    */
@@ -296,12 +350,28 @@ class Executor {
     Logger.info(`   - Errors: ${summary.errorCount || 0}`);
   }
 
+  /**
+   * Stop the executor and wait until a scan that is under way has finished.
+   */
+  async stopAndWait() {
+    this.stop();
+    while (this.watchScanRunning || this.scanner.currentScan) {
+      await new Promise((res) => setTimeout(res, 100));
+    }
+  }
+
   /**
    * Stop the executor.
    */
   stop() {
     Logger.info("Stopping Executor...");
     this.isRunning = false;
+    if (this.watcher) {
+      this.watcher.stop().catch((err) => {
+        Logger.error(`Failed to stop folder watcher: ${err.message}`);
+      });
+      this.watcher = null;
+    }
     this.scanner.stop();
   }
 }
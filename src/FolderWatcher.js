@@ -0,0 +1,137 @@
+// path: src/FolderWatcher.js
+/**
+ * Watches the JSON and Excel scan folders with chokidar and reports batches of
+ * changed files. Files are only reported once they have stopped growing
+ * (awaitWriteFinish), and bursts of events, e.g. JSONScanner writing a whole
+ * project, are debounced into one batch.
+ */
+
+const path = require("path");
+const chokidar = require("chokidar");
+const config = require("../config");
+const Logger = require("../utils/Logger");
+
+class FolderWatcher {
+  /**
+   * @param {Object} options
+   * @param {Array<string>} options.paths - Folders to watch
+   * @param {Function} options.onChange - Called with [{ event, path }] after each debounced burst
+   * @param {Array<string>} options.extensions - Relevant file extensions (defaults to .json + Excel)
+   * @param {Array<string>} options.ignored - Paths to ignore (e.g. our own working folder)
+   */
+  constructor(options = {}) {
+    const watchConfig = { ...config.watch, ...(options.watch || {}) };
+
+    this.paths = options.paths || [];
+    this.onChange = options.onChange || (() => {});
+    this.extensions = (
+      options.extensions || [".json", ...config.excel.supportedExtensions]
+    ).map((ext) => ext.toLowerCase());
+    this.ignored = options.ignored || [];
+    this.debounceMs = watchConfig.debounceMs;
+    this.stabilityThresholdMs = watchConfig.stabilityThresholdMs;
+    this.pollIntervalMs = watchConfig.pollIntervalMs;
+    this.usePolling = watchConfig.usePolling;
+
+    this.watcher = null;
+    this.pending = new Map(); // file path -> last event
+    this.timer = null;
+  }
+
+  /**
+   * Start watching
+   * @returns {Promise<void>} - Resolves once the initial directory walk is done
+   */
+  start() {
+    if (this.watcher) {
+      return Promise.resolve();
+    }
+
+    this.watcher = chokidar.watch(this.paths, {
+      ignored: this.ignored,
+      ignoreInitial: true,
+      persistent: true,
+      usePolling: this.usePolling,
+      interval: this.pollIntervalMs,
+      awaitWriteFinish: {
+        stabilityThreshold: this.stabilityThresholdMs,
+        pollInterval: this.pollIntervalMs,
+      },
+    });
+
+    for (const event of ["add", "change", "unlink"]) {
+      this.watcher.on(event, (filePath) => this.handleEvent(event, filePath));
+    }
+    this.watcher.on("error", (err) => {
+      Logger.error(`Folder watcher error: ${err.message}`);
+    });
+
+    return new Promise((resolve) => {
+      this.watcher.once("ready", () => {
+        Logger.info(`👀 Watching ${this.paths.length} folder(s): ${this.paths.join(", ")}`);
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Whether a file should trigger a scan (skips Excel lock files like "~$E-Cut.xlsx")
+   */
+  isRelevant(filePath) {
+    const fileName = path.basename(filePath);
+    if (fileName.startsWith("~$") || fileName.startsWith(".")) {
+      return false;
+    }
+    return this.extensions.includes(path.extname(fileName).toLowerCase());
+  }
+
+  handleEvent(event, filePath) {
+    if (!this.isRelevant(filePath)) {
+      return;
+    }
+
+    this.pending.set(filePath, event);
+    if (this.timer) {
+      clearTimeout(this.timer);
+    }
+    this.timer = setTimeout(() => this.flush(), this.debounceMs);
+  }
+
+  /**
+   * Report the collected changes as one batch
+   */
+  flush() {
+    this.timer = null;
+    if (this.pending.size === 0) {
+      return;
+    }
+
+    const changes = Array.from(this.pending, ([filePath, event]) => ({ event, path: filePath }));
+    this.pending.clear();
+    Logger.info(`👀 Detected ${changes.length} changed file(s)`);
+
+    Promise.resolve()
+      .then(() => this.onChange(changes))
+      .catch((err) => Logger.error(`Watch-triggered scan failed: ${err.message}`));
+  }
+
+  /**
+   * Stop watching; pending changes are dropped
+   */
+  async stop() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    this.pending.clear();
+
+    if (this.watcher) {
+      const watcher = this.watcher;
+      this.watcher = null;
+      await watcher.close();
+      Logger.info("👀 Folder watcher stopped");
+    }
+  }
+}
+
+module.exports = FolderWatcher;
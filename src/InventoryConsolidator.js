@@ -0,0 +1,177 @@
+// path: src/InventoryConsolidator.js
+/**
+ * Combines the per-file inventories of one scan into a single matrix inventory.
+ * When a tool code appears in several files the configured strategy decides
+ * which quantity counts, so a stale copy left in the scan folder is not added
+ * on top of the current export.
+ */
+
+const config = require("../config");
+const ExcelProcessor = require("./ExcelProcessor");
+
+const STRATEGIES = ["sum", "newest", "priority", "max"];
+
+class InventoryConsolidator {
+  /**
+   * @param {Object} options - Defaults to config.excel.consolidation
+   * @param {string} options.strategy - "sum", "newest", "priority" or "max"
+   * @param {Array<string>} options.priority - File name patterns, highest priority first
+   *                                          ("*" and "?" wildcards, used by "priority")
+   */
+  constructor(options = config.excel.consolidation) {
+    this.strategy = options.strategy || "sum";
+    this.priority = options.priority || [];
+
+    if (!STRATEGIES.includes(this.strategy)) {
+      throw new Error(
+        `Unknown consolidation strategy "${this.strategy}" (expected ${STRATEGIES.join(", ")})`
+      );
+    }
+
+    this.contributions = new Map(); // toolCode -> [{ source, item }]
+  }
+
+  /**
+   * Register the inventory of one successfully processed file
+   * @param {Object} source - { fileName, modifiedAt }
+   * @param {Object} toolInventory - ExcelProcessor toolInventory (toolCode -> item)
+   */
+  addFile(source, toolInventory) {
+    for (const [toolCode, item] of Object.entries(toolInventory || {})) {
+      if (!this.contributions.has(toolCode)) {
+        this.contributions.set(toolCode, []);
+      }
+      this.contributions.get(toolCode).push({
+        source,
+        item: {
+          ...item,
+          entries: (item.entries || []).map((entry) => ({
+            file: source.fileName,
+            ...entry,
+          })),
+        },
+      });
+    }
+  }
+
+  /**
+   * Resolve every tool code according to the strategy
+   * @returns {Object} - { inventory: Map(toolCode -> item with source), conflicts }
+   */
+  consolidate() {
+    const inventory = new Map();
+    const conflicts = [];
+
+    for (const [toolCode, contributions] of this.contributions) {
+      const chosen =
+        this.strategy === "sum" ? contributions : [this.selectContribution(contributions)];
+
+      const item = chosen.reduce(
+        (merged, contribution) => InventoryConsolidator.mergeItems(merged, contribution.item),
+        null
+      );
+
+      // Fill detail fields the chosen file left empty from the other files
+      for (const contribution of contributions) {
+        for (const [field, value] of Object.entries(contribution.item)) {
+          if (item[field] === undefined) {
+            item[field] = value;
+          }
+        }
+      }
+
+      item.source = {
+        strategy: this.strategy,
+        files: chosen.map((c) => c.source.fileName),
+      };
+      inventory.set(toolCode, item);
+
+      if (contributions.length > 1) {
+        const quantities = contributions.map((c) => c.item.quantity);
+        conflicts.push({
+          toolCode,
+          strategy: this.strategy,
+          identicalQuantities: quantities.every((qty) => qty === quantities[0]),
+          files: contributions.map((c) => ({
+            fileName: c.source.fileName,
+            modifiedAt: c.source.modifiedAt || null,
+            quantity: c.item.quantity,
+          })),
+          chosenFiles: item.source.files,
+          quantity: item.quantity,
+        });
+      }
+    }
+
+    return { inventory, conflicts };
+  }
+
+  /**
+   * Pick the single contribution that counts for the newest, priority and max strategies.
+   * Ties fall back to the newest file, then to scan order.
+   */
+  selectContribution(contributions) {
+    const modified = (c) => new Date(c.source.modifiedAt || 0).getTime();
+    const rank = (c) => {
+      const index = this.priority.findIndex((pattern) =>
+        ExcelProcessor.matchesFilePattern(c.source.fileName, pattern)
+      );
+      return index === -1 ? this.priority.length : index;
+    };
+
+    return contributions.reduce((best, candidate) => {
+      let diff = 0;
+      if (this.strategy === "priority") {
+        diff = rank(best) - rank(candidate);
+      } else if (this.strategy === "max") {
+        diff = candidate.item.quantity - best.item.quantity;
+      }
+      if (diff === 0) {
+        diff = modified(candidate) - modified(best);
+      }
+      return diff > 0 ? candidate : best;
+    });
+  }
+
+  /**
+   * Merge one inventory item into another (null starts a new item).
+   * Quantities are summed overall and per location, source rows concatenated,
+   * and the first item providing a detail field (description, unit, ...) wins.
+   * @param {Object|null} merged - Item built so far
+   * @param {Object} item - Item to add
+   * @returns {Object} - Merged item
+   */
+  static mergeItems(merged, item) {
+    if (!merged) {
+      return {
+        ...item,
+        locations: (item.locations || []).map((loc) => ({ ...loc })),
+        entries: [...(item.entries || [])],
+      };
+    }
+
+    merged.quantity += item.quantity;
+    merged.entries.push(...(item.entries || []));
+
+    for (const [field, value] of Object.entries(item)) {
+      if (merged[field] === undefined) {
+        merged[field] = value;
+      }
+    }
+
+    for (const loc of item.locations || []) {
+      const existing = merged.locations.find((l) => l.location === loc.location);
+      if (existing) {
+        existing.quantity += loc.quantity;
+      } else {
+        merged.locations.push({ ...loc });
+      }
+    }
+
+    return merged;
+  }
+}
+
+InventoryConsolidator.STRATEGIES = STRATEGIES;
+
+module.exports = InventoryConsolidator;
@@ -0,0 +1,397 @@
+// path: src/InventoryHistory.js
+/**
+ * Keeps a dated snapshot of every processed matrix inventory and compares
+ * snapshots to show how stock moved between two points in time.
+ *
+ * inventory_snapshots/index.json lists the snapshots with their totals and
+ * inventory hash, so listing them does not read every snapshot file.
+ */
+
+const fs = require("fs").promises;
+const path = require("path");
+const crypto = require("crypto");
+const config = require("../config");
+const Logger = require("../utils/Logger");
+
+const INDEX_FILE = "index.json";
+const SNAPSHOT_FILE_PATTERN = /^inventory_(.+)\.json$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Hash of a { toolCode: quantity } map that does not depend on key order
+ */
+function hashInventory(inventory) {
+  const entries = Object.keys(inventory)
+    .sort()
+    .map((toolCode) => [toolCode, inventory[toolCode]]);
+  return crypto.createHash("sha256").update(JSON.stringify(entries)).digest("hex");
+}
+
+/**
+ * Index entry of a snapshot. `consumed` holds the pieces per tool code taken
+ * out since the snapshot before it, so consumption over a period is summed
+ * from the index without reading snapshot files.
+ * @param {Object} snapshot - Snapshot with inventory
+ * @param {Object|null} previousInventory - Inventory of the snapshot before it
+ */
+function describeSnapshot(snapshot, previousInventory) {
+  return {
+    id: snapshot.id,
+    takenAt: snapshot.takenAt,
+    sourceFiles: snapshot.sourceFiles || [],
+    totalUniqueTools: snapshot.totalUniqueTools,
+    totalQuantity: snapshot.totalQuantity,
+    hash: snapshot.hash || hashInventory(snapshot.inventory || {}),
+    consumed: previousInventory ? consumedBetween(previousInventory, snapshot.inventory) : {},
+  };
+}
+
+function consumedBetween(fromInventory, toInventory) {
+  const consumed = {};
+  for (const [toolCode, quantity] of Object.entries(fromInventory || {})) {
+    const taken = quantity - ((toInventory || {})[toolCode] || 0);
+    if (taken > 0) {
+      consumed[toolCode] = taken;
+    }
+  }
+  return consumed;
+}
+
+class InventoryHistory {
+  /**
+   * @param {string} resultsPath - ToolManager results directory
+   * @param {Object} options - { keep, maxAgeDays } (default config.inventorySnapshots)
+   */
+  constructor(resultsPath, options = {}) {
+    this.snapshotsPath = path.join(resultsPath, "inventory_snapshots");
+    this.keep = options.keep !== undefined ? options.keep : config.inventorySnapshots.keep;
+    this.maxAgeDays = options.maxAgeDays !== undefined ? options.maxAgeDays : config.inventorySnapshots.maxAgeDays;
+  }
+
+  /**
+   * Store the consolidated inventory from Scanner.processExcelFile() as a
+   * snapshot, unless it is the same as the latest one. Snapshots beyond the
+   * retention (keep / maxAgeDays) are deleted afterwards.
+   * @param {Object} excelResult - Consolidated Excel processing result
+   * @param {Date} takenAt - Snapshot time (defaults to now)
+   * @returns {Object|null} - Saved snapshot, or null when the inventory did not change
+   */
+  async saveSnapshot(excelResult, takenAt = new Date()) {
+    const inventory = {};
+    for (const tool of excelResult.toolInventory || []) {
+      inventory[tool.toolCode] = (inventory[tool.toolCode] || 0) + (tool.quantity || 0);
+    }
+
+    const index = await this.readIndex();
+    const hash = hashInventory(inventory);
+    const latest = index[index.length - 1];
+    if (latest && latest.hash === hash) {
+      Logger.info(`📸 Inventory unchanged since snapshot ${latest.id} - no new snapshot`);
+      return null;
+    }
+
+    const snapshot = {
+      id: this.createSnapshotId(takenAt, index),
+      takenAt: takenAt.toISOString(),
+      sourceFiles: (excelResult.filesProcessed || [])
+        .filter((f) => !f.error)
+        .map((f) => f.fileName),
+      totalUniqueTools: Object.keys(inventory).length,
+      totalQuantity: Object.values(inventory).reduce((sum, qty) => sum + qty, 0),
+      hash,
+      inventory,
+    };
+
+    await fs.mkdir(this.snapshotsPath, { recursive: true });
+    await fs.writeFile(this.getSnapshotFilePath(snapshot.id), JSON.stringify(snapshot, null, 2), "utf8");
+
+    // Usually appended; a snapshot dated before the latest also changes what
+    // the one after it consumed
+    const position = index.filter((info) => info.id < snapshot.id).length;
+    const before = position > 0 ? await this.loadSnapshot(index[position - 1].id) : null;
+    index.splice(position, 0, describeSnapshot(snapshot, before && before.inventory));
+    const after = index[position + 1];
+    if (after) {
+      const next = await this.loadSnapshot(after.id);
+      after.consumed = next ? consumedBetween(inventory, next.inventory) : {};
+    }
+    await this.writeIndex(await this.prune(index));
+    Logger.info(`📸 Inventory snapshot saved: ${snapshot.id}`);
+
+    return snapshot;
+  }
+
+  /**
+   * Drop the snapshots beyond the newest `keep` and older than `maxAgeDays`
+   * (counted from the newest snapshot). The newest snapshot is always kept.
+   * @param {Array} index - Snapshot infos, oldest first
+   * @returns {Array} - Infos of the snapshots that remain
+   */
+  async prune(index) {
+    const newest = index[index.length - 1];
+    if (!newest) {
+      return index;
+    }
+
+    const cutoff = this.maxAgeDays > 0 ? new Date(newest.takenAt).getTime() - this.maxAgeDays * DAY_MS : null;
+    const firstKept = this.keep > 0 ? Math.max(0, index.length - this.keep) : 0;
+    const kept = [];
+    for (const [position, info] of index.entries()) {
+      const expired = position < firstKept || (cutoff !== null && new Date(info.takenAt).getTime() < cutoff);
+      if (expired && info !== newest) {
+        await fs.rm(this.getSnapshotFilePath(info.id), { force: true });
+      } else {
+        kept.push(info);
+      }
+    }
+
+    if (kept.length < index.length) {
+      Logger.info(`🧹 Removed ${index.length - kept.length} old inventory snapshot(s)`);
+    }
+    return kept;
+  }
+
+  /**
+   * Build a sortable, date-based snapshot id (UTC), e.g. "2025-11-13_192101".
+   * A counter suffix keeps ids unique when two scans finish in the same second.
+   */
+  createSnapshotId(takenAt, index) {
+    const iso = takenAt.toISOString();
+    const baseId = `${iso.slice(0, 10)}_${iso.slice(11, 19).replace(/:/g, "")}`;
+    const ids = new Set(index.map((info) => info.id));
+
+    let id = baseId;
+    let counter = 2;
+    while (ids.has(id)) {
+      id = `${baseId}_${counter++}`;
+    }
+    return id;
+  }
+
+  getSnapshotFilePath(id) {
+    return path.join(this.snapshotsPath, `inventory_${id}.json`);
+  }
+
+  getIndexFilePath() {
+    return path.join(this.snapshotsPath, INDEX_FILE);
+  }
+
+  /**
+   * Snapshot infos (oldest first) from index.json. Folders written before the
+   * index existed are indexed once from their snapshot files.
+   */
+  async readIndex() {
+    try {
+      const { snapshots } = JSON.parse(await fs.readFile(this.getIndexFilePath(), "utf8"));
+      if (snapshots.every((info) => info.consumed)) {
+        return snapshots;
+      }
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        Logger.warn(`Rebuilding unreadable inventory snapshot index: ${error.message}`);
+      }
+    }
+
+    let files;
+    try {
+      files = await fs.readdir(this.snapshotsPath);
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return [];
+      }
+      throw error;
+    }
+
+    const index = [];
+    let previousInventory = null;
+    for (const file of files.filter((name) => SNAPSHOT_FILE_PATTERN.test(name)).sort()) {
+      try {
+        const snapshot = JSON.parse(await fs.readFile(path.join(this.snapshotsPath, file), "utf8"));
+        index.push(describeSnapshot(snapshot, previousInventory));
+        previousInventory = snapshot.inventory;
+      } catch (err) {
+        Logger.warn(`Skipping unreadable inventory snapshot ${file}: ${err.message}`);
+      }
+    }
+    if (index.length > 0) {
+      await this.writeIndex(index);
+    }
+    return index;
+  }
+
+  async writeIndex(index) {
+    const file = this.getIndexFilePath();
+    await fs.writeFile(`${file}.tmp`, JSON.stringify({ snapshots: index }, null, 2), "utf8");
+    await fs.rename(`${file}.tmp`, file);
+  }
+
+  /**
+   * List all snapshots (oldest first) without their inventory body
+   * @returns {Array} - [{ id, takenAt, totalUniqueTools, totalQuantity, sourceFiles, hash }]
+   */
+  async listSnapshots() {
+    return (await this.readIndex()).map((info) => ({
+      id: info.id,
+      takenAt: info.takenAt,
+      sourceFiles: info.sourceFiles,
+      totalUniqueTools: info.totalUniqueTools,
+      totalQuantity: info.totalQuantity,
+      hash: info.hash,
+    }));
+  }
+
+  /**
+   * Load a snapshot by reference.
+   * @param {string} ref - Snapshot id, "latest", "previous", or a date (YYYY-MM-DD)
+   *                      meaning the last snapshot taken on or before that day (UTC)
+   * @returns {Object|null} - Snapshot with inventory, or null if none matches
+   */
+  async loadSnapshot(ref = "latest") {
+    const snapshots = await this.listSnapshots();
+    if (snapshots.length === 0) {
+      return null;
+    }
+
+    let info = null;
+    if (ref === "latest") {
+      info = snapshots[snapshots.length - 1];
+    } else if (ref === "previous") {
+      info = snapshots.length > 1 ? snapshots[snapshots.length - 2] : null;
+    } else if (/^\d{4}-\d{2}-\d{2}$/.test(ref)) {
+      const onOrBefore = snapshots.filter((s) => s.id.slice(0, 10) <= ref);
+      info = onOrBefore.length > 0 ? onOrBefore[onOrBefore.length - 1] : null;
+    } else {
+      info = snapshots.find((s) => s.id === ref) || null;
+    }
+
+    if (!info) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(await fs.readFile(this.getSnapshotFilePath(info.id), "utf8"));
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Compare two snapshots.
+   * @param {string} fromRef - Older snapshot reference (defaults to "previous")
+   * @param {string} toRef - Newer snapshot reference (defaults to "latest")
+   * @returns {Object|null} - Diff report, or null when a snapshot cannot be found
+   */
+  async diff(fromRef = "previous", toRef = "latest") {
+    const from = await this.loadSnapshot(fromRef);
+    const to = await this.loadSnapshot(toRef);
+
+    if (!from || !to) {
+      return null;
+    }
+
+    return {
+      from: { id: from.id, takenAt: from.takenAt },
+      to: { id: to.id, takenAt: to.takenAt },
+      ...InventoryHistory.diffInventories(from.inventory, to.inventory),
+    };
+  }
+
+  /**
+   * Sum consumption per tool code over the snapshots of the last `days` days.
+   * Consecutive snapshots are compared pairwise, so a restock between two scans
+   * does not hide what was taken out before it. The pairs are worked out when
+   * a snapshot is saved; this only reads the index.
+   * @param {number} days - History window in days
+   * @param {Date} until - Window end (defaults to now)
+   * @returns {Object} - { from, to, days, snapshots, consumed: { toolCode: pieces } }
+   */
+  async getConsumption(days = 30, until = new Date()) {
+    const since = new Date(until.getTime() - days * DAY_MS);
+    const snapshots = (await this.readIndex()).filter((s) => {
+      const takenAt = new Date(s.takenAt);
+      return takenAt >= since && takenAt <= until;
+    });
+
+    // The first snapshot of the window only serves as the starting point
+    const consumed = {};
+    for (const info of snapshots.slice(1)) {
+      for (const [toolCode, pieces] of Object.entries(info.consumed)) {
+        consumed[toolCode] = (consumed[toolCode] || 0) + pieces;
+      }
+    }
+
+    const first = snapshots[0];
+    const last = snapshots[snapshots.length - 1];
+    const spanDays =
+      snapshots.length > 1
+        ? (new Date(last.takenAt) - new Date(first.takenAt)) / DAY_MS
+        : 0;
+
+    return {
+      from: first ? first.takenAt : null,
+      to: last ? last.takenAt : null,
+      days: Math.round(spanDays * 100) / 100,
+      snapshots: snapshots.length,
+      consumed,
+    };
+  }
+
+  /**
+   * Compare two { toolCode: quantity } maps.
+   * Positive changes count as added stock, negative changes as consumed.
+   * @returns {Object} - { summary, tools: [{ toolCode, from, to, change, added, consumed, status }] }
+   */
+  static diffInventories(fromInventory, toInventory) {
+    const codes = new Set([
+      ...Object.keys(fromInventory || {}),
+      ...Object.keys(toInventory || {}),
+    ]);
+
+    const summary = {
+      totalAdded: 0,
+      totalConsumed: 0,
+      newCodes: 0,
+      removedCodes: 0,
+      changedCodes: 0,
+      unchangedCodes: 0,
+    };
+    const tools = [];
+
+    for (const toolCode of Array.from(codes).sort()) {
+      const inFrom = Object.prototype.hasOwnProperty.call(fromInventory || {}, toolCode);
+      const inTo = Object.prototype.hasOwnProperty.call(toInventory || {}, toolCode);
+      const fromQty = inFrom ? fromInventory[toolCode] : 0;
+      const toQty = inTo ? toInventory[toolCode] : 0;
+      const change = toQty - fromQty;
+
+      let status;
+      if (!inFrom) {
+        status = "new";
+        summary.newCodes++;
+      } else if (!inTo) {
+        status = "removed";
+        summary.removedCodes++;
+      } else if (change !== 0) {
+        status = "changed";
+        summary.changedCodes++;
+      } else {
+        status = "unchanged";
+        summary.unchangedCodes++;
+      }
+
+      const added = Math.max(0, change);
+      const consumed = Math.max(0, -change);
+      summary.totalAdded += added;
+      summary.totalConsumed += consumed;
+
+      tools.push({ toolCode, from: fromQty, to: toQty, change, added, consumed, status });
+    }
+
+    return { summary, tools };
+  }
+}
+
+module.exports = InventoryHistory;
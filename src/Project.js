@@ -10,6 +10,7 @@ const path = require("path");
 const config = require("../config");
 const Logger = require("../utils/Logger");
 const { ensureDirectory, getJsonFiles } = require("../utils/FileUtils");
+const { parseTolerantJson, summarizeRepairs } = require("../utils/TolerantJsonParser");
 
 class Project {
   constructor(projectPath) {
@@ -23,6 +24,7 @@ class Project {
     this.jsonFilePath = null; // Path to the target JSON file
     this.machineFolder = null; // Path to machine subfolder
     this.hypermillFilePath = null; // HyperMILL CAD file reference
+    this.jsonRepairs = []; // Repairs made while parsing the JSON file (TolerantJsonParser)
     
     // NC files and jobs data structure
     // Each NC file is identified by programName (e.g., "W5270NS01003A1.h")
@@ -148,58 +150,24 @@ class Project {
     return null;
   }
 
-  /**
-   * Sanitizes JSON content by fixing common data quality issues
-   * @param {string} jsonString - Raw JSON string content
-   * @returns {string} - Sanitized JSON string
-   */
-  static sanitizeJsonContent(jsonString) {
-    Logger.info(`Starting JSON sanitization, original length: ${jsonString.length}`);
-    
-    // Count NaN occurrences before sanitization
-    const nanMatches = jsonString.match(/:\s*NaN\s*[,}]/g);
-    const nanCount = nanMatches ? nanMatches.length : 0;
-    Logger.info(`Found ${nanCount} NaN values to sanitize`);
-    
-    // Fix unquoted NaN values which are invalid JSON
-    let sanitized = jsonString.replace(/:\s*NaN\s*,/g, ': null,');
-    sanitized = sanitized.replace(/:\s*NaN\s*}/g, ': null}');
-    sanitized = sanitized.replace(/:\s*NaN\s*]/g, ': null]');
-    
-    // Fix any other common malformed JSON patterns if needed
-    // Handle infinity values if they exist
-    sanitized = sanitized.replace(/:\s*Infinity\s*,/g, ': null,');
-    sanitized = sanitized.replace(/:\s*Infinity\s*}/g, ': null}');
-    sanitized = sanitized.replace(/:\s*-Infinity\s*,/g, ': null,');
-    sanitized = sanitized.replace(/:\s*-Infinity\s*}/g, ': null}');
-    
-    // Verify all NaN values were replaced
-    const remainingNan = sanitized.match(/:\s*NaN\s*[,}]/g);
-    if (remainingNan) {
-      Logger.warn(`Warning: ${remainingNan.length} NaN values remain after sanitization`);
-    } else {
-      Logger.info(`All NaN values successfully sanitized`);
-    }
-    
-    Logger.info(`Sanitization complete, new length: ${sanitized.length}`);
-    return sanitized;
-  }
-
   /**
    * Loads and parses JSON data, populating project metadata and compound jobs.
-   * Creates a temporary sanitized copy of the JSON file to avoid modifying the original.
+   * Defects in the file are repaired in memory; the original is never modified.
    * @returns {boolean} - True if data loaded successfully
    */
   loadJsonData() {
     try {
       Logger.info(`Reading JSON file: ${this.jsonFilePath}`);
       
-      // JSONScanner already sanitized the files - read directly
       const rawJsonContent = fs.readFileSync(this.jsonFilePath, 'utf8');
       Logger.info(`JSON length: ${rawJsonContent.length} characters`);
       
-      // Parse JSON directly (no sanitization needed)
-      const jsonContent = JSON.parse(rawJsonContent);
+      // Tolerant parse: repairs NaN/Infinity, trailing commas, BOM and truncation
+      const { data: jsonContent, repairs } = parseTolerantJson(rawJsonContent);
+      this.jsonRepairs = repairs;
+      if (repairs.length > 0) {
+        Logger.warn(`Repaired ${repairs.length} JSON issue(s): ${JSON.stringify(summarizeRepairs(repairs))}`);
+      }
       Logger.info(`JSON parsed successfully, type: ${typeof jsonContent}`);
       
       if (!jsonContent) {
@@ -0,0 +1,247 @@
+// path: src/ReorderPlanner.js
+/**
+ * Reorder points and purchase suggestions for matrix tools.
+ * Consumption comes from the inventory snapshot history, upcoming demand from
+ * DemandForecast, and lead time / safety stock from the "purchasing" block of
+ * each category in matrix-tool-definitions.json.
+ */
+
+const XLSX = require("xlsx");
+const config = require("../config");
+const {
+  getToolDefinition,
+  getToolIdentityFromMatrixCode,
+  getPurchasingParameters,
+} = require("../utils/ToolIdentity");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Export columns: header -> suggestion field
+const EXPORT_COLUMNS = [
+  ["Tool code", "toolCode"],
+  ["Description", "description"],
+  ["Supplier", "supplier"],
+  ["Category", "category"],
+  ["Unit", "unit"],
+  ["Stock", "currentStock"],
+  ["Daily consumption", "dailyConsumption"],
+  ["Lead time (days)", "leadTimeDays"],
+  ["Lead time demand", "leadTimeDemand"],
+  ["Safety stock", "safetyStock"],
+  ["Reorder point", "reorderPoint"],
+  ["Suggested quantity", "suggestedQuantity"],
+  ["Urgency", "urgency"],
+];
+
+class ReorderPlanner {
+  /**
+   * @param {Object} options
+   * @param {Object} options.defaults - Purchasing parameters for categories without a block
+   */
+  constructor(options = {}) {
+    this.defaults = { ...config.purchasing.defaults, ...(options.defaults || {}) };
+  }
+
+  /**
+   * Build the reorder analysis
+   * @param {Object} input
+   * @param {Array} input.stock - Matrix inventory [{ toolCode, quantity, description, supplier, unit }]
+   * @param {Object} input.consumption - InventoryHistory.getConsumption() result
+   * @param {Object|null} input.forecast - DemandForecast result with day buckets (optional)
+   * @returns {Object} - { generatedAt, history, tools, suggestions }
+   */
+  plan({ stock = [], consumption = null, forecast = null }) {
+    const history = consumption || { days: 0, snapshots: 0, consumed: {} };
+    const stockByCode = new Map();
+    for (const item of stock) {
+      const code = item.toolCode;
+      const existing = stockByCode.get(code);
+      stockByCode.set(code, {
+        ...item,
+        quantity: (existing ? existing.quantity : 0) + (Number(item.quantity) || 0),
+      });
+    }
+
+    const forecastByCode = new Map(
+      ((forecast && forecast.tools) || []).map((tool) => [tool.toolCode, tool])
+    );
+    const codes = new Set([
+      ...stockByCode.keys(),
+      ...Object.keys(history.consumed || {}),
+      ...forecastByCode.keys(),
+    ]);
+
+    const tools = [];
+    for (const toolCode of codes) {
+      const category = this.getCategory(toolCode);
+      if (!category) {
+        continue; // Non-matrix tools are not purchased through this list
+      }
+
+      tools.push(
+        this.planTool(toolCode, category, {
+          item: stockByCode.get(toolCode) || {},
+          consumed: (history.consumed || {})[toolCode] || 0,
+          historyDays: history.days || 0,
+          forecastTool: forecastByCode.get(toolCode) || null,
+          forecastFrom: forecast && forecast.summary ? forecast.summary.from : null,
+        })
+      );
+    }
+
+    const urgencyOrder = { critical: 0, reorder: 1, ok: 2 };
+    tools.sort(
+      (a, b) =>
+        urgencyOrder[a.urgency] - urgencyOrder[b.urgency] ||
+        b.suggestedQuantity - a.suggestedQuantity ||
+        a.toolCode.localeCompare(b.toolCode)
+    );
+
+    return {
+      generatedAt: new Date().toISOString(),
+      history: {
+        from: history.from || null,
+        to: history.to || null,
+        days: history.days || 0,
+        snapshots: history.snapshots || 0,
+      },
+      tools,
+      suggestions: tools.filter((tool) => tool.suggestedQuantity > 0),
+    };
+  }
+
+  /**
+   * Reorder point and suggested order quantity for one tool
+   */
+  planTool(toolCode, category, { item, consumed, historyDays, forecastTool, forecastFrom }) {
+    const params = { ...this.defaults, ...(getPurchasingParameters(category) || {}) };
+    const currentStock = Number(item.quantity) || 0;
+
+    // Less than a day of history says nothing about the consumption rate
+    const dailyConsumption = historyDays >= 1 ? consumed / historyDays : 0;
+    const forecastDemand = ReorderPlanner.getForecastDemand(
+      forecastTool,
+      forecastFrom,
+      params.leadTimeDays
+    );
+
+    // Whichever is higher: the usual rate, or what scheduled projects need before delivery
+    const leadTimeDemand = Math.max(
+      Math.ceil(dailyConsumption * params.leadTimeDays - 1e-9),
+      forecastDemand
+    );
+    const safetyStock = Math.ceil(dailyConsumption * params.safetyStockDays - 1e-9);
+    const reorderPoint = leadTimeDemand + safetyStock;
+
+    let suggestedQuantity = 0;
+    if (reorderPoint > 0 && currentStock <= reorderPoint) {
+      const target = reorderPoint + Math.ceil(dailyConsumption * params.orderCoverDays - 1e-9);
+      suggestedQuantity = Math.max(target - currentStock, params.minOrderQuantity);
+      const multiple = params.orderMultiple > 1 ? params.orderMultiple : 1;
+      suggestedQuantity = Math.ceil(suggestedQuantity / multiple) * multiple;
+    }
+
+    let urgency = "ok";
+    if (suggestedQuantity > 0) {
+      urgency = currentStock < leadTimeDemand ? "critical" : "reorder";
+    }
+
+    return {
+      toolCode,
+      category,
+      description: item.description || "",
+      supplier: item.supplier || null,
+      unit: item.unit || null,
+      currentStock,
+      consumedInHistory: consumed,
+      dailyConsumption: Math.round(dailyConsumption * 100) / 100,
+      daysOfStock:
+        dailyConsumption > 0 ? Math.round((currentStock / dailyConsumption) * 10) / 10 : null,
+      forecastDemand,
+      leadTimeDays: params.leadTimeDays,
+      leadTimeDemand,
+      safetyStock,
+      reorderPoint,
+      suggestedQuantity,
+      urgency,
+    };
+  }
+
+  /**
+   * Definitions category key ("ECUT") of a matrix tool code, null for non-matrix tools
+   */
+  getCategory(toolCode) {
+    const definition = getToolDefinition(toolCode);
+    if (definition) {
+      return definition.category;
+    }
+    const identity = getToolIdentityFromMatrixCode(toolCode);
+    return identity.isMatrixTool ? identity.category.replace(/^MATRIX_/, "") : null;
+  }
+
+  /**
+   * Pieces the forecast needs before a reorder placed today would arrive
+   */
+  static getForecastDemand(forecastTool, forecastFrom, leadTimeDays) {
+    if (!forecastTool || !forecastFrom) {
+      return 0;
+    }
+    const deliveryDate = new Date(new Date(forecastFrom).getTime() + leadTimeDays * DAY_MS)
+      .toISOString()
+      .slice(0, 10);
+
+    let pieces = 0;
+    for (const period of forecastTool.periods || []) {
+      if (period.period < deliveryDate) {
+        pieces = period.cumulativePieces;
+      }
+    }
+    return pieces;
+  }
+
+  /**
+   * Suggestion rows with export headers
+   */
+  static toRows(suggestions) {
+    return suggestions.map((suggestion) =>
+      Object.fromEntries(
+        EXPORT_COLUMNS.map(([header, field]) => [
+          header,
+          suggestion[field] === null || suggestion[field] === undefined ? "" : suggestion[field],
+        ])
+      )
+    );
+  }
+
+  /**
+   * Purchase suggestions as an XLSX workbook
+   * @returns {Buffer}
+   */
+  static toXlsx(plan) {
+    const workbook = XLSX.utils.book_new();
+    const sheet = XLSX.utils.json_to_sheet(ReorderPlanner.toRows(plan.suggestions), {
+      header: EXPORT_COLUMNS.map(([header]) => header),
+    });
+    XLSX.utils.book_append_sheet(workbook, sheet, "Purchase suggestions");
+    return XLSX.write(workbook, { type: "buffer", bookType: "xlsx" });
+  }
+
+  /**
+   * Purchase suggestions as CSV (semicolon separated, UTF-8 with BOM so Excel
+   * opens Hungarian descriptions correctly)
+   * @returns {string}
+   */
+  static toCsv(plan) {
+    const escape = (value) => {
+      const text = String(value);
+      return /[";\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const lines = [EXPORT_COLUMNS.map(([header]) => escape(header)).join(";")];
+    for (const row of ReorderPlanner.toRows(plan.suggestions)) {
+      lines.push(Object.values(row).map(escape).join(";"));
+    }
+    return "\uFEFF" + lines.join("\r\n") + "\r\n";
+  }
+}
+
+module.exports = ReorderPlanner;
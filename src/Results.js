@@ -9,10 +9,13 @@ const path = require("path");
 const config = require("../config");
 const Logger = require("../utils/Logger");
 const FileUtils = require("../utils/FileUtils");
+const Tool = require("./Tool");
+const { getToolIdentityFromMatrixCode, stripHolderSuffix } = require("../utils/ToolIdentity");
 
 class Results {
-  constructor(tempManager = null) {
+  constructor(tempManager = null, dataManager = null) {
     this.tempManager = tempManager;
+    this.dataManager = dataManager;
   }
 
   /**
@@ -40,6 +43,9 @@ class Results {
           : []
       );
 
+      // Planned start / due date per project position (production schedule or estimate)
+      const { projects, schedule } = this.createProjectSchedule(processedJsonData);
+
       // Create dashboard-ready format
       const dashboardData = {
         tools: this.createDashboardToolsList(
@@ -47,6 +53,10 @@ class Results {
           matrixToolCodes,
           usedTools
         ),
+        // Complete matrix inventory with descriptions, locations and units from Excel
+        matrixInventory: this.createAllMatrixToolsList(excelData),
+        projects,
+        schedule,
       };
 
       // Legacy format for backward compatibility
@@ -117,6 +127,123 @@ class Results {
     }
   }
 
+  /**
+   * Resolve planned start and due date for every project position in the scan.
+   * In "schedule_file" mode dates come from the production schedule; positions
+   * missing from it fall back to config.getCompletionDate() and are listed as unmatched.
+   * @returns {Object} - { projects: [...sorted by due date], schedule: { mode, file, matched, unmatched } }
+   */
+  createProjectSchedule(processedJsonData) {
+    const mode = config.scheduling.completionDateMode;
+    const useScheduleFile = mode === "schedule_file";
+    const byPosition = new Map();
+
+    for (const projectData of processedJsonData || []) {
+      const usage = projectData.toolUsage || {};
+      const key = usage.position || usage.project;
+      if (!key) {
+        continue;
+      }
+
+      if (!byPosition.has(key)) {
+        const createdAt = this.getSourceDate(projectData);
+        byPosition.set(key, {
+          project: usage.project,
+          position: usage.position,
+          machines: new Set(),
+          tools: new Set(),
+          toolMinutes: {},
+          createdAt,
+        });
+      }
+
+      const entry = byPosition.get(key);
+      if (usage.machine && usage.machine !== "UNKNOWN") {
+        entry.machines.add(usage.machine);
+      }
+      for (const toolName of usage.toolsUsed || []) {
+        entry.tools.add(toolName);
+      }
+
+      // Cutting minutes per tool for the demand forecast (operationTime is in seconds)
+      for (const operation of usage.operations || []) {
+        if (!operation.toolName || operation.toolName === "UNKNOWN") {
+          continue;
+        }
+        entry.toolMinutes[operation.toolName] =
+          (entry.toolMinutes[operation.toolName] || 0) + (operation.operationTime || 0) / 60;
+      }
+    }
+
+    const projects = [];
+    const unmatched = [];
+
+    for (const entry of byPosition.values()) {
+      const projectData = { project: entry.project, position: entry.position };
+      const scheduled = useScheduleFile ? config.getScheduleEntry(projectData) : null;
+
+      if (useScheduleFile && !scheduled) {
+        unmatched.push(entry.position || entry.project);
+      }
+
+      const dueDate =
+        scheduled && scheduled.dueDate
+          ? scheduled.dueDate
+          : this.toIsoDate(config.getCompletionDate(entry.createdAt, projectData));
+
+      projects.push({
+        project: entry.project,
+        position: entry.position,
+        machines: Array.from(entry.machines),
+        tools: Array.from(entry.tools),
+        toolMinutes: Object.fromEntries(
+          Object.entries(entry.toolMinutes).map(([toolName, minutes]) => [
+            toolName,
+            Math.round(minutes * 100) / 100,
+          ])
+        ),
+        plannedStart: scheduled ? scheduled.plannedStart : null,
+        dueDate,
+        dateSource: scheduled && scheduled.dueDate ? "schedule_file" : "estimated",
+      });
+    }
+
+    if (unmatched.length > 0) {
+      Logger.warn(
+        `📅 ${unmatched.length} project(s) not found in production schedule: ${unmatched.join(", ")}`
+      );
+    }
+
+    projects.sort((a, b) => (a.dueDate || "").localeCompare(b.dueDate || ""));
+
+    return {
+      projects,
+      schedule: {
+        mode,
+        file: useScheduleFile ? config.getScheduleFilePath() : null,
+        matched: useScheduleFile ? projects.length - unmatched.length : 0,
+        unmatched,
+      },
+    };
+  }
+
+  /**
+   * When a JSON file was written (its modification time), falling back to
+   * the time it was processed when the source is no longer available
+   * @returns {string} - ISO timestamp
+   */
+  getSourceDate(projectData) {
+    try {
+      return fs.statSync(projectData.originalPath).mtime.toISOString();
+    } catch (err) {
+      return projectData.processedAt || new Date().toISOString();
+    }
+  }
+
+  toIsoDate(date) {
+    return date && !isNaN(date.getTime()) ? date.toISOString() : null;
+  }
+
   /**
    * Get date range of JSON files used for analysis
    */
@@ -201,7 +328,7 @@ class Results {
 
       const toolData = {
         toolCode: toolCode,
-        description: tool.description || "",
+        ...this.getInventoryDetails(tool),
         quantity: quantity,
         toolLifePerPiece: toolLifeMinutes,
         totalCapacityMinutes: Math.round(totalCapacity * 100) / 100,
@@ -222,6 +349,19 @@ class Results {
     return { usedTools, unusedTools };
   }
 
+  /**
+   * Pick the optional inventory fields captured from the matrix Excel files
+   */
+  getInventoryDetails(tool) {
+    return {
+      description: tool.description || "",
+      location: tool.location || null,
+      locations: tool.locations || [],
+      unit: tool.unit || null,
+      supplier: tool.supplier || null,
+    };
+  }
+
   /**
    * Create matrix tools list (tools found in BOTH Excel and JSON)
    */
@@ -241,7 +381,7 @@ class Results {
       if (matrixTool) {
         matrixTools.push({
           toolCode: usedTool.toolName,
-          description: matrixTool.description,
+          ...this.getInventoryDetails(matrixTool),
           // Usage data from JSON
           totalUsageTime: usedTool.totalUsageTime,
           usageCount: usedTool.usageCount,
@@ -320,7 +460,7 @@ class Results {
 
       return {
         toolCode: tool.toolCode || tool.code || "UNKNOWN",
-        description: tool.description || "",
+        ...this.getInventoryDetails(tool),
         quantity: quantity,
         toolLifePerPiece: toolLifeMinutes,
         totalCapacityMinutes: Math.round(totalCapacity * 100) / 100,
@@ -346,7 +486,7 @@ class Results {
 
     const unusedMatrixTools = unusedTools.map((tool) => ({
       toolCode: tool.toolCode,
-      description: tool.description,
+      ...this.getInventoryDetails(tool),
       quantity: tool.quantity,
       toolLifePerPiece: tool.toolLifePerPiece,
       totalCapacityMinutes: tool.totalCapacityMinutes,
@@ -405,10 +545,15 @@ class Results {
    */
   createDashboardToolsList(toolsUsedList, matrixToolCodes, usedMatrixTools) {
     const tools = [];
+    const inventoryByCode = new Map(
+      (usedMatrixTools || []).map((tool) => [tool.toolCode, tool])
+    );
 
     // Add all used tools with dashboard-compatible fields
     for (const usedTool of toolsUsedList) {
       const isMatrix = this.isMatrixTool(usedTool.toolName);
+      const inventoryTool = inventoryByCode.get(usedTool.toolName);
+      const usageMinutes = Math.round((usedTool.totalUsageTime / 60) * 100) / 100;
 
       tools.push({
         id: usedTool.toolName, // Required by dashboard
@@ -416,9 +561,25 @@ class Results {
         status: "in_use", // Required by dashboard (currently being used)
         isMatrix: isMatrix, // Boolean for matrix/non-matrix filtering
         usageTime: usedTool.totalUsageTime, // Keep in seconds for backward compatibility
-        usageMinutes: Math.round((usedTool.totalUsageTime / 60) * 100) / 100, // Convert to minutes with 2 decimal places
+        usageMinutes: usageMinutes, // Converted to minutes with 2 decimal places
         usageCount: usedTool.usageCount,
         projectCount: usedTool.projectCount,
+        category: getToolIdentityFromMatrixCode(stripHolderSuffix(usedTool.toolName)).category,
+        projects: usedTool.projects,
+        positions: usedTool.positions,
+        machines: usedTool.machines,
+        firstUsedAt: usedTool.firstUsedAt,
+        lastUsedAt: usedTool.lastUsedAt,
+        // Inventory details when the tool name is a matrix code from Excel
+        ...(inventoryTool
+          ? {
+              ...this.getInventoryDetails(inventoryTool),
+              quantity: inventoryTool.quantity,
+              capacityMinutes: inventoryTool.totalCapacityMinutes,
+              // FREE / IN_USE / OVERRUN / EXPIRED against the stock's total tool life
+              toolState: Tool.getStateForUsage(usageMinutes, inventoryTool.totalCapacityMinutes),
+            }
+          : {}),
       });
     }
 
@@ -440,7 +601,10 @@ class Results {
 
     // Aggregate tool usage across all projects
     for (const projectData of processedJsonData) {
-      for (const operation of projectData.toolUsage.operations) {
+      const usage = projectData.toolUsage;
+      const usedAt = this.getSourceDate(projectData);
+
+      for (const operation of usage.operations) {
         const toolName = operation.toolName;
         if (toolName && toolName !== "UNKNOWN") {
           if (!toolUsageMap[toolName]) {
@@ -449,14 +613,29 @@ class Results {
               totalUsageTime: 0,
               usageCount: 0,
               projectsUsedIn: new Set(),
+              positionsUsedIn: new Set(),
+              machines: new Set(),
+              firstUsedAt: usedAt,
+              lastUsedAt: usedAt,
             };
           }
 
-          toolUsageMap[toolName].totalUsageTime += operation.operationTime || 0;
-          toolUsageMap[toolName].usageCount += 1;
-          toolUsageMap[toolName].projectsUsedIn.add(
-            projectData.toolUsage.project
-          );
+          const entry = toolUsageMap[toolName];
+          entry.totalUsageTime += operation.operationTime || 0;
+          entry.usageCount += 1;
+          entry.projectsUsedIn.add(usage.project);
+          if (usage.position && usage.position !== "UNKNOWN") {
+            entry.positionsUsedIn.add(usage.position);
+          }
+          if (usage.machine && usage.machine !== "UNKNOWN") {
+            entry.machines.add(usage.machine);
+          }
+          if (usedAt < entry.firstUsedAt) {
+            entry.firstUsedAt = usedAt;
+          }
+          if (usedAt > entry.lastUsedAt) {
+            entry.lastUsedAt = usedAt;
+          }
         }
       }
     }
@@ -467,6 +646,11 @@ class Results {
       totalUsageTime: Math.round(tool.totalUsageTime * 100) / 100, // Round to 2 decimal places
       usageCount: tool.usageCount,
       projectCount: tool.projectsUsedIn.size,
+      projects: Array.from(tool.projectsUsedIn).sort(),
+      positions: Array.from(tool.positionsUsedIn).sort(),
+      machines: Array.from(tool.machines).sort(),
+      firstUsedAt: tool.firstUsedAt,
+      lastUsedAt: tool.lastUsedAt,
     }));
 
     // Sort by usage time (descending)
@@ -497,7 +681,7 @@ class Results {
 
       return {
         toolCode: tool.toolCode || tool.code || "UNKNOWN",
-        description: tool.description || "",
+        ...this.getInventoryDetails(tool),
         quantity: quantity,
         toolLifePerPiece: toolLifeMinutes,
         totalCapacityMinutes: Math.round(totalCapacity * 100) / 100,
@@ -1072,6 +1256,17 @@ class Results {
         );
       }
 
+      // Keep a summary in storage for loadPreviousReports
+      if (this.dataManager && this.dataManager.storage) {
+        const tools = reportData.tools || [];
+        await this.dataManager.saveReport({
+          totalTools: tools.length,
+          matrixTools: tools.filter((t) => t.isMatrix).length,
+          nonMatrixTools: tools.filter((t) => !t.isMatrix).length,
+          generatedAt: new Date().toISOString(),
+        });
+      }
+
       Logger.info("✅ Results saved successfully");
     } catch (error) {
       Logger.error(`Failed to save to organized storage: ${error.message}`);
@@ -0,0 +1,160 @@
+// path: src/ScanJobQueue.js
+/**
+ * Runs scans as background jobs, one at a time.
+ * API triggers get a job id back immediately and poll its state; a trigger
+ * arriving while a scan is queued or running joins that job instead of
+ * starting an overlapping scan. Finished jobs are kept for the dashboard.
+ */
+
+const EventEmitter = require("events");
+const { v4: uuidv4 } = require("uuid");
+const config = require("../config");
+const Logger = require("../utils/Logger");
+
+const JOB_STATES = {
+  QUEUED: "queued",
+  RUNNING: "running",
+  COMPLETED: "completed",
+  FAILED: "failed",
+};
+
+class ScanJobQueue extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {Function} options.run - async (job, update) => result; update(fields) reports stage/progress
+   * @param {number} options.historyLimit - Finished jobs to keep
+   */
+  constructor(options = {}) {
+    super();
+    this.run = options.run;
+    this.historyLimit = options.historyLimit || config.jobs.historyLimit;
+    this.jobs = new Map(); // id -> job, insertion ordered
+    this.completions = new Map(); // id -> { done, resolve } for wait()
+    this.activeJob = null;
+  }
+
+  /**
+   * Request a scan. Joins the queued or running job if there is one.
+   * @param {Object} request - { trigger: "api" | "jsonscanner" | ... }
+   * @returns {Object} - { job, coalesced }
+   */
+  enqueue(request = {}) {
+    if (this.activeJob) {
+      this.activeJob.coalescedRequests++;
+      Logger.info(
+        `🧾 Scan request (${request.trigger || "api"}) joined ${this.activeJob.state} job ${this.activeJob.id}`
+      );
+      return { job: this.activeJob, coalesced: true };
+    }
+
+    const job = {
+      id: uuidv4(),
+      state: JOB_STATES.QUEUED,
+      trigger: request.trigger || "api",
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      durationMs: null,
+      stage: null,
+      progress: null,
+      coalescedRequests: 0,
+      result: null,
+      error: null,
+    };
+    const completion = {};
+    completion.done = new Promise((resolve) => {
+      completion.resolve = resolve;
+    });
+
+    this.jobs.set(job.id, job);
+    this.completions.set(job.id, completion);
+    this.activeJob = job;
+    Logger.info(`🧾 Scan job ${job.id} queued (${job.trigger})`);
+    this.emit("jobQueued", ScanJobQueue.toPublic(job));
+
+    setImmediate(() => this.execute(job));
+    return { job, coalesced: false };
+  }
+
+  async execute(job) {
+    job.state = JOB_STATES.RUNNING;
+    job.startedAt = new Date().toISOString();
+    this.emit("jobStarted", ScanJobQueue.toPublic(job));
+
+    const update = (fields) => {
+      Object.assign(job, fields);
+      this.emit("jobProgress", ScanJobQueue.toPublic(job));
+    };
+
+    try {
+      job.result = await this.run(job, update);
+      job.state = JOB_STATES.COMPLETED;
+    } catch (err) {
+      job.state = JOB_STATES.FAILED;
+      job.error = err && err.message ? err.message : String(err);
+      Logger.error(`Scan job ${job.id} failed: ${job.error}`);
+    }
+
+    job.finishedAt = new Date().toISOString();
+    job.durationMs = new Date(job.finishedAt) - new Date(job.startedAt);
+    this.activeJob = null;
+    this.pruneHistory();
+
+    Logger.info(`🧾 Scan job ${job.id} ${job.state} in ${job.durationMs}ms`);
+    this.emit(
+      job.state === JOB_STATES.COMPLETED ? "jobCompleted" : "jobFailed",
+      ScanJobQueue.toPublic(job)
+    );
+    this.completions.get(job.id).resolve(ScanJobQueue.toPublic(job));
+  }
+
+  /**
+   * Drop the oldest finished jobs beyond the history limit
+   */
+  pruneHistory() {
+    const finished = Array.from(this.jobs.values()).filter((job) => job !== this.activeJob);
+    for (const job of finished.slice(0, Math.max(0, finished.length - this.historyLimit))) {
+      this.jobs.delete(job.id);
+      this.completions.delete(job.id);
+    }
+  }
+
+  /**
+   * @returns {Object|null} - Public job data
+   */
+  get(id) {
+    const job = this.jobs.get(id);
+    return job ? ScanJobQueue.toPublic(job) : null;
+  }
+
+  /**
+   * Wait for a job to finish
+   * @returns {Promise<Object|null>} - Public job data once completed or failed
+   */
+  wait(id) {
+    const completion = this.completions.get(id);
+    return completion ? completion.done : Promise.resolve(null);
+  }
+
+  /**
+   * Jobs, newest first
+   */
+  list(limit = this.historyLimit) {
+    return Array.from(this.jobs.values())
+      .reverse()
+      .slice(0, limit)
+      .map((job) => ScanJobQueue.toPublic(job));
+  }
+
+  getActiveJob() {
+    return this.activeJob ? ScanJobQueue.toPublic(this.activeJob) : null;
+  }
+
+  static toPublic(job) {
+    return { ...job };
+  }
+}
+
+ScanJobQueue.STATES = JOB_STATES;
+
+module.exports = ScanJobQueue;
@@ -0,0 +1,153 @@
+// path: src/ScanManifest.js
+/**
+ * Persistent record of the JSON files seen by the previous scans: content hash,
+ * size, modification time and the tool usage extracted from each file.
+ * Scanner uses it to reprocess only added or changed files and to reuse the
+ * stored usage for everything else.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const Logger = require("../utils/Logger");
+
+// Bump when the stored usage format changes, so old manifests are discarded
+const MANIFEST_VERSION = 3;
+
+class ScanManifest {
+  /**
+   * @param {string} resultsPath - ToolManager results directory
+   */
+  constructor(resultsPath) {
+    this.filePath = path.join(resultsPath, "scan_manifest.json");
+    this.roots = {}; // jsonScanPath -> { fullPath: entry }
+    this.lastScan = null;
+    this.load();
+  }
+
+  /**
+   * Read the manifest from disk; a missing or unreadable file starts empty
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+      if (data.version !== MANIFEST_VERSION) {
+        Logger.info("📋 Scan manifest format changed, all JSON files will be reprocessed");
+        return;
+      }
+      this.roots = data.roots || {};
+      this.lastScan = data.lastScan || null;
+    } catch (err) {
+      Logger.warn(`Failed to read scan manifest, starting a full scan: ${err.message}`);
+    }
+  }
+
+  /**
+   * Write the manifest atomically (temp file + rename)
+   */
+  save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(
+      tempPath,
+      JSON.stringify({ version: MANIFEST_VERSION, lastScan: this.lastScan, roots: this.roots }),
+      "utf8"
+    );
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  /**
+   * Compare the files found now with the manifest of the same scan root.
+   * Files whose size and mtime are unchanged are trusted without hashing; the
+   * rest are hashed, so a touched but identical file still counts as unchanged.
+   * @param {string} rootPath - Scanned JSON folder
+   * @param {Array} jsonFiles - Scanner.findAllJsonFiles() result
+   * @param {Function} hashFile - async (filePath) => content hash
+   * @returns {Promise<Object>} - { added, changed, unchanged, removed } (file infos; removed are paths)
+   */
+  async classify(rootPath, jsonFiles, hashFile) {
+    const known = this.roots[rootPath] || {};
+    const result = { added: [], changed: [], unchanged: [], removed: [] };
+    const seen = new Set();
+
+    for (const jsonFile of jsonFiles) {
+      seen.add(jsonFile.fullPath);
+      const entry = known[jsonFile.fullPath];
+
+      let stats;
+      try {
+        stats = await fs.promises.stat(jsonFile.fullPath);
+      } catch (err) {
+        Logger.warn(`Cannot read ${jsonFile.fullPath}: ${err.message}`);
+        continue;
+      }
+      const fingerprint = { size: stats.size, mtimeMs: stats.mtimeMs };
+
+      if (entry && entry.size === stats.size && entry.mtimeMs === stats.mtimeMs) {
+        result.unchanged.push({ ...jsonFile, ...fingerprint, hash: entry.hash });
+        continue;
+      }
+
+      const hash = await hashFile(jsonFile.fullPath);
+      const fileState = { ...jsonFile, ...fingerprint, hash };
+
+      if (!entry) {
+        result.added.push(fileState);
+      } else if (entry.hash === hash) {
+        // Touched but identical: keep the data, remember the new mtime
+        entry.size = stats.size;
+        entry.mtimeMs = stats.mtimeMs;
+        result.unchanged.push(fileState);
+      } else {
+        result.changed.push(fileState);
+      }
+    }
+
+    result.removed = Object.keys(known).filter((fullPath) => !seen.has(fullPath));
+    return result;
+  }
+
+  /**
+   * Stored usage data of a file, or null when it is not in the manifest
+   */
+  getData(rootPath, fullPath) {
+    const entry = (this.roots[rootPath] || {})[fullPath];
+    return entry ? entry.data : null;
+  }
+
+  /**
+   * Record the processed data of an added or changed file
+   * @param {string} rootPath - Scanned JSON folder
+   * @param {Object} fileState - Entry from classify() (fullPath, hash, size, mtimeMs)
+   * @param {Object} data - Scanner.processJsonFilesPipeline() processedData entry
+   */
+  setFile(rootPath, fileState, data) {
+    if (!this.roots[rootPath]) {
+      this.roots[rootPath] = {};
+    }
+    this.roots[rootPath][fileState.fullPath] = {
+      hash: fileState.hash,
+      size: fileState.size,
+      mtimeMs: fileState.mtimeMs,
+      data,
+    };
+  }
+
+  removeFile(rootPath, fullPath) {
+    if (this.roots[rootPath]) {
+      delete this.roots[rootPath][fullPath];
+    }
+  }
+
+  /**
+   * Forget everything stored for a scan root (forced full rescan)
+   */
+  clearRoot(rootPath) {
+    delete this.roots[rootPath];
+  }
+}
+
+module.exports = ScanManifest;
@@ -6,17 +6,41 @@
 
 const fs = require("fs");
 const path = require("path");
+const EventEmitter = require("events");
 const config = require("../config");
 const Logger = require("../utils/Logger");
 const { getDirectories } = require("../utils/FileUtils");
 const Project = require("./Project");
 const TempFileManager = require("../utils/TempFileManager");
+const InventoryHistory = require("./InventoryHistory");
+const InventoryConsolidator = require("./InventoryConsolidator");
+const ScanManifest = require("./ScanManifest");
+const SchemaValidator = require("./SchemaValidator");
+const { repairJson, summarizeRepairs } = require("../utils/TolerantJsonParser");
+const { mapWithConcurrency } = require("../utils/AsyncPool");
+const WorkerPool = require("../utils/WorkerPool");
+const ToolState = require("../utils/ToolState");
 
-class Scanner {
-  constructor() {
+const JSON_REPAIR_WORKER = path.join(__dirname, "..", "utils", "workers", "jsonRepairWorker.js");
+
+// Outcome of an Excel import run in the processing log
+const IMPORT_STATUSES = ["completed", "partial", "failed", "no_files"];
+
+class Scanner extends EventEmitter {
+  /**
+   * @param {DataManager} dataManager - Records Excel import runs (optional)
+   */
+  constructor(dataManager = null) {
+    super();
+    this.dataManager = dataManager;
     this.projects = [];
     this.running = false;
     this.tempManager = new TempFileManager("ToolManager");
+    this.inventoryHistory = new InventoryHistory(this.tempManager.resultsPath);
+    this.scanManifest = new ScanManifest(this.tempManager.resultsPath);
+    this.schemaValidator = new SchemaValidator("operation-file");
+    this.lastScanStats = null;
+    this.currentScan = null;
   }
 
   /**
@@ -61,14 +85,31 @@ class Scanner {
    * Performs a single scan iteration following the defined workflow:
    * 1. Process ONE Excel file and save results
    * 2. Find ALL JSON files
-   * 3. Copy ALL JSON files to temp folder
-   * 4. Fix/sanitize ALL JSON files
-   * 5. Process ALL sanitized JSON files
-   * 6. Generate consolidated report
-   * 7. Clean temp folder
+   * 3. Compare them with the scan manifest (added / changed / removed / unchanged)
+   * 4-6. Copy, sanitize and process added and changed JSON files, several at a
+   *    time (config.processing.concurrency); reuse stored usage for unchanged ones
+   * 7. Generate consolidated report
+   * 8. Clean temp folder
+   * Emits "scanStarted", "stage", "progress" (per JSON file) and "scanCompleted" (scan stats).
+   * A call while a scan is running waits for that scan instead of overlapping it.
    * @param {string} customPath - Custom path for manual mode (optional)
    */
-  async performScan(customPath = null) {
+  performScan(customPath = null) {
+    if (this.currentScan) {
+      Logger.info("🔍 Scan already in progress, waiting for it to finish");
+      return this.currentScan;
+    }
+
+    this.currentScan = this.runScan(customPath).finally(() => {
+      this.currentScan = null;
+    });
+    return this.currentScan;
+  }
+
+  /**
+   * One scan iteration (see performScan)
+   */
+  async runScan(customPath) {
     try {
       // Get the JSON scan path (this is what we actually scan)
       const jsonScanPath = customPath || config.getJsonScanPath();
@@ -79,39 +120,97 @@ class Scanner {
       }
 
       Logger.info(`🔍 Scanning for tool usage analysis: ${jsonScanPath}`);
+      const scanStartedAt = Date.now();
+      const timings = {};
+      const timeStage = async (stage, fn) => {
+        this.emit("stage", { stage });
+        const stageStartedAt = Date.now();
+        try {
+          return await fn();
+        } finally {
+          timings[stage] = Date.now() - stageStartedAt;
+        }
+      };
+      this.emit("scanStarted", { jsonScanPath, startedAt: new Date(scanStartedAt).toISOString() });
 
       // Step 1 & 2: Find and process ONE Excel file, save results
-      const excelData = await this.processExcelFile();
+      const excelData = await timeStage("excel", () => this.processExcelFile());
 
       // Step 3: Find ALL JSON files for tool usage analysis
-      const allJsonFiles = this.findAllJsonFiles(jsonScanPath);
+      const allJsonFiles = await timeStage("discovery", async () =>
+        this.findAllJsonFiles(jsonScanPath)
+      );
       Logger.info(
         `🔍 Found ${allJsonFiles.length} JSON file(s) for tool usage analysis.`
       );
 
+      // Step 3b: Only added and changed files need processing (--force reprocesses everything)
+      if (!config.processing.preventReprocessing) {
+        Logger.info("🔁 Reprocessing forced: ignoring the scan manifest");
+        this.scanManifest.clearRoot(jsonScanPath);
+      }
+      const changes = await timeStage("changeDetection", () =>
+        this.scanManifest.classify(jsonScanPath, allJsonFiles, (filePath) =>
+          this.tempManager.calculateFileHash(filePath)
+        )
+      );
+      for (const removedPath of changes.removed) {
+        const removedData = this.scanManifest.getData(jsonScanPath, removedPath);
+        if (removedData && removedData.rejected) {
+          this.releaseFromQuarantine(removedData);
+        }
+        this.scanManifest.removeFile(jsonScanPath, removedPath);
+      }
+      const filesToProcess = [...changes.added, ...changes.changed];
+      Logger.info(
+        `📋 JSON changes: ${changes.added.length} added, ${changes.changed.length} changed, ` +
+          `${changes.removed.length} removed, ${changes.unchanged.length} unchanged`
+      );
+
       if (allJsonFiles.length === 0) {
         Logger.info(`📭 No JSON files found in this scan`);
+        await this.saveScanSummary({ jsonScanPath, changes, failedFiles: 0, scanStartedAt, fileResults: [], timings });
         return [];
       }
 
-      // Step 4: Copy ALL JSON files to temp folder
-      const tempJsonFiles = await this.copyJsonFilesToTemp(allJsonFiles);
+      // Steps 4-6: Copy, sanitize and process added/changed JSON files
+      const pipeline = await timeStage("jsonPipeline", () =>
+        this.processJsonFilesPipeline(filesToProcess)
+      );
+      Object.assign(timings, pipeline.timings);
+      const freshData = pipeline.processedData;
       Logger.info(
-        `📁 Copied ${tempJsonFiles.length} JSON file(s) to temp folder`
+        `📊 Processed ${freshData.length} JSON file(s) for tool usage data`
       );
 
-      // Step 5: Fix/sanitize ALL JSON files in temp folder
-      const sanitizedFiles = await this.sanitizeAllJsonFiles(tempJsonFiles);
-      Logger.info(`🔧 Sanitized ${sanitizedFiles.length} JSON file(s)`);
+      // Step 6b: Update the manifest and merge fresh with stored usage data
+      const freshByPath = new Map(freshData.map((data) => [data.originalPath, data]));
+      let failedFiles = 0;
+      for (const fileState of filesToProcess) {
+        const data = freshByPath.get(fileState.fullPath);
+        if (data) {
+          this.scanManifest.setFile(jsonScanPath, fileState, data);
+        } else {
+          // Never keep stale usage for a file that failed; retry it next scan
+          this.scanManifest.removeFile(jsonScanPath, fileState.fullPath);
+          failedFiles++;
+        }
+      }
 
-      // Step 6: Process ALL sanitized JSON files
-      const processedData = await this.processAllJsonFiles(sanitizedFiles);
-      Logger.info(
-        `📊 Processed ${processedData.length} JSON file(s) for tool usage data`
-      );
+      // Rejected files stay in the manifest (no retry until they change) but not in the report
+      const fileResults = [];
+      for (const jsonFile of allJsonFiles) {
+        const data =
+          freshByPath.get(jsonFile.fullPath) ||
+          this.scanManifest.getData(jsonScanPath, jsonFile.fullPath);
+        if (data) {
+          fileResults.push(data);
+        }
+      }
+      const processedData = fileResults.filter((data) => !data.rejected);
 
       // Step 7: Generate consolidated report
-      await this.generateConsolidatedReport(excelData, processedData);
+      await timeStage("report", () => this.generateConsolidatedReport(excelData, processedData));
       Logger.info(`📄 Generated consolidated report`);
 
       // Step 8: Clean temp folder (only in production mode without persistent folders)
@@ -127,9 +226,11 @@ class Scanner {
       Logger.info(
         `Successfully processed ${allJsonFiles.length} JSON file(s) for tool usage analysis.`
       );
+      await this.saveScanSummary({ jsonScanPath, changes, failedFiles, scanStartedAt, fileResults, timings });
       return processedData;
     } catch (err) {
       Logger.error(`Scanner failed: ${err.message}`);
+      this.emit("scanFailed", { error: err.message });
       // Clean temp folder on error (only in production mode without persistent folders)
       if (!config.app.testMode && !config.app.usePersistentTempFolder) {
         try {
@@ -146,6 +247,116 @@ class Scanner {
     }
   }
 
+  /**
+   * Persist the manifest and record the change counts, stage timings and
+   * validation summary of this scan (scan_summary.json in results, lastScanStats
+   * on the scanner, "scanCompleted" event)
+   */
+  async saveScanSummary({ jsonScanPath, changes, failedFiles, scanStartedAt, fileResults, timings }) {
+    const durationMs = Date.now() - scanStartedAt;
+    const stats = {
+      scannedAt: new Date().toISOString(),
+      jsonScanPath,
+      durationMs,
+      added: changes.added.length,
+      changed: changes.changed.length,
+      removed: changes.removed.length,
+      unchanged: changes.unchanged.length,
+      failed: failedFiles,
+      concurrency: this.getConcurrency(),
+      timings: { ...timings, total: durationMs },
+      validation: this.createValidationSummary(fileResults),
+      repairs: this.createRepairSummary(fileResults),
+    };
+
+    this.lastScanStats = stats;
+    this.scanManifest.lastScan = stats;
+    try {
+      this.scanManifest.save();
+    } catch (err) {
+      Logger.warn(`Failed to save scan manifest: ${err.message}`);
+    }
+
+    await this.tempManager.saveToTemp(
+      "scan_summary.json",
+      JSON.stringify(stats, null, 2),
+      "results"
+    );
+    this.emit("scanCompleted", stats);
+    return stats;
+  }
+
+  /**
+   * Summarise schema validation over every JSON file of the scan (fresh and cached).
+   * Only files with errors or warnings are listed.
+   */
+  createValidationSummary(fileResults) {
+    const summary = {
+      schema: `${this.schemaValidator.schemaName}.v${this.schemaValidator.latestVersion}`,
+      filesValidated: 0,
+      valid: 0,
+      rejected: 0,
+      withWarnings: 0,
+      files: [],
+    };
+
+    for (const data of fileResults) {
+      const validation = data.validation;
+      if (!validation) {
+        continue;
+      }
+
+      summary.filesValidated++;
+      if (data.rejected) {
+        summary.rejected++;
+      } else {
+        summary.valid++;
+      }
+      if (validation.warnings.length > 0) {
+        summary.withWarnings++;
+      }
+      if (data.rejected || validation.warnings.length > 0) {
+        summary.files.push({
+          fileName: data.fileName,
+          originalPath: data.originalPath,
+          rejected: data.rejected === true,
+          quarantinedPath: validation.quarantinedPath || null,
+          errors: validation.errors,
+          warnings: validation.warnings,
+        });
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Summarise the JSON repairs made by the tolerant parser, per file and per type
+   */
+  createRepairSummary(fileResults) {
+    const summary = { filesRepaired: 0, totalRepairs: 0, byType: {}, files: [] };
+
+    for (const data of fileResults) {
+      const repairs = data.repairs || [];
+      if (repairs.length === 0) {
+        continue;
+      }
+
+      summary.filesRepaired++;
+      summary.totalRepairs += repairs.length;
+      for (const [type, count] of Object.entries(summarizeRepairs(repairs))) {
+        summary.byType[type] = (summary.byType[type] || 0) + count;
+      }
+      summary.files.push({
+        fileName: data.fileName,
+        originalPath: data.originalPath,
+        repairs,
+      });
+    }
+
+    return summary;
+  }
+
   /**
    * Group JSON files by their project folders (same logic as json_scanner)
    */
@@ -311,13 +522,13 @@ class Scanner {
   }
 
   /**
-   * Check if a file is an Excel file based on extension.
+   * Check if a file is an inventory file (Excel, ODS or CSV) based on extension.
    * @param {string} fileName - Name of the file
-   * @returns {boolean} - True if file is Excel format
+   * @returns {boolean} - True if file is a supported inventory format
    */
   isExcelFile(fileName) {
     const extension = path.extname(fileName).toLowerCase();
-    return [".xlsx", ".xls", ".xlsm"].includes(extension);
+    return config.excel.supportedExtensions.includes(extension);
   }
 
   // ============ NEW WORKFLOW METHODS ============
@@ -326,11 +537,14 @@ class Scanner {
    * Step 1 & 2: Find and process ALL Excel files (matrix inventory), save consolidated results
    */
   async processExcelFile() {
+    const startedAt = Date.now();
     const excelScanPath = config.getExcelScanPath();
     const excelFiles = this.findAllExcelFiles(excelScanPath);
+    const importFiles = []; // Per file entry of the Excel processing log
 
     if (excelFiles.length === 0) {
       Logger.warn(`📭 No Excel files found in: ${excelScanPath}`);
+      await this.recordExcelImport(startedAt, { scanPath: excelScanPath, files: importFiles });
       return null;
     }
 
@@ -338,11 +552,15 @@ class Scanner {
 
     try {
       const ExcelProcessor = require("./ExcelProcessor");
-      const consolidatedInventory = new Map(); // Use Map to combine duplicate tool codes
+      // Resolves tool codes found in several files (sum, newest, priority or max)
+      const consolidator = new InventoryConsolidator();
       const processedFiles = [];
+      const importReports = []; // Row-level diagnostics per file
 
       // Process ALL Excel files
       for (const excelFile of excelFiles) {
+        const importFile = await this.describeExcelFile(excelFile);
+        importFiles.push(importFile);
         try {
           Logger.info(`  � Processing: ${excelFile.fileName}`);
           
@@ -353,48 +571,68 @@ class Scanner {
           );
 
           // Use ExcelProcessor to read actual Excel data from temp copy
-          const excelData = await ExcelProcessor.processMainExcel(tempExcelPath);
+          const excelData = await ExcelProcessor.processMainExcel(tempExcelPath, {
+            fileName: excelFile.fileName,
+          });
+
+          importReports.push(this.createFileImportReport(excelFile, excelData));
 
           // Check if processing was successful
           if (!excelData.success) {
             Logger.error(`    ✗ Excel processing failed: ${excelData.error}`);
+            importFile.error = excelData.error || "Unknown error";
             processedFiles.push({
               fileName: excelFile.fileName,
               toolCount: 0,
+              sheets: excelData.sheets || [],
               error: excelData.error
             });
             continue;
           }
 
-          // Accumulate tool inventory from this file
-          if (excelData.toolInventory) {
-            for (const [toolCode, quantity] of Object.entries(excelData.toolInventory)) {
-              if (consolidatedInventory.has(toolCode)) {
-                consolidatedInventory.set(toolCode, consolidatedInventory.get(toolCode) + quantity);
-              } else {
-                consolidatedInventory.set(toolCode, quantity);
-              }
-            }
-          }
+          // Collect tool inventory from this file
+          consolidator.addFile(
+            {
+              fileName: excelFile.fileName,
+              modifiedAt: fs.statSync(excelFile.fullPath).mtime.toISOString(),
+            },
+            excelData.toolInventory
+          );
 
           processedFiles.push({
             fileName: excelFile.fileName,
-            toolCount: Object.keys(excelData.toolInventory || {}).length
+            toolCount: Object.keys(excelData.toolInventory || {}).length,
+            sheets: excelData.sheets || [],
           });
 
-          Logger.info(`    ✓ ${Object.keys(excelData.toolInventory || {}).length} tools extracted`);
+          importFile.toolCount = Object.keys(excelData.toolInventory || {}).length;
+          Logger.info(`    ✓ ${importFile.toolCount} tools extracted`);
         } catch (fileErr) {
           Logger.error(`    ✗ Failed to process ${excelFile.fileName}: ${fileErr.message}`);
+          importFile.error = fileErr.message;
+          importReports.push(
+            this.createFileImportReport(excelFile, {
+              success: false,
+              error: fileErr.message,
+            })
+          );
         }
       }
 
+      const { inventory: consolidatedInventory, conflicts } = consolidator.consolidate();
+      if (conflicts.length > 0) {
+        Logger.warn(
+          `⚠️  ${conflicts.length} tool code(s) found in more than one file - resolved with "${consolidator.strategy}" strategy`
+        );
+      }
+
       // Convert consolidated Map to array format
       const toolInventoryArray = [];
-      for (const [toolCode, quantity] of consolidatedInventory.entries()) {
+      for (const [toolCode, item] of consolidatedInventory.entries()) {
         toolInventoryArray.push({
           toolCode: toolCode,
-          description: "", // ExcelProcessor doesn't extract descriptions yet
-          quantity: quantity,
+          ...item,
+          description: item.description || "",
         });
       }
 
@@ -404,9 +642,56 @@ class Scanner {
         totalFiles: excelFiles.length,
         toolInventory: toolInventoryArray,
         totalUniqueTools: toolInventoryArray.length,
-        totalQuantity: Array.from(consolidatedInventory.values()).reduce((sum, qty) => sum + qty, 0)
+        totalQuantity: toolInventoryArray.reduce((sum, item) => sum + item.quantity, 0),
+        consolidation: {
+          strategy: consolidator.strategy,
+          priority: consolidator.priority,
+          conflicts,
+        },
       };
 
+      // Keep a dated snapshot for day-over-day stock comparison. Only taken when
+      // every file was read: codes of a file that failed would otherwise show up
+      // as removed (and count as consumed).
+      const completeRead = importFiles.every((file) => !file.error);
+      if (completeRead) {
+        try {
+          const snapshot = await this.inventoryHistory.saveSnapshot(result);
+          if (snapshot) {
+            result.snapshotId = snapshot.id;
+            const diff = await this.inventoryHistory.diff("previous", snapshot.id);
+            this.emit("snapshotSaved", {
+              id: snapshot.id,
+              takenAt: snapshot.takenAt,
+              sourceFiles: snapshot.sourceFiles,
+              totalUniqueTools: snapshot.totalUniqueTools,
+              totalQuantity: snapshot.totalQuantity,
+              changes: diff ? diff.summary : null,
+            });
+          }
+        } catch (snapshotErr) {
+          Logger.warn(`Failed to save inventory snapshot: ${snapshotErr.message}`);
+        }
+      } else {
+        Logger.warn("📸 No inventory snapshot - not every Excel file could be read");
+      }
+
+      // Storeroom bins follow the inventory; for the same reason as the
+      // snapshot only after a complete read, which empties bins it no longer counts
+      if (completeRead && this.dataManager && this.dataManager.initialized) {
+        try {
+          const imported = await this.dataManager.migrateExcelData(result);
+          Logger.info(
+            `🗄️  Excel inventory stored: ${imported.tools} tool(s), ${imported.locations} bin count(s), ${imported.cleared} bin(s) emptied`
+          );
+          for (const error of imported.errors) {
+            Logger.warn(`Could not store ${error.toolCode || "inventory row"}: ${error.message}`);
+          }
+        } catch (importErr) {
+          Logger.warn(`Failed to store the Excel inventory: ${importErr.message}`);
+        }
+      }
+
       // Save consolidated Excel processing results to organized temp structure
       await this.tempManager.saveToTemp(
         "excel_processing_result.json",
@@ -417,9 +702,22 @@ class Scanner {
       Logger.info(
         `💾 Consolidated matrix inventory saved: ${result.totalUniqueTools} unique tools, ${result.totalQuantity} total quantity`
       );
+
+      await this.saveImportReport(importReports);
+
+      await this.recordExcelImport(startedAt, {
+        scanPath: excelScanPath,
+        files: importFiles,
+        totalUniqueTools: result.totalUniqueTools,
+        totalQuantity: result.totalQuantity,
+        conflicts: conflicts.length,
+        snapshotId: result.snapshotId || null,
+      });
+
       return result;
     } catch (err) {
       Logger.error(`Failed to process Excel files: ${err.message}`);
+      await this.recordExcelImport(startedAt, { scanPath: excelScanPath, files: importFiles, error: err.message });
 
       // Return placeholder data on error
       const result = {
@@ -433,114 +731,452 @@ class Scanner {
   }
 
   /**
-   * Step 4: Copy ALL JSON files to temp folder using organized structure
+   * Name, content hash, size and modification time of an Excel file for the
+   * processing log; toolCount and error are filled in once it was read
+   * @param {Object} excelFile - File info from findAllExcelFiles()
    */
-  async copyJsonFilesToTemp(allJsonFiles) {
-    const tempFiles = [];
+  async describeExcelFile(excelFile) {
+    const importFile = {
+      fileName: excelFile.fileName,
+      path: excelFile.fullPath,
+      hash: null,
+      size: null,
+      modifiedAt: null,
+      toolCount: 0,
+      error: null,
+    };
+    try {
+      const stats = await fs.promises.stat(excelFile.fullPath);
+      importFile.size = stats.size;
+      importFile.modifiedAt = stats.mtime.toISOString();
+      importFile.hash = await this.tempManager.calculateFileHash(excelFile.fullPath);
+    } catch (error) {
+      Logger.warn(`Could not fingerprint ${excelFile.fileName}: ${error.message}`);
+    }
+    return importFile;
+  }
 
-    for (const jsonFile of allJsonFiles) {
-      try {
-        // Copy using organized temp structure
-        const tempPath = await this.tempManager.copyToTemp(
-          jsonFile.fullPath,
-          "input_files"
-        );
+  /**
+   * Record a processExcelFile() run in the Excel processing log of the
+   * DataManager (GET /api/inventory/imports). Without a DataManager nothing is
+   * recorded; a failure to record never fails the scan. Every run is logged;
+   * one that read the same files (name and hash) with the same outcome as the
+   * run before is kept short: unchanged, with only the name and hash per file.
+   * @param {number} startedAt - Date.now() when the run started
+   * @param {Object} run - { scanPath, files, totalUniqueTools, totalQuantity, conflicts, snapshotId, error }
+   * @returns {Object|null} - Stored log entry
+   */
+  async recordExcelImport(startedAt, run) {
+    if (!this.dataManager || !this.dataManager.initialized) {
+      return null;
+    }
 
-        tempFiles.push({
-          originalPath: jsonFile.fullPath,
-          tempPath: tempPath,
-          fileName: path.basename(jsonFile.fullPath),
-          projectInfo: jsonFile,
-        });
-      } catch (err) {
-        Logger.error(
-          `Failed to copy ${jsonFile.fullPath} to temp: ${err.message}`
+    const files = run.files || [];
+    const failedFiles = files.filter((file) => file.error).length;
+    let status = "completed";
+    if (run.error || (files.length > 0 && failedFiles === files.length)) {
+      status = "failed";
+    } else if (failedFiles > 0) {
+      status = "partial";
+    } else if (files.length === 0) {
+      status = "no_files";
+    }
+
+    const errors = files
+      .filter((file) => file.error)
+      .map((file) => ({ fileName: file.fileName, message: file.error }));
+    if (run.error) {
+      errors.push({ fileName: null, message: run.error });
+    }
+
+    try {
+      const [previous] = await this.dataManager.getExcelProcessingHistory({ limit: 1 });
+      const unchanged =
+        !run.error && Boolean(previous) && previous.status === status && Scanner.sameImportFiles(previous.files, files);
+
+      const entry = await this.dataManager.logExcelProcessing({
+        status,
+        unchanged,
+        startedAt: new Date(startedAt).toISOString(),
+        finishedAt: new Date().toISOString(),
+        durationMs: Date.now() - startedAt,
+        scanPath: run.scanPath || null,
+        files: unchanged ? files.map((file) => ({ fileName: file.fileName, hash: file.hash })) : files,
+        totalFiles: files.length,
+        failedFiles,
+        totalUniqueTools: run.totalUniqueTools || 0,
+        totalQuantity: run.totalQuantity || 0,
+        conflicts: run.conflicts || 0,
+        snapshotId: run.snapshotId || null,
+        errors,
+      });
+      if (entry) {
+        Logger.info(
+          `🗒️  Excel import ${status}${unchanged ? " (files unchanged)" : ""} (${files.length} file(s), ${errors.length} error(s)) logged`
         );
       }
+      return entry;
+    } catch (error) {
+      Logger.warn(`Failed to log Excel import: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Whether two runs of the Excel processing log read the same files; files
+   * that could not be hashed never count as the same
+   */
+  static sameImportFiles(previousFiles = [], files = []) {
+    const fingerprint = (list) =>
+      list
+        .map((file) => `${file.fileName}:${file.hash}`)
+        .sort()
+        .join("\n");
+    return (
+      previousFiles.length === files.length &&
+      files.every((file) => file.hash) &&
+      fingerprint(previousFiles) === fingerprint(files)
+    );
+  }
+
+  /**
+   * Build the import diagnostics entry for one Excel file
+   * @param {Object} excelFile - File info from findAllExcelFiles()
+   * @param {Object} excelData - Result of ExcelProcessor.processMainExcel()
+   * @returns {Object} - File report with skipped/coerced rows and merged duplicates
+   */
+  createFileImportReport(excelFile, excelData) {
+    const diagnostics = excelData.diagnostics || { issues: [], duplicates: [] };
+    const sheets = excelData.sheets || [];
+
+    return {
+      fileName: excelFile.fileName,
+      sourcePath: excelFile.fullPath,
+      success: excelData.success === true,
+      error: excelData.error || null,
+      fileFormat: excelData.fileFormat || null,
+      summary: {
+        rowsRead: sheets.reduce((sum, sheet) => sum + (sheet.rowsRead || 0), 0),
+        rowsSkipped: sheets.reduce((sum, sheet) => sum + (sheet.rowsSkipped || 0), 0),
+        rowsCoerced: sheets.reduce((sum, sheet) => sum + (sheet.rowsCoerced || 0), 0),
+        suspiciousValues: diagnostics.issues.filter((issue) => issue.suspicious).length,
+        duplicateCodes: diagnostics.duplicates.length,
+      },
+      sheets: sheets.map((sheet) => ({
+        name: sheet.name,
+        status: sheet.status,
+        reason: sheet.reason || null,
+        rowsRead: sheet.rowsRead || 0,
+        rowsSkipped: sheet.rowsSkipped || 0,
+        rowsCoerced: sheet.rowsCoerced || 0,
+      })),
+      issues: diagnostics.issues,
+      duplicates: diagnostics.duplicates,
+    };
+  }
+
+  /**
+   * Save the import diagnostics report next to excel_processing_result.json
+   * @param {Array} fileReports - Reports from createFileImportReport()
+   */
+  async saveImportReport(fileReports) {
+    const report = {
+      generatedAt: new Date().toISOString(),
+      totals: {
+        files: fileReports.length,
+        failedFiles: fileReports.filter((file) => !file.success).length,
+        rowsRead: 0,
+        rowsSkipped: 0,
+        rowsCoerced: 0,
+        suspiciousValues: 0,
+        duplicateCodes: 0,
+      },
+      files: fileReports,
+    };
+
+    for (const file of fileReports) {
+      for (const key of Object.keys(file.summary)) {
+        report.totals[key] += file.summary[key];
+      }
     }
 
+    await this.tempManager.saveToTemp(
+      "excel_import_report.json",
+      JSON.stringify(report, null, 2),
+      "results"
+    );
+
     Logger.info(
-      `📁 Copied ${tempFiles.length} JSON file(s) to organized temp structure`
+      `🧾 Import report saved: ${report.totals.rowsSkipped} skipped, ${report.totals.rowsCoerced} coerced, ${report.totals.suspiciousValues} suspicious, ${report.totals.duplicateCodes} duplicate code(s)`
     );
-    return tempFiles;
+    return report;
   }
 
   /**
-   * Step 5: Fix/sanitize ALL JSON files in temp folder using organized structure
+   * Maximum number of JSON files processed at the same time
    */
-  async sanitizeAllJsonFiles(tempJsonFiles) {
-    const sanitizedFiles = [];
+  getConcurrency() {
+    return Math.max(1, Number(config.processing.concurrency) || 1);
+  }
 
-    for (const tempFile of tempJsonFiles) {
+  /**
+   * Steps 4-6 as a stream: each file is copied, sanitized and processed as soon
+   * as a slot is free, so memory stays bounded and the event loop is never held
+   * for a whole batch. Stage timings are summed over files (they overlap in time).
+   * @param {Array} jsonFiles - Files to process (from findAllJsonFiles / classify)
+   * @returns {Promise<Object>} - { processedData, timings: { copy, sanitize, process } }
+   */
+  async processJsonFilesPipeline(jsonFiles) {
+    const timings = { copy: 0, sanitize: 0, process: 0 };
+    const timeFileStage = async (stage, fn) => {
+      const startedAt = Date.now();
       try {
-        Logger.info(`🔧 Sanitizing: ${tempFile.fileName}`);
-
-        // Read the temp file
-        const rawContent = fs.readFileSync(tempFile.tempPath, "utf8");
+        return await fn();
+      } finally {
+        timings[stage] += Date.now() - startedAt;
+      }
+    };
 
-        // Sanitize the content (same logic as Project.sanitizeJsonContent)
-        const sanitizedContent = this.sanitizeJsonContent(rawContent);
+    const workerPool =
+      config.processing.useWorkerThreads && jsonFiles.length > 0
+        ? new WorkerPool(JSON_REPAIR_WORKER, this.getConcurrency())
+        : null;
+    let completed = 0;
 
-        // Save sanitized content to processed_files folder using organized structure
-        const sanitizedPath = await this.tempManager.saveToTemp(
-          tempFile.fileName,
-          sanitizedContent,
-          "processed_files"
-        );
+    try {
+      const results = await mapWithConcurrency(jsonFiles, this.getConcurrency(), async (jsonFile) => {
+        let data = null;
+        try {
+          const tempFile = await timeFileStage("copy", () => this.copyJsonFileToTemp(jsonFile));
+          const sanitizedFile = await timeFileStage("sanitize", () =>
+            this.sanitizeJsonFile(tempFile, workerPool)
+          );
+          data = await timeFileStage("process", () => this.processJsonFile(sanitizedFile));
+        } catch (err) {
+          Logger.error(`Failed to process ${jsonFile.fileName}: ${err.message}`);
+        }
 
-        sanitizedFiles.push({
-          ...tempFile,
-          sanitizedPath: sanitizedPath,
-          sanitized: true,
+        completed++;
+        this.emit("progress", {
+          stage: "json",
+          completed,
+          total: jsonFiles.length,
+          fileName: jsonFile.fileName,
+          status: !data ? "failed" : data.rejected ? "rejected" : "processed",
         });
-      } catch (err) {
-        Logger.error(`Failed to sanitize ${tempFile.fileName}: ${err.message}`);
+        return data;
+      });
+
+      return { processedData: results.filter(Boolean), timings };
+    } finally {
+      if (workerPool) {
+        await workerPool.terminate();
       }
     }
+  }
 
-    Logger.info(
-      `🔧 Sanitized ${sanitizedFiles.length} JSON file(s) to processed_files folder`
+  /**
+   * Copy one JSON file to the organized temp structure
+   * @returns {Promise<Object>} - { originalPath, tempPath, fileName, projectInfo }
+   */
+  async copyJsonFileToTemp(jsonFile) {
+    // Copy using organized temp structure
+    const tempPath = await this.tempManager.copyToTemp(
+      jsonFile.fullPath,
+      "input_files"
     );
-    return sanitizedFiles;
+
+    return {
+      originalPath: jsonFile.fullPath,
+      tempPath: tempPath,
+      fileName: path.basename(jsonFile.fullPath),
+      projectInfo: jsonFile,
+    };
   }
 
   /**
-   * Step 6: Process ALL sanitized JSON files using organized structure
+   * Repair one temp JSON copy (NaN/Infinity, trailing commas, BOM, truncation;
+   * same parser as Project) and save it to processed_files. With a worker pool
+   * the repair and parse run on a worker thread and the parsed data is returned
+   * with the file, otherwise the repaired text is.
+   * @param {Object} tempFile - Entry from copyJsonFileToTemp()
+   * @param {WorkerPool|null} workerPool - Optional pool running jsonRepairWorker
    */
-  async processAllJsonFiles(sanitizedFiles) {
-    const processedData = [];
-
-    for (const file of sanitizedFiles) {
-      try {
-        Logger.info(`📊 Processing: ${file.fileName}`);
+  async sanitizeJsonFile(tempFile, workerPool = null) {
+    Logger.info(`🔧 Sanitizing: ${tempFile.fileName}`);
+
+    let sanitizedFile;
+    if (workerPool) {
+      const sanitizedPath = path.join(
+        this.tempManager.getPathForType("processed_files"),
+        tempFile.fileName
+      );
+      const { repairs, data, parseError } = await workerPool.run({
+        tempPath: tempFile.tempPath,
+        sanitizedPath,
+      });
+      sanitizedFile = { ...tempFile, sanitizedPath, sanitized: true, repairs, parsed: data, parseError };
+    } else {
+      const rawContent = await fs.promises.readFile(tempFile.tempPath, "utf8");
+      const { text, repairs } = repairJson(rawContent);
+
+      // Save sanitized content to processed_files folder using organized structure
+      const sanitizedPath = await this.tempManager.saveToTemp(
+        tempFile.fileName,
+        text,
+        "processed_files"
+      );
+      sanitizedFile = { ...tempFile, sanitizedPath, sanitized: true, repairs, content: text };
+    }
 
-        // Read and parse the sanitized JSON from processed_files folder
-        const jsonContent = JSON.parse(
-          fs.readFileSync(file.sanitizedPath, "utf8")
-        );
+    if (sanitizedFile.repairs.length > 0) {
+      Logger.info(
+        `🔧 ${tempFile.fileName}: ${sanitizedFile.repairs.length} repair(s) ${JSON.stringify(
+          summarizeRepairs(sanitizedFile.repairs)
+        )}`
+      );
+    }
+    return sanitizedFile;
+  }
 
-        // Extract tool usage data
-        const toolUsageData = this.extractToolUsageData(
-          jsonContent,
-          file.projectInfo
-        );
+  /**
+   * Parse, validate and extract tool usage from one sanitized file. Files
+   * failing the operation-file schema are returned with rejected: true and no
+   * tool usage, and copied to the quarantine folder.
+   * @param {Object} file - Entry from sanitizeJsonFile()
+   * @returns {Promise<Object>} - Processed data entry (rejected: true when invalid)
+   */
+  async processJsonFile(file) {
+    Logger.info(`📊 Processing: ${file.fileName}`);
 
-        processedData.push({
-          fileName: file.fileName,
-          originalPath: file.originalPath,
-          projectInfo: file.projectInfo,
-          toolUsage: toolUsageData,
-          processedAt: new Date().toISOString(),
-        });
-      } catch (err) {
-        Logger.error(`Failed to process ${file.fileName}: ${err.message}`);
+    let jsonContent;
+    let validation;
+    try {
+      if (file.parseError) {
+        throw new SyntaxError(file.parseError);
       }
+      jsonContent =
+        file.parsed !== undefined
+          ? file.parsed
+          : JSON.parse(
+              file.content !== undefined
+                ? file.content
+                : await fs.promises.readFile(file.sanitizedPath, "utf8")
+            );
+      validation = config.processing.validateJsonSchema
+        ? this.schemaValidator.validate(jsonContent)
+        : { schemaVersion: null, valid: true, errors: [], warnings: [] };
+    } catch (parseErr) {
+      validation = {
+        schemaVersion: null,
+        valid: false,
+        errors: [{ path: "(root)", message: `Invalid JSON: ${parseErr.message}` }],
+        warnings: [],
+      };
     }
 
-    Logger.info(
-      `📊 Processed ${processedData.length} JSON file(s) for tool usage data`
+    if (!validation.valid) {
+      const [firstError] = validation.errors;
+      Logger.warn(
+        `🚫 Rejected ${file.fileName}: ${validation.errors.length} schema error(s), ` +
+          `first at ${firstError.path}: ${firstError.message}`
+      );
+      validation.quarantinedPath = this.quarantineFile(file, validation);
+
+      return {
+        fileName: file.fileName,
+        originalPath: file.originalPath,
+        projectInfo: file.projectInfo,
+        toolUsage: null,
+        rejected: true,
+        validation,
+        repairs: file.repairs || [],
+        processedAt: new Date().toISOString(),
+      };
+    }
+
+    this.releaseFromQuarantine(file);
+    if (validation.warnings.length > 0) {
+      Logger.warn(`⚠️  ${file.fileName}: ${validation.warnings.length} schema warning(s)`);
+    }
+
+    return {
+      fileName: file.fileName,
+      originalPath: file.originalPath,
+      projectInfo: file.projectInfo,
+      toolUsage: this.extractToolUsageData(jsonContent, file.projectInfo),
+      validation,
+      repairs: file.repairs || [],
+      processedAt: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Path of a JSON file inside the quarantine folder (position / folder / file)
+   */
+  getQuarantinePath(file) {
+    return path.join(
+      this.tempManager.quarantinePath,
+      file.projectInfo.positionName,
+      path.basename(file.projectInfo.directory),
+      file.fileName
     );
-    return processedData;
+  }
+
+  /**
+   * Copy a rejected JSON file to the quarantine folder with its errors
+   * next to it (<file>.errors.json)
+   * @returns {string|null} - Quarantined copy, or null if quarantine is disabled or failed
+   */
+  quarantineFile(file, validation) {
+    if (!config.processing.quarantineRejected) {
+      return null;
+    }
+
+    try {
+      const quarantinedPath = this.getQuarantinePath(file);
+      fs.mkdirSync(path.dirname(quarantinedPath), { recursive: true });
+      fs.copyFileSync(file.tempPath || file.originalPath, quarantinedPath);
+      fs.writeFileSync(
+        `${quarantinedPath}.errors.json`,
+        JSON.stringify(
+          {
+            originalPath: file.originalPath,
+            quarantinedAt: new Date().toISOString(),
+            schemaVersion: validation.schemaVersion,
+            errors: validation.errors,
+            warnings: validation.warnings,
+          },
+          null,
+          2
+        ),
+        "utf8"
+      );
+      Logger.info(`🗃️  Quarantined: ${quarantinedPath}`);
+      return quarantinedPath;
+    } catch (err) {
+      Logger.error(`Failed to quarantine ${file.fileName}: ${err.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Remove an earlier quarantined copy once the file validates again
+   */
+  releaseFromQuarantine(file) {
+    const quarantinedPath = this.getQuarantinePath(file);
+    if (fs.existsSync(quarantinedPath)) {
+      fs.rmSync(quarantinedPath, { force: true });
+      fs.rmSync(`${quarantinedPath}.errors.json`, { force: true });
+
+      // Drop the machine and position folders once they are empty
+      for (const dir of [path.dirname(quarantinedPath), path.dirname(path.dirname(quarantinedPath))]) {
+        if (fs.readdirSync(dir).length === 0) {
+          fs.rmdirSync(dir);
+        }
+      }
+      Logger.info(`🗃️  Released from quarantine: ${file.fileName}`);
+    }
   }
 
   /**
@@ -548,10 +1184,73 @@ class Scanner {
    */
   async generateConsolidatedReport(excelData, processedJsonData) {
     const Results = require("./Results");
-    const results = new Results(this.tempManager);
+    const results = new Results(this.tempManager, this.dataManager);
+    const previousStates = this.readToolStates();
 
     // Generate the consolidated report
-    await results.generateConsolidatedReport(excelData, processedJsonData);
+    const dashboardData = await results.generateConsolidatedReport(excelData, processedJsonData);
+
+    for (const change of Scanner.diffToolStates(previousStates, dashboardData.tools)) {
+      Logger.info(`🔁 ${change.toolCode}: ${change.from} → ${change.to}`);
+      this.emit("toolStateChanged", change);
+    }
+  }
+
+  /**
+   * Matrix tool states of the report currently on disk (before it is replaced)
+   * @returns {Map<string, string>} - toolCode -> ToolState
+   */
+  readToolStates() {
+    const states = new Map();
+    try {
+      const reportPath = path.join(this.tempManager.resultsPath, "ToolManager_Result.json");
+      if (fs.existsSync(reportPath)) {
+        const report = JSON.parse(fs.readFileSync(reportPath, "utf8"));
+        for (const tool of report.tools || []) {
+          if (tool.toolState) {
+            states.set(tool.name, tool.toolState);
+          }
+        }
+      }
+    } catch (err) {
+      Logger.warn(`Could not read previous tool states: ${err.message}`);
+    }
+    return states;
+  }
+
+  /**
+   * Matrix tools whose state differs from the previous report. Tools missing
+   * from either report count as FREE (no usage).
+   * @param {Map<string, string>} previousStates - readToolStates() result
+   * @param {Array} tools - Dashboard tools of the new report
+   * @returns {Array} - [{ toolCode, from, to, usageMinutes, capacityMinutes, quantity }]
+   */
+  static diffToolStates(previousStates, tools) {
+    const changes = [];
+    const current = new Set();
+    for (const tool of tools || []) {
+      if (!tool.toolState) {
+        continue;
+      }
+      current.add(tool.name);
+      const from = previousStates.get(tool.name) || ToolState.FREE;
+      if (from !== tool.toolState) {
+        changes.push({
+          toolCode: tool.name,
+          from,
+          to: tool.toolState,
+          usageMinutes: tool.usageMinutes,
+          capacityMinutes: tool.capacityMinutes,
+          quantity: tool.quantity,
+        });
+      }
+    }
+    for (const [toolCode, from] of previousStates) {
+      if (!current.has(toolCode) && from !== ToolState.FREE) {
+        changes.push({ toolCode, from, to: ToolState.FREE, usageMinutes: 0 });
+      }
+    }
+    return changes;
   }
 
   /**
@@ -573,24 +1272,6 @@ class Scanner {
     Logger.info(`🧹 Cleaned organized temp session`);
   }
 
-  /**
-   * Sanitize JSON content (same logic as Project.sanitizeJsonContent)
-   */
-  sanitizeJsonContent(jsonString) {
-    // Fix unquoted NaN values which are invalid JSON
-    let sanitized = jsonString.replace(/:\s*NaN\s*,/g, ": null,");
-    sanitized = sanitized.replace(/:\s*NaN\s*}/g, ": null}");
-    sanitized = sanitized.replace(/:\s*NaN\s*]/g, ": null]");
-
-    // Fix infinity values if they exist
-    sanitized = sanitized.replace(/:\s*Infinity\s*,/g, ": null,");
-    sanitized = sanitized.replace(/:\s*Infinity\s*}/g, ": null}");
-    sanitized = sanitized.replace(/:\s*-Infinity\s*,/g, ": null,");
-    sanitized = sanitized.replace(/:\s*-Infinity\s*}/g, ": null}");
-
-    return sanitized;
-  }
-
   /**
    * Extract tool usage data from JSON content
    */
@@ -645,4 +1326,6 @@ class Scanner {
   }
 }
 
+Scanner.IMPORT_STATUSES = IMPORT_STATUSES;
+
 module.exports = Scanner;
@@ -0,0 +1,242 @@
+// path: src/ScheduleLoader.js
+/**
+ * Reads the production schedule (JSON or CSV) used by the "schedule_file"
+ * completion-date mode and matches projects to their planned start and due dates.
+ * The parsed file is cached and re-read when its modification time changes.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const Logger = require("../utils/Logger");
+const ExcelProcessor = require("./ExcelProcessor");
+
+// Accepted column / property names per field (compared without case, spaces, "_" or "-")
+const FIELD_ALIASES = {
+  workNumber: ["workNumber", "work number", "project", "munkaszám", "projekt"],
+  position: ["position", "pozíció"],
+  plannedStart: ["plannedStart", "startDate", "start", "kezdés", "tervezett kezdés"],
+  dueDate: ["dueDate", "completionDate", "due", "határidő", "befejezés"],
+  machine: ["machine", "gép"],
+};
+
+// Same project naming as Scanner.extractProjectInfoFromPath (W5270NS01003 + A)
+const POSITION_NAME_PATTERN = /^(W\d{4}[A-Z]{2}\d{2,})([A-Z]+)$/;
+
+const loaders = new Map(); // filePath -> shared ScheduleLoader
+
+class ScheduleLoader {
+  /**
+   * @param {string} filePath - production_schedule.json or a .csv variant
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.entries = new Map(); // "WORKNUMBER|POSITION" -> entry
+    this.loadedMtime = null;
+    this.invalidRows = 0;
+  }
+
+  /**
+   * Shared loader per schedule file, so the cache survives between lookups
+   */
+  static forFile(filePath) {
+    if (!loaders.has(filePath)) {
+      loaders.set(filePath, new ScheduleLoader(filePath));
+    }
+    return loaders.get(filePath);
+  }
+
+  /**
+   * Load the schedule if it has not been read yet or changed on disk
+   * @returns {boolean} - True if a schedule is available
+   */
+  refresh() {
+    let stats;
+    try {
+      stats = fs.statSync(this.filePath);
+    } catch (err) {
+      if (this.loadedMtime !== null) {
+        Logger.warn(`Schedule file no longer available: ${this.filePath}`);
+      }
+      this.entries.clear();
+      this.loadedMtime = null;
+      return false;
+    }
+
+    if (this.loadedMtime === stats.mtimeMs) {
+      return true;
+    }
+
+    try {
+      const rows = this.readRows();
+      this.entries.clear();
+      this.invalidRows = 0;
+
+      for (const row of rows) {
+        const entry = ScheduleLoader.normalizeEntry(row);
+        if (!entry) {
+          this.invalidRows++;
+          continue;
+        }
+        this.entries.set(ScheduleLoader.createKey(entry.workNumber, entry.position), entry);
+      }
+
+      this.loadedMtime = stats.mtimeMs;
+      Logger.info(
+        `📅 Schedule loaded: ${this.entries.size} entries from ${path.basename(this.filePath)}` +
+          (this.invalidRows > 0 ? ` (${this.invalidRows} invalid row(s) ignored)` : "")
+      );
+      return true;
+    } catch (err) {
+      Logger.error(`Failed to read schedule file ${this.filePath}: ${err.message}`);
+      return this.loadedMtime !== null; // keep serving the last good copy
+    }
+  }
+
+  /**
+   * Read raw schedule rows as objects
+   */
+  readRows() {
+    if (path.extname(this.filePath).toLowerCase() === ".csv") {
+      const { text } = ExcelProcessor.decodeText(fs.readFileSync(this.filePath));
+      const rows = ExcelProcessor.parseCsv(text, ExcelProcessor.detectDelimiter(text))
+        .filter((row) => row.some((cell) => cell !== null));
+      const [header = [], ...dataRows] = rows;
+
+      return dataRows.map((row) =>
+        Object.fromEntries(header.map((name, index) => [name, row[index]]))
+      );
+    }
+
+    const data = JSON.parse(fs.readFileSync(this.filePath, "utf8").replace(/^\uFEFF/, ""));
+    if (Array.isArray(data)) {
+      return data;
+    }
+    return data.schedule || data.entries || data.projects || [];
+  }
+
+  /**
+   * Find the schedule entry for a project. An entry for the exact position
+   * (e.g. W5270NS01003 + A) wins over one for the whole work number.
+   * @param {Object} projectData - { workNumber | project, position | positionName }
+   * @returns {Object|null} - { workNumber, position, plannedStart, dueDate, machine }
+   */
+  findEntry(projectData) {
+    if (!projectData || !this.refresh()) {
+      return null;
+    }
+
+    const { workNumber, position } = ScheduleLoader.identifyProject(projectData);
+    if (!workNumber) {
+      return null;
+    }
+
+    return (
+      (position && this.entries.get(ScheduleLoader.createKey(workNumber, position))) ||
+      this.entries.get(ScheduleLoader.createKey(workNumber, null)) ||
+      null
+    );
+  }
+
+  /**
+   * Split project data into work number and position letter.
+   * Accepts Project/Scanner shapes: { project: "W5270NS01003", position: "W5270NS01003A" },
+   * { workNumber, position: "A" } or { positionName }.
+   */
+  static identifyProject(projectData) {
+    let workNumber = String(projectData.workNumber || projectData.project || "")
+      .trim()
+      .toUpperCase();
+    let position = String(projectData.positionName || projectData.position || "")
+      .trim()
+      .toUpperCase();
+
+    if (position === "UNKNOWN") {
+      position = "";
+    }
+    if (workNumber && position.startsWith(workNumber)) {
+      position = position.slice(workNumber.length);
+    }
+
+    // A full position name such as W5270NS01003A given as work number or position
+    const fullName = !position ? workNumber : !workNumber ? position : null;
+    const match = fullName && fullName.match(POSITION_NAME_PATTERN);
+    if (match) {
+      workNumber = match[1];
+      position = match[2];
+    } else if (!workNumber) {
+      workNumber = position;
+      position = "";
+    }
+
+    return { workNumber, position };
+  }
+
+  static createKey(workNumber, position) {
+    return `${String(workNumber).toUpperCase()}|${String(position || "").toUpperCase()}`;
+  }
+
+  /**
+   * Map a raw row to a schedule entry
+   * @returns {Object|null} - Entry, or null without a work number or any valid date
+   */
+  static normalizeEntry(row) {
+    if (!row || typeof row !== "object") {
+      return null;
+    }
+
+    const lookup = {};
+    for (const [key, value] of Object.entries(row)) {
+      lookup[ScheduleLoader.normalizeFieldName(key)] = value;
+    }
+    const read = (field) => {
+      for (const alias of FIELD_ALIASES[field]) {
+        const value = lookup[ScheduleLoader.normalizeFieldName(alias)];
+        if (value !== undefined && value !== null && String(value).trim() !== "") {
+          return String(value).trim();
+        }
+      }
+      return null;
+    };
+
+    const { workNumber, position } = ScheduleLoader.identifyProject({
+      workNumber: read("workNumber"),
+      position: read("position"),
+    });
+    const plannedStart = ScheduleLoader.parseDate(read("plannedStart"));
+    const dueDate = ScheduleLoader.parseDate(read("dueDate"));
+
+    if (!workNumber || (!plannedStart && !dueDate)) {
+      return null;
+    }
+
+    return {
+      workNumber,
+      position: position || null,
+      plannedStart,
+      dueDate,
+      machine: read("machine"),
+    };
+  }
+
+  static normalizeFieldName(name) {
+    return String(name).toLowerCase().replace(/[\s_-]+/g, "");
+  }
+
+  /**
+   * Parse ISO dates and Hungarian "2025.11.20." style dates
+   * @returns {string|null} - ISO string or null when unparseable
+   */
+  static parseDate(value) {
+    if (!value) {
+      return null;
+    }
+    const hungarian = String(value).match(/^(\d{4})\.\s*(\d{1,2})\.\s*(\d{1,2})\.?$/);
+    const date = hungarian
+      ? new Date(Date.UTC(Number(hungarian[1]), Number(hungarian[2]) - 1, Number(hungarian[3])))
+      : new Date(value);
+
+    return isNaN(date.getTime()) ? null : date.toISOString();
+  }
+}
+
+module.exports = ScheduleLoader;
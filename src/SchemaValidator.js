@@ -0,0 +1,228 @@
+// path: src/SchemaValidator.js
+/**
+ * Validates JSONScanner output files against the versioned schemas in
+ * config/schemas ("operation-file.v1.json", ...). Supports the JSON Schema
+ * keywords those files use (type, required, properties, items, minimum,
+ * minLength, enum) plus two warning-only keywords: warnOnNull and warnOnEmpty.
+ * validateSchema() also checks values against OpenAPI 3.0 schemas ($ref,
+ * nullable, anyOf, maximum, pattern) for the REST API contract.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const SCHEMA_DIR = path.join(__dirname, "..", "config", "schemas");
+
+class SchemaValidator {
+  /**
+   * @param {string} schemaName - Schema file prefix, e.g. "operation-file"
+   * @param {string} schemaDir - Folder with <schemaName>.v<N>.json files
+   */
+  constructor(schemaName = "operation-file", schemaDir = SCHEMA_DIR) {
+    this.schemaName = schemaName;
+    this.schemas = new Map(); // version -> schema
+
+    const pattern = new RegExp(`^${schemaName}\\.v(\\d+)\\.json$`);
+    for (const fileName of fs.readdirSync(schemaDir)) {
+      const match = fileName.match(pattern);
+      if (match) {
+        const schema = JSON.parse(fs.readFileSync(path.join(schemaDir, fileName), "utf8"));
+        this.schemas.set(Number(match[1]), schema);
+      }
+    }
+
+    if (this.schemas.size === 0) {
+      throw new Error(`No ${schemaName} schema found in ${schemaDir}`);
+    }
+    this.latestVersion = Math.max(...this.schemas.keys());
+  }
+
+  /**
+   * Validate a parsed file. Files without "schemaVersion" use the latest schema.
+   * @param {*} data - Parsed JSON content
+   * @returns {Object} - { schemaVersion, valid, errors: [{ path, message }], warnings: [{ path, message }] }
+   */
+  validate(data) {
+    const declared =
+      data && typeof data === "object" && data.schemaVersion !== undefined
+        ? data.schemaVersion
+        : this.latestVersion;
+    const result = { schemaVersion: declared, valid: true, errors: [], warnings: [] };
+
+    const schema = this.schemas.get(declared);
+    if (!schema) {
+      result.valid = false;
+      result.errors.push({
+        path: "schemaVersion",
+        message: `Unsupported schema version ${JSON.stringify(declared)} (supported: ${Array.from(
+          this.schemas.keys()
+        ).join(", ")})`,
+      });
+      return result;
+    }
+
+    this.validateNode(data, schema, "", result);
+    result.valid = result.errors.length === 0;
+    return result;
+  }
+
+  /**
+   * Check one value against its schema node, recursing into objects and arrays
+   */
+  validateNode(value, schema, nodePath, result) {
+    SchemaValidator.checkNode(value, schema, nodePath, result, schema);
+  }
+
+  /**
+   * Validate a value against a standalone schema
+   * @param {*} value - Value to check
+   * @param {Object} schema - Schema node
+   * @param {Object} root - Document "$ref"s are resolved against (e.g. the OpenAPI document)
+   * @param {string} nodePath - Path prefix for messages, e.g. "body"
+   * @returns {Object} - { valid, errors: [{ path, message }], warnings: [{ path, message }] }
+   */
+  static validateSchema(value, schema, root = schema, nodePath = "") {
+    const result = { valid: true, errors: [], warnings: [] };
+    SchemaValidator.checkNode(value, schema, nodePath, result, root);
+    result.valid = result.errors.length === 0;
+    return result;
+  }
+
+  /**
+   * Resolve a local reference such as "#/components/schemas/Tool"
+   */
+  static resolveRef(root, ref) {
+    const target = ref
+      .replace(/^#\//, "")
+      .split("/")
+      .reduce((node, key) => (node ? node[key.replace(/~1/g, "/").replace(/~0/g, "~")] : undefined), root);
+    if (!target) {
+      throw new Error(`Unresolvable schema reference ${ref}`);
+    }
+    return target;
+  }
+
+  static checkNode(value, schemaNode, nodePath, result, root) {
+    const schema = schemaNode.$ref ? SchemaValidator.resolveRef(root, schemaNode.$ref) : schemaNode;
+    const where = nodePath || "(root)";
+
+    // "nullable" may sit next to a $ref
+    if (value === null && (schemaNode.nullable || schema.nullable)) {
+      return;
+    }
+
+    if (schema.anyOf) {
+      const matches = schema.anyOf.some(
+        (option) => SchemaValidator.validateSchema(value, option, root, nodePath).valid
+      );
+      if (!matches) {
+        result.errors.push({ path: where, message: "Does not match any of the allowed schemas" });
+      }
+      return;
+    }
+
+    const types = schema.type ? [].concat(schema.type) : null;
+
+    if (types && !types.some((type) => SchemaValidator.isType(value, type))) {
+      result.errors.push({
+        path: where,
+        message: `Expected ${types.join(" or ")}, got ${SchemaValidator.describeType(value)}`,
+      });
+      return;
+    }
+
+    if (value === null) {
+      if (schema.warnOnNull) {
+        result.warnings.push({ path: where, message: "Value is null (missing or NaN in the export)" });
+      }
+      return;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      result.errors.push({ path: where, message: `Must be one of ${schema.enum.join(", ")}` });
+    }
+    if (typeof value === "number" && schema.minimum !== undefined && value < schema.minimum) {
+      result.errors.push({ path: where, message: `Must be >= ${schema.minimum}, got ${value}` });
+    }
+    if (typeof value === "number" && schema.maximum !== undefined && value > schema.maximum) {
+      result.errors.push({ path: where, message: `Must be <= ${schema.maximum}, got ${value}` });
+    }
+    if (typeof value === "string" && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      result.errors.push({ path: where, message: `Must match ${schema.pattern}` });
+    }
+    if (
+      typeof value === "string" &&
+      schema.minLength !== undefined &&
+      value.trim().length < schema.minLength
+    ) {
+      result.errors.push({ path: where, message: "Must not be empty" });
+    }
+
+    if (Array.isArray(value)) {
+      if (value.length === 0 && schema.warnOnEmpty) {
+        result.warnings.push({ path: where, message: "Array is empty" });
+      }
+      if (schema.items) {
+        value.forEach((item, index) =>
+          SchemaValidator.checkNode(item, schema.items, `${nodePath}[${index}]`, result, root)
+        );
+      }
+      return;
+    }
+
+    if (typeof value === "object") {
+      for (const key of schema.required || []) {
+        if (value[key] === undefined) {
+          result.errors.push({
+            path: SchemaValidator.joinPath(nodePath, key),
+            message: "Required property is missing",
+          });
+        }
+      }
+      for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+        if (value[key] !== undefined) {
+          SchemaValidator.checkNode(
+            value[key],
+            propertySchema,
+            SchemaValidator.joinPath(nodePath, key),
+            result,
+            root
+          );
+        }
+      }
+    }
+  }
+
+  static joinPath(parent, key) {
+    return parent ? `${parent}.${key}` : key;
+  }
+
+  static isType(value, type) {
+    switch (type) {
+      case "null":
+        return value === null;
+      case "array":
+        return Array.isArray(value);
+      case "object":
+        return value !== null && typeof value === "object" && !Array.isArray(value);
+      case "integer":
+        return Number.isInteger(value);
+      case "number":
+        return typeof value === "number" && Number.isFinite(value);
+      default:
+        return typeof value === type;
+    }
+  }
+
+  static describeType(value) {
+    if (value === null) {
+      return "null";
+    }
+    if (Array.isArray(value)) {
+      return "array";
+    }
+    return typeof value;
+  }
+}
+
+module.exports = SchemaValidator;
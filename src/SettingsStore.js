@@ -0,0 +1,334 @@
+// path: src/SettingsStore.js
+/**
+ * Runtime settings changed from the Dashboard (POST /api/config).
+ * Values are validated (folders must exist and be readable, the working
+ * folder writable), written to the config object and persisted to a local
+ * settings file so they survive a restart. Each setting remembers where its
+ * current value comes from:
+ *   config.js     - the default in config.js
+ *   setup-wizard  - BRK_SETUP_WIZARD_CONFIG.json, applied at server start
+ *   settings-file - saved from the Dashboard (highest precedence)
+ */
+
+const fs = require("fs");
+const path = require("path");
+const config = require("../config");
+const Logger = require("../utils/Logger");
+
+const SETTINGS_VERSION = 1;
+
+const SOURCES = {
+  DEFAULT: "config.js",
+  SETUP_WIZARD: "setup-wizard",
+  SETTINGS_FILE: "settings-file",
+};
+
+// Lowest to highest
+const PRECEDENCE = [SOURCES.DEFAULT, SOURCES.SETUP_WIZARD, SOURCES.SETTINGS_FILE];
+
+const MODES = ["test", "manual", "auto"];
+
+// Managed settings, written to the config in this order
+const SETTINGS = {
+  mode: {
+    type: "enum",
+    values: MODES,
+    read: (cfg) => cfg.app.mode,
+    write: (cfg, value) => {
+      cfg.app.mode = value;
+    },
+  },
+  watchMode: {
+    type: "boolean",
+    read: (cfg) => cfg.app.watchMode,
+    write: (cfg, value) => {
+      cfg.app.watchMode = value;
+    },
+  },
+  workingFolder: {
+    type: "folder",
+    writable: true,
+    read: (cfg) => cfg.app.userDefinedWorkingFolder,
+    write: (cfg, value) => {
+      cfg.app.userDefinedWorkingFolder = value;
+    },
+  },
+  jsonScanPath: {
+    type: "folder",
+    read: (cfg) => cfg.paths.custom.jsonScanPath,
+    write: (cfg, value) => {
+      cfg.paths.custom.jsonScanPath = value;
+    },
+    effective: (cfg) => cfg.getJsonScanPath(),
+  },
+  excelScanPath: {
+    type: "folder",
+    read: (cfg) => cfg.paths.custom.excelScanPath,
+    write: (cfg, value) => {
+      cfg.paths.custom.excelScanPath = value;
+    },
+    effective: (cfg) => cfg.getExcelScanPath(),
+  },
+};
+
+class SettingsStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.filePath - Settings file (defaults to config.app.settingsFile)
+   * @param {Object} options.config - Config object to manage (defaults to config.js)
+   */
+  constructor(options = {}) {
+    this.config = options.config || config;
+    this.filePath = options.filePath || this.config.app.settingsFile;
+    this.updatedAt = null;
+
+    // Values of config.js, so a setting can be reset
+    this.defaults = {};
+    for (const [key, setting] of Object.entries(SETTINGS)) {
+      this.defaults[key] = setting.read(this.config);
+    }
+    // source -> { key: value }
+    this.layers = {
+      [SOURCES.SETUP_WIZARD]: {},
+      [SOURCES.SETTINGS_FILE]: {},
+    };
+  }
+
+  /**
+   * Read the settings file and apply it. Invalid entries (e.g. a folder that
+   * was removed since) are logged and skipped; a missing file drops the
+   * settings loaded from it before (e.g. a restored backup without settings).
+   * @returns {Object} - { applied: [keys], skipped: [{ path, message }] }
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      this.layers[SOURCES.SETTINGS_FILE] = {};
+      this.updatedAt = null;
+      this.applyAll();
+      return { applied: [], skipped: [] };
+    }
+
+    let stored;
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+      stored = data.settings || {};
+      this.updatedAt = data.updatedAt || null;
+    } catch (err) {
+      Logger.warn(`Ignoring unreadable settings file ${this.filePath}: ${err.message}`);
+      return { applied: [], skipped: [] };
+    }
+
+    const skipped = this.validate(stored);
+    const invalid = new Set(skipped.map((error) => error.path));
+    for (const error of skipped) {
+      Logger.warn(`⚙️  Ignoring saved setting ${error.path}: ${error.message}`);
+    }
+
+    const valid = Object.fromEntries(Object.entries(stored).filter(([key]) => !invalid.has(key)));
+    this.layers[SOURCES.SETTINGS_FILE] = valid;
+    this.applyAll();
+
+    const applied = Object.keys(valid);
+    if (applied.length > 0) {
+      Logger.info(`⚙️  Loaded ${applied.length} saved setting(s) from ${this.filePath}`);
+    }
+    return { applied, skipped };
+  }
+
+  /**
+   * Apply values from a lower-precedence source such as the setup wizard.
+   * Settings saved from the Dashboard still win; invalid entries are skipped.
+   * @returns {Array} - Skipped entries [{ path, message }]
+   */
+  applyLayer(source, values) {
+    if (!this.layers[source] || source === SOURCES.SETTINGS_FILE) {
+      throw new Error(`Cannot apply settings from ${source}`);
+    }
+    const errors = this.validate(values);
+    const invalid = new Set(errors.map((error) => error.path));
+    const valid = Object.fromEntries(Object.entries(values || {}).filter(([key]) => !invalid.has(key)));
+
+    this.layers[source] = { ...this.layers[source], ...valid };
+    this.applyAll();
+    return errors;
+  }
+
+  /**
+   * Validate, apply and persist changes. null resets a setting to the value
+   * of the next lower source.
+   * @param {Object} changes - { key: value | null }
+   * @returns {Object} - { errors: [{ path, message }], changed: [keys whose value changed] }
+   */
+  update(changes) {
+    const errors = this.validate(changes, { allowNull: true });
+    if (errors.length > 0) {
+      return { errors, changed: [] };
+    }
+
+    const before = this.getValues();
+    const saved = { ...this.layers[SOURCES.SETTINGS_FILE] };
+    for (const [key, value] of Object.entries(changes)) {
+      if (value === null) {
+        delete saved[key];
+      } else {
+        saved[key] = value;
+      }
+    }
+
+    this.layers[SOURCES.SETTINGS_FILE] = saved;
+    this.applyAll();
+    this.updatedAt = new Date().toISOString();
+    this.save();
+
+    const after = this.getValues();
+    const changed = Object.keys(SETTINGS).filter((key) => before[key] !== after[key]);
+    if (changed.length > 0) {
+      Logger.info(`⚙️  Settings changed: ${changed.map((key) => `${key}=${after[key]}`).join(", ")}`);
+    }
+    return { errors: [], changed };
+  }
+
+  /**
+   * Check values without applying them
+   * @returns {Array} - [{ path, message }]
+   */
+  validate(values, options = {}) {
+    const errors = [];
+    if (!values || typeof values !== "object" || Array.isArray(values)) {
+      return [{ path: "(root)", message: "Settings must be an object" }];
+    }
+
+    for (const [key, value] of Object.entries(values)) {
+      const setting = SETTINGS[key];
+      if (!setting) {
+        errors.push({ path: key, message: `Unknown setting (allowed: ${Object.keys(SETTINGS).join(", ")})` });
+        continue;
+      }
+      if (value === null && options.allowNull) {
+        continue;
+      }
+
+      let message = null;
+      if (setting.type === "boolean") {
+        message = typeof value === "boolean" ? null : "Must be a boolean";
+      } else if (setting.type === "enum") {
+        message = setting.values.includes(value) ? null : `Must be one of: ${setting.values.join(", ")}`;
+      } else {
+        message = SettingsStore.checkFolder(value, setting.writable);
+      }
+      if (message) {
+        errors.push({ path: key, message });
+      }
+    }
+    return errors;
+  }
+
+  /**
+   * @returns {string|null} - Problem with a folder setting, or null when usable
+   */
+  static checkFolder(folderPath, writable = false) {
+    if (typeof folderPath !== "string" || folderPath.trim() === "") {
+      return "Must be a folder path";
+    }
+    if (!path.isAbsolute(folderPath)) {
+      return "Must be an absolute path";
+    }
+
+    let stats;
+    try {
+      stats = fs.statSync(folderPath);
+    } catch (err) {
+      return `Folder does not exist: ${folderPath}`;
+    }
+    if (!stats.isDirectory()) {
+      return `Not a folder: ${folderPath}`;
+    }
+
+    try {
+      fs.accessSync(folderPath, writable ? fs.constants.R_OK | fs.constants.W_OK : fs.constants.R_OK);
+    } catch (err) {
+      return `Folder is not ${writable ? "writable" : "readable"}: ${folderPath}`;
+    }
+    return null;
+  }
+
+  /**
+   * Mode for the testMode / autoRun flags of the Dashboard and setup wizard
+   * (autoRun wins; test data is still used through config.app.useTestPaths)
+   */
+  static modeFromFlags(testMode, autoRun) {
+    return autoRun ? "auto" : testMode ? "test" : "manual";
+  }
+
+  /**
+   * Write every setting from its highest-precedence source to the config
+   */
+  applyAll() {
+    for (const [key, setting] of Object.entries(SETTINGS)) {
+      setting.write(this.config, this.resolve(key).value);
+    }
+  }
+
+  /**
+   * Value and source a setting currently gets
+   */
+  resolve(key) {
+    for (const source of PRECEDENCE.slice(1).reverse()) {
+      if (Object.prototype.hasOwnProperty.call(this.layers[source], key)) {
+        return { value: this.layers[source][key], source };
+      }
+    }
+    return { value: this.defaults[key], source: SOURCES.DEFAULT };
+  }
+
+  /**
+   * Effective value of every setting (scan paths as the scanner resolves them)
+   */
+  getValues() {
+    const values = {};
+    for (const [key, setting] of Object.entries(SETTINGS)) {
+      values[key] = setting.effective ? setting.effective(this.config) : setting.read(this.config);
+    }
+    return values;
+  }
+
+  /**
+   * Effective values with their source, for GET /api/config
+   * @returns {Object} - { settings: { key: { value, source } }, settingsFile, updatedAt }
+   */
+  describe() {
+    const values = this.getValues();
+    const settings = {};
+    for (const key of Object.keys(SETTINGS)) {
+      settings[key] = { value: values[key], source: this.resolve(key).source };
+    }
+    return { settings, settingsFile: this.filePath, updatedAt: this.updatedAt };
+  }
+
+  /**
+   * Persist the Dashboard settings atomically (temp file + rename)
+   */
+  save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(
+      tempPath,
+      JSON.stringify(
+        {
+          version: SETTINGS_VERSION,
+          updatedAt: this.updatedAt,
+          settings: this.layers[SOURCES.SETTINGS_FILE],
+        },
+        null,
+        2
+      ),
+      "utf8"
+    );
+    fs.renameSync(tempPath, this.filePath);
+  }
+}
+
+SettingsStore.SOURCES = SOURCES;
+SettingsStore.KEYS = Object.keys(SETTINGS);
+
+module.exports = SettingsStore;
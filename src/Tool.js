@@ -147,17 +147,27 @@ class Tool {
       return;
     }
 
-    const maxWithOverrun = this.getMaxTimeWithOverrun();
-    
-    if (this.currentTime === 0) {
-      this.toolState = ToolState.FREE;
-    } else if (this.currentTime < this.maxTime) {
-      this.toolState = ToolState.IN_USE;
-    } else if (this.currentTime <= maxWithOverrun) {
-      this.toolState = ToolState.OVERRUN;
-    } else {
-      this.toolState = ToolState.EXPIRED;
+    this.toolState = Tool.getStateForUsage(this.currentTime, this.maxTime, this.overrunPercentage);
+  }
+
+  /**
+   * Tool state for a usage time against a time limit
+   * @param {number} usageTime - Time used
+   * @param {number} maxTime - Time limit (same unit as usageTime)
+   * @param {number} overrunPercentage - Allowed overrun in percent
+   * @returns {string} - ToolState value
+   */
+  static getStateForUsage(usageTime, maxTime, overrunPercentage = 10) {
+    const maxWithOverrun = maxTime * (1 + overrunPercentage / 100);
+
+    if (usageTime === 0) {
+      return ToolState.FREE;
+    } else if (usageTime < maxTime) {
+      return ToolState.IN_USE;
+    } else if (usageTime <= maxWithOverrun) {
+      return ToolState.OVERRUN;
     }
+    return ToolState.EXPIRED;
   }
 
   /**
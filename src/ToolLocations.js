@@ -0,0 +1,388 @@
+// path: src/ToolLocations.js
+/**
+ * Where matrix tools physically are. A location is a storeroom, a vending
+ * cabinet, a machine or a regrind vendor; a tool sits in a slot of it (bin,
+ * cabinet slot, magazine / carousel pocket - regrind vendors have none).
+ *
+ * Placements keep how many pieces of a tool are in each slot. Every change
+ * goes through a move, which is kept as history:
+ *   from -> to    pieces moved between slots
+ *   null -> to    pieces taken into tracking (new stock, Excel import)
+ *   from -> null  pieces leaving tracking (scrapped, Excel import)
+ */
+
+const { v4: uuidv4 } = require("uuid");
+
+const COLLECTIONS = {
+  LOCATIONS: "locations",
+  PLACEMENTS: "tool_locations",
+  MOVES: "tool_moves",
+};
+
+// type -> what it is and what its slots are called
+const LOCATION_TYPES = {
+  storeroom: { label: "Storeroom", slot: "bin" },
+  cabinet: { label: "Vending cabinet", slot: "slot" },
+  machine: { label: "Machine", slot: "pocket" },
+  regrind: { label: "Regrind vendor", slot: null },
+};
+
+// Storeroom whose bins are the location codes of the Excel inventory
+const EXCEL_STOREROOM = "STOREROOM";
+
+const LOCATION_ID_PATTERN = /^[\w.-]{1,50}$/;
+
+/**
+ * { locationId, slot } with the slot as a string (pockets may come as numbers)
+ */
+function normalizePlace(place) {
+  if (!place) {
+    return null;
+  }
+  const slot = place.slot === undefined || place.slot === null || place.slot === "" ? null : String(place.slot);
+  return { locationId: place.locationId, slot };
+}
+
+/**
+ * Human readable place, e.g. "DMU 100P pocket 12"
+ */
+function describePlace(location, slot) {
+  if (!location) {
+    return null;
+  }
+  const slotName = LOCATION_TYPES[location.type] && LOCATION_TYPES[location.type].slot;
+  return slot && slotName ? `${location.name} ${slotName} ${slot}` : location.name;
+}
+
+class ToolLocations {
+  /**
+   * @param {StorageAdapter} storage - Connected DataManager storage
+   */
+  constructor(storage) {
+    this.storage = storage;
+    this.toolQueues = new Map();
+  }
+
+  /**
+   * Run a change of the placements of a tool after the previous one
+   * finished, so reading the pieces at a place and changing them is one step
+   */
+  serialize(toolId, change) {
+    const previous = this.toolQueues.get(toolId) || Promise.resolve();
+    const run = previous.then(change);
+    // Keep the queue going after a failed change
+    const queued = run.catch(() => {});
+    this.toolQueues.set(toolId, queued);
+    queued.then(() => {
+      if (this.toolQueues.get(toolId) === queued) {
+        this.toolQueues.delete(toolId);
+      }
+    });
+    return run;
+  }
+
+  /**
+   * Validate a location body
+   * @param {string} mode - "create" or "update"
+   * @returns {Array} - [{ path, message }]
+   */
+  static validateLocation(body, mode) {
+    const errors = [];
+    if (!body || typeof body !== "object" || Array.isArray(body)) {
+      return [{ path: "body", message: "Must be an object" }];
+    }
+
+    for (const [key, value] of Object.entries(body)) {
+      switch (key) {
+        case "id":
+          if (mode !== "create") {
+            errors.push({ path: "body.id", message: "Cannot change the id of a location" });
+          } else if (typeof value !== "string" || !LOCATION_ID_PATTERN.test(value)) {
+            errors.push({ path: "body.id", message: "Must be 1-50 letters, digits, '.', '_' or '-'" });
+          }
+          break;
+        case "type":
+          if (!LOCATION_TYPES[value]) {
+            errors.push({ path: "body.type", message: `Must be one of: ${Object.keys(LOCATION_TYPES).join(", ")}` });
+          }
+          break;
+        case "name":
+          if (typeof value !== "string" || value.trim() === "") {
+            errors.push({ path: "body.name", message: "Must be a non-empty string" });
+          }
+          break;
+        case "description":
+          if (value !== null && typeof value !== "string") {
+            errors.push({ path: "body.description", message: "Must be a string" });
+          }
+          break;
+        case "slots":
+          if (value !== null && (!Number.isInteger(value) || value < 1)) {
+            errors.push({ path: "body.slots", message: "Must be an integer >= 1 (number of numbered slots)" });
+          }
+          break;
+        default:
+          errors.push({ path: `body.${key}`, message: "Unknown field (allowed: id, type, name, description, slots)" });
+      }
+    }
+
+    if (mode === "create") {
+      for (const key of ["id", "type", "name"]) {
+        if (body[key] === undefined) {
+          errors.push({ path: `body.${key}`, message: "Required" });
+        }
+      }
+    }
+    if (body.type === "regrind" && body.slots) {
+      errors.push({ path: "body.slots", message: "Regrind vendors have no slots" });
+    }
+    return errors;
+  }
+
+  /**
+   * Problem with a slot of a location, or null
+   */
+  static checkSlot(location, slot) {
+    const slotName = LOCATION_TYPES[location.type].slot;
+    if (!slotName) {
+      return slot ? `${location.name} has no slots` : null;
+    }
+    if (!slot) {
+      return `A ${slotName} of ${location.name} is required`;
+    }
+    if (location.slots) {
+      const number = Number(slot);
+      if (!Number.isInteger(number) || number < 1 || number > location.slots) {
+        return `${location.name} has ${slotName}s 1-${location.slots}`;
+      }
+    }
+    return null;
+  }
+
+  async listLocations(filter = {}) {
+    return this.storage.findAll(COLLECTIONS.LOCATIONS, filter, { sort: { id: 1 } });
+  }
+
+  async getLocation(locationId) {
+    return this.storage.findOne(COLLECTIONS.LOCATIONS, { id: locationId });
+  }
+
+  /**
+   * @returns {Object} - { status: "created", location } | { status: "exists" }
+   */
+  async createLocation(data) {
+    if (await this.getLocation(data.id)) {
+      return { status: "exists" };
+    }
+    const now = new Date().toISOString();
+    const location = await this.storage.insertOne(COLLECTIONS.LOCATIONS, {
+      description: null,
+      slots: null,
+      ...data,
+      createdAt: now,
+      updatedAt: now,
+    });
+    return { status: "created", location };
+  }
+
+  /**
+   * @returns {Object} - { status: "updated", location } | { status: "not_found" } | { status: "invalid", errors }
+   */
+  async updateLocation(locationId, changes) {
+    const location = await this.getLocation(locationId);
+    if (!location) {
+      return { status: "not_found" };
+    }
+
+    // Tools already placed must still fit
+    const next = { ...location, ...changes };
+    const misplaced = (await this.getPlacements({ locationId })).filter((placement) =>
+      ToolLocations.checkSlot(next, placement.slot)
+    );
+    if (misplaced.length > 0) {
+      return {
+        status: "invalid",
+        errors: misplaced.map((placement) => ({
+          path: "body",
+          message: `${placement.toolId} in ${placement.slot || "no slot"} would no longer fit`,
+        })),
+      };
+    }
+
+    const updated = await this.storage.updateOne(
+      COLLECTIONS.LOCATIONS,
+      { id: locationId },
+      { ...changes, updatedAt: new Date().toISOString() }
+    );
+    return { status: "updated", location: updated };
+  }
+
+  /**
+   * Only empty locations can be deleted
+   * @returns {Object} - { status: "deleted" } | { status: "not_found" } | { status: "not_empty", tools }
+   */
+  async deleteLocation(locationId) {
+    if (!(await this.getLocation(locationId))) {
+      return { status: "not_found" };
+    }
+    const placements = await this.getPlacements({ locationId });
+    if (placements.length > 0) {
+      return { status: "not_empty", tools: Array.from(new Set(placements.map((p) => p.toolId))) };
+    }
+    await this.storage.deleteOne(COLLECTIONS.LOCATIONS, { id: locationId });
+    return { status: "deleted" };
+  }
+
+  /**
+   * Placements with their location and a readable place
+   * @param {Object} filter - { toolId, locationId }
+   */
+  async getPlacements(filter = {}) {
+    const placements = await this.storage.findAll(COLLECTIONS.PLACEMENTS, filter, { sort: { toolId: 1 } });
+    const locations = new Map((await this.listLocations()).map((location) => [location.id, location]));
+    return placements.map((placement) => {
+      const location = locations.get(placement.locationId) || null;
+      return {
+        ...placement,
+        locationType: location ? location.type : null,
+        place: describePlace(location, placement.slot) || placement.locationId,
+      };
+    });
+  }
+
+  /**
+   * Move pieces of a tool
+   * @param {Object} move - { toolId, from: { locationId, slot } | null,
+   *   to: { locationId, slot } | null, quantity, reason, movedBy }
+   *   quantity defaults to every piece at "from"
+   * @returns {Object} - { status: "moved", move } | { status: "invalid", errors }
+   */
+  async moveTool(move) {
+    return this.serialize(move.toolId, () => this.applyMove(move));
+  }
+
+  async applyMove(move) {
+    const { toolId, reason = null, movedBy = null } = move;
+    const from = normalizePlace(move.from);
+    const to = normalizePlace(move.to);
+    const errors = [];
+
+    for (const [name, place] of [["from", from], ["to", to]]) {
+      if (place && typeof place.locationId !== "string") {
+        return { status: "invalid", errors: [{ path: `body.${name}.locationId`, message: "Required" }] };
+      }
+    }
+
+    if (!from && !to) {
+      errors.push({ path: "body.to", message: "A move needs a from or to place" });
+    }
+    if (from && to && from.locationId === to.locationId && from.slot === to.slot) {
+      errors.push({ path: "body.to", message: "From and to are the same place" });
+    }
+
+    let source = null;
+    if (from) {
+      source = await this.storage.findOne(COLLECTIONS.PLACEMENTS, { toolId, ...from });
+      if (!source) {
+        errors.push({ path: "body.from", message: `${toolId} is not at ${from.locationId}${from.slot ? ` ${from.slot}` : ""}` });
+      }
+    }
+    if (to) {
+      const location = await this.getLocation(to.locationId);
+      const problem = location ? ToolLocations.checkSlot(location, to.slot) : `Unknown location ${to.locationId}`;
+      if (problem) {
+        errors.push({ path: "body.to", message: problem });
+      }
+    }
+
+    const quantity = move.quantity !== undefined ? move.quantity : source ? source.quantity : undefined;
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      errors.push({ path: "body.quantity", message: "Must be an integer >= 1" });
+    } else if (source && quantity > source.quantity) {
+      errors.push({ path: "body.quantity", message: `Only ${source.quantity} at the source` });
+    }
+
+    if (errors.length > 0) {
+      return { status: "invalid", errors };
+    }
+
+    const now = new Date().toISOString();
+    if (source) {
+      await this.changeQuantity(toolId, from, -quantity, now);
+    }
+    if (to) {
+      await this.changeQuantity(toolId, to, quantity, now);
+    }
+
+    const record = await this.storage.insertOne(COLLECTIONS.MOVES, {
+      id: uuidv4(),
+      toolId,
+      quantity,
+      from,
+      to,
+      locationIds: Array.from(new Set([from, to].filter(Boolean).map((place) => place.locationId))),
+      reason,
+      movedBy,
+      movedAt: now,
+    });
+    return { status: "moved", move: record };
+  }
+
+  /**
+   * Set how many pieces are at a place (stock counts, Excel import), recorded
+   * as a move of the difference
+   * @returns {Object|null} - The move, or null when nothing changed
+   */
+  async setQuantity(toolId, place, quantity, reason) {
+    return this.serialize(toolId, async () => {
+      const target = normalizePlace(place);
+      const current = await this.storage.findOne(COLLECTIONS.PLACEMENTS, { toolId, ...target });
+      const difference = quantity - (current ? current.quantity : 0);
+      if (difference === 0) {
+        return null;
+      }
+
+      const result = await this.applyMove(
+        difference > 0
+          ? { toolId, from: null, to: target, quantity: difference, reason }
+          : { toolId, from: target, to: null, quantity: -difference, reason }
+      );
+      return result.status === "moved" ? result.move : null;
+    });
+  }
+
+  async changeQuantity(toolId, place, difference, updatedAt) {
+    const filter = { toolId, ...place };
+    const current = await this.storage.findOne(COLLECTIONS.PLACEMENTS, filter);
+    const quantity = (current ? current.quantity : 0) + difference;
+
+    if (quantity <= 0) {
+      await this.storage.deleteOne(COLLECTIONS.PLACEMENTS, filter);
+    } else if (current) {
+      await this.storage.updateOne(COLLECTIONS.PLACEMENTS, filter, { quantity, updatedAt });
+    } else {
+      await this.storage.insertOne(COLLECTIONS.PLACEMENTS, { ...filter, quantity, updatedAt });
+    }
+  }
+
+  /**
+   * Moves, newest first
+   * @param {Object} filter - { toolId, locationId, limit }
+   */
+  async getHistory(filter = {}) {
+    const query = {};
+    if (filter.toolId) {
+      query.toolId = filter.toolId;
+    }
+    if (filter.locationId) {
+      query.locationIds = filter.locationId;
+    }
+    return this.storage.findAll(COLLECTIONS.MOVES, query, { sort: { movedAt: -1 }, limit: filter.limit });
+  }
+}
+
+ToolLocations.LOCATION_TYPES = LOCATION_TYPES;
+ToolLocations.EXCEL_STOREROOM = EXCEL_STOREROOM;
+ToolLocations.describePlace = describePlace;
+
+module.exports = ToolLocations;
@@ -0,0 +1,240 @@
+// path: src/ToolOverrides.js
+/**
+ * Manual tool edits made through the API (POST/PUT/PATCH/DELETE /api/tools).
+ *
+ * Edits are kept in DataManager storage, not in ToolManager_Result.json, and
+ * are laid over the scanned tools whenever they are read - so a rescan that
+ * regenerates the result file keeps them. A stored record either corrects a
+ * scanned tool (source "scan") or is a tool registered by hand (source
+ * "manual"). Every record has a version that each change must quote
+ * (optimistic concurrency); scanned tools without edits are version 0.
+ */
+
+const Tool = require("./Tool");
+const {
+  ToolCategory,
+  getToolIdentityFromMatrixCode,
+  stripHolderSuffix,
+} = require("../utils/ToolIdentity");
+
+// Fields a client may set, with their type
+const EDITABLE_FIELDS = {
+  name: { type: "string" },
+  description: { type: "string" },
+  category: { type: "category" },
+  isMatrix: { type: "boolean" },
+  quantity: { type: "integer" },
+  capacityMinutes: { type: "number" },
+  location: { type: "string" },
+  unit: { type: "string" },
+  supplier: { type: "string" },
+  notes: { type: "string" },
+  retired: { type: "boolean" },
+};
+
+const CATEGORIES = Object.values(ToolCategory);
+
+// Ids are used in URL paths
+const TOOL_ID_PATTERN = /^[^/\s][^/]{0,99}$/;
+
+function checkValue(value, field) {
+  switch (field.type) {
+    case "string":
+      return typeof value === "string" && value.trim() !== "" ? null : "Must be a non-empty string";
+    case "boolean":
+      return typeof value === "boolean" ? null : "Must be a boolean";
+    case "integer":
+      return Number.isInteger(value) && value >= 0 ? null : "Must be an integer >= 0";
+    case "number":
+      return typeof value === "number" && Number.isFinite(value) && value >= 0 ? null : "Must be a number >= 0";
+    case "category":
+      return CATEGORIES.includes(value) ? null : `Must be one of: ${CATEGORIES.join(", ")}`;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Validate a request body
+ * @param {Object} body - Request body
+ * @param {string} mode - "create" (POST), "replace" (PUT) or "patch" (PATCH)
+ * @param {string} toolId - Tool id of the URL (replace / patch)
+ * @returns {Object} - { values, version, errors: [{ path, message }] }
+ *   values holds the editable fields; null clears an edit (PUT clears every
+ *   field it leaves out)
+ */
+function validateToolInput(body, mode, toolId = null) {
+  const errors = [];
+  const values = {};
+  let version = null;
+
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return { values, version, errors: [{ path: "body", message: "Must be an object" }] };
+  }
+
+  for (const [key, value] of Object.entries(body)) {
+    if (key === "id") {
+      if (mode === "create") {
+        if (typeof value !== "string" || !TOOL_ID_PATTERN.test(value)) {
+          errors.push({ path: "body.id", message: "Must be 1-100 characters without slashes" });
+        }
+      } else if (value !== toolId) {
+        errors.push({ path: "body.id", message: "Cannot change the id of a tool" });
+      }
+    } else if (key === "version") {
+      if (mode === "create") {
+        errors.push({ path: "body.version", message: "New tools start at version 1" });
+      } else if (!Number.isInteger(value) || value < 0) {
+        errors.push({ path: "body.version", message: "Must be an integer >= 0" });
+      } else {
+        version = value;
+      }
+    } else if (!EDITABLE_FIELDS[key]) {
+      errors.push({
+        path: `body.${key}`,
+        message: `Not an editable field (editable: ${Object.keys(EDITABLE_FIELDS).join(", ")})`,
+      });
+    } else if (value === null && mode !== "create") {
+      values[key] = null;
+    } else {
+      const message = checkValue(value, EDITABLE_FIELDS[key]);
+      if (message) {
+        errors.push({ path: `body.${key}`, message });
+      } else {
+        values[key] = value;
+      }
+    }
+  }
+
+  if (mode === "create") {
+    if (body.id === undefined) {
+      errors.push({ path: "body.id", message: "Required" });
+    } else if (errors.length === 0) {
+      // Classify like scanned tools unless the client says otherwise
+      if (!values.category) {
+        values.category = getToolIdentityFromMatrixCode(stripHolderSuffix(body.id)).category;
+      }
+      if (values.isMatrix === undefined) {
+        values.isMatrix = values.category.startsWith("MATRIX_");
+      }
+    }
+  } else if (version === null && body.version === undefined) {
+    errors.push({ path: "body.version", message: "Required - the version the change is based on" });
+  }
+
+  if (
+    typeof values.isMatrix === "boolean" &&
+    typeof values.category === "string" &&
+    values.category !== ToolCategory.UNKNOWN &&
+    values.isMatrix !== values.category.startsWith("MATRIX_")
+  ) {
+    errors.push({ path: "body.isMatrix", message: `Does not match category ${values.category}` });
+  }
+
+  if (mode === "replace") {
+    for (const key of Object.keys(EDITABLE_FIELDS)) {
+      if (!(key in values)) {
+        values[key] = null;
+      }
+    }
+  }
+
+  return { values, version, errors };
+}
+
+/**
+ * Editable fields of a stored record that are set
+ */
+function getEdits(record) {
+  const edits = {};
+  for (const key of Object.keys(EDITABLE_FIELDS)) {
+    if (record[key] !== undefined && record[key] !== null) {
+      edits[key] = record[key];
+    }
+  }
+  return edits;
+}
+
+/**
+ * Lay a stored record over a scanned tool
+ */
+function applyEdits(tool, record) {
+  const edits = getEdits(record);
+  const merged = {
+    ...tool,
+    ...edits,
+    source: "scan",
+    version: record.version,
+    overrides: Object.keys(edits),
+    updatedAt: record.updatedAt,
+  };
+
+  // Stock changes scale the tool life of the scanned inventory
+  const scalesCapacity =
+    edits.quantity !== undefined &&
+    edits.capacityMinutes === undefined &&
+    tool.quantity > 0 &&
+    tool.capacityMinutes !== undefined;
+  if (scalesCapacity) {
+    merged.capacityMinutes = Math.round((tool.capacityMinutes / tool.quantity) * edits.quantity * 100) / 100;
+  }
+  if (merged.capacityMinutes !== tool.capacityMinutes && merged.capacityMinutes !== undefined) {
+    merged.toolState = Tool.getStateForUsage(merged.usageMinutes || 0, merged.capacityMinutes);
+  }
+  if (edits.retired) {
+    merged.status = "retired";
+  }
+  return merged;
+}
+
+/**
+ * A tool registered by hand, in the shape of a scanned tool
+ */
+function toManualTool(record) {
+  const edits = getEdits(record);
+  return {
+    id: record.id,
+    name: record.id,
+    status: edits.retired ? "retired" : "available",
+    usageTime: 0,
+    usageMinutes: 0,
+    usageCount: 0,
+    projectCount: 0,
+    ...edits,
+    source: "manual",
+    version: record.version,
+    createdAt: record.createdAt,
+    updatedAt: record.updatedAt,
+  };
+}
+
+/**
+ * Combine the scanned tools with the stored edits
+ * @param {Array} scannedTools - Tools of ToolManager_Result.json
+ * @param {Array} records - Stored tool records
+ * @param {Object} options - { includeRetired }
+ * @returns {Array}
+ */
+function mergeTools(scannedTools, records, options = {}) {
+  const recordsById = new Map((records || []).map((record) => [record.id, record]));
+  const scannedIds = new Set();
+
+  const tools = (scannedTools || []).map((tool) => {
+    scannedIds.add(tool.id);
+    const record = recordsById.get(tool.id);
+    return record ? applyEdits(tool, record) : { ...tool, source: "scan", version: 0 };
+  });
+  for (const record of recordsById.values()) {
+    if (!scannedIds.has(record.id)) {
+      tools.push(toManualTool(record));
+    }
+  }
+
+  return options.includeRetired ? tools : tools.filter((tool) => tool.status !== "retired");
+}
+
+module.exports = {
+  EDITABLE_FIELDS,
+  validateToolInput,
+  mergeTools,
+};
@@ -0,0 +1,349 @@
+// path: src/ToolQuery.js
+/**
+ * Query options for GET /api/tools: filtering, text search, sorting, page or
+ * cursor pagination and sparse field selection over the dashboard tools list.
+ * Without page, limit or cursor every matching tool is returned, as before
+ * pagination existed.
+ *
+ * parseToolQuery() validates the request query, applyToolQuery() runs it.
+ * Cursors are keyset based (sort values + id of the last tool on the page), so
+ * a rescan that adds or removes tools does not shift the following pages.
+ */
+
+const config = require("../config");
+
+// Scalar fields the list can be sorted by
+const SORTABLE_FIELDS = [
+  "id",
+  "name",
+  "status",
+  "isMatrix",
+  "category",
+  "toolState",
+  "usageTime",
+  "usageMinutes",
+  "usageCount",
+  "projectCount",
+  "quantity",
+  "capacityMinutes",
+  "description",
+  "location",
+  "firstUsedAt",
+  "lastUsedAt",
+];
+
+// Everything a dashboard tool can contain (valid values for ?fields=)
+const SELECTABLE_FIELDS = [
+  ...SORTABLE_FIELDS,
+  "projects",
+  "positions",
+  "machines",
+  "locations",
+  "unit",
+  "supplier",
+  "notes",
+  "source",
+  "version",
+  "overrides",
+  "retired",
+  "updatedAt",
+];
+
+const DEFAULT_SORT = "-usageTime";
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Split a comma separated query value ("a,b" or repeated ?x=a&x=b)
+ */
+function splitList(value) {
+  if (value === undefined) {
+    return [];
+  }
+  return []
+    .concat(value)
+    .flatMap((item) => String(item).split(","))
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+function parsePositiveInteger(value, name, errors, max = Infinity) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1 || number > max) {
+    errors.push(`${name} must be an integer between 1 and ${max}`);
+    return null;
+  }
+  return number;
+}
+
+/**
+ * Parse a from/to date; date-only "to" values include the whole day
+ * @returns {string|null} - ISO timestamp
+ */
+function parseDate(value, name, errors, endOfDay = false) {
+  const text = String(value);
+  const date = new Date(DATE_ONLY.test(text) && endOfDay ? `${text}T23:59:59.999Z` : text);
+  if (Number.isNaN(date.getTime())) {
+    errors.push(`${name} must be a date (YYYY-MM-DD or ISO 8601)`);
+    return null;
+  }
+  return date.toISOString();
+}
+
+function encodeCursor(tool, sort) {
+  const payload = { s: sortSignature(sort), k: sort.map(({ field }) => tool[field] ?? null), id: tool.id };
+  return Buffer.from(JSON.stringify(payload)).toString("base64url");
+}
+
+function decodeCursor(cursor, sort) {
+  try {
+    const payload = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    if (payload.s !== sortSignature(sort) || !Array.isArray(payload.k)) {
+      return null;
+    }
+    // Rebuild the last tool of the previous page from its sort values
+    const tool = { id: payload.id };
+    sort.forEach(({ field }, index) => {
+      tool[field] = payload.k[index];
+    });
+    return tool;
+  } catch (err) {
+    return null;
+  }
+}
+
+function sortSignature(sort) {
+  return sort.map(({ field, direction }) => `${direction < 0 ? "-" : ""}${field}`).join(",");
+}
+
+/**
+ * Compare two field values; missing values sort last in both directions
+ */
+function compareValues(a, b, direction) {
+  const aMissing = a === undefined || a === null;
+  const bMissing = b === undefined || b === null;
+  if (aMissing || bMissing) {
+    return aMissing === bMissing ? 0 : aMissing ? 1 : -1;
+  }
+  if (typeof a === "string" && typeof b === "string") {
+    return direction * a.localeCompare(b, undefined, { sensitivity: "base", numeric: true });
+  }
+  return direction * (Number(a) - Number(b));
+}
+
+function createComparator(sort) {
+  return (a, b) => {
+    for (const { field, direction } of sort) {
+      const result = compareValues(a[field], b[field], direction);
+      if (result !== 0) {
+        return result;
+      }
+    }
+    // Ids are unique, which keeps cursor positions unambiguous
+    return compareValues(a.id, b.id, 1);
+  };
+}
+
+/**
+ * Normalise a category filter value: "ecut" -> "MATRIX_ECUT"
+ */
+function normalizeCategory(category) {
+  const upper = category.toUpperCase();
+  return upper === "NON_MATRIX" || upper === "UNKNOWN" || upper.startsWith("MATRIX_")
+    ? upper
+    : `MATRIX_${upper}`;
+}
+
+/**
+ * Validate the query string of GET /api/tools
+ * @param {Object} query - Express req.query
+ * @returns {Object} - { options, errors } (errors is empty when the query is valid)
+ */
+function parseToolQuery(query = {}) {
+  const errors = [];
+  const { defaultLimit, maxLimit } = config.api.tools;
+
+  const options = {
+    search: query.q ? String(query.q).trim().toLowerCase() : null,
+    status: query.status ? String(query.status) : null,
+    isMatrix: null,
+    categories: splitList(query.category).map(normalizeCategory),
+    machines: splitList(query.machine).map((machine) => machine.toLowerCase()),
+    projects: splitList(query.project).map((project) => project.toUpperCase()),
+    toolStates: splitList(query.toolState).map((state) => state.toUpperCase()),
+    from: null,
+    to: null,
+    sort: [],
+    limit: null, // null: not paginated
+    page: null,
+    cursor: null,
+    fields: null,
+  };
+
+  if (query.isMatrix !== undefined) {
+    if (query.isMatrix !== "true" && query.isMatrix !== "false") {
+      errors.push("isMatrix must be true or false");
+    } else {
+      options.isMatrix = query.isMatrix === "true";
+    }
+  }
+
+  if (query.from !== undefined) {
+    options.from = parseDate(query.from, "from", errors);
+  }
+  if (query.to !== undefined) {
+    options.to = parseDate(query.to, "to", errors, true);
+  }
+  if (options.from && options.to && options.from > options.to) {
+    errors.push("from must not be after to");
+  }
+
+  for (const key of splitList(query.sort || DEFAULT_SORT)) {
+    const direction = key.startsWith("-") ? -1 : 1;
+    const field = key.replace(/^[-+]/, "");
+    if (!SORTABLE_FIELDS.includes(field)) {
+      errors.push(`Cannot sort by "${field}" (sortable: ${SORTABLE_FIELDS.join(", ")})`);
+    } else {
+      options.sort.push({ field, direction });
+    }
+  }
+
+  if (query.limit !== undefined) {
+    options.limit = parsePositiveInteger(query.limit, "limit", errors, maxLimit);
+  } else if (query.page !== undefined || query.cursor !== undefined) {
+    options.limit = defaultLimit;
+  }
+
+  if (query.page !== undefined && query.cursor !== undefined) {
+    errors.push("Use either page or cursor, not both");
+  } else if (query.page !== undefined) {
+    options.page = parsePositiveInteger(query.page, "page", errors);
+  } else if (query.cursor !== undefined) {
+    options.cursor = decodeCursor(query.cursor, options.sort);
+    if (!options.cursor) {
+      errors.push("cursor is invalid or was issued for a different sort order");
+    }
+  } else {
+    options.page = 1;
+  }
+
+  if (query.fields !== undefined) {
+    const fields = splitList(query.fields);
+    const unknown = fields.filter((field) => !SELECTABLE_FIELDS.includes(field));
+    if (unknown.length > 0) {
+      errors.push(`Unknown field(s): ${unknown.join(", ")}`);
+    }
+    options.fields = Array.from(new Set(["id", ...fields]));
+  }
+
+  return { options, errors };
+}
+
+/**
+ * Whether a tool passes the filters and search of a query
+ */
+function matchesTool(tool, options) {
+  if (options.search) {
+    const id = String(tool.id || "").toLowerCase();
+    const name = String(tool.name || "").toLowerCase();
+    if (!id.includes(options.search) && !name.includes(options.search)) {
+      return false;
+    }
+  }
+  if (options.status && tool.status !== options.status) {
+    return false;
+  }
+  if (options.isMatrix !== null && tool.isMatrix !== options.isMatrix) {
+    return false;
+  }
+  if (options.categories.length > 0 && !options.categories.includes(tool.category)) {
+    return false;
+  }
+  if (options.toolStates.length > 0 && !options.toolStates.includes(tool.toolState)) {
+    return false;
+  }
+
+  if (options.machines.length > 0) {
+    const machines = (tool.machines || []).map((machine) => machine.toLowerCase());
+    if (!options.machines.some((wanted) => machines.some((machine) => machine.includes(wanted)))) {
+      return false;
+    }
+  }
+
+  if (options.projects.length > 0) {
+    // A project number also matches its positions (W5270NS01003 -> W5270NS01003A)
+    const names = [...(tool.projects || []), ...(tool.positions || [])].map((name) =>
+      String(name).toUpperCase()
+    );
+    if (!options.projects.some((wanted) => names.some((name) => name.startsWith(wanted)))) {
+      return false;
+    }
+  }
+
+  // Used at some point inside the range
+  if (options.from && !(tool.lastUsedAt && tool.lastUsedAt >= options.from)) {
+    return false;
+  }
+  if (options.to && !(tool.firstUsedAt && tool.firstUsedAt <= options.to)) {
+    return false;
+  }
+
+  return true;
+}
+
+function pickFields(tool, fields) {
+  if (!fields) {
+    return tool;
+  }
+  const picked = {};
+  for (const field of fields) {
+    if (tool[field] !== undefined) {
+      picked[field] = tool[field];
+    }
+  }
+  return picked;
+}
+
+/**
+ * Filter, sort and paginate the tools list
+ * @param {Array} tools - DataManager.getAllTools() result
+ * @param {Object} options - parseToolQuery() options
+ * @returns {Object} - { tools, total, limit, page, pages, nextCursor } (limit is
+ *   null and the one page holds every matching tool when not paginated)
+ */
+function applyToolQuery(tools, options) {
+  const comparator = createComparator(options.sort);
+  const matching = (tools || []).filter((tool) => matchesTool(tool, options)).sort(comparator);
+
+  let start;
+  if (options.cursor) {
+    start = matching.findIndex((tool) => comparator(tool, options.cursor) > 0);
+    if (start === -1) {
+      start = matching.length;
+    }
+  } else {
+    start = (options.page - 1) * options.limit;
+  }
+
+  const pageTools = options.limit ? matching.slice(start, start + options.limit) : matching;
+  const hasMore = start + pageTools.length < matching.length;
+
+  return {
+    tools: pageTools.map((tool) => pickFields(tool, options.fields)),
+    total: matching.length,
+    limit: options.limit,
+    page: options.cursor ? null : options.page,
+    pages: options.limit ? Math.ceil(matching.length / options.limit) : Math.min(1, matching.length),
+    nextCursor:
+      hasMore && pageTools.length > 0
+        ? encodeCursor(pageTools[pageTools.length - 1], options.sort)
+        : null,
+  };
+}
+
+module.exports = {
+  SORTABLE_FIELDS,
+  SELECTABLE_FIELDS,
+  parseToolQuery,
+  applyToolQuery,
+  parseDate,
+};
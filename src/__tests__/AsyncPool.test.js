@@ -0,0 +1,80 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { mapWithConcurrency } = require('../../utils/AsyncPool');
+const WorkerPool = require('../../utils/WorkerPool');
+
+describe('mapWithConcurrency', () => {
+  const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+  test('should keep input order and never exceed the limit', async () => {
+    let inFlight = 0;
+    let maxInFlight = 0;
+
+    const results = await mapWithConcurrency([30, 5, 20, 1, 10, 2], 3, async (ms, index) => {
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await delay(ms);
+      inFlight--;
+      return `${index}:${ms}`;
+    });
+
+    expect(results).toEqual(['0:30', '1:5', '2:20', '3:1', '4:10', '5:2']);
+    expect(maxInFlight).toBe(3);
+  });
+
+  test('should handle empty input and invalid limits', async () => {
+    expect(await mapWithConcurrency([], 4, async () => 1)).toEqual([]);
+    expect(await mapWithConcurrency([1, 2], 0, async (n) => n * 2)).toEqual([2, 4]);
+  });
+});
+
+describe('WorkerPool with the JSON repair worker', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'toolmanager-workers-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('should repair, save and parse files on worker threads', async () => {
+    const pool = new WorkerPool(path.join(__dirname, '../../utils/workers/jsonRepairWorker.js'), 2);
+    const write = (name, content) => {
+      const filePath = path.join(tempDir, name);
+      fs.writeFileSync(filePath, content);
+      return filePath;
+    };
+
+    try {
+      const [repaired, broken, missing] = await Promise.allSettled([
+        pool.run({
+          tempPath: write('A.json', '{"operations": [{"operationTime": NaN},]}'),
+          sanitizedPath: path.join(tempDir, 'A.fixed.json')
+        }),
+        pool.run({
+          tempPath: write('B.json', '{"a": 1 "b": 2}'),
+          sanitizedPath: path.join(tempDir, 'B.fixed.json')
+        }),
+        pool.run({
+          tempPath: path.join(tempDir, 'missing.json'),
+          sanitizedPath: path.join(tempDir, 'missing.fixed.json')
+        })
+      ]);
+
+      expect(repaired.value.data).toEqual({ operations: [{ operationTime: null }] });
+      expect(repaired.value.repairs.map((repair) => repair.type)).toEqual(['non-finite-number', 'trailing-comma']);
+      expect(JSON.parse(fs.readFileSync(path.join(tempDir, 'A.fixed.json'), 'utf8'))).toEqual(repaired.value.data);
+
+      expect(broken.value.data).toBeNull();
+      expect(broken.value.parseError).toEqual(expect.any(String));
+
+      expect(missing.status).toBe('rejected');
+      expect(missing.reason.message).toMatch(/ENOENT/);
+    } finally {
+      await pool.terminate();
+    }
+  });
+});
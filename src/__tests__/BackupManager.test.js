@@ -0,0 +1,173 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const config = require('../../config');
+const DataManager = require('../DataManager');
+const BackupManager = require('../BackupManager');
+const { LocalStorageAdapter } = require('../storage');
+
+describe('BackupManager', () => {
+  let tempDir;
+  let originalWorkingFolder;
+  let dataManager;
+  let backups;
+  let definitionsFile;
+  let settingsFile;
+
+  const resultFile = (...parts) => path.join(dataManager.resultsPath, ...parts);
+  const readJson = (file) => JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  beforeEach(async () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'toolmanager-backup-'));
+    originalWorkingFolder = config.app.userDefinedWorkingFolder;
+    config.app.userDefinedWorkingFolder = tempDir;
+
+    dataManager = new DataManager({ storage: new LocalStorageAdapter({ dataPath: path.join(tempDir, 'storage') }) });
+    await dataManager.initialize();
+
+    definitionsFile = path.join(tempDir, 'matrix-tool-definitions.json');
+    settingsFile = path.join(tempDir, 'settings.local.json');
+    fs.writeFileSync(definitionsFile, JSON.stringify({ version: 1 }));
+    fs.writeFileSync(settingsFile, JSON.stringify({ settings: { mode: 'manual' } }));
+    fs.mkdirSync(resultFile('inventory_snapshots'), { recursive: true });
+    fs.writeFileSync(resultFile('ToolManager_Result.json'), JSON.stringify({ tools: [{ id: 'T1' }] }));
+    fs.writeFileSync(resultFile('inventory_snapshots', 'snapshot-1.json'), JSON.stringify({ id: 'snapshot-1' }));
+    await dataManager.addTool({ id: 'T1', quantity: 2 });
+
+    backups = new BackupManager({ dataManager, keep: 3, definitionFiles: [definitionsFile], settingsFile });
+  });
+
+  afterEach(async () => {
+    backups.stopSchedule();
+    await dataManager.disconnect();
+    config.app.userDefinedWorkingFolder = originalWorkingFolder;
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('should write an archive with a manifest of every section', async () => {
+    const backup = await backups.createBackup();
+
+    expect(backup.sections).toEqual({ results: 1, snapshots: 1, storage: 1, definitions: 1, settings: 1 });
+    expect(path.dirname(backup.file)).toBe(path.join(tempDir, 'BRK CNC Management Dashboard', 'ToolManager', 'backups'));
+
+    const archive = await backups.readArchive(backup.name);
+    expect(archive.manifest).toMatchObject({ format: 'toolmanager-backup', formatVersion: 1, reason: 'manual', storageType: 'local' });
+    expect(archive.manifest.entries.map((entry) => entry.path).sort()).toEqual([
+      'definitions/matrix-tool-definitions.json',
+      'results/ToolManager_Result.json',
+      'settings/settings.json',
+      'snapshots/snapshot-1.json',
+      'storage/tools.json',
+    ]);
+    expect(BackupManager.verifyArchive(archive)).toEqual([]);
+
+    const list = await backups.listBackups();
+    expect(list).toHaveLength(1);
+    expect(list[0]).toMatchObject({ name: backup.name, reason: 'manual', sections: backup.sections });
+  });
+
+  test('should keep only the newest archives', async () => {
+    const names = [];
+    for (let i = 0; i < 5; i++) {
+      const backup = await backups.createBackup();
+      names.push(backup.name);
+      await new Promise((resolve) => setTimeout(resolve, 2));
+    }
+
+    expect(await backups.listArchiveNames()).toEqual(names.slice(2).reverse());
+  });
+
+  test('should detect tampered archives and leave the state alone', async () => {
+    const backup = await backups.createBackup();
+    const archive = await backups.readArchive(backup.name);
+    archive.files['storage/tools.json'] = Buffer.from('[]').toString('base64');
+    archive.files['results/extra.json'] = Buffer.from('{}').toString('base64');
+    fs.writeFileSync(backup.file, zlib.gzipSync(JSON.stringify(archive)));
+
+    expect(BackupManager.verifyArchive(archive)).toEqual([
+      { path: 'storage/tools.json', message: 'Checksum mismatch' },
+      { path: 'results/extra.json', message: 'Not listed in the manifest' },
+    ]);
+
+    await dataManager.addTool({ id: 'T2' });
+    const result = await backups.restoreBackup(backup.name);
+    expect(result.status).toBe('invalid');
+    expect((await dataManager.exportStorage()).tools).toHaveLength(2);
+    expect(await backups.listArchiveNames()).toEqual([backup.name]);
+
+    expect(await backups.restoreBackup('../settings.local.json')).toEqual({ status: 'not_found' });
+  });
+
+  test('should restore results, snapshots, storage, definitions and settings', async () => {
+    const backup = await backups.createBackup();
+
+    fs.writeFileSync(resultFile('ToolManager_Result.json'), JSON.stringify({ tools: [] }));
+    fs.writeFileSync(resultFile('inventory_snapshots', 'snapshot-2.json'), '{}');
+    fs.writeFileSync(definitionsFile, JSON.stringify({ version: 2 }));
+    fs.rmSync(settingsFile);
+    await dataManager.addTool({ id: 'T2' });
+
+    const result = await backups.restoreBackup(backup.name);
+
+    expect(result).toMatchObject({ status: 'restored', name: backup.name, createdAt: backup.createdAt });
+    expect(readJson(resultFile('ToolManager_Result.json'))).toEqual({ tools: [{ id: 'T1' }] });
+    expect(fs.readdirSync(resultFile('inventory_snapshots'))).toEqual(['snapshot-1.json']);
+    expect(readJson(definitionsFile)).toEqual({ version: 1 });
+    expect(readJson(settingsFile)).toEqual({ settings: { mode: 'manual' } });
+    expect((await dataManager.exportStorage()).tools.map((tool) => tool.id)).toEqual(['T1']);
+
+    // The state before the restore is kept as a backup of its own
+    const rollback = await backups.readArchive(result.rollback);
+    expect(rollback.manifest.reason).toBe('pre-restore');
+    expect(rollback.manifest.sections.settings).toBe(0);
+  });
+
+  test('should roll back when applying an archive fails', async () => {
+    const backup = await backups.createBackup();
+    fs.writeFileSync(resultFile('inventory_snapshots', 'snapshot-2.json'), '{}');
+    await dataManager.addTool({ id: 'T2' });
+
+    const importStorage = dataManager.importStorage.bind(dataManager);
+    jest
+      .spyOn(dataManager, 'importStorage')
+      .mockImplementationOnce(async (collections) => {
+        await importStorage(collections);
+        throw new Error('disk full');
+      });
+
+    const result = await backups.restoreBackup(backup.name);
+
+    expect(result).toMatchObject({ status: 'failed', error: 'disk full', rolledBack: true });
+    expect((await dataManager.exportStorage()).tools.map((tool) => tool.id).sort()).toEqual(['T1', 'T2']);
+    expect(fs.readdirSync(resultFile('inventory_snapshots')).sort()).toEqual(['snapshot-1.json', 'snapshot-2.json']);
+  });
+
+  test('should schedule backups', async () => {
+    jest.useFakeTimers();
+    try {
+      expect(backups.startSchedule(0)).toBe(false);
+      expect(backups.getSchedule()).toMatchObject({ enabled: false, intervalHours: 0, keep: 3 });
+
+      expect(backups.startSchedule(6)).toBe(true);
+      expect(backups.getSchedule()).toMatchObject({ enabled: true, intervalHours: 6, lastRun: null });
+
+      const run = jest.spyOn(backups, 'runScheduledBackup').mockResolvedValue();
+      jest.advanceTimersByTime(6 * 60 * 60 * 1000);
+      expect(run).toHaveBeenCalledTimes(1);
+
+      backups.stopSchedule();
+      expect(backups.getSchedule().enabled).toBe(false);
+      run.mockRestore();
+    } finally {
+      jest.useRealTimers();
+    }
+
+    backups.startSchedule(6);
+    await backups.runScheduledBackup(6 * 60 * 60 * 1000);
+    const { lastRun } = backups.getSchedule();
+    expect(lastRun).toMatchObject({ status: 'ok', error: null });
+    expect(await backups.listArchiveNames()).toEqual([lastRun.name]);
+    expect(lastRun.name).toMatch(/-scheduled\.json\.gz$/);
+  });
+});
@@ -0,0 +1,70 @@
+const DemandForecast = require('../DemandForecast');
+const { matchToolDefinition } = require('../../utils/ToolIdentity');
+
+describe('DemandForecast', () => {
+  const from = new Date('2025-11-10T00:00:00Z'); // Monday
+
+  test('should match JSON tool names to matrix definitions by family and diameter', () => {
+    expect(matchToolDefinition('FRA-P8400-S11.4R0_H63WM12L80X')).toMatchObject({
+      toolCode: 'RT-8400501_1',
+      category: 'ECUT',
+      toolLife: 60
+    });
+    expect(matchToolDefinition('RT-8400300').toolCode).toBe('RT-8400300');
+    expect(matchToolDefinition('KOM-U11-TF39_H63ABS50')).toBeNull();
+  });
+
+  test('should bucket minutes per week and report the shortfall week', () => {
+    const projects = [
+      { position: 'W5270NS01003A', plannedStart: '2025-11-11', toolMinutes: { 'FRA-P8400-S11.4R0_H63': 50 } },
+      { position: 'W5270NS01003B', dueDate: '2025-11-13', toolMinutes: { 'FRA-P8400-S11.4R0_H63': 20 } },
+      { position: 'W5270NS01004A', dueDate: '2025-11-19', toolMinutes: { 'FRA-P8400-S11.4R0_H63': 60 } }
+    ];
+
+    const result = new DemandForecast({ from }).forecast(projects, [{ toolCode: 'RT-8400501_1', quantity: 2 }]);
+    const [tool] = result.tools;
+
+    expect(tool).toMatchObject({
+      toolCode: 'RT-8400501_1',
+      stock: 2,
+      totalMinutes: 130,
+      piecesRequired: 3,
+      projectedStock: -1,
+      shortfallDate: '2025-11-17',
+      shortfallPieces: 1
+    });
+    expect(tool.periods.map(p => [p.period, p.minutes, p.cumulativePieces])).toEqual([
+      ['2025-11-10', 70, 2],
+      ['2025-11-17', 60, 3]
+    ]);
+    expect(tool.projects).toEqual(['W5270NS01003A', 'W5270NS01003B', 'W5270NS01004A']);
+    expect(result.summary).toMatchObject({ bucket: 'week', toolsShort: 1, earliestShortfall: '2025-11-17' });
+  });
+
+  test('should count overdue demand on the first day and respect the horizon', () => {
+    const projects = [
+      { position: 'A', dueDate: '2025-11-01', toolMinutes: { 'RT-8400300': 30 } },
+      { position: 'B', dueDate: '2025-11-12', toolMinutes: { 'RT-8400300': 30 } },
+      { position: 'C', dueDate: '2025-12-30', toolMinutes: { 'RT-8400300': 600 } }
+    ];
+
+    const result = new DemandForecast({ from, bucket: 'day', horizonDays: 14 })
+      .forecast(projects, [{ toolCode: 'RT-8400300', quantity: 1 }]);
+    const [tool] = result.tools;
+
+    expect(tool.periods.map(p => p.period)).toEqual(['2025-11-10', '2025-11-12']);
+    expect(tool.overdueMinutes).toBe(30);
+    expect(tool.piecesRequired).toBe(1);
+    expect(tool.shortfallDate).toBeNull();
+  });
+
+  test('should list tools without a matrix definition separately', () => {
+    const result = new DemandForecast({ from }).forecast(
+      [{ position: 'A', dueDate: '2025-11-12', toolMinutes: { 'KOM-U11-TF39_H63ABS50': 12.5 } }],
+      []
+    );
+
+    expect(result.tools).toEqual([]);
+    expect(result.unmatchedTools).toEqual([{ toolName: 'KOM-U11-TF39_H63ABS50', minutes: 12.5 }]);
+  });
+});
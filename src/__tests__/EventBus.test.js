@@ -0,0 +1,105 @@
+const EventEmitter = require('events');
+const EventBus = require('../EventBus');
+const Scanner = require('../Scanner');
+
+describe('EventBus', () => {
+  test('should number events and broadcast them', () => {
+    const bus = new EventBus({ bufferSize: 10 });
+    const received = [];
+    bus.on('event', (event) => received.push(event));
+
+    const first = bus.publish('scan.started', { jsonScanPath: '/data' });
+    const second = bus.publish('scan.stage', { stage: 'excel' });
+
+    expect(first).toMatchObject({ id: 1, type: 'scan.started', data: { jsonScanPath: '/data' } });
+    expect(second.id).toBe(2);
+    expect(first.timestamp).toEqual(expect.any(String));
+    expect(received.map((event) => event.id)).toEqual([1, 2]);
+  });
+
+  test('should replay events after a given id', () => {
+    const bus = new EventBus({ bufferSize: 10 });
+    for (let i = 0; i < 5; i++) {
+      bus.publish('scan.file', { completed: i });
+    }
+
+    const { events, complete } = bus.getEventsSince(3);
+    expect(complete).toBe(true);
+    expect(events.map((event) => event.id)).toEqual([4, 5]);
+    expect(bus.getEventsSince(5)).toEqual({ events: [], complete: true });
+    expect(bus.getEventsSince(0).events).toHaveLength(5);
+  });
+
+  test('should report missed events when the buffer has moved on or the id is unknown', () => {
+    const bus = new EventBus({ bufferSize: 3 });
+    for (let i = 0; i < 6; i++) {
+      bus.publish('scan.file', { completed: i });
+    }
+
+    const overrun = bus.getEventsSince(1);
+    expect(overrun.complete).toBe(false);
+    expect(overrun.events.map((event) => event.id)).toEqual([4, 5, 6]);
+
+    expect(bus.getEventsSince(3).complete).toBe(true);
+    // Id from before a server restart
+    expect(bus.getEventsSince(250).complete).toBe(false);
+  });
+
+  test('should publish scanner events once per scanner', () => {
+    const bus = new EventBus({ bufferSize: 10 });
+    const scanner = new EventEmitter();
+    bus.attachScanner(scanner);
+    bus.attachScanner(scanner);
+
+    scanner.emit('progress', { stage: 'json', completed: 1, total: 2, fileName: 'a.json', status: 'processed' });
+    scanner.emit('toolStateChanged', { toolCode: '8400300', from: 'IN_USE', to: 'OVERRUN' });
+    scanner.emit('scanCompleted', { durationMs: 40, added: 1, changed: 0, removed: 0, unchanged: 1, failed: 0, validation: { rejected: 1 } });
+
+    expect(bus.buffer.map((event) => event.type)).toEqual(['scan.file', 'tool.state', 'scan.completed']);
+    expect(bus.buffer[0].data).toEqual({ completed: 1, total: 2, fileName: 'a.json', status: 'processed' });
+    expect(bus.buffer[2].data).toMatchObject({ durationMs: 40, rejected: 1 });
+  });
+
+  test('should publish job state changes', () => {
+    const bus = new EventBus({ bufferSize: 10 });
+    const jobs = new EventEmitter();
+    bus.attachJobQueue(jobs);
+
+    jobs.emit('jobFailed', { id: 'job-1', state: 'failed', trigger: 'api', durationMs: 5, error: 'boom', result: null });
+
+    expect(bus.buffer[0]).toMatchObject({
+      type: 'job.failed',
+      data: { jobId: 'job-1', state: 'failed', trigger: 'api', error: 'boom' },
+    });
+  });
+
+  test('should filter events by category', () => {
+    expect(EventBus.matches({ type: 'tool.state' }, ['scan', 'tool'])).toBe(true);
+    expect(EventBus.matches({ type: 'job.started' }, ['scan', 'tool'])).toBe(false);
+    expect(EventBus.matches({ type: 'job.started' }, [])).toBe(true);
+  });
+});
+
+describe('Scanner.diffToolStates', () => {
+  test('should list matrix tools whose state changed since the previous report', () => {
+    const previous = new Map([
+      ['8400300', 'IN_USE'],
+      ['8410600', 'OVERRUN'],
+      ['8201200', 'IN_USE'],
+    ]);
+    const tools = [
+      { name: '8400300', toolState: 'OVERRUN', usageMinutes: 105, capacityMinutes: 100, quantity: 1 },
+      { name: '8410600', toolState: 'OVERRUN', usageMinutes: 60, capacityMinutes: 55, quantity: 1 },
+      { name: '8420800', toolState: 'EXPIRED', usageMinutes: 90, capacityMinutes: 0, quantity: 0 },
+      { name: 'NON-MATRIX', usageMinutes: 10 },
+    ];
+
+    const changes = Scanner.diffToolStates(previous, tools);
+
+    expect(changes).toEqual([
+      { toolCode: '8400300', from: 'IN_USE', to: 'OVERRUN', usageMinutes: 105, capacityMinutes: 100, quantity: 1 },
+      { toolCode: '8420800', from: 'FREE', to: 'EXPIRED', usageMinutes: 90, capacityMinutes: 0, quantity: 0 },
+      { toolCode: '8201200', from: 'IN_USE', to: 'FREE', usageMinutes: 0 },
+    ]);
+  });
+});
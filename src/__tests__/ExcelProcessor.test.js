@@ -0,0 +1,309 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const XLSX = require('xlsx');
+const ExcelProcessor = require('../ExcelProcessor');
+
+describe('ExcelProcessor', () => {
+  const mappingConfig = {
+    defaultProfile: 'default',
+    profiles: {
+      default: {
+        itemCode: ['Tételkód', 'Item code'],
+        quantity: ['Mennyiség', 'Quantity'],
+        unit: ['Mennyiségi egység', 'Unit']
+      },
+      vending: {
+        itemCode: ['Article'],
+        quantity: ['Stock']
+      }
+    },
+    fileOverrides: [
+      { match: 'cabinet_*.xlsx', profile: 'vending' },
+      { match: 'XFeed*.xlsx', columns: { quantity: ['Szabad készlet'] } }
+    ]
+  };
+
+  describe('CSV reading', () => {
+    test('should prefer the delimiter that splits lines consistently', () => {
+      expect(ExcelProcessor.detectDelimiter('Code,Qty\nA,1\nB,2', [';', ','])).toBe(',');
+      expect(ExcelProcessor.detectDelimiter('Code;Qty;Note\nA;1;"x, y"\nB;2;z', [';', ','])).toBe(';');
+      expect(ExcelProcessor.detectDelimiter('Code\tQty\nA\t1', [';', ',', '\t'])).toBe('\t');
+    });
+
+    test('should decode UTF-8 with or without BOM', () => {
+      const text = 'Tételkód;Mennyiség';
+      expect(ExcelProcessor.decodeText(Buffer.from(text, 'utf8'))).toEqual({ text, encoding: 'utf-8' });
+      expect(ExcelProcessor.decodeText(Buffer.concat([Buffer.from([0xef, 0xbb, 0xbf]), Buffer.from(text, 'utf8')])))
+        .toEqual({ text, encoding: 'utf-8' });
+    });
+
+    test('should parse quoted cells with delimiters, quotes and line breaks', () => {
+      expect(ExcelProcessor.parseCsv('a;"b;c";"say ""hi"""\r\n"multi\nline";;x', ';')).toEqual([
+        ['a', 'b;c', 'say "hi"'],
+        ['multi\nline', null, 'x']
+      ]);
+    });
+  });
+
+  describe('getColumnMapping', () => {
+    test('should use the default profile when no override matches', () => {
+      const mapping = ExcelProcessor.getColumnMapping('E-Cut készlet.xlsx', mappingConfig);
+      expect(mapping.profile).toBe('default');
+      expect(mapping.columns.itemCode).toEqual(['Tételkód', 'Item code']);
+    });
+
+    test('should switch profile for matching file names', () => {
+      const mapping = ExcelProcessor.getColumnMapping('Cabinet_North.xlsx', mappingConfig);
+      expect(mapping.profile).toBe('vending');
+      expect(mapping.columns.quantity).toEqual(['Stock']);
+    });
+
+    test('should override single fields for matching file names', () => {
+      const mapping = ExcelProcessor.getColumnMapping('XFeed szerszámok.xlsx', mappingConfig);
+      expect(mapping.profile).toBe('default');
+      expect(mapping.columns.quantity).toEqual(['Szabad készlet']);
+      expect(mapping.columns.itemCode).toEqual(['Tételkód', 'Item code']);
+    });
+
+    test('should reject unknown profiles', () => {
+      expect(() => ExcelProcessor.getColumnMapping('a.xlsx', {
+        ...mappingConfig,
+        defaultProfile: 'missing'
+      })).toThrow('Unknown column mapping profile');
+    });
+  });
+
+  describe('header detection', () => {
+    const mapping = ExcelProcessor.getColumnMapping('stock.xlsx', mappingConfig);
+
+    test('should find Hungarian headers below a title block', () => {
+      const rawData = [
+        ['Készletlista', null],
+        [null, null],
+        ['Tételkód', 'Mennyiségi egység', 'Mennyiség']
+      ];
+      expect(ExcelProcessor.findHeaderRow(rawData, mapping)).toBe(2);
+    });
+
+    test('should find English headers', () => {
+      const rawData = [['Item Code', 'Description', 'Quantity']];
+      expect(ExcelProcessor.findHeaderRow(rawData, mapping)).toBe(0);
+    });
+
+    test('should return -1 when required columns are missing', () => {
+      const rawData = [['Item code', 'Description']];
+      expect(ExcelProcessor.findHeaderRow(rawData, mapping)).toBe(-1);
+    });
+
+    test('should not confuse the unit column with the quantity column', () => {
+      const columns = ExcelProcessor.resolveColumns(
+        ['Tételkód', 'Mennyiségi egység', 'Mennyiség'],
+        mapping
+      );
+      expect(columns).toEqual({ itemCode: 0, quantity: 2, unit: 1 });
+    });
+  });
+
+  describe('extractToolInventory', () => {
+    const mapping = ExcelProcessor.getColumnMapping('stock.xlsx', {
+      ...mappingConfig,
+      profiles: {
+        default: {
+          ...mappingConfig.profiles.default,
+          description: ['Description'],
+          location: ['Location']
+        }
+      }
+    });
+
+    test('should sum quantities per cleaned item code', () => {
+      const rawData = [
+        ['Item code', 'Quantity'],
+        [' rt-8400300 ', 4],
+        ['RT-8400300', '2'],
+        ['RT-8201300', 0],
+        [null, 5]
+      ];
+
+      const inventory = ExcelProcessor.extractToolInventory(rawData, 0, mapping);
+      expect(Object.keys(inventory)).toEqual(['RT-8400300']);
+      expect(inventory['RT-8400300'].quantity).toBe(6);
+    });
+
+    test('should capture description, unit and per-location quantities', () => {
+      const rawData = [
+        ['Item code', 'Description', 'Unit', 'Location', 'Quantity'],
+        ['RT-8400300', 'ø5,7/6x56/12 r0.1 z4', 'db', 'A-01', 4],
+        ['RT-8400300', null, 'db', 'B-02', 2],
+        ['RT-8400300', '', null, 'A-01', 1]
+      ];
+
+      const inventory = ExcelProcessor.extractToolInventory(rawData, 0, mapping);
+      expect(inventory['RT-8400300']).toEqual({
+        quantity: 7,
+        description: 'ø5,7/6x56/12 r0.1 z4',
+        unit: 'db',
+        location: 'A-01',
+        locations: [
+          { location: 'A-01', quantity: 5 },
+          { location: 'B-02', quantity: 2 }
+        ],
+        entries: [
+          { sheet: null, row: 2, quantity: 4, location: 'A-01' },
+          { sheet: null, row: 3, quantity: 2, location: 'B-02' },
+          { sheet: null, row: 4, quantity: 1, location: 'A-01' }
+        ]
+      });
+    });
+  });
+
+  describe('row diagnostics', () => {
+    const mapping = ExcelProcessor.getColumnMapping('stock.xlsx', mappingConfig);
+
+    test('should report skipped, coerced and suspicious rows', () => {
+      const rawData = [
+        ['Item code', 'Quantity'],
+        ['RT-8400300', 2.7],
+        ['RT-8400391', '4 db'],
+        ['RT-8400450', -3],
+        [null, 5],
+        ['RT-8400501', 'n/a']
+      ];
+      const issues = [];
+      const stats = ExcelProcessor.extractSheetInventory(rawData, 0, mapping, 'Stock', {}, issues);
+
+      expect(stats).toMatchObject({ rowsRead: 5, rowsSkipped: 3, rowsCoerced: 2 });
+      expect(issues.map(issue => [issue.row, issue.type, issue.suspicious])).toEqual([
+        [2, 'coerced', true],
+        [3, 'coerced', false],
+        [4, 'skipped', true],
+        [5, 'skipped', false],
+        [6, 'skipped', false]
+      ]);
+      expect(issues[0]).toMatchObject({
+        sheet: 'Stock',
+        itemCode: 'RT-8400300',
+        rawValues: { itemCode: 'RT-8400300', quantity: 2.7 },
+        storedQuantity: 2
+      });
+      expect(issues[2].reason).toBe('Negative stock quantity');
+    });
+
+    test('should list merged duplicate codes', () => {
+      const inventory = ExcelProcessor.extractToolInventory([
+        ['Item code', 'Quantity'],
+        ['RT-8400300', 1],
+        ['RT-8400300', 2],
+        ['RT-8201300', 1]
+      ], 0, mapping, 'Stock');
+
+      expect(ExcelProcessor.findDuplicateCodes(inventory)).toEqual([{
+        itemCode: 'RT-8400300',
+        occurrences: 2,
+        totalQuantity: 3,
+        rows: [
+          { sheet: 'Stock', row: 2, quantity: 1 },
+          { sheet: 'Stock', row: 3, quantity: 2 }
+        ]
+      }]);
+    });
+  });
+
+  describe('processMainExcel', () => {
+    let tempDir;
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'excel-processor-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('should scan every sheet and report per-sheet results', async () => {
+      const workbook = XLSX.utils.book_new();
+      XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([
+        ['Tételkód', 'Mennyiség'],
+        ['RT-8400300', 3],
+        ['RT-8201300', 'n/a']
+      ]), 'Cabinet 1');
+      XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([
+        ['Notes only']
+      ]), 'Notes');
+      XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([
+        ['Item code', 'Quantity'],
+        ['RT-8400300', 2]
+      ]), 'Cabinet 2');
+      const filePath = path.join(tempDir, 'stock.xlsx');
+      XLSX.writeFile(workbook, filePath);
+
+      const result = await ExcelProcessor.processMainExcel(filePath, {
+        columnMapping: ExcelProcessor.getColumnMapping('stock.xlsx', mappingConfig)
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.toolInventory['RT-8400300'].quantity).toBe(5);
+      expect(result.toolInventory['RT-8400300'].entries.map(e => e.sheet))
+        .toEqual(['Cabinet 1', 'Cabinet 2']);
+      expect(result.sheets.map(sheet => [sheet.name, sheet.status, sheet.rowsRead, sheet.rowsSkipped]))
+        .toEqual([
+          ['Cabinet 1', 'processed', 2, 1],
+          ['Notes', 'skipped', 0, 0],
+          ['Cabinet 2', 'processed', 1, 0]
+        ]);
+      expect(result.sheets[0].skipReasons).toEqual({ 'Quantity is not a number': 1 });
+    });
+
+    test('should read Windows-1250 CSV exports with semicolon delimiter', async () => {
+      // "Ő" is 0xD5 in Windows-1250 (and "Õ" in Latin-1, used here to build the bytes)
+      const csv = 'Raktári készlet\r\nTételkód;Mennyiség;Mennyiségi egység\r\n' +
+        'FÕ-8400300;3;db\r\n"RT;8201300";"1 200";db\r\n;;\r\n';
+      const filePath = path.join(tempDir, 'cabinet.csv');
+      fs.writeFileSync(filePath, Buffer.from(csv, 'latin1'));
+
+      const result = await ExcelProcessor.processMainExcel(filePath, {
+        columnMapping: ExcelProcessor.getColumnMapping('stock.csv', mappingConfig)
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.fileFormat).toEqual({ type: 'csv', encoding: 'windows-1250', delimiter: ';' });
+      expect(result.sheets[0]).toMatchObject({ name: 'cabinet', headerRow: 2, rowsRead: 2, rowsCoerced: 1 });
+      expect(result.toolInventory['FŐ-8400300']).toMatchObject({ quantity: 3, unit: 'db' });
+      expect(result.toolInventory['RT;8201300'].quantity).toBe(1);
+    });
+
+    test('should read ODS workbooks like Excel files', async () => {
+      const workbook = XLSX.utils.book_new();
+      XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([
+        ['Item code', 'Quantity'],
+        ['RT-8400300', 4]
+      ]), 'Stock');
+      const filePath = path.join(tempDir, 'stock.ods');
+      XLSX.writeFile(workbook, filePath, { bookType: 'ods' });
+
+      const result = await ExcelProcessor.processMainExcel(filePath, {
+        columnMapping: ExcelProcessor.getColumnMapping('stock.ods', mappingConfig)
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.fileFormat.type).toBe('ods');
+      expect(result.toolInventory['RT-8400300'].quantity).toBe(4);
+    });
+
+    test('should fail when no sheet has a header row', async () => {
+      const workbook = XLSX.utils.book_new();
+      XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([['Notes only']]), 'Notes');
+      const filePath = path.join(tempDir, 'notes.xlsx');
+      XLSX.writeFile(workbook, filePath);
+
+      const result = await ExcelProcessor.processMainExcel(filePath, {
+        columnMapping: ExcelProcessor.getColumnMapping('notes.xlsx', mappingConfig)
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.sheets).toHaveLength(1);
+      expect(result.sheets[0].status).toBe('skipped');
+    });
+  });
+});
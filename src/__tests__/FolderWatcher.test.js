@@ -0,0 +1,72 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FolderWatcher = require('../FolderWatcher');
+
+describe('FolderWatcher', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'toolmanager-watch-'));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('should only report JSON and inventory files, not Excel lock files', () => {
+    const watcher = new FolderWatcher({ paths: [tempDir] });
+
+    expect(watcher.isRelevant(path.join(tempDir, 'W5270NS01003A.json'))).toBe(true);
+    expect(watcher.isRelevant(path.join(tempDir, 'E-Cut.XLSX'))).toBe(true);
+    expect(watcher.isRelevant(path.join(tempDir, 'leltar.csv'))).toBe(true);
+    expect(watcher.isRelevant(path.join(tempDir, '~$E-Cut.xlsx'))).toBe(false);
+    expect(watcher.isRelevant(path.join(tempDir, 'notes.txt'))).toBe(false);
+  });
+
+  test('should debounce a burst of events into one batch', () => {
+    jest.useFakeTimers();
+    const onChange = jest.fn();
+    const watcher = new FolderWatcher({ paths: [tempDir], onChange, watch: { debounceMs: 1000 } });
+    const a = path.join(tempDir, 'A.json');
+    const b = path.join(tempDir, 'B.json');
+
+    watcher.handleEvent('add', a);
+    jest.advanceTimersByTime(600);
+    watcher.handleEvent('add', b);
+    watcher.handleEvent('change', a);
+    watcher.handleEvent('add', path.join(tempDir, 'readme.txt'));
+    jest.advanceTimersByTime(600);
+    expect(onChange).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(400);
+    return Promise.resolve().then(() => {
+      expect(onChange).toHaveBeenCalledTimes(1);
+      expect(onChange.mock.calls[0][0]).toEqual([
+        { event: 'change', path: a },
+        { event: 'add', path: b }
+      ]);
+    });
+  });
+
+  test('should report files once they are written to a watched folder', async () => {
+    const changes = [];
+    let resolveChange;
+    const changed = new Promise((resolve) => { resolveChange = resolve; });
+    const watcher = new FolderWatcher({
+      paths: [tempDir],
+      onChange: (batch) => { changes.push(...batch); resolveChange(); },
+      watch: { debounceMs: 50, stabilityThresholdMs: 100, pollIntervalMs: 20 }
+    });
+
+    await watcher.start();
+    try {
+      fs.writeFileSync(path.join(tempDir, 'W5270NS01003A.json'), '{"operations":[]}');
+      await changed;
+      expect(changes).toEqual([{ event: 'add', path: path.join(tempDir, 'W5270NS01003A.json') }]);
+    } finally {
+      await watcher.stop();
+    }
+  }, 10000);
+});
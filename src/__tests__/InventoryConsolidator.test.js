@@ -0,0 +1,86 @@
+const InventoryConsolidator = require('../InventoryConsolidator');
+
+describe('InventoryConsolidator', () => {
+  const item = (quantity, extra = {}) => ({
+    quantity,
+    locations: extra.location ? [{ location: extra.location, quantity }] : [],
+    entries: [{ sheet: 'Sheet1', row: 2, quantity, location: extra.location || null }],
+    ...extra
+  });
+
+  const consolidate = (options) => {
+    const consolidator = new InventoryConsolidator(options);
+    consolidator.addFile(
+      { fileName: 'Matrix_daily.xlsx', modifiedAt: '2025-11-13T06:00:00.000Z' },
+      { 'RT-8400300': item(3, { location: 'A1' }), 'RT-8201300': item(1) }
+    );
+    consolidator.addFile(
+      { fileName: 'Matrix_daily - copy.xlsx', modifiedAt: '2025-11-01T06:00:00.000Z' },
+      { 'RT-8400300': item(5, { location: 'A2', description: 'Ball mill' }) }
+    );
+    consolidator.addFile(
+      { fileName: 'Vending.csv', modifiedAt: '2025-11-12T06:00:00.000Z' },
+      { 'RT-8400300': item(2), 'RT-8201300': item(1) }
+    );
+    return consolidator.consolidate();
+  };
+
+  test('should sum quantities from every file by default', () => {
+    const { inventory, conflicts } = consolidate({ strategy: 'sum' });
+    const tool = inventory.get('RT-8400300');
+
+    expect(tool.quantity).toBe(10);
+    expect(tool.source).toEqual({
+      strategy: 'sum',
+      files: ['Matrix_daily.xlsx', 'Matrix_daily - copy.xlsx', 'Vending.csv']
+    });
+    expect(tool.entries.map(e => e.file)).toEqual(['Matrix_daily.xlsx', 'Matrix_daily - copy.xlsx', 'Vending.csv']);
+    expect(tool.locations).toEqual([{ location: 'A1', quantity: 3 }, { location: 'A2', quantity: 5 }]);
+    expect(conflicts.map(c => c.toolCode)).toEqual(['RT-8400300', 'RT-8201300']);
+  });
+
+  test('should take the most recently modified file with "newest"', () => {
+    const { inventory } = consolidate({ strategy: 'newest' });
+    const tool = inventory.get('RT-8400300');
+
+    expect(tool.quantity).toBe(3);
+    expect(tool.source.files).toEqual(['Matrix_daily.xlsx']);
+    expect(tool.entries).toHaveLength(1);
+    // Detail fields missing in the chosen file are filled from the others
+    expect(tool.description).toBe('Ball mill');
+  });
+
+  test('should follow the priority list and rank unmatched files last', () => {
+    const { inventory } = consolidate({ strategy: 'priority', priority: ['vending*', '*copy*'] });
+
+    expect(inventory.get('RT-8400300').source.files).toEqual(['Vending.csv']);
+    expect(inventory.get('RT-8400300').quantity).toBe(2);
+    expect(inventory.get('RT-8201300').source.files).toEqual(['Vending.csv']);
+  });
+
+  test('should take the highest quantity with "max"', () => {
+    const { inventory } = consolidate({ strategy: 'max' });
+
+    expect(inventory.get('RT-8400300').quantity).toBe(5);
+    expect(inventory.get('RT-8400300').source.files).toEqual(['Matrix_daily - copy.xlsx']);
+  });
+
+  test('should report conflicting codes with every file quantity', () => {
+    const { conflicts } = consolidate({ strategy: 'newest' });
+    const [first, second] = conflicts;
+
+    expect(first).toMatchObject({
+      toolCode: 'RT-8400300',
+      strategy: 'newest',
+      identicalQuantities: false,
+      chosenFiles: ['Matrix_daily.xlsx'],
+      quantity: 3
+    });
+    expect(first.files.map(f => f.quantity)).toEqual([3, 5, 2]);
+    expect(second).toMatchObject({ toolCode: 'RT-8201300', identicalQuantities: true, quantity: 1 });
+  });
+
+  test('should reject unknown strategies', () => {
+    expect(() => new InventoryConsolidator({ strategy: 'average' })).toThrow(/Unknown consolidation strategy/);
+  });
+});
@@ -0,0 +1,153 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const InventoryHistory = require('../InventoryHistory');
+
+describe('InventoryHistory', () => {
+  let resultsPath;
+  let history;
+
+  const excelResult = (inventory) => ({
+    filesProcessed: [{ fileName: 'E-Cut.xlsx', toolCount: Object.keys(inventory).length }],
+    toolInventory: Object.entries(inventory).map(([toolCode, quantity]) => ({ toolCode, quantity }))
+  });
+
+  beforeEach(() => {
+    resultsPath = fs.mkdtempSync(path.join(os.tmpdir(), 'toolmanager-history-'));
+    history = new InventoryHistory(resultsPath);
+  });
+
+  afterEach(() => {
+    fs.rmSync(resultsPath, { recursive: true, force: true });
+  });
+
+  describe('diffInventories', () => {
+    test('should report added, consumed, new and removed codes', () => {
+      const diff = InventoryHistory.diffInventories(
+        { '8400-08': 10, '8400-10': 4, '8420-06': 2, '8450-12': 1 },
+        { '8400-08': 7, '8400-10': 6, '8420-06': 2, '8460-16': 3 }
+      );
+
+      expect(diff.summary).toEqual({
+        totalAdded: 5,
+        totalConsumed: 4,
+        newCodes: 1,
+        removedCodes: 1,
+        changedCodes: 2,
+        unchangedCodes: 1
+      });
+
+      const byCode = Object.fromEntries(diff.tools.map((t) => [t.toolCode, t]));
+      expect(byCode['8400-08']).toMatchObject({ from: 10, to: 7, consumed: 3, added: 0, status: 'changed' });
+      expect(byCode['8400-10']).toMatchObject({ change: 2, added: 2, status: 'changed' });
+      expect(byCode['8450-12']).toMatchObject({ from: 1, to: 0, consumed: 1, status: 'removed' });
+      expect(byCode['8460-16']).toMatchObject({ from: 0, to: 3, added: 3, status: 'new' });
+    });
+  });
+
+  describe('snapshots', () => {
+    test('should save dated snapshots and list them oldest first', async () => {
+      await history.saveSnapshot(excelResult({ A: 2 }), new Date('2025-11-13T06:00:00Z'));
+      await history.saveSnapshot(excelResult({ A: 1 }), new Date('2025-11-12T06:00:00Z'));
+
+      const snapshots = await history.listSnapshots();
+      expect(snapshots.map((s) => s.id)).toEqual(['2025-11-12_060000', '2025-11-13_060000']);
+      expect(snapshots[0]).toMatchObject({ totalUniqueTools: 1, totalQuantity: 1, sourceFiles: ['E-Cut.xlsx'] });
+      expect(snapshots[0].inventory).toBeUndefined();
+    });
+
+    test('should keep ids unique within the same second', async () => {
+      const takenAt = new Date('2025-11-13T06:00:00Z');
+      const first = await history.saveSnapshot(excelResult({ A: 1 }), takenAt);
+      const second = await history.saveSnapshot(excelResult({ A: 2 }), takenAt);
+
+      expect(first.id).toBe('2025-11-13_060000');
+      expect(second.id).toBe('2025-11-13_060000_2');
+    });
+
+    test('should skip snapshots of an unchanged inventory', async () => {
+      await history.saveSnapshot(excelResult({ A: 1, B: 2 }), new Date('2025-11-12T06:00:00Z'));
+      const unchanged = await history.saveSnapshot(excelResult({ B: 2, A: 1 }), new Date('2025-11-13T06:00:00Z'));
+
+      expect(unchanged).toBeNull();
+      expect((await history.listSnapshots()).map((s) => s.id)).toEqual(['2025-11-12_060000']);
+    });
+
+    test('should delete snapshots beyond the retention', async () => {
+      history = new InventoryHistory(resultsPath, { keep: 3, maxAgeDays: 10 });
+      for (const [day, quantity] of [['01', 1], ['12', 2], ['13', 3], ['14', 4], ['15', 5]]) {
+        await history.saveSnapshot(excelResult({ A: quantity }), new Date(`2025-11-${day}T06:00:00Z`));
+      }
+
+      expect((await history.listSnapshots()).map((s) => s.id)).toEqual([
+        '2025-11-13_060000',
+        '2025-11-14_060000',
+        '2025-11-15_060000',
+      ]);
+      expect(fs.readdirSync(path.join(resultsPath, 'inventory_snapshots')).sort()).toEqual([
+        'index.json',
+        'inventory_2025-11-13_060000.json',
+        'inventory_2025-11-14_060000.json',
+        'inventory_2025-11-15_060000.json',
+      ]);
+    });
+
+    test('should index snapshot folders without an index', async () => {
+      await history.saveSnapshot(excelResult({ A: 1 }), new Date('2025-11-12T06:00:00Z'));
+      await history.saveSnapshot(excelResult({ A: 2 }), new Date('2025-11-13T06:00:00Z'));
+      const indexFile = path.join(resultsPath, 'inventory_snapshots', 'index.json');
+      const indexed = await history.listSnapshots();
+      fs.rmSync(indexFile);
+
+      expect(await new InventoryHistory(resultsPath).listSnapshots()).toEqual(indexed);
+      expect(fs.existsSync(indexFile)).toBe(true);
+    });
+
+    test('should resolve dates to the last snapshot on or before that day', async () => {
+      await history.saveSnapshot(excelResult({ A: 5 }), new Date('2025-11-10T06:00:00Z'));
+      await history.saveSnapshot(excelResult({ A: 4 }), new Date('2025-11-12T06:00:00Z'));
+      await history.saveSnapshot(excelResult({ A: 3 }), new Date('2025-11-12T18:00:00Z'));
+
+      expect((await history.loadSnapshot('2025-11-11')).inventory).toEqual({ A: 5 });
+      expect((await history.loadSnapshot('2025-11-12')).inventory).toEqual({ A: 3 });
+      expect(await history.loadSnapshot('2025-11-01')).toBeNull();
+    });
+
+    test('should diff previous against latest by default', async () => {
+      await history.saveSnapshot(excelResult({ A: 5, B: 1 }), new Date('2025-11-12T06:00:00Z'));
+      await history.saveSnapshot(excelResult({ A: 3, C: 2 }), new Date('2025-11-13T06:00:00Z'));
+
+      const diff = await history.diff();
+      expect(diff.from.id).toBe('2025-11-12_060000');
+      expect(diff.to.id).toBe('2025-11-13_060000');
+      expect(diff.summary).toMatchObject({ totalConsumed: 3, totalAdded: 2, newCodes: 1, removedCodes: 1 });
+    });
+
+    test('should sum consumption from the index, also for snapshots saved out of order', async () => {
+      await history.saveSnapshot(excelResult({ A: 10, B: 4 }), new Date('2025-11-01T06:00:00Z'));
+      await history.saveSnapshot(excelResult({ A: 5, B: 4 }), new Date('2025-11-05T06:00:00Z'));
+      await history.saveSnapshot(excelResult({ A: 8, B: 1 }), new Date('2025-11-03T06:00:00Z'));
+
+      // Snapshot files are not read
+      for (const file of fs.readdirSync(path.join(resultsPath, 'inventory_snapshots'))) {
+        if (file !== 'index.json') {
+          fs.rmSync(path.join(resultsPath, 'inventory_snapshots', file));
+        }
+      }
+
+      const consumption = await history.getConsumption(30, new Date('2025-11-06T00:00:00Z'));
+      expect(consumption).toMatchObject({ snapshots: 3, days: 4, consumed: { A: 5, B: 3 } });
+      expect(await history.getConsumption(3, new Date('2025-11-06T00:00:00Z'))).toMatchObject({
+        snapshots: 2,
+        consumed: { A: 3 },
+      });
+    });
+
+    test('should return null when a snapshot is missing', async () => {
+      await history.saveSnapshot(excelResult({ A: 1 }), new Date('2025-11-12T06:00:00Z'));
+
+      expect(await history.diff()).toBeNull();
+      expect(await history.diff('2025-11-12_060000', 'unknown')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,104 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const XLSX = require('xlsx');
+const ReorderPlanner = require('../ReorderPlanner');
+const InventoryHistory = require('../InventoryHistory');
+
+describe('ReorderPlanner', () => {
+  const planner = new ReorderPlanner({
+    defaults: { leadTimeDays: 10, safetyStockDays: 5, orderCoverDays: 20, minOrderQuantity: 1, orderMultiple: 1 }
+  });
+
+  test('should derive consumption from consecutive inventory snapshots', async () => {
+    const resultsPath = fs.mkdtempSync(path.join(os.tmpdir(), 'toolmanager-reorder-'));
+    try {
+      const history = new InventoryHistory(resultsPath);
+      const snapshot = (inventory, takenAt) => history.saveSnapshot({
+        toolInventory: Object.entries(inventory).map(([toolCode, quantity]) => ({ toolCode, quantity }))
+      }, new Date(takenAt));
+
+      await snapshot({ 'RT-8400300': 10 }, '2025-11-01T06:00:00Z');
+      await snapshot({ 'RT-8400300': 6 }, '2025-11-03T06:00:00Z');
+      await snapshot({ 'RT-8400300': 16 }, '2025-11-04T06:00:00Z'); // restock
+      await snapshot({ 'RT-8400300': 14 }, '2025-11-05T06:00:00Z');
+
+      const consumption = await history.getConsumption(30, new Date('2025-11-06T00:00:00Z'));
+      expect(consumption).toMatchObject({ days: 4, snapshots: 4, consumed: { 'RT-8400300': 6 } });
+    } finally {
+      fs.rmSync(resultsPath, { recursive: true, force: true });
+    }
+  });
+
+  test('should use the category purchasing block from the definitions file', () => {
+    const plan = planner.plan({
+      stock: [{ toolCode: 'RT-8400300', quantity: 20, description: 'ø5,7 mill' }],
+      consumption: { days: 10, snapshots: 5, consumed: { 'RT-8400300': 20 } }
+    });
+    const [tool] = plan.tools;
+
+    // ECUT: 14 days lead time, 7 days safety stock, 30 days cover
+    expect(tool).toMatchObject({
+      toolCode: 'RT-8400300',
+      category: 'ECUT',
+      dailyConsumption: 2,
+      leadTimeDays: 14,
+      leadTimeDemand: 28,
+      safetyStock: 14,
+      reorderPoint: 42,
+      suggestedQuantity: 82,
+      urgency: 'critical',
+      daysOfStock: 10
+    });
+    expect(plan.suggestions).toHaveLength(1);
+  });
+
+  test('should raise lead time demand to what the forecast needs before delivery', () => {
+    const forecast = {
+      summary: { from: '2025-11-10' },
+      tools: [{
+        toolCode: 'RT-8201300',
+        periods: [
+          { period: '2025-11-12', cumulativePieces: 3 },
+          { period: '2025-12-20', cumulativePieces: 9 }
+        ]
+      }]
+    };
+
+    const plan = planner.plan({ stock: [{ toolCode: 'RT-8201300', quantity: 4 }], forecast });
+    expect(plan.tools[0]).toMatchObject({
+      forecastDemand: 3,
+      leadTimeDemand: 3,
+      reorderPoint: 3,
+      suggestedQuantity: 0,
+      urgency: 'ok'
+    });
+  });
+
+  test('should skip non-matrix tools and tools without demand', () => {
+    const plan = planner.plan({
+      stock: [{ toolCode: 'KOM-U11-TF39', quantity: 1 }, { toolCode: 'RT-8400300', quantity: 3 }],
+      consumption: { days: 0, snapshots: 1, consumed: {} }
+    });
+
+    expect(plan.tools.map(t => t.toolCode)).toEqual(['RT-8400300']);
+    expect(plan.suggestions).toEqual([]);
+  });
+
+  test('should export suggestions to CSV and XLSX', () => {
+    const plan = planner.plan({
+      stock: [{ toolCode: 'RT-8400300', quantity: 1, description: 'ø5,7; "long"' }],
+      consumption: { days: 10, snapshots: 2, consumed: { 'RT-8400300': 10 } }
+    });
+
+    const csv = ReorderPlanner.toCsv(plan);
+    expect(csv.charCodeAt(0)).toBe(0xfeff);
+    const lines = csv.slice(1).trim().split('\r\n');
+    expect(lines[0]).toMatch(/^Tool code;Description;Supplier;Category/);
+    expect(lines[1]).toMatch(/^RT-8400300;"ø5,7; ""long""";;ECUT;/);
+
+    const workbook = XLSX.read(ReorderPlanner.toXlsx(plan), { type: 'buffer' });
+    const rows = XLSX.utils.sheet_to_json(workbook.Sheets['Purchase suggestions']);
+    expect(rows[0]).toMatchObject({ 'Tool code': 'RT-8400300', 'Suggested quantity': plan.suggestions[0].suggestedQuantity });
+  });
+});
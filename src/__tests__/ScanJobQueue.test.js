@@ -0,0 +1,86 @@
+const ScanJobQueue = require('../ScanJobQueue');
+
+describe('ScanJobQueue', () => {
+  // Scan runner that finishes when the test says so
+  const createControlledRun = () => {
+    const runs = [];
+    const run = jest.fn((job, update) => new Promise((resolve, reject) => {
+      runs.push({ job, update, resolve, reject });
+    }));
+    return { run, runs };
+  };
+
+  const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+  test('should run a job in the background and report progress and result', async () => {
+    const { run, runs } = createControlledRun();
+    const queue = new ScanJobQueue({ run });
+
+    const { job, coalesced } = queue.enqueue({ trigger: 'api' });
+    expect(coalesced).toBe(false);
+    expect(queue.get(job.id).state).toBe('queued');
+
+    await flush();
+    expect(queue.get(job.id).state).toBe('running');
+
+    runs[0].update({ stage: 'json', progress: { completed: 3, total: 10 } });
+    expect(queue.get(job.id)).toMatchObject({ stage: 'json', progress: { completed: 3, total: 10 } });
+
+    runs[0].resolve({ toolCount: 12 });
+    const finished = await queue.wait(job.id);
+
+    expect(finished).toMatchObject({ state: 'completed', result: { toolCount: 12 }, error: null });
+    expect(finished.durationMs).toEqual(expect.any(Number));
+    expect(finished).not.toHaveProperty('done');
+    expect(queue.getActiveJob()).toBeNull();
+  });
+
+  test('should coalesce triggers into the queued or running job', async () => {
+    const { run, runs } = createControlledRun();
+    const queue = new ScanJobQueue({ run });
+
+    const first = queue.enqueue({ trigger: 'jsonscanner' });
+    const second = queue.enqueue({ trigger: 'jsonscanner' });
+    await flush();
+    const third = queue.enqueue({ trigger: 'api' });
+
+    expect(second).toMatchObject({ coalesced: true });
+    expect(second.job.id).toBe(first.job.id);
+    expect(third.job.id).toBe(first.job.id);
+    expect(queue.get(first.job.id).coalescedRequests).toBe(2);
+    expect(run).toHaveBeenCalledTimes(1);
+
+    runs[0].resolve({});
+    await queue.wait(first.job.id);
+
+    // The next trigger after completion starts a new job
+    const next = queue.enqueue({ trigger: 'api' });
+    expect(next.coalesced).toBe(false);
+    expect(next.job.id).not.toBe(first.job.id);
+  });
+
+  test('should record failures and keep a bounded history, newest first', async () => {
+    let call = 0;
+    const queue = new ScanJobQueue({
+      historyLimit: 2,
+      run: async () => {
+        call++;
+        if (call === 2) {
+          throw new Error('Excel path missing');
+        }
+        return { call };
+      }
+    });
+
+    const ids = [];
+    for (let i = 0; i < 3; i++) {
+      const { job } = queue.enqueue();
+      ids.push(job.id);
+      await queue.wait(job.id);
+    }
+
+    expect(queue.list().map((job) => job.id)).toEqual([ids[2], ids[1]]);
+    expect(queue.get(ids[0])).toBeNull();
+    expect(queue.get(ids[1])).toMatchObject({ state: 'failed', error: 'Excel path missing' });
+  });
+});
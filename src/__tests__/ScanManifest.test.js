@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ScanManifest = require('../ScanManifest');
+
+describe('ScanManifest', () => {
+  let tempDir;
+  let jsonDir;
+  let resultsPath;
+
+  const hashFile = async (filePath) =>
+    crypto.createHash('md5').update(fs.readFileSync(filePath)).digest('hex');
+
+  const writeJson = (fileName, data) => {
+    const fullPath = path.join(jsonDir, fileName);
+    fs.writeFileSync(fullPath, JSON.stringify(data));
+    return { fullPath, fileName };
+  };
+
+  // Scan, then store every added/changed file like Scanner.performScan does
+  const scan = async (manifest, files) => {
+    const changes = await manifest.classify(jsonDir, files, hashFile);
+    for (const file of [...changes.added, ...changes.changed]) {
+      manifest.setFile(jsonDir, file, { fileName: file.fileName, hash: file.hash });
+    }
+    for (const removed of changes.removed) {
+      manifest.removeFile(jsonDir, removed);
+    }
+    manifest.save();
+    return changes;
+  };
+
+  const counts = (changes) => ({
+    added: changes.added.length,
+    changed: changes.changed.length,
+    removed: changes.removed.length,
+    unchanged: changes.unchanged.length
+  });
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'toolmanager-manifest-'));
+    jsonDir = path.join(tempDir, 'json');
+    resultsPath = path.join(tempDir, 'results');
+    fs.mkdirSync(jsonDir);
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('should classify added, changed, removed and unchanged files across scans', async () => {
+    const a = writeJson('A.json', { operations: [1] });
+    const b = writeJson('B.json', { operations: [2] });
+
+    expect(counts(await scan(new ScanManifest(resultsPath), [a, b])))
+      .toEqual({ added: 2, changed: 0, removed: 0, unchanged: 0 });
+
+    // A fresh instance reads the persisted manifest
+    writeJson('A.json', { operations: [1, 3] });
+    const c = writeJson('C.json', { operations: [4] });
+    const changes = await scan(new ScanManifest(resultsPath), [a, c]);
+
+    expect(counts(changes)).toEqual({ added: 1, changed: 1, removed: 1, unchanged: 0 });
+    expect(changes.removed).toEqual([b.fullPath]);
+    expect(new ScanManifest(resultsPath).getData(jsonDir, b.fullPath)).toBeNull();
+  });
+
+  test('should treat a touched file with identical content as unchanged', async () => {
+    const a = writeJson('A.json', { operations: [1] });
+    await scan(new ScanManifest(resultsPath), [a]);
+
+    const later = new Date(Date.now() + 5000);
+    fs.utimesSync(a.fullPath, later, later);
+    const hashSpy = jest.fn(hashFile);
+    const manifest = new ScanManifest(resultsPath);
+
+    expect(counts(await manifest.classify(jsonDir, [a], hashSpy)))
+      .toEqual({ added: 0, changed: 0, removed: 0, unchanged: 1 });
+    expect(hashSpy).toHaveBeenCalledTimes(1);
+
+    // Once the new mtime is saved, the file is not hashed again
+    manifest.save();
+    hashSpy.mockClear();
+    await new ScanManifest(resultsPath).classify(jsonDir, [a], hashSpy);
+    expect(hashSpy).not.toHaveBeenCalled();
+  });
+
+  test('should keep stored data per scan root and start empty on a corrupt manifest', async () => {
+    const a = writeJson('A.json', { operations: [1] });
+    await scan(new ScanManifest(resultsPath), [a]);
+
+    const manifest = new ScanManifest(resultsPath);
+    expect(manifest.getData(jsonDir, a.fullPath)).toMatchObject({ fileName: 'A.json' });
+    expect(manifest.getData(path.join(tempDir, 'other'), a.fullPath)).toBeNull();
+
+    fs.writeFileSync(path.join(resultsPath, 'scan_manifest.json'), '{ broken');
+    expect(counts(await new ScanManifest(resultsPath).classify(jsonDir, [a], hashFile)))
+      .toEqual({ added: 1, changed: 0, removed: 0, unchanged: 0 });
+  });
+});
@@ -0,0 +1,144 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../../config');
+const DataManager = require('../DataManager');
+const Scanner = require('../Scanner');
+const { LocalStorageAdapter } = require('../storage');
+
+describe('Scanner Excel import log', () => {
+  let tempDir;
+  let originalWorkingFolder;
+  let logged;
+  let scanner;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'toolmanager-scanner-'));
+    originalWorkingFolder = config.app.userDefinedWorkingFolder;
+    config.app.userDefinedWorkingFolder = tempDir;
+
+    logged = [];
+    const dataManager = {
+      initialized: true,
+      logExcelProcessing: async (entry) => {
+        logged.push(entry);
+        return { id: `run-${logged.length}`, ...entry };
+      },
+      getExcelProcessingHistory: async () => logged.slice(-1).reverse(),
+    };
+    scanner = new Scanner(dataManager);
+  });
+
+  afterEach(() => {
+    config.app.userDefinedWorkingFolder = originalWorkingFolder;
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('should fingerprint Excel files', async () => {
+    const file = path.join(tempDir, 'stock.csv');
+    fs.writeFileSync(file, 'Code;Qty\nRT-8400300;3\n');
+
+    const described = await scanner.describeExcelFile({ fileName: 'stock.csv', fullPath: file });
+    expect(described).toMatchObject({ fileName: 'stock.csv', size: 22, toolCount: 0, error: null });
+    expect(described.hash).toMatch(/^[0-9a-f]{32}$/);
+
+    const missing = await scanner.describeExcelFile({ fileName: 'gone.csv', fullPath: path.join(tempDir, 'gone.csv') });
+    expect(missing).toMatchObject({ hash: null, size: null });
+  });
+
+  test('should derive the run status from the files', async () => {
+    const ok = { fileName: 'a.xlsx', toolCount: 5, error: null };
+    const broken = { fileName: 'b.xlsx', toolCount: 0, error: 'Corrupt file' };
+    const startedAt = Date.now();
+
+    await scanner.recordExcelImport(startedAt, { files: [ok], totalUniqueTools: 5, snapshotId: 'snap-1' });
+    await scanner.recordExcelImport(startedAt, { files: [ok, broken] });
+    await scanner.recordExcelImport(startedAt, { files: [broken] });
+    await scanner.recordExcelImport(startedAt, { files: [] });
+    const entry = await scanner.recordExcelImport(startedAt, { files: [ok], error: 'Disk full' });
+
+    expect(logged.map((run) => run.status)).toEqual(['completed', 'partial', 'failed', 'no_files', 'failed']);
+    expect(logged[0]).toMatchObject({ totalFiles: 1, failedFiles: 0, totalUniqueTools: 5, snapshotId: 'snap-1', errors: [] });
+    expect(logged[1].errors).toEqual([{ fileName: 'b.xlsx', message: 'Corrupt file' }]);
+    expect(entry.errors).toEqual([{ fileName: null, message: 'Disk full' }]);
+    expect(entry.durationMs).toBeGreaterThanOrEqual(0);
+  });
+
+  test('should log a run that read the same files again in short', async () => {
+    const file = { fileName: 'a.xlsx', path: '/stock/a.xlsx', hash: 'abc', size: 10, toolCount: 5, error: null };
+    const startedAt = Date.now();
+
+    await scanner.recordExcelImport(startedAt, { files: [file] });
+    const repeated = await scanner.recordExcelImport(startedAt, { files: [{ ...file }] });
+    await scanner.recordExcelImport(startedAt, { files: [{ ...file }] });
+    await scanner.recordExcelImport(startedAt, { files: [{ ...file, hash: 'def' }] });
+    await scanner.recordExcelImport(startedAt, { files: [{ ...file, hash: 'def' }], error: 'Disk full' });
+    await scanner.recordExcelImport(startedAt, { files: [{ ...file, hash: null }] });
+    await scanner.recordExcelImport(startedAt, { files: [{ ...file, hash: null }] });
+
+    expect(repeated).toMatchObject({ status: 'completed', unchanged: true, files: [{ fileName: 'a.xlsx', hash: 'abc' }] });
+    expect(repeated.startedAt).toEqual(expect.any(String));
+    expect(logged.map((run) => [run.status, run.unchanged, run.files[0].hash])).toEqual([
+      ['completed', false, 'abc'],
+      ['completed', true, 'abc'],
+      ['completed', true, 'abc'],
+      ['completed', false, 'def'],
+      ['failed', false, 'def'],
+      ['completed', false, null],
+      ['completed', false, null],
+    ]);
+  });
+
+  test('should not record without a DataManager', async () => {
+    expect(await new Scanner().recordExcelImport(Date.now(), { files: [] })).toBeNull();
+  });
+});
+
+describe('Scanner consolidated report', () => {
+  let tempDir;
+  let originalWorkingFolder;
+  let dataManager;
+
+  beforeEach(async () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'toolmanager-scanner-report-'));
+    originalWorkingFolder = config.app.userDefinedWorkingFolder;
+    config.app.userDefinedWorkingFolder = tempDir;
+
+    dataManager = new DataManager({ storage: new LocalStorageAdapter({ dataPath: path.join(tempDir, 'storage') }) });
+    await dataManager.initialize();
+  });
+
+  afterEach(async () => {
+    await dataManager.disconnect();
+    config.app.userDefinedWorkingFolder = originalWorkingFolder;
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('should keep a summary of the report in storage', async () => {
+    const scanner = new Scanner(dataManager);
+
+    await scanner.generateConsolidatedReport({ toolInventory: [] }, []);
+
+    const reports = await dataManager.storage.findAll('tool_reports');
+    expect(reports).toEqual([expect.objectContaining({ totalTools: 0, generatedAt: expect.any(String) })]);
+  });
+
+  test('should store the Excel inventory and its storeroom bins', async () => {
+    const excelFolder = path.join(tempDir, 'excel');
+    fs.mkdirSync(excelFolder);
+    fs.writeFileSync(path.join(excelFolder, 'stock.csv'), 'Code;Qty;Location\nRT-8400300;3;A1\n');
+    const originalExcelPath = config.paths.custom.excelScanPath;
+    config.paths.custom.excelScanPath = excelFolder;
+    try {
+      await new Scanner(dataManager).processExcelFile();
+    } finally {
+      config.paths.custom.excelScanPath = originalExcelPath;
+    }
+
+    expect(await dataManager.getExcelTool('RT-8400300')).toMatchObject({ quantity: 3 });
+    expect(await dataManager.getToolLocation('RT-8400300')).toMatchObject({
+      quantity: 3,
+      placements: [expect.objectContaining({ locationId: 'STOREROOM', slot: 'A1' })],
+    });
+  });
+});
@@ -0,0 +1,105 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../../config');
+const ScheduleLoader = require('../ScheduleLoader');
+
+describe('ScheduleLoader', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'toolmanager-schedule-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const writeJson = (fileName, data) => {
+    const filePath = path.join(tempDir, fileName);
+    fs.writeFileSync(filePath, JSON.stringify(data));
+    return filePath;
+  };
+
+  test('should prefer the exact position over the work number entry', () => {
+    const loader = new ScheduleLoader(writeJson('schedule.json', {
+      schedule: [
+        { workNumber: 'W5270NS01003', dueDate: '2025-11-20' },
+        { workNumber: 'W5270NS01003', position: 'B', plannedStart: '2025-11-18', dueDate: '2025-11-25' }
+      ]
+    }));
+
+    expect(loader.findEntry({ project: 'W5270NS01003', position: 'W5270NS01003B' })).toMatchObject({
+      position: 'B',
+      plannedStart: '2025-11-18T00:00:00.000Z',
+      dueDate: '2025-11-25T00:00:00.000Z'
+    });
+    expect(loader.findEntry({ project: 'W5270NS01003', position: 'W5270NS01003A' }).dueDate)
+      .toBe('2025-11-20T00:00:00.000Z');
+    expect(loader.findEntry({ positionName: 'W5270NS01003A' }).dueDate).toBe('2025-11-20T00:00:00.000Z');
+    expect(loader.findEntry({ project: 'W5270NS09999', position: 'W5270NS09999A' })).toBeNull();
+  });
+
+  test('should read CSV schedules with Hungarian headers and dates', () => {
+    const filePath = path.join(tempDir, 'schedule.csv');
+    fs.writeFileSync(filePath, [
+      'Munkaszám;Pozíció;Tervezett kezdés;Határidő',
+      'W5270NS01003A;;2025.11.18.;2025.11.21.',
+      'W5270NS01004;A;;nincs',
+      ''
+    ].join('\r\n'));
+    const loader = new ScheduleLoader(filePath);
+
+    expect(loader.findEntry({ workNumber: 'W5270NS01003', position: 'A' })).toMatchObject({
+      workNumber: 'W5270NS01003',
+      position: 'A',
+      plannedStart: '2025-11-18T00:00:00.000Z',
+      dueDate: '2025-11-21T00:00:00.000Z'
+    });
+    // Row without any valid date is ignored
+    expect(loader.findEntry({ workNumber: 'W5270NS01004', position: 'A' })).toBeNull();
+    expect(loader.invalidRows).toBe(1);
+  });
+
+  test('should reload the file when it changes on disk', () => {
+    const filePath = writeJson('schedule.json', [{ workNumber: 'W5270NS01003', dueDate: '2025-11-20' }]);
+    const loader = new ScheduleLoader(filePath);
+    expect(loader.findEntry({ project: 'W5270NS01003' }).dueDate).toBe('2025-11-20T00:00:00.000Z');
+
+    writeJson('schedule.json', [{ workNumber: 'W5270NS01003', dueDate: '2025-12-01' }]);
+    const later = new Date(Date.now() + 5000);
+    fs.utimesSync(filePath, later, later);
+
+    expect(loader.findEntry({ project: 'W5270NS01003' }).dueDate).toBe('2025-12-01T00:00:00.000Z');
+  });
+
+  test('should return null when the schedule file is missing', () => {
+    const loader = new ScheduleLoader(path.join(tempDir, 'missing.json'));
+    expect(loader.findEntry({ project: 'W5270NS01003' })).toBeNull();
+  });
+
+  describe('config schedule_file mode', () => {
+    const originalMode = config.scheduling.completionDateMode;
+    const originalFile = config.paths.test.scheduleFile;
+    const originalUseTestPaths = config.app.useTestPaths;
+
+    afterEach(() => {
+      config.scheduling.completionDateMode = originalMode;
+      config.paths.test.scheduleFile = originalFile;
+      config.app.useTestPaths = originalUseTestPaths;
+    });
+
+    test('should use the scheduled due date and fall back to the estimate', () => {
+      config.scheduling.completionDateMode = 'schedule_file';
+      config.app.useTestPaths = true;
+      config.paths.test.scheduleFile = writeJson('production_schedule.json', [
+        { workNumber: 'W5270NS01003', position: 'A', dueDate: '2025-11-20' }
+      ]);
+
+      expect(config.getCompletionDate('2025-11-01', { project: 'W5270NS01003', position: 'W5270NS01003A' }))
+        .toEqual(new Date('2025-11-20'));
+      expect(config.getCompletionDate('2025-11-01T00:00:00Z', { project: 'W5270NS01004', position: 'A' }))
+        .toEqual(config.calculateEstimatedDate(new Date('2025-11-01T00:00:00Z')));
+    });
+  });
+});
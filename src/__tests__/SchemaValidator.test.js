@@ -0,0 +1,109 @@
+const SchemaValidator = require('../SchemaValidator');
+
+describe('SchemaValidator', () => {
+  const validator = new SchemaValidator('operation-file');
+
+  const operation = (overrides = {}) => ({
+    programName: 'W5270NS01003A_01',
+    toolName: 'FRA-P8400-S11.4R0_H63',
+    operationTime: 600,
+    maxSpeed: 12000,
+    maxFeed: 2400,
+    ...overrides
+  });
+
+  test('should accept a well-formed JSONScanner export', () => {
+    const result = validator.validate({
+      machine: 'DMU100P',
+      operator: 'kovacs',
+      operations: [operation(), operation({ maxSpeed: null })]
+    });
+
+    expect(result).toEqual({ schemaVersion: 1, valid: true, errors: [], warnings: [] });
+  });
+
+  test('should report precise paths for every error', () => {
+    const result = validator.validate({
+      machine: 42,
+      operations: [
+        operation(),
+        operation({ toolName: '  ', operationTime: -1 }),
+        { programName: 'P3', operationTime: '600' },
+        'not an operation'
+      ]
+    });
+
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual([
+      { path: 'machine', message: 'Expected string or null, got number' },
+      { path: 'operations[1].toolName', message: 'Must not be empty' },
+      { path: 'operations[1].operationTime', message: 'Must be >= 0, got -1' },
+      { path: 'operations[2].toolName', message: 'Required property is missing' },
+      { path: 'operations[2].operationTime', message: 'Expected number or null, got string' },
+      { path: 'operations[3]', message: 'Expected object, got string' }
+    ]);
+  });
+
+  test('should reject files without operations and unknown schema versions', () => {
+    expect(validator.validate({ machine: 'DMU100P' }).errors)
+      .toEqual([{ path: 'operations', message: 'Required property is missing' }]);
+    expect(validator.validate([]).errors)
+      .toEqual([{ path: '(root)', message: 'Expected object, got array' }]);
+
+    const future = validator.validate({ schemaVersion: 99, operations: [] });
+    expect(future.valid).toBe(false);
+    expect(future.errors[0].path).toBe('schemaVersion');
+  });
+
+  test('should only warn about NaN cutting times and empty operation lists', () => {
+    const result = validator.validate({
+      machine: 'DMU100P',
+      operations: [operation({ operationTime: null })]
+    });
+    expect(result.valid).toBe(true);
+    expect(result.warnings).toEqual([
+      { path: 'operations[0].operationTime', message: 'Value is null (missing or NaN in the export)' }
+    ]);
+
+    expect(validator.validate({ operations: [] }).warnings)
+      .toEqual([{ path: 'operations', message: 'Array is empty' }]);
+  });
+
+  test('should validate values against OpenAPI schemas with references', () => {
+    const document = {
+      components: {
+        schemas: {
+          Job: {
+            type: 'object',
+            required: ['id'],
+            properties: {
+              id: { type: 'string', pattern: '^[a-f0-9-]+$' },
+              progress: { type: 'integer', minimum: 0, maximum: 100 }
+            }
+          }
+        }
+      }
+    };
+    const schema = {
+      type: 'object',
+      properties: {
+        active: { $ref: '#/components/schemas/Job', nullable: true },
+        result: { anyOf: [{ type: 'string' }, { $ref: '#/components/schemas/Job' }] }
+      }
+    };
+
+    expect(SchemaValidator.validateSchema({ active: null, result: 'done' }, schema, document).valid).toBe(true);
+
+    const invalid = SchemaValidator.validateSchema(
+      { active: { id: 'ABC', progress: 120 }, result: 42 },
+      schema,
+      document,
+      'response'
+    );
+    expect(invalid.errors).toEqual([
+      { path: 'response.active.id', message: 'Must match ^[a-f0-9-]+$' },
+      { path: 'response.active.progress', message: 'Must be <= 100, got 120' },
+      { path: 'response.result', message: 'Does not match any of the allowed schemas' }
+    ]);
+  });
+});
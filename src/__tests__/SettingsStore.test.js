@@ -0,0 +1,118 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SettingsStore = require('../SettingsStore');
+
+describe('SettingsStore', () => {
+  let tempDir;
+  let settingsFile;
+  let folder;
+
+  // Minimal stand-in for config.js
+  const createConfig = () => ({
+    app: { mode: 'manual', watchMode: false, userDefinedWorkingFolder: '/default/work' },
+    paths: { custom: { jsonScanPath: null, excelScanPath: null } },
+    getJsonScanPath() {
+      return this.paths.custom.jsonScanPath || '/default/json';
+    },
+    getExcelScanPath() {
+      return this.paths.custom.excelScanPath || '/default/excel';
+    },
+  });
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'settings-store-'));
+    settingsFile = path.join(tempDir, 'config', 'settings.local.json');
+    folder = path.join(tempDir, 'scan');
+    fs.mkdirSync(folder);
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('should apply, persist and reload settings', () => {
+    const config = createConfig();
+    const store = new SettingsStore({ config, filePath: settingsFile });
+
+    const { errors, changed } = store.update({ mode: 'auto', jsonScanPath: folder });
+    expect(errors).toEqual([]);
+    expect(changed).toEqual(['mode', 'jsonScanPath']);
+    expect(config.app.mode).toBe('auto');
+    expect(config.getJsonScanPath()).toBe(folder);
+
+    const saved = JSON.parse(fs.readFileSync(settingsFile, 'utf8'));
+    expect(saved).toMatchObject({ version: 1, settings: { mode: 'auto', jsonScanPath: folder } });
+    expect(fs.existsSync(`${settingsFile}.tmp`)).toBe(false);
+
+    const restarted = createConfig();
+    const reloaded = new SettingsStore({ config: restarted, filePath: settingsFile });
+    expect(reloaded.load()).toEqual({ applied: ['mode', 'jsonScanPath'], skipped: [] });
+    expect(restarted.app.mode).toBe('auto');
+    expect(restarted.getJsonScanPath()).toBe(folder);
+
+    // Without the file (e.g. a restored backup without settings) config.js applies again
+    fs.rmSync(settingsFile);
+    expect(reloaded.load()).toEqual({ applied: [], skipped: [] });
+    expect(restarted.app.mode).toBe('manual');
+    expect(restarted.getJsonScanPath()).toBe('/default/json');
+  });
+
+  test('should reject invalid values without changing anything', () => {
+    const config = createConfig();
+    const store = new SettingsStore({ config, filePath: settingsFile });
+    const missing = path.join(tempDir, 'missing');
+
+    const { errors } = store.update({
+      mode: 'fast',
+      watchMode: 'yes',
+      excelScanPath: missing,
+      jsonScanPath: 'relative/path',
+      colour: 'red',
+    });
+
+    expect(errors.map((error) => error.path)).toEqual(['mode', 'watchMode', 'excelScanPath', 'jsonScanPath', 'colour']);
+    expect(errors[2].message).toBe(`Folder does not exist: ${missing}`);
+    expect(errors[3].message).toBe('Must be an absolute path');
+    expect(config.app.mode).toBe('manual');
+    expect(fs.existsSync(settingsFile)).toBe(false);
+  });
+
+  test('should report the source of each value and reset to lower layers', () => {
+    const config = createConfig();
+    const store = new SettingsStore({ config, filePath: settingsFile });
+
+    store.applyLayer(SettingsStore.SOURCES.SETUP_WIZARD, { mode: 'test', workingFolder: folder });
+    store.update({ mode: 'auto', watchMode: true });
+
+    const { settings } = store.describe();
+    expect(settings.mode).toEqual({ value: 'auto', source: 'settings-file' });
+    expect(settings.workingFolder).toEqual({ value: folder, source: 'setup-wizard' });
+    expect(settings.excelScanPath).toEqual({ value: '/default/excel', source: 'config.js' });
+
+    store.update({ mode: null, watchMode: null });
+    expect(store.describe().settings.mode).toEqual({ value: 'test', source: 'setup-wizard' });
+    expect(config.app.watchMode).toBe(false);
+  });
+
+  test('should skip saved settings that are no longer valid', () => {
+    const config = createConfig();
+    const removed = path.join(tempDir, 'removed');
+    fs.mkdirSync(path.dirname(settingsFile), { recursive: true });
+    fs.writeFileSync(settingsFile, JSON.stringify({ version: 1, settings: { watchMode: true, excelScanPath: removed } }));
+
+    const store = new SettingsStore({ config, filePath: settingsFile });
+    const { applied, skipped } = store.load();
+
+    expect(applied).toEqual(['watchMode']);
+    expect(skipped).toEqual([{ path: 'excelScanPath', message: `Folder does not exist: ${removed}` }]);
+    expect(config.app.watchMode).toBe(true);
+    expect(config.getExcelScanPath()).toBe('/default/excel');
+  });
+
+  test('should map the Dashboard flags to a mode', () => {
+    expect(SettingsStore.modeFromFlags(true, false)).toBe('test');
+    expect(SettingsStore.modeFromFlags(false, false)).toBe('manual');
+    expect(SettingsStore.modeFromFlags(true, true)).toBe('auto');
+  });
+});
@@ -0,0 +1,408 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../../config');
+const DataManager = require('../DataManager');
+const { LocalStorageAdapter, MongoStorageAdapter, createStorage, resolveStorageType } = require('../storage');
+
+/**
+ * In-memory stand-in for the parts of the MongoDB Db / Collection API the
+ * adapter uses. Like the driver, insertOne() adds an _id to the document and
+ * fails with code 11000 on a unique index violation.
+ */
+class InMemoryCollection {
+  constructor() {
+    this.documents = [];
+    this.nextId = 1;
+    this.uniqueFields = [];
+  }
+
+  async createIndex(keys, options = {}) {
+    if (options.unique) {
+      this.uniqueFields.push(...Object.keys(keys));
+    }
+    return Object.keys(keys).join('_');
+  }
+
+  static matches(document, query) {
+    return Object.entries(query).every(([field, expected]) =>
+      expected && expected.$in ? expected.$in.includes(document[field]) : document[field] === expected
+    );
+  }
+
+  find(query = {}) {
+    let results = this.documents.filter((document) => InMemoryCollection.matches(document, query));
+    const cursor = {
+      sort: (sort) => {
+        const [[field, direction]] = Object.entries(sort);
+        results = [...results].sort((a, b) => (a[field] < b[field] ? -direction : a[field] > b[field] ? direction : 0));
+        return cursor;
+      },
+      limit: (limit) => {
+        results = results.slice(0, limit);
+        return cursor;
+      },
+      toArray: async () => results.map((document) => ({ ...document })),
+    };
+    return cursor;
+  }
+
+  async findOne(query = {}) {
+    const document = this.documents.find((d) => InMemoryCollection.matches(d, query));
+    return document ? { ...document } : null;
+  }
+
+  async insertOne(document) {
+    if (this.uniqueFields.some((field) => this.documents.some((existing) => existing[field] === document[field]))) {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+    document._id = `oid-${this.nextId++}`;
+    this.documents.push({ ...document });
+    return { acknowledged: true, insertedId: document._id };
+  }
+
+  async findOneAndUpdate(query, update, options) {
+    const index = this.documents.findIndex((document) => InMemoryCollection.matches(document, query));
+    if (index === -1) {
+      return null;
+    }
+    const before = this.documents[index];
+    this.documents[index] = { ...before, ...update.$set };
+    return { ...(options.returnDocument === 'after' ? this.documents[index] : before) };
+  }
+
+  async deleteOne(query) {
+    const index = this.documents.findIndex((document) => InMemoryCollection.matches(document, query));
+    if (index !== -1) {
+      this.documents.splice(index, 1);
+    }
+    return { deletedCount: index === -1 ? 0 : 1 };
+  }
+
+  async insertMany(documents) {
+    for (const document of documents) {
+      await this.insertOne(document);
+    }
+    return { acknowledged: true, insertedCount: documents.length };
+  }
+
+  async deleteMany(query = {}) {
+    const before = this.documents.length;
+    this.documents = this.documents.filter((document) => !InMemoryCollection.matches(document, query));
+    return { deletedCount: before - this.documents.length };
+  }
+
+  async countDocuments(query = {}) {
+    return this.documents.filter((document) => InMemoryCollection.matches(document, query)).length;
+  }
+}
+
+class InMemoryDb {
+  constructor() {
+    this.collections = new Map();
+  }
+
+  collection(name) {
+    if (!this.collections.has(name)) {
+      this.collections.set(name, new InMemoryCollection());
+    }
+    return this.collections.get(name);
+  }
+
+  listCollections() {
+    const names = Array.from(this.collections.keys()).map((name) => ({ name }));
+    return { toArray: async () => names };
+  }
+}
+
+describe('Storage adapters', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'toolmanager-storage-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const adapters = [
+    ['local', () => new LocalStorageAdapter({ dataPath: path.join(tempDir, 'data') })],
+    ['mongodb', () => new MongoStorageAdapter({ db: new InMemoryDb() })],
+  ];
+
+  describe.each(adapters)('%s', (type, createAdapter) => {
+    let storage;
+
+    beforeEach(async () => {
+      storage = createAdapter();
+      await storage.connect();
+    });
+
+    test('should insert, find, update and delete documents', async () => {
+      await storage.insertOne('tools', { id: 'B', quantity: 2 });
+      await storage.insertOne('tools', { id: 'A', quantity: 5 });
+      await storage.insertOne('tools', { id: 'C', quantity: 5 });
+
+      expect(storage.type).toBe(type);
+      expect(await storage.findAll('tools', { quantity: 5 }, { sort: { id: 1 } })).toEqual([
+        { id: 'A', quantity: 5 },
+        { id: 'C', quantity: 5 },
+      ]);
+      expect(await storage.findAll('tools', { id: ['B', 'C'] }, { sort: { id: -1 }, limit: 1 })).toEqual([
+        { id: 'C', quantity: 5 },
+      ]);
+      expect(await storage.findOne('tools', { id: 'B' })).toEqual({ id: 'B', quantity: 2 });
+
+      expect(await storage.updateOne('tools', { id: 'B' }, { quantity: 1 })).toEqual({ id: 'B', quantity: 1 });
+      expect(await storage.updateOne('tools', { id: 'X' }, { quantity: 1 })).toBeNull();
+
+      expect(await storage.deleteOne('tools', { id: 'A' })).toBe(true);
+      expect(await storage.deleteOne('tools', { id: 'A' })).toBe(false);
+      expect(await storage.count('tools')).toBe(2);
+      expect(await storage.listCollections()).toEqual(['tools']);
+
+      expect(await storage.replaceAll('tools', [{ id: 'Z', quantity: 0 }])).toBe(1);
+      expect(await storage.findAll('tools')).toEqual([{ id: 'Z', quantity: 0 }]);
+    });
+
+    test('should insert a document only once per key', async () => {
+      const results = await Promise.all([
+        storage.insertUnique('tools', { id: 'A', quantity: 1 }),
+        storage.insertUnique('tools', { id: 'A', quantity: 2 }),
+        storage.insertUnique('tools', { id: 'B', quantity: 3 }),
+      ]);
+
+      expect(results).toEqual([{ id: 'A', quantity: 1 }, null, { id: 'B', quantity: 3 }]);
+      expect(await storage.findAll('tools', {}, { sort: { id: 1 } })).toEqual([
+        { id: 'A', quantity: 1 },
+        { id: 'B', quantity: 3 },
+      ]);
+    });
+
+    test('should delete every matching document at once', async () => {
+      await storage.replaceAll('log', [{ id: 1, status: 'ok' }, { id: 2, status: 'failed' }, { id: 3, status: 'ok' }]);
+
+      expect(await storage.deleteMany('log', { id: [1, 2] })).toBe(2);
+      expect(await storage.deleteMany('log', { status: 'failed' })).toBe(0);
+      expect(await storage.findAll('log')).toEqual([{ id: 3, status: 'ok' }]);
+    });
+
+    test('should return an empty list for unknown collections', async () => {
+      expect(await storage.findAll('nothing')).toEqual([]);
+      expect(await storage.findOne('nothing', { id: 'A' })).toBeNull();
+    });
+  });
+
+  test('local storage should not lose concurrent writes', async () => {
+    const storage = new LocalStorageAdapter({ dataPath: path.join(tempDir, 'data') });
+    await storage.connect();
+
+    await Promise.all(Array.from({ length: 20 }, (_, i) => storage.insertOne('log', { id: i })));
+
+    expect(await storage.count('log')).toBe(20);
+    expect(fs.readdirSync(path.join(tempDir, 'data'))).toEqual(['log.json']);
+  });
+
+  test('should select the storage type from config', () => {
+    const originalUri = process.env.MONGODB_URI;
+    delete process.env.MONGODB_URI;
+    try {
+      expect(resolveStorageType('auto')).toBe('local');
+      process.env.MONGODB_URI = 'mongodb://db:27017';
+      expect(resolveStorageType('auto')).toBe('mongodb');
+      expect(resolveStorageType('local')).toBe('local');
+      expect(() => resolveStorageType('redis')).toThrow('Unknown storage type');
+      expect(createStorage({ type: 'local', dataPath: tempDir })).toBeInstanceOf(LocalStorageAdapter);
+      expect(createStorage({ type: 'mongodb', db: new InMemoryDb() })).toBeInstanceOf(MongoStorageAdapter);
+    } finally {
+      if (originalUri === undefined) {
+        delete process.env.MONGODB_URI;
+      } else {
+        process.env.MONGODB_URI = originalUri;
+      }
+    }
+  });
+});
+
+describe('DataManager with storage', () => {
+  let tempDir;
+  let dataManager;
+  let originalWorkingFolder;
+
+  beforeEach(async () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'toolmanager-datamanager-'));
+    originalWorkingFolder = config.app.userDefinedWorkingFolder;
+    config.app.userDefinedWorkingFolder = tempDir;
+
+    dataManager = new DataManager({ storage: new MongoStorageAdapter({ db: new InMemoryDb() }) });
+    await dataManager.initialize();
+  });
+
+  afterEach(async () => {
+    await dataManager.disconnect();
+    config.app.userDefinedWorkingFolder = originalWorkingFolder;
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('should add, update and delete tools', async () => {
+    const added = await dataManager.addTool({ id: 'FRA-P8400-S11.4R0', quantity: 3 });
+    expect(added).toMatchObject({ id: 'FRA-P8400-S11.4R0', name: 'FRA-P8400-S11.4R0', quantity: 3, version: 1 });
+    expect(await dataManager.addTool({ id: 'FRA-P8400-S11.4R0' })).toBeNull();
+    expect(await dataManager.addTool({ quantity: 1 })).toBeNull();
+
+    const updated = await dataManager.updateTool('FRA-P8400-S11.4R0', { quantity: 2, id: 'other', version: 9 });
+    expect(updated).toMatchObject({ id: 'FRA-P8400-S11.4R0', quantity: 2, version: 2, createdAt: added.createdAt });
+    expect(await dataManager.updateTool('missing', { quantity: 1 })).toBeNull();
+    // Stale version
+    expect(await dataManager.updateTool('FRA-P8400-S11.4R0', { quantity: 1 }, { expectedVersion: 1 })).toBeNull();
+
+    expect(await dataManager.deleteTool('FRA-P8400-S11.4R0')).toBe(true);
+    expect(await dataManager.getStoredTools()).toEqual([]);
+  });
+
+  test('should let only one of two concurrent first edits of a scanned tool win', async () => {
+    fs.mkdirSync(dataManager.resultsPath, { recursive: true });
+    fs.writeFileSync(
+      path.join(dataManager.resultsPath, 'ToolManager_Result.json'),
+      JSON.stringify({ tools: [{ id: 'T1', name: 'T1', quantity: 3 }] })
+    );
+
+    // Both edits find no stored record before either one stores it
+    const getStoredTool = jest.spyOn(dataManager, 'getStoredTool').mockResolvedValueOnce(null).mockResolvedValueOnce(null);
+    const results = await Promise.all([
+      dataManager.editTool('T1', { quantity: 2 }, 0),
+      dataManager.editTool('T1', { quantity: 1 }, 0),
+    ]);
+
+    expect(results.map((result) => result.status).sort()).toEqual(['conflict', 'updated']);
+    expect(results.find((result) => result.status === 'conflict').currentVersion).toBe(1);
+    expect(await dataManager.getStoredTools()).toHaveLength(1);
+    getStoredTool.mockRestore();
+  });
+
+  test('should keep matrices and report their tools', async () => {
+    expect(await dataManager.addMatrix({ name: 'ECUT-1', tools: ['T1', 'T2'] })).toMatchObject({ name: 'ECUT-1' });
+    expect(await dataManager.addMatrix({ name: 'ECUT-1' })).toBeNull();
+    await dataManager.addTool({ id: 'T1', quantity: 2 });
+
+    expect(await dataManager.updateMatrix('ECUT-1', { description: 'E-Cut set' })).toMatchObject({
+      name: 'ECUT-1',
+      description: 'E-Cut set',
+    });
+    expect((await dataManager.getAllMatrices()).map((m) => m.name)).toEqual(['ECUT-1']);
+
+    const report = await dataManager.getMatrixToolsReport('ECUT-1');
+    expect(report.tools).toEqual([expect.objectContaining({ id: 'T1', quantity: 2, source: 'manual' })]);
+    expect(report.missing).toEqual(['T2']);
+    expect(report.totalUsageTime).toBe(0);
+    expect(await dataManager.getMatrixToolsReport('unknown')).toBeNull();
+  });
+
+  test('should track tool locations and the Excel processing log', async () => {
+    await dataManager.addLocation({ id: 'CAB-1', type: 'cabinet', name: 'Cabinet 1', slots: 20 });
+    await dataManager.addLocation({ id: 'DMU', type: 'machine', name: 'DMU 100P' });
+    await dataManager.updateToolLocation('T1', { to: { locationId: 'CAB-1', slot: 4 }, quantity: 3 });
+    const moved = await dataManager.updateToolLocation('T1', {
+      from: { locationId: 'CAB-1', slot: '4' },
+      to: { locationId: 'DMU', slot: 12 },
+      quantity: 1,
+    });
+    expect(moved.status).toBe('moved');
+    expect(moved.location).toMatchObject({ toolId: 'T1', quantity: 3 });
+    expect((await dataManager.getAllToolLocations()).map((p) => [p.place, p.quantity])).toEqual([
+      ['Cabinet 1 slot 4', 2],
+      ['DMU 100P pocket 12', 1],
+    ]);
+    expect(await dataManager.getToolMoves({ toolId: 'T1' })).toHaveLength(2);
+    expect(await dataManager.getToolLocation('T2')).toBeNull();
+
+    const first = await dataManager.logExcelProcessing({ status: 'completed', loggedAt: '2025-11-01T08:00:00.000Z' });
+    await dataManager.logExcelProcessing({ status: 'failed', loggedAt: '2025-11-02T08:00:00.000Z' });
+    expect(first.id).toEqual(expect.any(String));
+    expect((await dataManager.getExcelProcessingHistory()).map((entry) => entry.status)).toEqual(['failed', 'completed']);
+    expect(await dataManager.getExcelProcessingHistory({ limit: 1 })).toHaveLength(1);
+    expect(await dataManager.getExcelProcessingHistory({ status: 'completed' })).toEqual([first]);
+    expect(await dataManager.getExcelProcessingHistory({ from: '2025-11-02T00:00:00.000Z' })).toHaveLength(1);
+    expect(await dataManager.getExcelProcessingHistory({ to: '2025-10-31T23:59:59.999Z' })).toEqual([]);
+  });
+
+  test('should keep only the newest Excel processing runs', async () => {
+    const keep = config.excel.importLog.keep;
+    config.excel.importLog.keep = 2;
+    try {
+      for (const day of ['01', '02', '03']) {
+        await dataManager.logExcelProcessing({ status: 'completed', loggedAt: `2025-11-${day}T08:00:00.000Z` });
+      }
+    } finally {
+      config.excel.importLog.keep = keep;
+    }
+
+    expect((await dataManager.getExcelProcessingHistory()).map((entry) => entry.loggedAt)).toEqual([
+      '2025-11-03T08:00:00.000Z',
+      '2025-11-02T08:00:00.000Z',
+    ]);
+  });
+
+  test('should import Excel inventory into storage', async () => {
+    await dataManager.addTool({ id: 'RT-8400300', quantity: 1 });
+
+    const result = await dataManager.migrateExcelData({
+      toolInventory: [
+        { toolCode: 'RT-8400300', quantity: 3, description: 'ø3 E-Cut', location: 'A1' },
+        { toolCode: 'RT-8400400', quantity: 2, description: 'ø4 E-Cut' },
+        { quantity: 1 },
+      ],
+    });
+
+    expect(result).toMatchObject({ tools: 2, matrices: 0, locations: 1 });
+    expect(result.errors).toEqual([{ toolCode: null, message: 'Inventory row without toolCode' }]);
+    expect(await dataManager.getExcelTool('RT-8400300')).toMatchObject({ quantity: 3, description: 'ø3 E-Cut' });
+    expect(await dataManager.getExcelTool('RT-8400400')).toMatchObject({ quantity: 2, description: 'ø4 E-Cut' });
+    // Imports are not manual edits of the tool
+    expect(await dataManager.getStoredTool('RT-8400300')).toMatchObject({ quantity: 1, version: 1 });
+    expect(await dataManager.getToolById('RT-8400300')).toMatchObject({ quantity: 1, source: 'manual' });
+    expect(await dataManager.getToolById('RT-8400400')).toBeNull();
+    expect(await dataManager.getToolLocation('RT-8400300')).toMatchObject({
+      quantity: 3,
+      placements: [expect.objectContaining({ locationId: 'STOREROOM', slot: 'A1', place: 'Storeroom bin A1' })],
+    });
+
+    // An import is the whole stock: a recount only records the difference,
+    // tools it no longer lists are dropped
+    const recount = await dataManager.migrateExcelData({
+      toolInventory: [
+        { toolCode: 'RT-8400300', quantity: 3, locations: [{ location: 'A1', quantity: 2 }, { location: 'B1', quantity: 1 }] },
+      ],
+    });
+    expect(recount).toMatchObject({ tools: 1, locations: 2, cleared: 0, removed: 1, errors: [] });
+    const moves = await dataManager.getToolMoves({ toolId: 'RT-8400300' });
+    expect(moves).toHaveLength(3);
+    expect(moves).toContainEqual(
+      expect.objectContaining({ quantity: 1, from: { locationId: 'STOREROOM', slot: 'A1' }, to: null })
+    );
+    expect(await dataManager.getExcelTool('RT-8400400')).toBeNull();
+
+    // Bins it no longer counts are emptied
+    const moved = await dataManager.migrateExcelData({ toolInventory: [{ toolCode: 'RT-8400300', quantity: 1, location: 'B1' }] });
+    expect(moved).toMatchObject({ tools: 1, locations: 1, cleared: 1, removed: 0 });
+    expect(await dataManager.getToolLocation('RT-8400300')).toMatchObject({
+      quantity: 1,
+      placements: [expect.objectContaining({ slot: 'B1' })],
+    });
+  });
+
+  test('should back up every collection', async () => {
+    await dataManager.addTool({ id: 'T1' });
+    await dataManager.logExcelProcessing({ status: 'completed' });
+
+    const backup = await dataManager.createBackup();
+
+    expect(backup).toMatchObject({ status: 'ok', reason: 'manual', sections: { storage: 2 } });
+    expect(backup.file.startsWith(path.join(tempDir, 'BRK CNC Management Dashboard', 'ToolManager', 'backups'))).toBe(true);
+    expect(Object.keys(await dataManager.exportStorage()).sort()).toEqual(['excel_processing_log', 'tools']);
+
+    await dataManager.importStorage({ tools: [{ id: 'T2' }] });
+    expect(await dataManager.exportStorage()).toEqual({ tools: [{ id: 'T2' }], excel_processing_log: [] });
+  });
+});
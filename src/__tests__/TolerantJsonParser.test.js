@@ -0,0 +1,51 @@
+const { repairJson, parseTolerantJson, summarizeRepairs } = require('../../utils/TolerantJsonParser');
+
+describe('TolerantJsonParser', () => {
+  test('should leave valid JSON untouched', () => {
+    const text = '{\n  "machine": "DMU100P",\n  "operations": [{ "toolName": "T1", "operationTime": 1.5e2 }]\n}';
+    const result = repairJson(text);
+
+    expect(result.text).toBe(text);
+    expect(result.repairs).toEqual([]);
+  });
+
+  test('should replace NaN, Infinity and undefined anywhere, including arrays', () => {
+    const { data, repairs } = parseTolerantJson(
+      '{"a": NaN, "b": [1, NaN, -Infinity], "c": {"d": Infinity}, "e": undefined, "f": "NaN"}'
+    );
+
+    expect(data).toEqual({ a: null, b: [1, null, null], c: { d: null }, e: null, f: 'NaN' });
+    expect(summarizeRepairs(repairs)).toEqual({ 'non-finite-number': 4, 'undefined-value': 1 });
+  });
+
+  test('should strip the BOM and trailing commas with their locations', () => {
+    const { data, repairs } = parseTolerantJson('﻿{\n  "operations": [1, 2,],\n  "machine": "DMU",\n}');
+
+    expect(data).toEqual({ operations: [1, 2], machine: 'DMU' });
+    expect(repairs).toEqual([
+      { type: 'bom', line: 1, column: 1, detail: 'Removed byte order mark' },
+      { type: 'trailing-comma', line: 2, column: 22, detail: 'Removed trailing comma' },
+      { type: 'trailing-comma', line: 3, column: 19, detail: 'Removed trailing comma' }
+    ]);
+  });
+
+  test('should close files truncated mid-write', () => {
+    expect(parseTolerantJson('{"operations": [{"toolName": "T1"}, {"toolName": "T2", "operationTime": 12').data)
+      .toEqual({ operations: [{ toolName: 'T1' }, { toolName: 'T2', operationTime: 12 }] });
+    expect(parseTolerantJson('{"operations": [{"toolName": "T1"},').data)
+      .toEqual({ operations: [{ toolName: 'T1' }] });
+    expect(parseTolerantJson('{"machine": "DMU", "oper').data).toEqual({ machine: 'DMU', oper: null });
+    expect(parseTolerantJson('{"machine": "DM').data).toEqual({ machine: 'DM' });
+    expect(parseTolerantJson('{"done": tr').data).toEqual({ done: null });
+
+    const { repairs } = parseTolerantJson('[1, 2');
+    expect(repairs).toEqual([
+      { type: 'truncated', line: 1, column: 6, detail: 'Closed 1 open container(s) at end of file' }
+    ]);
+  });
+
+  test('should throw a SyntaxError for content it cannot repair', () => {
+    expect(() => parseTolerantJson('{"a": 1 "b": 2}')).toThrow(SyntaxError);
+    expect(() => parseTolerantJson('not json at all')).toThrow(SyntaxError);
+  });
+});
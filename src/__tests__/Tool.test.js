@@ -55,5 +55,13 @@ describe('Tool', () => {
       const tool = new Tool('RT-8400300');
       expect(Array.isArray(tool.projectList)).toBe(true);
     });
+
+    test('should derive state from usage against the time limit', () => {
+      expect(Tool.getStateForUsage(0, 100)).toBe('FREE');
+      expect(Tool.getStateForUsage(50, 100)).toBe('IN_USE');
+      expect(Tool.getStateForUsage(105, 100)).toBe('OVERRUN');
+      expect(Tool.getStateForUsage(111, 100)).toBe('EXPIRED');
+      expect(Tool.getStateForUsage(111, 100, 20)).toBe('OVERRUN');
+    });
   });
 });
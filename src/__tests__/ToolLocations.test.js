@@ -0,0 +1,119 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ToolLocations = require('../ToolLocations');
+const { LocalStorageAdapter } = require('../storage');
+
+describe('ToolLocations', () => {
+  let tempDir;
+  let locations;
+
+  beforeEach(async () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'toolmanager-locations-'));
+    const storage = new LocalStorageAdapter({ dataPath: tempDir });
+    await storage.connect();
+    locations = new ToolLocations(storage);
+
+    await locations.createLocation({ id: 'STORE', type: 'storeroom', name: 'Storeroom' });
+    await locations.createLocation({ id: 'DMU', type: 'machine', name: 'DMU 100P', slots: 30 });
+    await locations.createLocation({ id: 'REGRIND', type: 'regrind', name: 'Regrind Ltd' });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('should validate locations', () => {
+    expect(ToolLocations.validateLocation({ id: 'CAB 1', type: 'shelf' }, 'create').map((e) => e.path)).toEqual([
+      'body.id',
+      'body.type',
+      'body.name',
+    ]);
+    expect(ToolLocations.validateLocation({ id: 'CAB-1', name: 'x' }, 'update')[0].path).toBe('body.id');
+    expect(ToolLocations.validateLocation({ name: 'Cabinet', slots: 12 }, 'update')).toEqual([]);
+  });
+
+  test('should check slots against the location type', () => {
+    const machine = { type: 'machine', name: 'DMU 100P', slots: 30 };
+    expect(ToolLocations.checkSlot(machine, '12')).toBeNull();
+    expect(ToolLocations.checkSlot(machine, '31')).toBe('DMU 100P has pockets 1-30');
+    expect(ToolLocations.checkSlot(machine, null)).toBe('A pocket of DMU 100P is required');
+    expect(ToolLocations.checkSlot({ type: 'regrind', name: 'Regrind Ltd' }, 'A1')).toBe('Regrind Ltd has no slots');
+  });
+
+  test('should move pieces between places and keep the history', async () => {
+    await locations.moveTool({ toolId: 'T1', to: { locationId: 'STORE', slot: 'A1' }, quantity: 4 });
+    await locations.moveTool({ toolId: 'T1', from: { locationId: 'STORE', slot: 'A1' }, to: { locationId: 'DMU', slot: 5 }, quantity: 1 });
+    const result = await locations.moveTool({
+      toolId: 'T1',
+      from: { locationId: 'DMU', slot: '5' },
+      to: { locationId: 'REGRIND' },
+      reason: 'worn',
+      movedBy: 'operator',
+    });
+
+    expect(result.move).toMatchObject({ quantity: 1, to: { locationId: 'REGRIND', slot: null }, reason: 'worn' });
+    expect((await locations.getPlacements({ toolId: 'T1' })).map((p) => [p.place, p.quantity])).toEqual([
+      ['Storeroom bin A1', 3],
+      ['Regrind Ltd', 1],
+    ]);
+    expect(await locations.getHistory({ toolId: 'T1' })).toHaveLength(3);
+    expect(await locations.getHistory({ locationId: 'DMU' })).toHaveLength(2);
+    expect(await locations.getHistory({ locationId: 'STORE', limit: 1 })).toHaveLength(1);
+  });
+
+  test('should reject impossible moves', async () => {
+    await locations.moveTool({ toolId: 'T1', to: { locationId: 'STORE', slot: 'A1' }, quantity: 1 });
+
+    const result = await locations.moveTool({
+      toolId: 'T1',
+      from: { locationId: 'STORE', slot: 'B2' },
+      to: { locationId: 'DMU' },
+    });
+    expect(result.status).toBe('invalid');
+    expect(result.errors.map((e) => e.message)).toEqual([
+      'T1 is not at STORE B2',
+      'A pocket of DMU 100P is required',
+      'Must be an integer >= 1',
+    ]);
+    expect((await locations.moveTool({ toolId: 'T1', to: { locationId: 'NOWHERE', slot: '1' }, quantity: 1 })).errors[0].message).toBe(
+      'Unknown location NOWHERE'
+    );
+    expect(await locations.getHistory()).toHaveLength(1);
+  });
+
+  test('should not move the same pieces twice when moves overlap', async () => {
+    await locations.moveTool({ toolId: 'T1', to: { locationId: 'STORE', slot: 'A1' }, quantity: 3 });
+
+    const results = await Promise.all(
+      [1, 2].map((pocket) =>
+        locations.moveTool({ toolId: 'T1', from: { locationId: 'STORE', slot: 'A1' }, to: { locationId: 'DMU', slot: pocket }, quantity: 2 })
+      )
+    );
+
+    expect(results.map((result) => result.status)).toEqual(['moved', 'invalid']);
+    expect(results[1].errors[0].message).toBe('Only 1 at the source');
+    expect((await locations.getPlacements({ toolId: 'T1' })).map((p) => [p.place, p.quantity])).toEqual([
+      ['Storeroom bin A1', 1],
+      ['DMU 100P pocket 1', 2],
+    ]);
+  });
+
+  test('should set counted quantities as moves of the difference', async () => {
+    await locations.setQuantity('T1', { locationId: 'STORE', slot: 'A1' }, 5, 'stock count');
+    const move = await locations.setQuantity('T1', { locationId: 'STORE', slot: 'A1' }, 2, 'stock count');
+
+    expect(move).toMatchObject({ quantity: 3, from: { locationId: 'STORE', slot: 'A1' }, to: null });
+    expect(await locations.setQuantity('T1', { locationId: 'STORE', slot: 'A1' }, 2, 'stock count')).toBeNull();
+    expect((await locations.getPlacements())[0].quantity).toBe(2);
+  });
+
+  test('should only delete empty locations', async () => {
+    await locations.moveTool({ toolId: 'T1', to: { locationId: 'DMU', slot: '30' }, quantity: 1 });
+
+    expect(await locations.updateLocation('DMU', { slots: 20 })).toMatchObject({ status: 'invalid' });
+    expect(await locations.deleteLocation('DMU')).toEqual({ status: 'not_empty', tools: ['T1'] });
+    expect(await locations.deleteLocation('REGRIND')).toEqual({ status: 'deleted' });
+    expect(await locations.deleteLocation('REGRIND')).toEqual({ status: 'not_found' });
+  });
+});
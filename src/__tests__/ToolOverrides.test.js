@@ -0,0 +1,88 @@
+const { validateToolInput, mergeTools } = require('../ToolOverrides');
+
+describe('ToolOverrides', () => {
+  describe('validateToolInput', () => {
+    test('should classify new tools like scanned ones', () => {
+      expect(validateToolInput({ id: 'RT-8400300', quantity: 2 }, 'create')).toEqual({
+        values: { quantity: 2, category: 'MATRIX_ECUT', isMatrix: true },
+        version: null,
+        errors: [],
+      });
+      expect(validateToolInput({ id: 'KOM-U11-TF39' }, 'create').values).toMatchObject({
+        category: 'NON_MATRIX',
+        isMatrix: false,
+      });
+    });
+
+    test('should reject unknown fields, bad values and mismatched categories', () => {
+      const { errors } = validateToolInput(
+        { id: 'a/b', quantity: -1, category: 'MATRIX_DRILL', usageTime: 5, version: 1 },
+        'create'
+      );
+      expect(errors.map((error) => error.path)).toEqual([
+        'body.id',
+        'body.quantity',
+        'body.category',
+        'body.usageTime',
+        'body.version',
+      ]);
+
+      const mismatch = validateToolInput({ id: 'T1', category: 'NON_MATRIX', isMatrix: true }, 'create');
+      expect(mismatch.errors).toEqual([{ path: 'body.isMatrix', message: 'Does not match category NON_MATRIX' }]);
+    });
+
+    test('should require a version for edits and keep ids fixed', () => {
+      expect(validateToolInput({ quantity: 1 }, 'patch', 'T1').errors[0].path).toBe('body.version');
+      expect(validateToolInput({ id: 'T2', version: 1 }, 'patch', 'T1').errors).toEqual([
+        { path: 'body.id', message: 'Cannot change the id of a tool' },
+      ]);
+
+      const patch = validateToolInput({ id: 'T1', version: 3, location: null }, 'patch', 'T1');
+      expect(patch).toEqual({ values: { location: null }, version: 3, errors: [] });
+    });
+
+    test('should clear fields a PUT leaves out', () => {
+      const { values } = validateToolInput({ version: 1, quantity: 2 }, 'replace', 'T1');
+      expect(values.quantity).toBe(2);
+      expect(values.location).toBeNull();
+      expect(values.retired).toBeNull();
+    });
+  });
+
+  describe('mergeTools', () => {
+    const scanned = [
+      { id: 'T1', name: 'T1', status: 'in_use', usageMinutes: 90, quantity: 2, capacityMinutes: 100, toolState: 'IN_USE', location: 'A1' },
+      { id: 'T2', name: 'T2', status: 'in_use', usageMinutes: 5 },
+    ];
+
+    test('should lay stored edits over scanned tools', () => {
+      const tools = mergeTools(scanned, [{ id: 'T1', version: 2, quantity: 1, location: null }]);
+
+      expect(tools[0]).toMatchObject({
+        id: 'T1',
+        quantity: 1,
+        capacityMinutes: 50,
+        toolState: 'EXPIRED',
+        location: 'A1',
+        source: 'scan',
+        version: 2,
+        overrides: ['quantity'],
+      });
+      expect(tools[1]).toEqual({ ...scanned[1], source: 'scan', version: 0 });
+    });
+
+    test('should add registered tools and hide retired ones', () => {
+      const records = [
+        { id: 'T2', version: 1, retired: true },
+        { id: 'M1', version: 1, name: 'M1', quantity: 3, category: 'MATRIX_MFC', isMatrix: true },
+      ];
+
+      const tools = mergeTools(scanned, records);
+      expect(tools.map((tool) => tool.id)).toEqual(['T1', 'M1']);
+      expect(tools[1]).toMatchObject({ status: 'available', usageTime: 0, quantity: 3, source: 'manual' });
+
+      const all = mergeTools(scanned, records, { includeRetired: true });
+      expect(all.find((tool) => tool.id === 'T2').status).toBe('retired');
+    });
+  });
+});
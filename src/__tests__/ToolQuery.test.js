@@ -0,0 +1,117 @@
+const { parseToolQuery, applyToolQuery } = require('../ToolQuery');
+
+describe('ToolQuery', () => {
+  const tools = [
+    {
+      id: 'FRA-P8400-S11.4R0_H63', name: 'FRA-P8400-S11.4R0_H63', status: 'in_use', isMatrix: true,
+      category: 'MATRIX_ECUT', toolState: 'OVERRUN', usageTime: 6300, usageMinutes: 105, projectCount: 2,
+      projects: ['W5270NS01003', 'W5270NS01004'], positions: ['W5270NS01003A'], machines: ['DMU 100P duoblock'],
+      firstUsedAt: '2025-11-03T08:00:00.000Z', lastUsedAt: '2025-11-10T08:00:00.000Z',
+    },
+    {
+      id: 'KOM-U11-TF39_H63', name: 'KOM-U11-TF39_H63', status: 'in_use', isMatrix: false,
+      category: 'NON_MATRIX', usageTime: 1200, usageMinutes: 20, projectCount: 1,
+      projects: ['W5270NS01004'], positions: ['W5270NS01004B'], machines: ['Hermle C42'],
+      firstUsedAt: '2025-11-12T08:00:00.000Z', lastUsedAt: '2025-11-12T08:00:00.000Z',
+    },
+    {
+      id: 'GUH-8201-D6_H63', name: 'GUH-8201-D6_H63', status: 'in_use', isMatrix: true,
+      category: 'MATRIX_MFC', toolState: 'IN_USE', usageTime: 3000, usageMinutes: 50, projectCount: 3,
+      projects: ['W5270NS01005'], positions: ['W5270NS01005A'], machines: ['DMU 65'],
+      firstUsedAt: '2025-10-01T08:00:00.000Z', lastUsedAt: '2025-10-20T08:00:00.000Z',
+    },
+  ];
+
+  const run = (query) => {
+    const { options, errors } = parseToolQuery(query);
+    expect(errors).toEqual([]);
+    return applyToolQuery(tools, options);
+  };
+
+  test('should sort by usage time by default and report totals', () => {
+    const result = run({});
+    expect(result.tools.map((tool) => tool.usageMinutes)).toEqual([105, 50, 20]);
+    expect(result).toMatchObject({ total: 3, page: 1, pages: 1, nextCursor: null });
+  });
+
+  test('should sort by several fields in either direction', () => {
+    expect(run({ sort: 'projectCount' }).tools.map((tool) => tool.projectCount)).toEqual([1, 2, 3]);
+    expect(run({ sort: '-isMatrix,name' }).tools.map((tool) => tool.id)).toEqual([
+      'FRA-P8400-S11.4R0_H63',
+      'GUH-8201-D6_H63',
+      'KOM-U11-TF39_H63',
+    ]);
+  });
+
+  test('should search and filter', () => {
+    expect(run({ q: 'p8400' }).tools).toHaveLength(1);
+    expect(run({ category: 'ecut,mfc' }).total).toBe(2);
+    expect(run({ isMatrix: 'false' }).tools[0].id).toBe('KOM-U11-TF39_H63');
+    expect(run({ machine: 'dmu' }).total).toBe(2);
+    expect(run({ project: 'W5270NS01004' }).total).toBe(2);
+    expect(run({ project: 'W5270NS01005A' }).tools[0].id).toBe('GUH-8201-D6_H63');
+    expect(run({ toolState: 'overrun' }).total).toBe(1);
+    expect(run({ from: '2025-11-05', to: '2025-11-12' }).tools.map((tool) => tool.id)).toEqual([
+      'FRA-P8400-S11.4R0_H63',
+      'KOM-U11-TF39_H63',
+    ]);
+  });
+
+  test('should return every matching tool unless asked to paginate', () => {
+    const many = Array.from({ length: 150 }, (_, index) => ({ id: `T${index}`, usageTime: index }));
+    const all = applyToolQuery(many, parseToolQuery({}).options);
+    expect(all.tools).toHaveLength(150);
+    expect(all).toMatchObject({ total: 150, limit: null, page: 1, pages: 1, nextCursor: null });
+
+    const firstPage = applyToolQuery(many, parseToolQuery({ page: '1' }).options);
+    expect(firstPage.tools).toHaveLength(100);
+    expect(firstPage).toMatchObject({ limit: 100, pages: 2 });
+    expect(firstPage.nextCursor).not.toBeNull();
+  });
+
+  test('should paginate by page number', () => {
+    const second = run({ limit: '2', page: '2' });
+    expect(second.tools.map((tool) => tool.usageMinutes)).toEqual([20]);
+    expect(second).toMatchObject({ total: 3, page: 2, pages: 2, limit: 2 });
+  });
+
+  test('should paginate with cursors that survive tools being added', () => {
+    const first = run({ limit: '1', sort: '-usageMinutes' });
+    expect(first.nextCursor).toEqual(expect.any(String));
+
+    const { options } = parseToolQuery({ limit: '1', sort: '-usageMinutes', cursor: first.nextCursor });
+    const inserted = [{ id: 'NEW', name: 'NEW', usageMinutes: 200 }, ...tools];
+    const second = applyToolQuery(inserted, options);
+
+    expect(second.tools[0].usageMinutes).toBe(50);
+    expect(second.page).toBeNull();
+
+    const third = applyToolQuery(inserted, parseToolQuery({ limit: '1', sort: '-usageMinutes', cursor: second.nextCursor }).options);
+    expect(third.tools[0].usageMinutes).toBe(20);
+    expect(third.nextCursor).toBeNull();
+  });
+
+  test('should return only the requested fields plus id', () => {
+    const result = run({ fields: 'name,usageMinutes' });
+    expect(result.tools[0]).toEqual({ id: 'FRA-P8400-S11.4R0_H63', name: 'FRA-P8400-S11.4R0_H63', usageMinutes: 105 });
+  });
+
+  test('should reject invalid parameters', () => {
+    const { errors } = parseToolQuery({
+      sort: 'secret', limit: '0', isMatrix: 'yes', fields: 'name,bogus', from: 'soon',
+    });
+    expect(errors).toEqual([
+      'isMatrix must be true or false',
+      'from must be a date (YYYY-MM-DD or ISO 8601)',
+      expect.stringContaining('Cannot sort by "secret"'),
+      expect.stringContaining('limit must be an integer between 1 and'),
+      'Unknown field(s): bogus',
+    ]);
+
+    const first = run({ limit: '1', sort: 'name' });
+    expect(parseToolQuery({ sort: '-usageMinutes', cursor: first.nextCursor }).errors).toEqual([
+      'cursor is invalid or was issued for a different sort order',
+    ]);
+    expect(parseToolQuery({ page: '1', cursor: 'abc' }).errors).toEqual(['Use either page or cursor, not both']);
+  });
+});
@@ -0,0 +1,155 @@
+// path: src/storage/LocalStorageAdapter.js
+/**
+ * File-backed storage: one JSON array per collection in the data folder
+ * (<working folder>/BRK CNC Management Dashboard/ToolManager/data by default).
+ * Writes go to a temp file that is renamed over the collection file, and are
+ * queued per collection so concurrent updates in this process are not lost.
+ */
+
+const fs = require("fs").promises;
+const path = require("path");
+const StorageAdapter = require("./StorageAdapter");
+
+class LocalStorageAdapter extends StorageAdapter {
+  /**
+   * @param {Object} options
+   * @param {string} options.dataPath - Folder holding the collection files
+   */
+  constructor(options = {}) {
+    super("local");
+    if (!options.dataPath) {
+      throw new Error("LocalStorageAdapter needs a dataPath");
+    }
+    this.dataPath = options.dataPath;
+    this.queues = new Map();
+  }
+
+  async connect() {
+    await fs.mkdir(this.dataPath, { recursive: true });
+    this.connected = true;
+  }
+
+  getCollectionFile(collection) {
+    if (!/^[\w-]+$/.test(collection)) {
+      throw new Error(`Invalid collection name "${collection}"`);
+    }
+    return path.join(this.dataPath, `${collection}.json`);
+  }
+
+  async readCollection(collection) {
+    try {
+      const documents = JSON.parse(await fs.readFile(this.getCollectionFile(collection), "utf8"));
+      return Array.isArray(documents) ? documents : [];
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return [];
+      }
+      throw new Error(`Failed to read collection ${collection}: ${error.message}`);
+    }
+  }
+
+  async writeCollection(collection, documents) {
+    const file = this.getCollectionFile(collection);
+    const tempFile = `${file}.tmp`;
+    await fs.mkdir(this.dataPath, { recursive: true });
+    await fs.writeFile(tempFile, JSON.stringify(documents, null, 2), "utf8");
+    await fs.rename(tempFile, file);
+  }
+
+  /**
+   * Run a read-modify-write on a collection after the previous one finished
+   * @param {Function} mutate - (documents) => { documents, result }
+   */
+  modify(collection, mutate) {
+    const previous = this.queues.get(collection) || Promise.resolve();
+    const run = previous.then(async () => {
+      const { documents, result } = mutate(await this.readCollection(collection));
+      if (documents) {
+        await this.writeCollection(collection, documents);
+      }
+      return result;
+    });
+    // Keep the queue going after a failed write
+    this.queues.set(collection, run.catch(() => {}));
+    return run;
+  }
+
+  async findAll(collection, filter = {}, options = {}) {
+    await (this.queues.get(collection) || Promise.resolve());
+    const documents = (await this.readCollection(collection)).filter((document) =>
+      StorageAdapter.matches(document, filter)
+    );
+    const sorted = StorageAdapter.sortDocuments(documents, options.sort);
+    return options.limit ? sorted.slice(0, options.limit) : sorted;
+  }
+
+  async insertOne(collection, document) {
+    const stored = { ...document };
+    return this.modify(collection, (documents) => ({
+      documents: [...documents, stored],
+      result: { ...stored },
+    }));
+  }
+
+  async insertUnique(collection, document, key = "id") {
+    const stored = { ...document };
+    return this.modify(collection, (documents) => {
+      if (documents.some((existing) => existing[key] === stored[key])) {
+        return { documents: null, result: null };
+      }
+      return { documents: [...documents, stored], result: { ...stored } };
+    });
+  }
+
+  async updateOne(collection, filter, changes) {
+    return this.modify(collection, (documents) => {
+      const index = documents.findIndex((document) => StorageAdapter.matches(document, filter));
+      if (index === -1) {
+        return { documents: null, result: null };
+      }
+      const updated = { ...documents[index], ...changes };
+      const next = [...documents];
+      next[index] = updated;
+      return { documents: next, result: { ...updated } };
+    });
+  }
+
+  async deleteOne(collection, filter) {
+    return this.modify(collection, (documents) => {
+      const index = documents.findIndex((document) => StorageAdapter.matches(document, filter));
+      if (index === -1) {
+        return { documents: null, result: false };
+      }
+      return { documents: documents.filter((document, i) => i !== index), result: true };
+    });
+  }
+
+  async deleteMany(collection, filter) {
+    return this.modify(collection, (documents) => {
+      const kept = documents.filter((document) => !StorageAdapter.matches(document, filter));
+      const deleted = documents.length - kept.length;
+      return { documents: deleted > 0 ? kept : null, result: deleted };
+    });
+  }
+
+  async replaceAll(collection, documents) {
+    return this.modify(collection, () => ({
+      documents: documents.map((document) => ({ ...document })),
+      result: documents.length,
+    }));
+  }
+
+  async listCollections() {
+    try {
+      const files = await fs.readdir(this.dataPath);
+      return files.filter((file) => file.endsWith(".json")).map((file) => file.slice(0, -".json".length));
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return [];
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = LocalStorageAdapter;
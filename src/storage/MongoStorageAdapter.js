@@ -0,0 +1,158 @@
+// path: src/storage/MongoStorageAdapter.js
+/**
+ * MongoDB storage (config.mongodb). A connected Db can be injected, which the
+ * tests use with an in-memory stand-in; otherwise a MongoClient is opened on
+ * connect(). MongoDB's _id is kept internal - documents are returned without it.
+ */
+
+const config = require("../../config");
+const StorageAdapter = require("./StorageAdapter");
+
+// MongoDB error code of a unique index violation
+const DUPLICATE_KEY = 11000;
+
+function withoutId(document) {
+  if (!document) {
+    return null;
+  }
+  const rest = { ...document };
+  delete rest._id;
+  return rest;
+}
+
+class MongoStorageAdapter extends StorageAdapter {
+  /**
+   * @param {Object} options
+   * @param {Object} options.db - Connected Db (skips opening a client)
+   * @param {string} options.uri - Defaults to config.mongodb.uri
+   * @param {string} options.database - Defaults to config.mongodb.database
+   * @param {Object} options.clientOptions - Defaults to config.mongodb.options
+   */
+  constructor(options = {}) {
+    super("mongodb");
+    this.db = options.db || null;
+    this.uri = options.uri || config.mongodb.uri;
+    this.database = options.database || config.mongodb.database;
+    this.clientOptions = options.clientOptions || config.mongodb.options;
+    this.client = null;
+    // "collection.key" of the unique indexes created so far
+    this.uniqueIndexes = new Set();
+  }
+
+  async connect() {
+    if (!this.db) {
+      // Required lazily so local storage works without the driver
+      const { MongoClient } = require("mongodb");
+      this.client = new MongoClient(this.uri, this.clientOptions);
+      await this.client.connect();
+      this.db = this.client.db(this.database);
+    }
+    this.connected = true;
+  }
+
+  async disconnect() {
+    if (this.client) {
+      await this.client.close();
+      this.client = null;
+      this.db = null;
+    }
+    this.connected = false;
+  }
+
+  getDb() {
+    if (!this.db) {
+      throw new Error("MongoStorageAdapter is not connected");
+    }
+    return this.db;
+  }
+
+  collection(name) {
+    return this.getDb().collection(name);
+  }
+
+  /**
+   * Convert an equality filter to a MongoDB query ([a, b] -> { $in: [a, b] })
+   */
+  static toQuery(filter = {}) {
+    const query = {};
+    for (const [field, value] of Object.entries(filter)) {
+      query[field] = Array.isArray(value) ? { $in: value } : value;
+    }
+    return query;
+  }
+
+  async findAll(collection, filter = {}, options = {}) {
+    let cursor = this.collection(collection).find(MongoStorageAdapter.toQuery(filter));
+    if (options.sort && Object.keys(options.sort).length > 0) {
+      cursor = cursor.sort(options.sort);
+    }
+    if (options.limit) {
+      cursor = cursor.limit(options.limit);
+    }
+    return (await cursor.toArray()).map(withoutId);
+  }
+
+  async findOne(collection, filter = {}) {
+    return withoutId(await this.collection(collection).findOne(MongoStorageAdapter.toQuery(filter)));
+  }
+
+  async insertOne(collection, document) {
+    const stored = { ...document };
+    await this.collection(collection).insertOne(stored);
+    return withoutId(stored);
+  }
+
+  async insertUnique(collection, document, key = "id") {
+    const index = `${collection}.${key}`;
+    if (!this.uniqueIndexes.has(index)) {
+      await this.collection(collection).createIndex({ [key]: 1 }, { unique: true });
+      this.uniqueIndexes.add(index);
+    }
+    try {
+      return await this.insertOne(collection, document);
+    } catch (error) {
+      if (error.code === DUPLICATE_KEY) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async updateOne(collection, filter, changes) {
+    const updated = await this.collection(collection).findOneAndUpdate(
+      MongoStorageAdapter.toQuery(filter),
+      { $set: changes },
+      { returnDocument: "after" }
+    );
+    return withoutId(updated);
+  }
+
+  async deleteOne(collection, filter) {
+    const result = await this.collection(collection).deleteOne(MongoStorageAdapter.toQuery(filter));
+    return result.deletedCount > 0;
+  }
+
+  async deleteMany(collection, filter) {
+    const result = await this.collection(collection).deleteMany(MongoStorageAdapter.toQuery(filter));
+    return result.deletedCount;
+  }
+
+  async replaceAll(collection, documents) {
+    await this.collection(collection).deleteMany({});
+    if (documents.length > 0) {
+      await this.collection(collection).insertMany(documents.map((document) => withoutId(document)));
+    }
+    return documents.length;
+  }
+
+  async count(collection, filter = {}) {
+    return this.collection(collection).countDocuments(MongoStorageAdapter.toQuery(filter));
+  }
+
+  async listCollections() {
+    const collections = await this.getDb().listCollections({}, { nameOnly: true }).toArray();
+    return collections.map((collection) => collection.name);
+  }
+}
+
+module.exports = MongoStorageAdapter;
@@ -0,0 +1,146 @@
+// path: src/storage/StorageAdapter.js
+/**
+ * Interface of the DataManager storage backends. Documents are plain objects
+ * kept in named collections; filters match top-level fields by equality
+ * (an array value in the filter matches any of its entries).
+ *
+ * Implementations: LocalStorageAdapter (JSON files) and MongoStorageAdapter.
+ */
+
+class StorageAdapter {
+  constructor(type) {
+    this.type = type;
+    this.connected = false;
+  }
+
+  async connect() {
+    this.connected = true;
+  }
+
+  async disconnect() {
+    this.connected = false;
+  }
+
+  /**
+   * @param {string} collection
+   * @param {Object} filter - { field: value | [values] }
+   * @param {Object} options - { sort: { field: 1 | -1 }, limit }
+   * @returns {Promise<Array>}
+   */
+  async findAll(_collection, _filter = {}, _options = {}) {
+    throw new Error(`${this.constructor.name} does not implement findAll`);
+  }
+
+  /**
+   * @returns {Promise<Object|null>} - First matching document
+   */
+  async findOne(collection, filter = {}) {
+    const [document] = await this.findAll(collection, filter, { limit: 1 });
+    return document || null;
+  }
+
+  /**
+   * @returns {Promise<Object>} - The stored document
+   */
+  async insertOne(_collection, _document) {
+    throw new Error(`${this.constructor.name} does not implement insertOne`);
+  }
+
+  /**
+   * Insert a document unless one with the same value of a key field exists;
+   * the check and the insert are one step
+   * @param {string} key - Field that must be unique (default "id")
+   * @returns {Promise<Object|null>} - The stored document, or null if the value is taken
+   */
+  async insertUnique(_collection, _document, _key = "id") {
+    throw new Error(`${this.constructor.name} does not implement insertUnique`);
+  }
+
+  /**
+   * Set fields on the first matching document
+   * @returns {Promise<Object|null>} - Updated document, or null if none matched
+   */
+  async updateOne(_collection, _filter, _changes) {
+    throw new Error(`${this.constructor.name} does not implement updateOne`);
+  }
+
+  /**
+   * @returns {Promise<boolean>} - Whether a document was deleted
+   */
+  async deleteOne(_collection, _filter) {
+    throw new Error(`${this.constructor.name} does not implement deleteOne`);
+  }
+
+  /**
+   * Delete every matching document in one step
+   * @returns {Promise<number>} - Number of documents deleted
+   */
+  async deleteMany(_collection, _filter) {
+    throw new Error(`${this.constructor.name} does not implement deleteMany`);
+  }
+
+  /**
+   * Replace every document of a collection (backup restore)
+   * @returns {Promise<number>} - Number of documents stored
+   */
+  async replaceAll(_collection, _documents) {
+    throw new Error(`${this.constructor.name} does not implement replaceAll`);
+  }
+
+  /**
+   * @returns {Promise<number>}
+   */
+  async count(collection, filter = {}) {
+    return (await this.findAll(collection, filter)).length;
+  }
+
+  /**
+   * @returns {Promise<Array<string>>} - Names of the collections holding data
+   */
+  async listCollections() {
+    throw new Error(`${this.constructor.name} does not implement listCollections`);
+  }
+
+  /**
+   * Whether a document matches an equality filter. Like MongoDB, an array
+   * field matches when it holds the value.
+   */
+  static matches(document, filter = {}) {
+    return Object.entries(filter).every(([field, expected]) => {
+      const values = Array.isArray(document[field]) ? document[field] : [document[field]];
+      return values.some((value) => (Array.isArray(expected) ? expected.includes(value) : value === expected));
+    });
+  }
+
+  /**
+   * Sort documents by { field: 1 | -1 } (missing values last)
+   */
+  static sortDocuments(documents, sort = {}) {
+    const keys = Object.entries(sort);
+    if (keys.length === 0) {
+      return documents;
+    }
+
+    return [...documents].sort((a, b) => {
+      for (const [field, direction] of keys) {
+        const aMissing = a[field] === undefined || a[field] === null;
+        const bMissing = b[field] === undefined || b[field] === null;
+        if (aMissing || bMissing) {
+          if (aMissing !== bMissing) {
+            return aMissing ? 1 : -1;
+          }
+          continue;
+        }
+        if (a[field] < b[field]) {
+          return -direction;
+        }
+        if (a[field] > b[field]) {
+          return direction;
+        }
+      }
+      return 0;
+    });
+  }
+}
+
+module.exports = StorageAdapter;
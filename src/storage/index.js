@@ -0,0 +1,49 @@
+// path: src/storage/index.js
+/**
+ * Storage backend selection for the DataManager (config.storage.type):
+ *   local   - JSON files in the ToolManager data folder
+ *   mongodb - config.mongodb
+ *   auto    - MongoDB when MONGODB_URI is set, local files otherwise
+ */
+
+const config = require("../../config");
+const StorageAdapter = require("./StorageAdapter");
+const LocalStorageAdapter = require("./LocalStorageAdapter");
+const MongoStorageAdapter = require("./MongoStorageAdapter");
+
+const STORAGE_TYPES = ["auto", "local", "mongodb"];
+
+/**
+ * @param {string} type - Configured storage type
+ * @returns {string} - "local" or "mongodb"
+ */
+function resolveStorageType(type = config.storage.type) {
+  if (!STORAGE_TYPES.includes(type)) {
+    throw new Error(`Unknown storage type "${type}" (expected ${STORAGE_TYPES.join(", ")})`);
+  }
+  if (type === "auto") {
+    return process.env.MONGODB_URI ? "mongodb" : "local";
+  }
+  return type;
+}
+
+/**
+ * @param {Object} options - { type, dataPath, db }
+ * @returns {StorageAdapter}
+ */
+function createStorage(options = {}) {
+  const type = resolveStorageType(options.type);
+  if (type === "mongodb") {
+    return new MongoStorageAdapter({ db: options.db });
+  }
+  return new LocalStorageAdapter({ dataPath: options.dataPath });
+}
+
+module.exports = {
+  STORAGE_TYPES,
+  StorageAdapter,
+  LocalStorageAdapter,
+  MongoStorageAdapter,
+  resolveStorageType,
+  createStorage,
+};
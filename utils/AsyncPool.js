@@ -0,0 +1,33 @@
+// utils/AsyncPool.js
+/**
+ * Bounded-concurrency helpers for async file processing
+ */
+
+/**
+ * Map items through an async function with at most `limit` calls in flight.
+ * Results keep the input order; a rejection rejects the whole map, so
+ * iterators that must not abort the batch should catch their own errors.
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent calls (at least 1)
+ * @param {Function} iterator - async (item, index) => result
+ * @returns {Promise<Array>} - Results in input order
+ */
+async function mapWithConcurrency(items, limit, iterator) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const runNext = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await iterator(items[index], index);
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(Number(limit) || 1, items.length));
+  await Promise.all(Array.from({ length: workerCount }, runNext));
+  return results;
+}
+
+module.exports = {
+  mapWithConcurrency,
+};
@@ -1,6 +1,7 @@
 const fs = require("fs");
 const path = require("path");
 const Logger = require("./Logger");
+const config = require("../config");
 
 const FileUtils = {
   getDirectories(dirPath) {
@@ -62,7 +63,7 @@ const FileUtils = {
       return fs.readdirSync(dirPath)
         .filter(file => {
           const ext = path.extname(file).toLowerCase();
-          return ['.xlsx', '.xls', '.xlsm'].includes(ext);
+          return config.excel.supportedExtensions.includes(ext);
         })
         .map(file => path.join(dirPath, file));
     } catch (err) {
@@ -49,6 +49,7 @@ class TempFileManager {
     this.processedFilesPath = path.join(this.sessionPath, "processed_files");
     this.resultsPath = path.join(this.sessionPath, "results");
     this.excelFilesPath = path.join(this.sessionPath, "input_excel_files");
+    this.quarantinePath = path.join(this.sessionPath, "quarantine"); // JSON files rejected by schema validation
 
     this.fileHashes = new Map(); // Track file hashes for change detection
     this.copyQueue = new Map(); // Track copy operations
@@ -98,6 +99,7 @@ class TempFileManager {
         { path: this.processedFilesPath, name: "processed_files" },
         { path: this.resultsPath, name: "results" },
         { path: this.excelFilesPath, name: "input_excel_files" },
+        { path: this.quarantinePath, name: "quarantine" },
       ];
 
       for (const subdir of subdirs) {
@@ -148,17 +150,14 @@ class TempFileManager {
   async copyFileToTemp(sourcePath, tempPath) {
     try {
       // Ensure parent directory exists
-      const tempDir = path.dirname(tempPath);
-      if (!fs.existsSync(tempDir)) {
-        fs.mkdirSync(tempDir, { recursive: true });
-      }
+      await fs.promises.mkdir(path.dirname(tempPath), { recursive: true });
 
       // Calculate file hash for change detection
       const sourceHash = await this.calculateFileHash(sourcePath);
-      const sourceStats = fs.statSync(sourcePath);
+      const sourceStats = await fs.promises.stat(sourcePath);
 
       // Copy file
-      fs.copyFileSync(sourcePath, tempPath);
+      await fs.promises.copyFile(sourcePath, tempPath);
 
       // Store metadata for change detection
       this.fileHashes.set(sourcePath, {
@@ -215,7 +214,7 @@ class TempFileManager {
 
   /**
    * Get path for specific file type
-   * @param {string} fileType - Type: 'input', 'processed', 'processed_files', 'result', 'results', 'excel', 'excel_files'
+   * @param {string} fileType - Type: 'input', 'processed', 'processed_files', 'result', 'results', 'excel', 'excel_files', 'quarantine'
    * @returns {string} - Directory path for the file type
    */
   getPathForType(fileType) {
@@ -229,6 +228,8 @@ class TempFileManager {
       case "excel":
       case "excel_files":
         return this.excelFilesPath;
+      case "quarantine":
+        return this.quarantinePath;
       case "input":
       case "input_files":
       default:
@@ -241,14 +242,14 @@ class TempFileManager {
    * @param {string} filename - Name of file to save
    * @param {string} content - Content to save
    * @param {string} fileType - Type of file for organization
-   * @returns {string} - Path where file was saved
+   * @returns {Promise<string>} - Path where file was saved
    */
-  saveToTemp(filename, content, fileType = "result") {
+  async saveToTemp(filename, content, fileType = "result") {
     try {
       const targetDir = this.getPathForType(fileType);
       const filePath = path.join(targetDir, filename);
 
-      fs.writeFileSync(filePath, content, "utf8");
+      await fs.promises.writeFile(filePath, content, "utf8");
       Logger.info(`📄 Saved ${fileType}: ${filename}`);
 
       return filePath;
@@ -458,7 +459,7 @@ class TempFileManager {
       for (const file of resultFiles) {
         const sourcePath = path.join(this.resultsPath, file);
         const targetPath = path.join(sessionArchiveDir, file);
-        fs.copyFileSync(sourcePath, targetPath);
+        fs.cpSync(sourcePath, targetPath, { recursive: true });
       }
 
       Logger.info(
@@ -489,6 +490,7 @@ class TempFileManager {
         processedFiles: this.processedFilesPath,
         results: this.resultsPath,
         excelFiles: this.excelFilesPath,
+        quarantine: this.quarantinePath,
       },
     };
   }
@@ -0,0 +1,242 @@
+// utils/TolerantJsonParser.js
+/**
+ * Tolerant JSON parsing for JSONScanner / hyperMILL exports
+ * Repairs the defects seen in real files and records each repair:
+ * BOM, NaN / Infinity / undefined values (anywhere, including arrays),
+ * trailing commas and files truncated mid-write.
+ */
+
+const REPAIR_TYPES = {
+  BOM: "bom",
+  NON_FINITE: "non-finite-number",
+  UNDEFINED: "undefined-value",
+  TRAILING_COMMA: "trailing-comma",
+  TRUNCATED: "truncated",
+};
+
+const NUMBER_PATTERN = /^-?\d+(\.\d+)?([eE][+-]?\d+)?$/;
+
+// Bare words (NaN, -Infinity, true, ...) and number-like tokens, matched at a given offset
+const TOKEN_PATTERN = /[+-]?[A-Za-z_$][\w$]*|[+-]?[\d.eE+-]+/y;
+
+/**
+ * Maps offsets of the original text to 1-based line / column
+ */
+function createLocator(text) {
+  let lineStarts = null;
+  return (offset) => {
+    if (!lineStarts) {
+      lineStarts = [0];
+      for (let i = 0; i < text.length; i++) {
+        if (text[i] === "\n") {
+          lineStarts.push(i + 1);
+        }
+      }
+    }
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (lineStarts[mid] <= offset) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return { line: low + 1, column: offset - lineStarts[low] + 1 };
+  };
+}
+
+/**
+ * Rewrite JSON text into valid JSON where possible
+ * @param {string} text - Raw file content
+ * @returns {Object} - { text: repaired JSON, repairs: [{ type, line, column, detail }] }
+ */
+function repairJson(text) {
+  const repairs = [];
+  const locate = createLocator(text);
+  const addRepair = (type, offset, detail) => {
+    repairs.push({ type, ...locate(offset), detail });
+  };
+  const lastSignificant = text.trimEnd().length - 1;
+
+  let i = 0;
+  if (text.charCodeAt(0) === 0xfeff) {
+    addRepair(REPAIR_TYPES.BOM, 0, "Removed byte order mark");
+    i = 1;
+  }
+
+  // Output chunks; a comma gets an empty slot that is filled once a value follows it,
+  // so whitespace and line breaks stay where they were
+  const out = [];
+  const stack = []; // open containers: { type: "{" | "[", expectKey }
+  let pendingComma = null; // { offset, slot } of a comma not yet known to be followed by a value
+  let lastToken = null; // "open" | "string" | "value" | "colon" | "comma"
+
+  const top = () => stack[stack.length - 1];
+  const emitComma = () => {
+    if (pendingComma !== null) {
+      out[pendingComma.slot] = ",";
+      pendingComma = null;
+    }
+  };
+  const emitValue = (value) => {
+    emitComma();
+    out.push(value);
+    lastToken = "value";
+  };
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (/\s/.test(char)) {
+      out.push(char);
+      i++;
+      continue;
+    }
+
+    if (char === '"') {
+      // Copy the string, honouring escapes; an unterminated string ends at EOF
+      let end = i + 1;
+      while (end < text.length && text[end] !== '"') {
+        end += text[end] === "\\" ? 2 : 1;
+      }
+      emitComma();
+      let string = text.slice(i, Math.min(end + 1, text.length));
+      if (end >= text.length) {
+        string = string.replace(/\\$/, "") + '"';
+        addRepair(REPAIR_TYPES.TRUNCATED, i, "Closed unterminated string");
+      }
+      out.push(string);
+      lastToken = "string";
+      i = end + 1;
+      continue;
+    }
+
+    if (char === "{" || char === "[") {
+      emitComma();
+      stack.push({ type: char, expectKey: char === "{" });
+      out.push(char);
+      lastToken = "open";
+      i++;
+      continue;
+    }
+
+    if (char === "}" || char === "]") {
+      if (pendingComma !== null) {
+        addRepair(REPAIR_TYPES.TRAILING_COMMA, pendingComma.offset, "Removed trailing comma");
+        pendingComma = null;
+      }
+      stack.pop();
+      out.push(char);
+      lastToken = "value";
+      i++;
+      continue;
+    }
+
+    if (char === ",") {
+      if (pendingComma !== null) {
+        // Doubled comma (",,") - keep one, JSON.parse reports anything worse
+        addRepair(REPAIR_TYPES.TRAILING_COMMA, i, "Removed extra comma");
+      }
+      out.push("");
+      pendingComma = { offset: i, slot: out.length - 1 };
+      if (top() && top().type === "{") {
+        top().expectKey = true;
+      }
+      lastToken = "comma";
+      i++;
+      continue;
+    }
+
+    if (char === ":") {
+      out.push(char);
+      if (top() && top().type === "{") {
+        top().expectKey = false;
+      }
+      lastToken = "colon";
+      i++;
+      continue;
+    }
+
+    // Bare words and numbers (including -Infinity)
+    TOKEN_PATTERN.lastIndex = i;
+    const match = TOKEN_PATTERN.exec(text);
+    if (!match) {
+      emitComma();
+      out.push(char); // Unknown character: let JSON.parse report it
+      i++;
+      continue;
+    }
+
+    const token = match[0];
+    const atEnd = i + token.length > lastSignificant;
+    const word = token.replace(/^[+-]/, "");
+
+    if (word === "NaN" || word === "Infinity") {
+      addRepair(REPAIR_TYPES.NON_FINITE, i, `Replaced ${token} with null`);
+      emitValue("null");
+    } else if (word === "undefined") {
+      addRepair(REPAIR_TYPES.UNDEFINED, i, "Replaced undefined with null");
+      emitValue("null");
+    } else if (
+      atEnd &&
+      !["true", "false", "null"].includes(token) &&
+      !NUMBER_PATTERN.test(token)
+    ) {
+      addRepair(REPAIR_TYPES.TRUNCATED, i, `Replaced partial value "${token}" with null`);
+      emitValue("null");
+    } else {
+      emitValue(token);
+    }
+    i += token.length;
+  }
+
+  // Truncated file: complete the last member and close every open container
+  if (stack.length > 0) {
+    // A dangling comma (pendingComma) is simply never written
+    const closed = [];
+    if (lastToken === "string" && top().type === "{" && top().expectKey) {
+      out.push(":null");
+    } else if (lastToken === "colon") {
+      out.push("null");
+    }
+    while (stack.length > 0) {
+      const closing = stack.pop().type === "{" ? "}" : "]";
+      out.push(closing);
+      closed.push(closing);
+    }
+    addRepair(REPAIR_TYPES.TRUNCATED, text.length, `Closed ${closed.length} open container(s) at end of file`);
+  }
+
+  return { text: out.join(""), repairs };
+}
+
+/**
+ * Parse JSON text, repairing it first
+ * @param {string} text - Raw file content
+ * @returns {Object} - { data, repairs }
+ * @throws {SyntaxError} - When the content cannot be repaired into valid JSON
+ */
+function parseTolerantJson(text) {
+  const repaired = repairJson(text);
+  return { data: JSON.parse(repaired.text), repairs: repaired.repairs };
+}
+
+/**
+ * Repair counts per type, e.g. { "non-finite-number": 12, "trailing-comma": 1 }
+ */
+function summarizeRepairs(repairs) {
+  const byType = {};
+  for (const repair of repairs || []) {
+    byType[repair.type] = (byType[repair.type] || 0) + 1;
+  }
+  return byType;
+}
+
+module.exports = {
+  REPAIR_TYPES,
+  repairJson,
+  parseTolerantJson,
+  summarizeRepairs,
+};
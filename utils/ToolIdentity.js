@@ -151,11 +151,104 @@ function getToolIdentityFromDiameterAndToolCode(diameter, toolCode) {
   }
 }
 
+/**
+ * Remove the holder suffix from a JSON tool name
+ * e.g. "FRA-P8400-S11.4R0_H63WM12L80X" → "FRA-P8400-S11.4R0"
+ * @param {string} toolName - Tool name from JSON operations
+ * @returns {string} Tool name without holder
+ */
+function stripHolderSuffix(toolName) {
+  const lastUnderscore = toolName.lastIndexOf('_');
+  if (lastUnderscore !== -1 && toolName.substring(lastUnderscore + 1).startsWith('H')) {
+    return toolName.substring(0, lastUnderscore);
+  }
+  return toolName;
+}
+
+/**
+ * Look up a matrix tool definition (tool life, diameter) by its matrix code
+ * @param {string} matrixCode - Matrix code from Excel (e.g., "RT-8400300")
+ * @returns {object|null} Definition with category key, or null if unknown
+ */
+function getToolDefinition(matrixCode) {
+  if (!matrixCode || !matrixDefinitions || !matrixDefinitions.categories) {
+    return null;
+  }
+
+  const code = String(matrixCode).trim().toUpperCase();
+  for (const [categoryKey, categoryData] of Object.entries(matrixDefinitions.categories)) {
+    const tool = (categoryData.tools || []).find(t => t.toolCode.toUpperCase() === code);
+    if (tool) {
+      return { ...tool, category: categoryKey };
+    }
+  }
+  return null;
+}
+
+/**
+ * Get purchasing parameters (lead time, safety stock, order rules) for a category
+ * @param {string} categoryKey - Definitions category ("ECUT") or ToolCategory ("MATRIX_ECUT")
+ * @returns {object|null} Purchasing block from the definitions file, or null if not set
+ */
+function getPurchasingParameters(categoryKey) {
+  if (!categoryKey || !matrixDefinitions || !matrixDefinitions.categories) {
+    return null;
+  }
+  const category = matrixDefinitions.categories[String(categoryKey).replace(/^MATRIX_/, '')];
+  return category && category.purchasing ? { ...category.purchasing } : null;
+}
+
+/**
+ * Match a JSON tool name to a matrix tool definition by family code and diameter
+ * e.g. "FRA-P8400-S11.4R0_H63WM12L80X" → RT-8400501_1 (8400, ø11.4)
+ * Matrix codes themselves (e.g. "RT-8400300") are resolved directly.
+ * @param {string} toolName - Tool name from JSON operations or a matrix code
+ * @returns {object|null} Definition with category key, or null if no match
+ */
+function matchToolDefinition(toolName) {
+  if (!toolName || typeof toolName !== 'string') {
+    return null;
+  }
+
+  const direct = getToolDefinition(toolName);
+  if (direct || !matrixDefinitions || !matrixDefinitions.categories) {
+    return direct;
+  }
+
+  const baseName = stripHolderSuffix(toolName).toUpperCase();
+  const diameterMatch = baseName.match(/(?:^|[-_])[SD](\d+(?:[.,]\d+)?)/);
+  if (!diameterMatch) {
+    return null;
+  }
+  const diameter = parseFloat(diameterMatch[1].replace(',', '.'));
+
+  for (const [categoryKey, categoryData] of Object.entries(matrixDefinitions.categories)) {
+    for (const pattern of categoryData.codePatterns) {
+      if (!baseName.includes(pattern)) {
+        continue;
+      }
+      const sameDiameter = (categoryData.tools || []).filter(t => Math.abs(t.diameter - diameter) < 0.001);
+      // Exact family prefix in the name first (8400 vs 8410), then any prefix of the pattern
+      const tool = sameDiameter.find(t => baseName.includes(t.codePrefix)) ||
+        sameDiameter.find(t => t.codePrefix.startsWith(pattern));
+      if (tool) {
+        return { ...tool, category: categoryKey };
+      }
+    }
+  }
+
+  return null;
+}
+
 // Freeze the objects to prevent modifications
 Object.freeze(ToolCategory);
 
 module.exports = {
   ToolCategory,
   getToolIdentityFromMatrixCode,
+  getToolDefinition,
+  getPurchasingParameters,
+  matchToolDefinition,
+  stripHolderSuffix,
   getToolIdentityFromDiameterAndToolCode // Legacy compatibility
 };
@@ -0,0 +1,106 @@
+// utils/WorkerPool.js
+/**
+ * Fixed-size pool of worker threads running one script
+ * Each worker handles one task at a time; tasks are queued until a worker is free.
+ * Worker scripts receive { id, ...payload } and reply { id, result } or { id, error }.
+ */
+
+const { Worker } = require("worker_threads");
+const Logger = require("./Logger");
+
+class WorkerPool {
+  /**
+   * @param {string} scriptPath - Absolute path of the worker script
+   * @param {number} size - Maximum number of workers
+   */
+  constructor(scriptPath, size) {
+    this.scriptPath = scriptPath;
+    this.size = Math.max(1, Number(size) || 1);
+    this.workers = [];
+    this.idle = [];
+    this.queue = [];
+    this.nextId = 1;
+  }
+
+  /**
+   * Run one task on the next free worker
+   * @param {Object} payload - Structured-cloneable task data
+   * @returns {Promise<*>} - The worker's result
+   */
+  run(payload) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ id: this.nextId++, payload, resolve, reject });
+      this.dispatch();
+    });
+  }
+
+  dispatch() {
+    while (this.queue.length > 0) {
+      let worker = this.idle.pop();
+      if (!worker) {
+        if (this.workers.length >= this.size) {
+          return;
+        }
+        worker = this.createWorker();
+      }
+
+      const task = this.queue.shift();
+      worker.currentTask = task;
+      worker.postMessage({ id: task.id, ...task.payload });
+    }
+  }
+
+  createWorker() {
+    const worker = new Worker(this.scriptPath);
+    worker.currentTask = null;
+
+    worker.on("message", (message) => {
+      const task = worker.currentTask;
+      worker.currentTask = null;
+      this.idle.push(worker);
+
+      if (task && task.id === message.id) {
+        if (message.error) {
+          task.reject(new Error(message.error));
+        } else {
+          task.resolve(message.result);
+        }
+      }
+      this.dispatch();
+    });
+
+    // A crashed worker fails its task and is replaced on the next dispatch
+    worker.on("error", (err) => {
+      Logger.error(`Worker thread failed: ${err.message}`);
+      if (worker.currentTask) {
+        worker.currentTask.reject(err);
+        worker.currentTask = null;
+      }
+      this.removeWorker(worker);
+      this.dispatch();
+    });
+
+    this.workers.push(worker);
+    return worker;
+  }
+
+  removeWorker(worker) {
+    this.workers = this.workers.filter((w) => w !== worker);
+    this.idle = this.idle.filter((w) => w !== worker);
+  }
+
+  /**
+   * Stop all workers; queued tasks are rejected
+   */
+  async terminate() {
+    for (const task of this.queue.splice(0)) {
+      task.reject(new Error("Worker pool terminated"));
+    }
+    const workers = this.workers;
+    this.workers = [];
+    this.idle = [];
+    await Promise.all(workers.map((worker) => worker.terminate()));
+  }
+}
+
+module.exports = WorkerPool;
@@ -0,0 +1,29 @@
+// utils/workers/jsonRepairWorker.js
+/**
+ * Worker thread for Scanner's sanitize stage: reads a temp JSON copy, repairs it
+ * with TolerantJsonParser, writes the sanitized file and returns the parsed data.
+ * Message: { id, tempPath, sanitizedPath } -> { id, result: { repairs, data, parseError } }
+ */
+
+const fs = require("fs");
+const { parentPort } = require("worker_threads");
+const { repairJson } = require("../TolerantJsonParser");
+
+parentPort.on("message", ({ id, tempPath, sanitizedPath }) => {
+  try {
+    const { text, repairs } = repairJson(fs.readFileSync(tempPath, "utf8"));
+    fs.writeFileSync(sanitizedPath, text, "utf8");
+
+    let data = null;
+    let parseError = null;
+    try {
+      data = JSON.parse(text);
+    } catch (err) {
+      parseError = err.message;
+    }
+
+    parentPort.postMessage({ id, result: { repairs, data, parseError } });
+  } catch (err) {
+    parentPort.postMessage({ id, error: err.message });
+  }
+});